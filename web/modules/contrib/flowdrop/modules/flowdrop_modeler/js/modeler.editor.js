@@ -10,25 +10,8 @@
     attach: function (context, settings) {
       // Use once to ensure this only runs once per element
       once("flowdrop-modeler-editor", ".flowdrop-editor-container", context).forEach(function (editorContainer) {
-        // Skip if already initialized
-        if (editorContainer.dataset.flowdropInitialized) {
-          return;
-        }
-
-        // Check if FlowDrop is available
-        if (typeof window.FlowDrop === "undefined") {
-          editorContainer.innerHTML = `
-            <div style="padding: 20px; text-align: center; color: #d32f2f;">
-              <h3>FlowDrop Editor Not Available</h3>
-              <p>The FlowDrop library could not be loaded. Please ensure the flowdrop_ui module is enabled.</p>
-            </div>
-          `;
-          return;
-        }
-
         // Get workflow data from Drupal settings
         const workflowData = drupalSettings.flowdrop?.workflow;
-        const workflowId = workflowData?.id;
 
         if (!workflowData) {
           editorContainer.innerHTML = `
@@ -40,110 +23,32 @@
           return;
         }
 
-        // Get endpoint configuration from Drupal settings
-        let finalEndpointConfig = drupalSettings.flowdrop?.endpointConfig;
-
-        // If no endpointConfig is provided, create a default one
-        if (!finalEndpointConfig) {
-          console.warn('⚠️ No endpointConfig provided in drupalSettings.flowdrop. Using default configuration.');
-          
-          // Create default endpoint configuration
-          finalEndpointConfig = {
-            baseUrl: drupalSettings.flowdrop?.apiBaseUrl || "/api/flowdrop",
-            endpoints: {
-              nodes: {
-                list: "/nodes",
-                get: "/nodes/{id}",
-                byCategory: "/nodes?category={category}",
-                metadata: "/nodes/{id}/metadata"
-              },
-              workflows: {
-                list: "/workflows",
-                get: "/workflows/{id}",
-                create: "/workflows",
-                update: "/workflows/{id}",
-                delete: "/workflows/{id}",
-                validate: "/workflows/validate",
-                export: "/workflows/{id}/export",
-                import: "/workflows/import"
-              },
-              executions: {
-                execute: "/workflows/{id}/execute",
-                status: "/executions/{id}",
-                cancel: "/executions/{id}/cancel",
-                logs: "/executions/{id}/logs",
-                history: "/executions"
-              }
-            },
-            timeout: 30000,
-            retry: {
-              enabled: true,
-              maxAttempts: 3,
-              delay: 1000,
-              backoff: "exponential"
-            },
-            headers: {
-              "Content-Type": "application/json",
-              "Accept": "application/json"
-            }
-          };
-
-          // Add CSRF token if available
-          if (drupalSettings.flowdrop?.csrfToken) {
-            finalEndpointConfig.headers["X-CSRF-Token"] = drupalSettings.flowdrop.csrfToken;
-          }
-        }
-
-
-        // Initialize the editor with workflow data
-        async function initializeModelerEditor() {
-          try {
-            // Validate that we have the required container
-            if (!editorContainer) {
-              throw new Error("Editor container is required");
-            }
-
-            // Workflow data is now pre-transformed on the server side
-            const initialWorkflowData = workflowData;
-
-            // Get available node types from server-side service
-            const availableNodeTypes = drupalSettings.flowdrop?.availableNodeTypes || [];
-
-            // Mount the full FlowDrop app (includes NodeSidebar + WorkflowEditor)
-            const currentApp = await window.FlowDrop.mountFlowDropApp(editorContainer, {
-              workflow: initialWorkflowData,
-              nodes: availableNodeTypes,
-              endpointConfig: finalEndpointConfig,
-              height: "100%", // Use 100% to fill the container properly
-              width: "100%",
-              showNavbar: true, // Enable navbar for Drupal integration
-            });
-
-
-            // Mark as initialized
-            editorContainer.dataset.flowdropInitialized = "true";
-
-            // Store app reference for cleanup
-            editorContainer.flowdropApp = currentApp;
-
-            // Add keyboard shortcuts
-            const keydownHandler = (event) => {
-              if ((event.ctrlKey || event.metaKey) && event.key === "s") {
-                event.preventDefault();
-                // Use the exposed save functionality from the FlowDrop app
-                if (currentApp && typeof currentApp.save === 'function') {
-                  currentApp.save().catch(error => {
-                    // Save failed
-                  });
-                }
-              }
-            };
-
-            document.addEventListener("keydown", keydownHandler);
-
-            // Store the handler for cleanup
-            editorContainer.keydownHandler = keydownHandler;
-
+        // Models are saved through the Modeler API when it provides a save
+        // URL, otherwise through the FlowDrop REST API.
+        const modelerApi = drupalSettings.modeler_api;
+        const saveAdapter = modelerApi?.save_url
+          ? Drupal.FlowDrop.saveAdapters.modelerApi({
+            saveUrl: modelerApi.save_url,
+            isNew: Boolean(modelerApi.isNew),
+            tokenUrl: modelerApi.token_url,
+          })
+          : Drupal.FlowDrop.saveAdapters.restWorkflow();
+
+        Drupal.FlowDrop.bootstrap(editorContainer, {
+          // Workflow data is pre-transformed on the server side.
+          workflow: workflowData,
+          // Available node types come from a server-side service.
+          nodes: drupalSettings.flowdrop?.availableNodeTypes || [],
+          endpointConfig: drupalSettings.flowdrop?.endpointConfig,
+          apiBaseUrl: drupalSettings.flowdrop?.apiBaseUrl,
+          saveAdapter: saveAdapter,
+          savedMessage: Drupal.t("Model saved"),
+          draft: {
+            scope: "flowdrop_model",
+            changed: workflowData.metadata?.changed,
+          },
+          errorTitle: Drupal.t("Failed to load FlowDrop modeler editor"),
+          onMount: function (currentApp) {
             // Add custom event listeners for modeler-specific functionality
             const workflowSaveHandler = (event) => {
               // Handle workflow save
@@ -167,43 +72,21 @@
             editorContainer.nodeSelectedHandler = nodeSelectedHandler;
 
             // Expose the app instance for debugging
-            if (typeof window.console !== "undefined" && window.console.log) {
-              window.flowdropModelerApp = currentApp;
-            }
-
-          } catch (error) {
-            // Show user-friendly error message
-            editorContainer.innerHTML = `
-              <div style="padding: 20px; text-align: center; color: #d32f2f;">
-                <h3>Failed to load FlowDrop modeler editor</h3>
-                <p>Error: ${error.message}</p>
-                <p>Please refresh the page or contact support if the problem persists.</p>
-              </div>
-            `;
-          }
-        }
-
-        // Initialize the editor
-        initializeModelerEditor();
+            window.flowdropModelerApp = currentApp;
+          },
+        });
       });
     },
 
     detach: function (context, settings, trigger) {
-      // Cleanup when elements are removed
-      const containers = context.querySelectorAll(".flowdrop-editor-container");
-
-      containers.forEach(container => {
-        // Cleanup FlowDrop app
-        if (container.flowdropApp && typeof container.flowdropApp.destroy === "function") {
-          container.flowdropApp.destroy();
-          delete container.flowdropApp;
-        }
-
-        // Cleanup keyboard handler
-        if (container.keydownHandler) {
-          document.removeEventListener("keydown", container.keydownHandler);
-          delete container.keydownHandler;
+      if (trigger !== "unload") {
+        return;
+      }
+      once.remove("flowdrop-modeler-editor", ".flowdrop-editor-container", context).forEach(container => {
+        if (window.flowdropModelerApp === container.flowdropApp) {
+          delete window.flowdropModelerApp;
         }
+        Drupal.FlowDrop.teardown(container);
 
         // Cleanup custom event handlers
         if (container.workflowSaveHandler) {
@@ -220,8 +103,6 @@
           container.removeEventListener("node-selected", container.nodeSelectedHandler);
           delete container.nodeSelectedHandler;
         }
-
-        delete container.dataset.flowdropInitialized;
       });
     }
   };
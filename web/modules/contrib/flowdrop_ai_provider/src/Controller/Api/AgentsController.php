@@ -8,6 +8,7 @@
 use Drupal\flowdrop_ai_provider\Exception\MappingException;
 use Drupal\flowdrop_ai_provider\Exception\ValidationException;
 use Drupal\flowdrop_ai_provider\Services\AgentRepositoryInterface;
+use Drupal\flowdrop_ai_provider\Services\FlowDropAgentMapper;
 use Drupal\flowdrop_ai_provider\Services\FlowDropAgentMapperInterface;
 use Drupal\flowdrop_workflow\DTO\WorkflowDTO;
 use Symfony\Component\DependencyInjection\ContainerInterface;
@@ -341,9 +342,9 @@ public function saveWorkflow(Request $request): JsonResponse {
       $workflow = WorkflowDTO::fromArray($data);
 
       // Validate the workflow can be mapped.
-      $errors = $this->agentMapper->validateWorkflowMapping($workflow);
-      if (!empty($errors)) {
-        throw ValidationException::fromMessages($errors);
+      $violations = $this->getWorkflowMappingViolations($workflow);
+      if (!empty($violations)) {
+        throw ValidationException::fromWorkflowViolations($violations);
       }
 
       // Convert workflow to agent configs.
@@ -379,6 +380,7 @@ public function saveWorkflow(Request $request): JsonResponse {
         'success' => FALSE,
         'error' => 'Validation failed',
         'message' => $e->formatViolations(),
+        'violations' => $e->toArray(),
       ], Response::HTTP_BAD_REQUEST);
     }
     catch (MappingException $e) {
@@ -558,15 +560,16 @@ public function validateWorkflow(Request $request): JsonResponse {
       $data = $this->parseJsonRequest($request);
 
       $workflow = WorkflowDTO::fromArray($data);
-      $errors = $this->agentMapper->validateWorkflowMapping($workflow);
+      $violations = $this->getWorkflowMappingViolations($workflow);
 
       return $this->jsonResponse([
         'success' => TRUE,
         'data' => [
-          'valid' => empty($errors),
-          'errors' => $errors,
+          'valid' => empty($violations),
+          'errors' => array_column($violations, 'message'),
+          'violations' => $violations,
         ],
-        'message' => empty($errors) ? 'Workflow is valid for agent mapping' : 'Workflow validation failed',
+        'message' => empty($violations) ? 'Workflow is valid for agent mapping' : 'Workflow validation failed',
       ]);
     }
     catch (BadRequestHttpException $e) {
@@ -709,6 +712,34 @@ protected function parseJsonRequest(Request $request): array {
     return $data ?? [];
   }
 
+  /**
+   * Validate a workflow for agent mapping.
+   *
+   * Mappers other than FlowDropAgentMapper only report messages, so their
+   * violations are not tied to a node or field.
+   *
+   * @param \Drupal\flowdrop_workflow\DTO\WorkflowDTO $workflow
+   *   The workflow to validate.
+   *
+   * @return array
+   *   List of violations with the keys nodeId, field and message.
+   */
+  protected function getWorkflowMappingViolations(WorkflowDTO $workflow): array {
+    if ($this->agentMapper instanceof FlowDropAgentMapper) {
+      return $this->agentMapper->getWorkflowMappingViolations($workflow);
+    }
+
+    $violations = [];
+    foreach ($this->agentMapper->validateWorkflowMapping($workflow) as $message) {
+      $violations[] = [
+        'nodeId' => NULL,
+        'field' => NULL,
+        'message' => $message,
+      ];
+    }
+    return $violations;
+  }
+
   /**
    * Validate agent data.
    *
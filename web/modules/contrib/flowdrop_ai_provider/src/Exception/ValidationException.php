@@ -20,6 +20,13 @@ class ValidationException extends \RuntimeException {
    */
   protected ?ConstraintViolationListInterface $violations;
 
+  /**
+   * Violations located on workflow nodes and config fields.
+   *
+   * @var array
+   */
+  protected array $workflowViolations = [];
+
   /**
    * Constructs a ValidationException.
    *
@@ -73,6 +80,38 @@ public function formatViolations(): string {
     return implode("\n", $messages);
   }
 
+  /**
+   * Gets the violations as a list the editor can map onto the canvas.
+   *
+   * @return array
+   *   List of violations with the keys nodeId, field and message. Constraint
+   *   violations are not tied to a node, their property path is the field.
+   */
+  public function toArray(): array {
+    if ($this->workflowViolations) {
+      return $this->workflowViolations;
+    }
+    if ($this->violations === NULL) {
+      return [
+        [
+          'nodeId' => NULL,
+          'field' => NULL,
+          'message' => $this->getMessage(),
+        ],
+      ];
+    }
+
+    $items = [];
+    foreach ($this->violations as $violation) {
+      $items[] = [
+        'nodeId' => NULL,
+        'field' => $violation->getPropertyPath() ?: NULL,
+        'message' => (string) $violation->getMessage(),
+      ];
+    }
+    return $items;
+  }
+
   /**
    * Creates a ValidationException from constraint violations.
    *
@@ -108,4 +147,21 @@ public static function fromMessages(array $messages): static {
     return new static($formattedMessage);
   }
 
+  /**
+   * Creates a ValidationException from workflow violations.
+   *
+   * @param array $violations
+   *   Violations with the keys nodeId, field and message.
+   *
+   * @return static
+   *   The exception instance.
+   *
+   * @see \Drupal\flowdrop_ai_provider\Services\FlowDropAgentMapper::getWorkflowMappingViolations()
+   */
+  public static function fromWorkflowViolations(array $violations): static {
+    $exception = static::fromMessages(array_column($violations, 'message'));
+    $exception->workflowViolations = $violations;
+    return $exception;
+  }
+
 }
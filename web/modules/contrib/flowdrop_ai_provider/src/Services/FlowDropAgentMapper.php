@@ -658,12 +658,31 @@ public function loadPositions(string $agentId): array {
    * {@inheritdoc}
    */
   public function validateWorkflowMapping(WorkflowDTO $workflow): array {
-    $errors = [];
+    return array_column($this->getWorkflowMappingViolations($workflow), 'message');
+  }
+
+  /**
+   * Validates a workflow and reports where each problem is.
+   *
+   * @param \Drupal\flowdrop_workflow\DTO\WorkflowDTO $workflow
+   *   The workflow to validate.
+   *
+   * @return array
+   *   List of violations, empty if valid. Each violation has the keys
+   *   nodeId and field (both NULL when not tied to a node or field) and
+   *   message.
+   */
+  public function getWorkflowMappingViolations(WorkflowDTO $workflow): array {
+    $violations = [];
 
     // Check for at least one agent node.
     $agentNodes = $this->findAgentNodes($workflow);
     if (empty($agentNodes)) {
-      $errors[] = 'Workflow must contain at least one agent node';
+      $violations[] = [
+        'nodeId' => NULL,
+        'field' => NULL,
+        'message' => 'Workflow must contain at least one agent node',
+      ];
     }
 
     // Validate each agent node.
@@ -672,16 +691,24 @@ public function validateWorkflowMapping(WorkflowDTO $workflow): array {
 
       // Check for required system prompt.
       if (empty($config['systemPrompt']) && empty($config['system_prompt'])) {
-        $errors[] = sprintf('Agent node "%s" is missing system prompt', $node->getLabel());
+        $violations[] = [
+          'nodeId' => $node->getId(),
+          'field' => isset($config['system_prompt']) ? 'system_prompt' : 'systemPrompt',
+          'message' => sprintf('Agent node "%s" is missing system prompt', $node->getLabel()),
+        ];
       }
     }
 
     // Check workflow has a name.
     if (empty($workflow->getName())) {
-      $errors[] = 'Workflow must have a name';
+      $violations[] = [
+        'nodeId' => NULL,
+        'field' => NULL,
+        'message' => 'Workflow must have a name',
+      ];
     }
 
-    return $errors;
+    return $violations;
   }
 
   /**
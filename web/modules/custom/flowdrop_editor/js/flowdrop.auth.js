@@ -0,0 +1,177 @@
+/**
+ * @file
+ * Drupal session authentication for FlowDrop editors.
+ *
+ * Drupal authenticates editors by their session cookie and protects writes
+ * with a CSRF token from the session/token route. DrupalSessionAuthProvider
+ * implements the library's AuthProvider interface for that: the token is
+ * fetched when the first write needs it, shared by everything using the
+ * same token URL, and fetched again once when the server rejects it.
+ *
+ * The library's API client asks for headers without saying which method
+ * the request uses, so it gets the token on every request. Requests made
+ * through the provider's fetch() only carry it for unsafe methods.
+ */
+
+(function (Drupal) {
+  "use strict";
+
+  Drupal.FlowDrop = Drupal.FlowDrop || {};
+
+  /**
+   * Methods that do not change anything and need no CSRF token.
+   */
+  const SAFE_METHODS = ["GET", "HEAD", "OPTIONS", "TRACE"];
+
+  /**
+   * Providers, keyed by token URL.
+   */
+  const providers = {};
+
+  /**
+   * AuthProvider for the current Drupal session.
+   */
+  class DrupalSessionAuthProvider {
+    /**
+     * @param {object} [options]
+     *   - tokenUrl: The token URL, defaults to core's session/token route.
+     */
+    constructor(options = {}) {
+      this.tokenUrl = options.tokenUrl || Drupal.url("session/token");
+      this.token = null;
+      this.refreshing = null;
+    }
+
+    /**
+     * Gets the CSRF token, fetching it on first use.
+     *
+     * @return {Promise<string>}
+     *   The token.
+     */
+    getToken() {
+      if (!this.token) {
+        this.token = fetch(this.tokenUrl, { credentials: "same-origin" }).then((response) => {
+          if (!response.ok) {
+            throw new Error(`Could not get a CSRF token: ${response.statusText}`);
+          }
+          return response.text();
+        }).catch((error) => {
+          this.token = null;
+          throw error;
+        });
+      }
+      return this.token;
+    }
+
+    /**
+     * Gets the headers that authenticate a request.
+     *
+     * @param {string} [method]
+     *   The request method. Without one the token is always added.
+     *
+     * @return {Promise<object>}
+     *   The headers.
+     */
+    async getAuthHeaders(method) {
+      if (method && SAFE_METHODS.indexOf(method.toUpperCase()) !== -1) {
+        return {};
+      }
+      return { "X-CSRF-Token": await this.getToken() };
+    }
+
+    /**
+     * The session cookie goes with every same-origin request.
+     */
+    isAuthenticated() {
+      return true;
+    }
+
+    /**
+     * Fetches a new token after the server rejected a request.
+     *
+     * Concurrent failures share one refresh.
+     *
+     * @return {Promise<boolean>}
+     *   Whether a new token was fetched and the request is worth retrying.
+     */
+    onUnauthorized() {
+      if (!this.refreshing) {
+        this.token = null;
+        this.refreshing = this.getToken().then(() => true, () => false).finally(() => {
+          this.refreshing = null;
+        });
+      }
+      return this.refreshing;
+    }
+
+    /**
+     * Drupal answers 403 to a stale CSRF token, so that refreshes too.
+     *
+     * @return {Promise<boolean>}
+     *   Whether a new token was fetched.
+     */
+    onForbidden() {
+      return this.onUnauthorized();
+    }
+
+    /**
+     * Fetches with the session, adding the token to unsafe requests.
+     *
+     * When the server answers 401 or 403, the token is fetched again and
+     * the request retried once.
+     *
+     * @param {string} url
+     *   The URL.
+     * @param {object} [init]
+     *   Options for fetch().
+     *
+     * @return {Promise<Response>}
+     *   The response of the last attempt.
+     */
+    async fetch(url, init = {}) {
+      const method = (init.method || "GET").toUpperCase();
+      const send = async () => fetch(url, Object.assign({ credentials: "same-origin" }, init, {
+        headers: Object.assign({}, init.headers || {}, await this.getAuthHeaders(method)),
+      }));
+
+      const response = await send();
+      if ((response.status === 401 || response.status === 403) && SAFE_METHODS.indexOf(method) === -1 && await this.onUnauthorized()) {
+        return send();
+      }
+      return response;
+    }
+  }
+
+  /**
+   * Gets the shared auth provider for a token URL.
+   *
+   * @param {string} [tokenUrl]
+   *   The token URL, defaults to core's session/token route.
+   *
+   * @return {DrupalSessionAuthProvider}
+   *   The provider.
+   */
+  Drupal.FlowDrop.getAuthProvider = function (tokenUrl) {
+    const url = tokenUrl || Drupal.url("session/token");
+    if (!providers[url]) {
+      providers[url] = new DrupalSessionAuthProvider({ tokenUrl: url });
+    }
+    return providers[url];
+  };
+
+  /**
+   * Gets a CSRF token for write requests.
+   *
+   * @param {string} [tokenUrl]
+   *   The token URL, defaults to core's session/token route.
+   *
+   * @return {Promise<string>}
+   *   The token.
+   */
+  Drupal.FlowDrop.getCsrfToken = function (tokenUrl) {
+    return Drupal.FlowDrop.getAuthProvider(tokenUrl).getToken();
+  };
+
+  Drupal.FlowDrop.DrupalSessionAuthProvider = DrupalSessionAuthProvider;
+
+})(Drupal);
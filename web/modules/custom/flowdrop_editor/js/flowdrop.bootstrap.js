@@ -0,0 +1,731 @@
+/**
+ * @file
+ * Shared Drupal integration layer for FlowDrop editors.
+ *
+ * Every Drupal editor built on FlowDrop needs the same things around
+ * mountFlowDropApp(): a check that the library loaded, a default endpoint
+ * configuration, session authentication with CSRF tokens for writes (see
+ * flowdrop.auth.js), saves that are queued while offline (see
+ * flowdrop.offline.js), an API client that shares, caches and cancels its
+ * reads (see flowdrop.requests.js), an optional transport the editor's
+ * requests go through (see flowdrop.transport.js), Save/Back navbar
+ * actions, Ctrl+S, an unsaved-changes guard and cleanup on detach.
+ * Drupal.FlowDrop.bootstrap() does all of that once. What differs between
+ * editors is how a workflow is saved, which is left to a save adapter:
+ *
+ * - modelerApi: POSTs to the Modeler API save URL (AI Agents, BPMN models).
+ * - restWorkflow: creates/updates a flowdrop_workflow entity over REST.
+ * - aiProvider: POSTs to the flowdrop_ai_provider workflow save endpoint.
+ *
+ * A save adapter is an object with a save(workflow, context) method that
+ * resolves with the decoded response, or rejects with an Error (ideally a
+ * Drupal.FlowDrop.SaveError carrying violations).
+ *
+ * The library keeps the workflow, its dirty state and its callbacks in
+ * module-level stores, and offers no way to give one page several sets of
+ * them, so a page holds one editor at a time: bootstrapping another while
+ * one is open shows a message in its container instead. The globals the
+ * library reads, window.flowdropSave and window.currentFlowDropApp, point
+ * at the open editor.
+ */
+
+(function (Drupal) {
+  "use strict";
+
+  Drupal.FlowDrop = Drupal.FlowDrop || {};
+
+  /**
+   * The container of the editor open on the page, if any.
+   */
+  let owner = null;
+
+  /**
+   * Builds the default endpoint configuration for the FlowDrop REST API.
+   *
+   * @param {string} baseUrl
+   *   The API base URL.
+   * @param {object} [endpoints]
+   *   Endpoint groups that replace the defaults, e.g. {nodes: {...}}. Add
+   *   runtimeConfig, e.g. "/config", to load the editor's runtime
+   *   configuration from the API; see flowdrop.runtime.js.
+   *
+   * @return {object}
+   *   The endpoint configuration.
+   */
+  Drupal.FlowDrop.createEndpointConfig = function (baseUrl, endpoints = {}) {
+    return {
+      baseUrl: baseUrl,
+      endpoints: Object.assign({
+        nodes: {
+          list: "/nodes",
+          get: "/nodes/{id}",
+          byCategory: "/nodes?category={category}",
+          metadata: "/nodes/{id}/metadata",
+        },
+        workflows: {
+          list: "/workflows",
+          get: "/workflows/{id}",
+          create: "/workflows",
+          update: "/workflows/{id}",
+          delete: "/workflows/{id}",
+          validate: "/workflows/validate",
+          export: "/workflows/{id}/export",
+          import: "/workflows/import",
+        },
+        executions: {
+          execute: "/workflows/{id}/execute",
+          status: "/executions/{id}",
+          cancel: "/executions/{id}/cancel",
+          logs: "/executions/{id}/logs",
+          history: "/executions",
+        },
+      }, endpoints),
+      timeout: 30000,
+      retry: {
+        enabled: true,
+        maxAttempts: 3,
+        delay: 1000,
+        backoff: "exponential",
+      },
+      headers: {
+        "Content-Type": "application/json",
+        "Accept": "application/json",
+      },
+    };
+  };
+
+  /**
+   * Gets what identifies the graph of a workflow, for comparing two.
+   */
+  function graphKey(workflow) {
+    return JSON.stringify({ nodes: workflow.nodes || [], edges: workflow.edges || [] });
+  }
+
+  /**
+   * Replaces the container content with an error message.
+   *
+   * @param {HTMLElement} container
+   *   The editor container.
+   * @param {string} title
+   *   The heading.
+   * @param {string[]} lines
+   *   Paragraphs below the heading.
+   */
+  function renderError(container, title, lines) {
+    const wrapper = document.createElement("div");
+    wrapper.style.cssText = "padding: 20px; text-align: center; color: #d32f2f;";
+    const heading = document.createElement("h3");
+    heading.textContent = title;
+    wrapper.appendChild(heading);
+    lines.forEach((line) => {
+      const paragraph = document.createElement("p");
+      paragraph.textContent = line;
+      wrapper.appendChild(paragraph);
+    });
+    container.textContent = "";
+    container.appendChild(wrapper);
+  }
+
+  /**
+   * Sends JSON through the context's auth provider and decodes the JSON
+   * response.
+   *
+   * When the context has offline settings, the request is queued if the
+   * server cannot be reached.
+   *
+   * @return {Promise<object>}
+   *   The decoded response, or {success: true, queued: true} when the
+   *   request was queued. Rejects with a SaveError for HTTP errors and for
+   *   responses with "success": false.
+   */
+  async function sendJson(url, method, body, context, extraHeaders) {
+    const request = {
+      method: method,
+      headers: Object.assign({
+        "Content-Type": "application/json",
+        "Accept": "application/json",
+      }, extraHeaders || {}),
+      body: JSON.stringify(body),
+    };
+    const response = context.offline
+      ? await Drupal.FlowDrop.sendOrQueue(Object.assign({ url: url, authProvider: context.authProvider }, request, context.offline))
+      : await context.authProvider.fetch(url, request);
+    if (!response) {
+      return { success: true, queued: true };
+    }
+
+    if (!response.ok) {
+      throw await Drupal.FlowDrop.saveErrorFromResponse(response, "Save failed");
+    }
+
+    const result = await response.json();
+    if (result.success === false) {
+      throw new Drupal.FlowDrop.SaveError(result.message || result.error || "Save failed", Drupal.FlowDrop.normalizeViolations(result));
+    }
+    return result;
+  }
+
+  /**
+   * Save adapter factories.
+   */
+  Drupal.FlowDrop.saveAdapters = {
+
+    /**
+     * Saves through a Modeler API modeler.
+     *
+     * @param {object} options
+     *   - saveUrl: The Modeler API save URL.
+     *   - isNew: Whether the model is created by this save.
+     *   - tokenUrl: CSRF token URL, defaults to the context's token URL.
+     */
+    modelerApi: function (options) {
+      return {
+        name: "modelerApi",
+        save: function (workflow, context) {
+          const authProvider = options.tokenUrl ? Drupal.FlowDrop.getAuthProvider(options.tokenUrl) : context.authProvider;
+          const adapterContext = Object.assign({}, context, {
+            authProvider: authProvider,
+            getCsrfToken: () => authProvider.getToken(),
+            // The model must exist before later saves can update it.
+            offline: options.isNew ? null : context.offline,
+          });
+          return sendJson(options.saveUrl, "POST", workflow, adapterContext, {
+            "X-Modeler-API-isNew": options.isNew ? "true" : "false",
+          });
+        },
+      };
+    },
+
+    /**
+     * Creates or updates a flowdrop_workflow entity over REST.
+     *
+     * Follows the library's rule: a workflow without an ID, or with a
+     * client-generated UUID, is new.
+     */
+    restWorkflow: function () {
+      return {
+        name: "restWorkflow",
+        save: async function (workflow, context) {
+          const endpoints = context.endpointConfig.endpoints.workflows;
+          const isExisting = workflow.id && !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(workflow.id);
+          const payload = Object.assign({}, workflow, { label: workflow.name });
+          if (!isExisting) {
+            delete payload.id;
+          }
+
+          const url = context.library.buildEndpointUrl(context.endpointConfig, isExisting ? endpoints.update : endpoints.create, isExisting ? { id: workflow.id } : undefined);
+          // Creating is not queued: the ID of the new entity is needed to
+          // save it again.
+          const result = await sendJson(url, isExisting ? "PUT" : "POST", payload, isExisting ? context : Object.assign({}, context, { offline: null }));
+
+          // Keep saving to the entity that was just created.
+          if (result.data && result.data.id && result.data.id !== workflow.id) {
+            context.library.workflowActions.updateWorkflow(Object.assign({}, context.library.getWorkflowFromStore(), { id: result.data.id }));
+          }
+          return result;
+        },
+      };
+    },
+
+    /**
+     * Saves AI Agents through the flowdrop_ai_provider workflow endpoint.
+     *
+     * @param {object} [options]
+     *   - saveUrl: Defaults to "{baseUrl}/workflow/save".
+     */
+    aiProvider: function (options = {}) {
+      return {
+        name: "aiProvider",
+        save: function (workflow, context) {
+          return sendJson(options.saveUrl || `${context.endpointConfig.baseUrl}/workflow/save`, "POST", workflow, context);
+        },
+      };
+    },
+
+  };
+
+  /**
+   * Mounts a FlowDrop editor with the shared Drupal integration.
+   *
+   * @param {HTMLElement} container
+   *   The element to mount the editor in.
+   * @param {object} options
+   *   - workflow: The workflow to edit.
+   *   - nodes: Node types, when they are not fetched from the API.
+   *   - cacheTtl: Milliseconds the API client keeps responses when the
+   *     server does not say (default 60000).
+   *   - endpointConfig: Endpoint configuration; built with
+   *     createEndpointConfig(apiBaseUrl) when missing. Its runtimeConfig
+   *     endpoint, if any, is loaded before mounting; the library and the
+   *     API client then use its apiBaseUrl and timeout. It is available
+   *     as app.runtimeConfig.
+   *   - apiBaseUrl: Base URL for the default endpoint configuration.
+   *   - csrfTokenUrl: CSRF token URL for writes.
+   *   - transport: A transport that answers the requests the editor makes
+   *     through its auth provider instead of the server, e.g. a
+   *     Drupal.FlowDrop.MockBackend; see TransportAuthProvider. While the
+   *     editor is mounted, the library's own requests to URLs it handles
+   *     go to it as well.
+   *   - authProvider: Authenticates the library's API requests and the
+   *     saves; an AuthProvider with a fetch() method like
+   *     DrupalSessionAuthProvider (default the one of csrfTokenUrl).
+   *   - saveAdapter: A save adapter. Without one, Save is not offered.
+   *   - offline: Offline queue settings, or FALSE to let saves fail while
+   *     the server cannot be reached. Saves of existing workflows are
+   *     queued then, and node types fall back to the last list loaded. A
+   *     queued save leaves the changes unsaved, with their draft, until it
+   *     was sent:
+   *     - key: Queue key of the saves (default the adapter name and the
+   *       workflow ID).
+   *     - label: Name of the workflow in the queue (default the navbar
+   *       title).
+   *     - check(workflow): Returns the conflict check sent before a queued
+   *       save, {url, body, revisionField}, or NULL; see OfflineQueue.
+   *   - savedMessage: Announced after a successful save.
+   *   - navbarTitle: The navbar title, defaults to the workflow name.
+   *   - saveLabel: Label of the Save action.
+   *   - navbarActions: Actions shown between Save and Back.
+   *   - backUrl / backLabel: The Back action; omitted without a URL.
+   *   - history: Add undo/redo and its shortcuts (default FALSE).
+   *   - feedback: Show save errors on nodes and fields (default TRUE).
+   *   - guard: Ask to save unsaved changes before leaving the editor
+   *     (default TRUE).
+   *   - clipboard: Copy, paste and duplicate selected nodes (default TRUE).
+   *   - groups: Group nodes into collapsible frames, with a Group action
+   *     and Ctrl+G (default TRUE).
+   *   - autoArrange: Offer an Auto arrange action that lays out the
+   *     selected nodes, or the whole graph (default TRUE).
+   *   - commandPalette: Open a palette on Ctrl+K that finds nodes and runs
+   *     the navbar actions (default TRUE).
+   *   - commands: More palette commands, see attachCommandPalette().
+   *   - minimap: Options for attachMinimap(), or FALSE to keep the
+   *     library's minimap. A Minimap action shows and hides it (default
+   *     TRUE).
+   *   - export: Offer an Export action that downloads the graph as SVG,
+   *     PNG or Mermaid (default TRUE).
+   *   - comments: Review comments on nodes and edges, with a Comments
+   *     action; see attachComments(). Works in review mode too:
+   *     - storage: Where comments are kept, one of
+   *       Drupal.FlowDrop.commentStorage.
+   *     - workflowId: The workflow the comments belong to.
+   *     - getNodeKey: Gets a node key that survives reloads, see
+   *       NodeComments.
+   *   - readOnly: Open the workflow for review only, with the title and
+   *     message of the banner as options of attachReadOnly(), or TRUE for
+   *     the default banner. Save, drafts, undo/redo, the clipboard, Auto
+   *     arrange and the unsaved-changes guard are left out, and groups can
+   *     only be collapsed and expanded.
+   *   - draft: Draft recovery settings, or FALSE to keep the library's
+   *     default draft handling:
+   *     - scope: What kind of workflow it is, part of the per-user draft
+   *       key (default 'workflow').
+   *     - changed: When the workflow was last saved on the server.
+   *     - storage: Where drafts are kept, one of
+   *       Drupal.FlowDrop.draftStorage (default local storage).
+   *     - interval: Milliseconds between draft saves (default 30000).
+   *   - mountOptions: Extra options for mountFlowDropApp().
+   *   - onBeforeSave(workflow, app): Return FALSE to cancel the save or a
+   *     workflow to save instead.
+   *   - onAfterSave(result, workflow, app): Called after a successful save,
+   *     including queued saves once they were sent.
+   *   - onSaveError(error, app): Called when the save fails, before the
+   *     error is reported.
+   *   - onMount(app): Called once the editor is mounted.
+   *   - errorTitle: Heading shown when mounting fails.
+   *
+   * One editor can be open on a page. Bootstrapping another container
+   * while it is open leaves a message there instead of an editor.
+   *
+   * @return {Promise<object|null>}
+   *   The mounted app, or NULL if the editor could not be mounted. The
+   *   library it was mounted with is available as app.library, and its
+   *   API client, whose requests are aborted when the editor is torn
+   *   down, as app.apiClient.
+   */
+  Drupal.FlowDrop.bootstrap = async function (container, options = {}) {
+    if (container.dataset.flowdropInitialized) {
+      return container.flowdropApp || null;
+    }
+
+    if (typeof window.FlowDrop === "undefined") {
+      renderError(container, Drupal.t("FlowDrop Editor Not Available"), [
+        Drupal.t("The FlowDrop library could not be loaded. Please ensure the flowdrop_ui module is enabled."),
+      ]);
+      console.error("FlowDrop: library not loaded");
+      return null;
+    }
+
+    if (owner && owner !== container) {
+      renderError(container, options.errorTitle || Drupal.t("Failed to load FlowDrop editor"), [
+        Drupal.t("Another FlowDrop editor is already open on this page. Only one editor can be open at a time; close the other one to edit here."),
+      ]);
+      return null;
+    }
+
+    const endpointConfig = options.endpointConfig || Drupal.FlowDrop.createEndpointConfig(options.apiBaseUrl || "/api/flowdrop");
+    if (!endpointConfig.baseUrl) {
+      renderError(container, options.errorTitle || Drupal.t("Failed to load FlowDrop editor"), [Drupal.t("API base URL is required")]);
+      return null;
+    }
+
+    // A newer bootstrap of the same container wins over one still loading.
+    if (container.flowdropLoading) {
+      container.flowdropLoading.abort();
+    }
+    const loading = new AbortController();
+    container.flowdropLoading = loading;
+    owner = container;
+
+    const readOnly = options.readOnly ? Object.assign({}, options.readOnly) : null;
+    const adapter = readOnly ? null : (options.saveAdapter || null);
+    const sessionAuthProvider = options.authProvider || Drupal.FlowDrop.getAuthProvider(options.csrfTokenUrl);
+    const authProvider = options.transport ? new Drupal.FlowDrop.TransportAuthProvider(sessionAuthProvider, options.transport) : sessionAuthProvider;
+    const runtimeConfig = new Drupal.FlowDrop.RuntimeConfig(endpointConfig, { authProvider: authProvider });
+    const navbarTitle = options.navbarTitle || (options.workflow && (options.workflow.name || options.workflow.label)) || Drupal.t("Workflow");
+    const offline = (options.offline === false || readOnly) ? null : Object.assign({
+      key: adapter ? `${adapter.name}:${(options.workflow && options.workflow.id) || "new"}` : null,
+      label: navbarTitle,
+    }, options.offline);
+    const context = {
+      container: container,
+      endpointConfig: endpointConfig,
+      authProvider: authProvider,
+      getCsrfToken: () => authProvider.getToken(),
+    };
+    let app = null;
+
+    // Saves the current workflow through the adapter.
+    async function save() {
+      if (!adapter || !app) {
+        return null;
+      }
+      try {
+        if (app.validation) {
+          app.validation.clear();
+        }
+
+        let workflow = app.getWorkflow();
+        if (options.onBeforeSave) {
+          const replacement = await options.onBeforeSave(workflow, app);
+          if (replacement === false) {
+            return { success: false, cancelled: true };
+          }
+          if (replacement && typeof replacement === "object") {
+            workflow = replacement;
+          }
+        }
+
+        const result = await adapter.save(workflow, offline ? Object.assign({}, context, {
+          offline: {
+            key: offline.key,
+            label: offline.label,
+            check: offline.check ? offline.check(workflow) : null,
+          },
+        }) : context);
+
+        // A queued save can still be refused or discarded, so the changes
+        // stay unsaved, with their draft, until the queue sends them.
+        if (result && result.queued) {
+          Drupal.announce(Drupal.t("Saved offline. The changes will be sent when the connection is back."));
+          if (app.drafts) {
+            app.drafts.saveIfDirty();
+          }
+          return result;
+        }
+        Drupal.announce(options.savedMessage || Drupal.t("Saved successfully"));
+        app.markAsSaved();
+        if (app.drafts) {
+          app.drafts.discard();
+        }
+        if (options.onAfterSave) {
+          await options.onAfterSave(result, workflow, app);
+        }
+        return result;
+      } catch (error) {
+        console.error("FlowDrop: save failed", error);
+        if (options.onSaveError) {
+          options.onSaveError(error, app);
+        }
+        if (app.validation) {
+          app.validation.report(error);
+        } else {
+          library.workflowToasts.saveError(error.message);
+        }
+        throw error;
+      }
+    }
+
+    const navbarActions = [];
+    if (adapter) {
+      navbarActions.push({
+        label: options.saveLabel || Drupal.t("Save"),
+        href: "#",
+        variant: "primary",
+        icon: "mdi:floppy-disk",
+        shortcut: "Ctrl+S",
+        onclick: function () {
+          save().catch(() => {
+            // Already reported by save().
+          });
+        },
+      });
+    }
+    navbarActions.push(...(options.navbarActions || []));
+    if (options.comments) {
+      navbarActions.push(Drupal.FlowDrop.commentsAction(container));
+    }
+    if (options.minimap !== false) {
+      navbarActions.push(Drupal.FlowDrop.minimapAction(container));
+    }
+    if (options.export !== false) {
+      navbarActions.push(Drupal.FlowDrop.exportAction(container));
+    }
+    if (options.groups !== false && !readOnly) {
+      navbarActions.push(Drupal.FlowDrop.groupAction(container));
+    }
+    if (options.autoArrange !== false && !readOnly) {
+      navbarActions.push(Drupal.FlowDrop.autoArrangeAction(container));
+    }
+    if (options.backUrl) {
+      navbarActions.push({
+        label: options.backLabel || Drupal.t("Back"),
+        href: options.backUrl,
+        variant: "secondary",
+        icon: "mdi:arrow-back",
+      });
+    }
+
+    const library = window.FlowDrop;
+    context.library = library;
+    let releaseTransport = null;
+    // Aborts the API client's requests once the editor is torn down.
+    const closing = new AbortController();
+    let apiClient = null;
+    try {
+      if (options.transport) {
+        releaseTransport = Drupal.FlowDrop.routeLibraryRequests(authProvider);
+      }
+      const workflow = options.workflow;
+      // The runtime configuration says where the API is, so it is loaded
+      // first. Load node types and the port configuration here rather than
+      // in the library, so editors opened later on the page reuse them and
+      // the last ones loaded can be used offline.
+      await runtimeConfig.load({ signal: loading.signal });
+      const apiConfig = runtimeConfig.applyTo(endpointConfig);
+      context.endpointConfig = apiConfig;
+      const mountOptions = options.mountOptions || {};
+      apiClient = Drupal.FlowDrop.createApiClient(library, apiConfig, {
+        authProvider: authProvider,
+        signal: closing.signal,
+        ttl: options.cacheTtl,
+      });
+      const readOptions = { signal: loading.signal };
+      let nodes = options.nodes;
+      let portConfig = mountOptions.portConfig;
+      if (options.offline !== false) {
+        [nodes, portConfig] = await Promise.all([
+          (Array.isArray(nodes) && nodes.length) ? nodes : Drupal.FlowDrop.loadNodeTypes(apiClient, readOptions).then((loaded) => loaded || nodes),
+          portConfig || Drupal.FlowDrop.loadPortConfig(apiClient, readOptions).then((loaded) => loaded || undefined),
+        ]);
+      }
+      const draft = (options.draft === false || readOnly) ? null : Object.assign({ scope: "workflow" }, options.draft);
+      const draftStorage = draft && (draft.storage || Drupal.FlowDrop.draftStorage.local(library));
+      app = await library.mountFlowDropApp(container, Object.assign({
+        workflow: workflow,
+        nodes: nodes,
+        portConfig: portConfig,
+        endpointConfig: apiConfig,
+        height: "100%",
+        width: "100%",
+        showNavbar: true,
+        navbarTitle: navbarTitle,
+        navbarActions: navbarActions,
+        authProvider: authProvider,
+        // Drafts are saved through the draft storage instead.
+        features: (draft || readOnly) ? { autoSaveDraft: false } : undefined,
+        lockWorkflow: !!readOnly,
+        readOnly: !!readOnly,
+      }, mountOptions));
+      // Torn down or bootstrapped again while mounting.
+      if (loading.signal.aborted) {
+        app.destroy();
+        loading.signal.throwIfAborted();
+      }
+      if (draft) {
+        app.library = library;
+        Drupal.FlowDrop.attachDrafts(app, {
+          storage: draftStorage,
+          key: draftStorage.getKey(draft.scope, workflow && workflow.id),
+          interval: draft.interval,
+        });
+      }
+    } catch (error) {
+      closing.abort();
+      if (releaseTransport) {
+        releaseTransport();
+      }
+      // Torn down, or bootstrapped again, while loading.
+      if (error.name === "AbortError") {
+        return null;
+      }
+      if (owner === container) {
+        owner = null;
+      }
+      console.error("FlowDrop: failed to mount editor", error);
+      renderError(container, options.errorTitle || Drupal.t("Failed to load FlowDrop editor"), [
+        Drupal.t("Error: @message", { "@message": error.message }),
+        Drupal.t("Please refresh the page or contact support if the problem persists."),
+      ]);
+      return null;
+    } finally {
+      if (container.flowdropLoading === loading) {
+        delete container.flowdropLoading;
+      }
+    }
+
+    // The library's save routes through window.flowdropSave, which the app
+    // points at its own REST save while mounting.
+    app.save = save;
+    app.saveAdapter = adapter;
+    app.library = library;
+    app.runtimeConfig = runtimeConfig;
+    app.apiClient = apiClient;
+    if (readOnly) {
+      Drupal.FlowDrop.attachReadOnly(app, container, readOnly);
+    }
+    if (options.history && !readOnly) {
+      Drupal.FlowDrop.attachHistory(app);
+    }
+    if (options.feedback !== false) {
+      Drupal.FlowDrop.attachValidationFeedback(app, container);
+    }
+    if (options.guard !== false && !readOnly) {
+      Drupal.FlowDrop.attachNavigationGuard(app, container);
+    }
+    if (options.clipboard !== false && !readOnly) {
+      Drupal.FlowDrop.attachClipboard(app, container);
+    }
+    if (options.groups !== false) {
+      Drupal.FlowDrop.attachGroups(app, container, { readOnly: !!readOnly });
+    }
+    if (options.comments) {
+      Drupal.FlowDrop.attachComments(app, container, options.comments);
+    }
+    if (options.minimap !== false) {
+      Drupal.FlowDrop.attachMinimap(app, container, typeof options.minimap === "object" && options.minimap ? options.minimap : {});
+    }
+    if (offline) {
+      Drupal.FlowDrop.attachOffline(app, container, {
+        key: adapter ? offline.key : null,
+        authProvider: authProvider,
+        onSent: (result, entry) => {
+          const sent = JSON.parse(entry.body);
+          // Changes made after the save was queued are still unsaved.
+          if (graphKey(app.getWorkflow()) === graphKey(sent)) {
+            app.markAsSaved();
+            if (app.drafts) {
+              app.drafts.discard();
+            }
+          }
+          return options.onAfterSave && options.onAfterSave(result, sent, app);
+        },
+      });
+    }
+    if (options.commandPalette !== false) {
+      Drupal.FlowDrop.attachCommandPalette(app, container, {
+        navbarActions: navbarActions,
+        commands: options.commands,
+      });
+    }
+
+    // Ctrl+S saves; Ctrl+Z / Ctrl+Shift+Z undo and redo.
+    const keydownHandler = function (event) {
+      if ((event.ctrlKey || event.metaKey) && event.key === "s") {
+        event.preventDefault();
+        save().catch(() => {
+          // Already reported by save().
+        });
+        return;
+      }
+      if (app.history) {
+        const historyAction = Drupal.FlowDrop.getHistoryShortcut(event);
+        if (historyAction) {
+          event.preventDefault();
+          app[historyAction]();
+        }
+      }
+    };
+    document.addEventListener("keydown", keydownHandler);
+
+    container.flowdropApp = app;
+    container.flowdropKeydownHandler = keydownHandler;
+    container.flowdropClosing = closing;
+    if (releaseTransport) {
+      container.flowdropReleaseTransport = releaseTransport;
+    }
+    container.dataset.flowdropInitialized = "true";
+    window.currentFlowDropApp = app;
+    window.flowdropSave = save;
+
+    if (options.onMount) {
+      options.onMount(app);
+    }
+    if (app.drafts) {
+      Drupal.FlowDrop.offerDraftRecovery(app, { changed: options.draft?.changed }).catch((error) => {
+        console.error("FlowDrop: draft recovery failed", error);
+      });
+    }
+    return app;
+  };
+
+  /**
+   * Tears down editors mounted with Drupal.FlowDrop.bootstrap().
+   *
+   * @param {HTMLElement} container
+   *   The editor container.
+   */
+  Drupal.FlowDrop.teardown = function (container) {
+    // An editor still loading is not mounted once it finished.
+    if (container.flowdropLoading) {
+      container.flowdropLoading.abort();
+      delete container.flowdropLoading;
+    }
+    const app = container.flowdropApp;
+    if (app && typeof app.destroy === "function") {
+      app.destroy();
+    }
+    if (container.flowdropKeydownHandler) {
+      document.removeEventListener("keydown", container.flowdropKeydownHandler);
+      delete container.flowdropKeydownHandler;
+    }
+    if (container.flowdropReleaseTransport) {
+      container.flowdropReleaseTransport();
+      delete container.flowdropReleaseTransport;
+    }
+    if (container.flowdropClosing) {
+      container.flowdropClosing.abort();
+      delete container.flowdropClosing;
+    }
+    if (app && window.currentFlowDropApp === app) {
+      delete window.currentFlowDropApp;
+      delete window.flowdropSave;
+    }
+    delete container.flowdropApp;
+    delete container.dataset.flowdropInitialized;
+
+    if (owner === container) {
+      owner = null;
+    }
+  };
+
+  /**
+   * Gets the app of the editor open on the page.
+   *
+   * @return {object|null}
+   *   The mounted app, or NULL when no editor is mounted.
+   */
+  Drupal.FlowDrop.getActiveApp = function () {
+    return owner ? owner.flowdropApp || null : null;
+  };
+
+})(Drupal);
@@ -0,0 +1,354 @@
+/**
+ * @file
+ * Copy, paste and duplicate of node subgraphs for FlowDrop editors.
+ *
+ * Ctrl+C copies the selected nodes with the edges between them, Ctrl+V
+ * pastes them and Ctrl+D duplicates them in place. The clipboard holds a
+ * versioned JSON payload on the system clipboard, so nodes can be pasted
+ * into another browser tab and between the different FlowDrop editors.
+ */
+
+(function (Drupal) {
+  "use strict";
+
+  Drupal.FlowDrop = Drupal.FlowDrop || {};
+
+  /**
+   * Payload type, so other JSON on the clipboard is left alone.
+   */
+  const PAYLOAD_TYPE = "flowdrop/subgraph";
+
+  /**
+   * Payload version; payloads from newer versions are refused.
+   */
+  const PAYLOAD_VERSION = 1;
+
+  /**
+   * How far pasted nodes are moved from the copied ones, in pixels.
+   */
+  const PASTE_OFFSET = 40;
+
+  /**
+   * Node data that only makes sense on the canvas it came from.
+   */
+  const TRANSIENT_DATA = ["executionInfo", "onConfigOpen"];
+
+  /**
+   * Whether an event comes from a place where text is typed.
+   */
+  function isEditable(target) {
+    return !!(target && target.closest && target.closest("input, textarea, select, [contenteditable]:not([contenteditable='false'])"));
+  }
+
+  /**
+   * Builds a clipboard payload from nodes of a workflow.
+   *
+   * @param {object} workflow
+   *   The workflow.
+   * @param {string[]} nodeIds
+   *   The IDs of the nodes to copy.
+   *
+   * @return {object|null}
+   *   The payload, or NULL if none of the nodes exist.
+   */
+  function createPayload(workflow, nodeIds) {
+    const ids = new Set(nodeIds);
+    const nodes = (workflow.nodes || []).filter((node) => ids.has(node.id)).map((node) => {
+      const data = Object.assign({}, node.data);
+      TRANSIENT_DATA.forEach((key) => delete data[key]);
+      return {
+        id: node.id,
+        type: node.type,
+        position: node.position,
+        data: JSON.parse(JSON.stringify(data)),
+      };
+    });
+    if (!nodes.length) {
+      return null;
+    }
+    return {
+      type: PAYLOAD_TYPE,
+      version: PAYLOAD_VERSION,
+      source: workflow.id || null,
+      nodes: nodes,
+      // Edges leaving the selection have nothing to connect to once pasted.
+      edges: (workflow.edges || []).filter((edge) => ids.has(edge.source) && ids.has(edge.target)).map((edge) => ({
+        id: edge.id,
+        source: edge.source,
+        target: edge.target,
+        sourceHandle: edge.sourceHandle,
+        targetHandle: edge.targetHandle,
+        type: edge.type,
+        data: edge.data,
+      })),
+    };
+  }
+
+  /**
+   * Reads a clipboard payload from text.
+   *
+   * @return {object|null}
+   *   The payload, or NULL if the text is not one.
+   */
+  function parsePayload(text) {
+    let payload;
+    try {
+      payload = JSON.parse(text);
+    } catch (error) {
+      return null;
+    }
+    if (!payload || payload.type !== PAYLOAD_TYPE || !Array.isArray(payload.nodes)) {
+      return null;
+    }
+    if (payload.version > PAYLOAD_VERSION) {
+      console.warn("FlowDrop: clipboard payload version not supported", payload.version);
+      return null;
+    }
+    return payload;
+  }
+
+  /**
+   * Generates the ID of a new node the way the library does.
+   *
+   * The library's generateStandardNodeId() is only reachable through
+   * WorkflowAdapter.addNode(), so the node is added to a scratch copy.
+   */
+  function generateNodeId(library, node, existingNodes) {
+    const typeId = (node.data && node.data.metadata && node.data.metadata.id) || node.type || "node";
+    const scratch = { nodes: existingNodes.slice(), metadata: {} };
+    return new library.WorkflowAdapter([{ id: typeId, name: typeId }]).addNode(scratch, typeId, { x: 0, y: 0 }).id;
+  }
+
+  /**
+   * Adds a clipboard payload to a workflow.
+   *
+   * @param {object} workflow
+   *   The workflow.
+   * @param {object} payload
+   *   The payload.
+   * @param {object} library
+   *   The FlowDrop library.
+   * @param {number} offset
+   *   How far to move the pasted nodes, in pixels.
+   *
+   * @return {object}
+   *   The new workflow; the pasted nodes are the selected ones.
+   */
+  function pastePayload(workflow, payload, library, offset) {
+    const nodes = (workflow.nodes || []).map((node) => (node.selected ? Object.assign({}, node, { selected: false }) : node));
+    const idMap = {};
+
+    payload.nodes.forEach((node) => {
+      const id = generateNodeId(library, node, nodes);
+      idMap[node.id] = id;
+      const data = Object.assign({}, node.data);
+      if ("nodeId" in data) {
+        data.nodeId = id;
+      }
+      nodes.push({
+        id: id,
+        type: node.type,
+        position: {
+          x: ((node.position && node.position.x) || 0) + offset,
+          y: ((node.position && node.position.y) || 0) + offset,
+        },
+        selected: true,
+        data: data,
+      });
+    });
+
+    // Handles are named "{nodeId}-{input|output}-{portId}".
+    const remapHandle = (handle, oldId, newId) => (
+      handle && handle.indexOf(`${oldId}-`) === 0 ? newId + handle.slice(oldId.length) : handle
+    );
+    const edges = (payload.edges || []).filter((edge) => idMap[edge.source] && idMap[edge.target]).map((edge) => {
+      const source = idMap[edge.source];
+      const target = idMap[edge.target];
+      const sourceHandle = remapHandle(edge.sourceHandle, edge.source, source);
+      const targetHandle = remapHandle(edge.targetHandle, edge.target, target);
+      return Object.assign({}, edge, {
+        id: `xy-edge__${source}${sourceHandle || ""}-${target}${targetHandle || ""}`,
+        source: source,
+        target: target,
+        sourceHandle: sourceHandle,
+        targetHandle: targetHandle,
+      });
+    });
+
+    return Object.assign({}, workflow, {
+      nodes: nodes,
+      edges: (workflow.edges || []).concat(edges),
+    });
+  }
+
+  /**
+   * Clipboard bound to one mounted editor.
+   */
+  class Clipboard {
+    /**
+     * @param {object} app
+     *   The mounted app.
+     * @param {HTMLElement} container
+     *   The element the app is mounted in.
+     */
+    constructor(app, container) {
+      this.app = app;
+      this.container = container;
+      this.library = app.library || window.FlowDrop;
+      // Repeated pastes of the same payload step further away.
+      this.lastPayload = null;
+      this.pasteCount = 0;
+
+      this.onCopy = (event) => this.handleCopy(event);
+      this.onPaste = (event) => this.handlePaste(event);
+      this.onKeydown = (event) => this.handleKeydown(event);
+    }
+
+    /**
+     * Starts listening for clipboard events.
+     */
+    attach() {
+      document.addEventListener("copy", this.onCopy);
+      document.addEventListener("paste", this.onPaste);
+      document.addEventListener("keydown", this.onKeydown);
+      return this;
+    }
+
+    /**
+     * Stops listening for clipboard events.
+     */
+    detach() {
+      document.removeEventListener("copy", this.onCopy);
+      document.removeEventListener("paste", this.onPaste);
+      document.removeEventListener("keydown", this.onKeydown);
+    }
+
+    /**
+     * Whether clipboard events are meant for this editor.
+     */
+    isTarget(event) {
+      return Drupal.FlowDrop.getActiveApp() === this.app && !isEditable(event.target);
+    }
+
+    /**
+     * Gets the IDs of the selected nodes.
+     */
+    getSelectedNodeIds() {
+      return Drupal.FlowDrop.getSelectedNodeIds(this.container);
+    }
+
+    /**
+     * Copies the selected nodes.
+     *
+     * @return {object|null}
+     *   The payload, or NULL if nothing is selected.
+     */
+    copy() {
+      const workflow = this.app.getWorkflow();
+      const payload = workflow ? createPayload(workflow, this.getSelectedNodeIds()) : null;
+      if (payload) {
+        this.lastPayload = JSON.stringify(payload);
+        this.pasteCount = 0;
+        Drupal.announce(Drupal.formatPlural(payload.nodes.length, "Copied 1 node", "Copied @count nodes"));
+      }
+      return payload;
+    }
+
+    /**
+     * Pastes a payload into the workflow.
+     *
+     * @param {object} payload
+     *   The payload.
+     */
+    paste(payload) {
+      const text = JSON.stringify(payload);
+      this.pasteCount = text === this.lastPayload ? this.pasteCount + 1 : 1;
+      this.lastPayload = text;
+      this.library.workflowActions.updateWorkflow(pastePayload(this.app.getWorkflow(), payload, this.library, PASTE_OFFSET * this.pasteCount));
+      Drupal.announce(Drupal.formatPlural(payload.nodes.length, "Pasted 1 node", "Pasted @count nodes"));
+    }
+
+    /**
+     * Duplicates the selected nodes without touching the clipboard.
+     */
+    duplicate() {
+      const workflow = this.app.getWorkflow();
+      const payload = workflow ? createPayload(workflow, this.getSelectedNodeIds()) : null;
+      if (payload) {
+        this.library.workflowActions.updateWorkflow(pastePayload(workflow, payload, this.library, PASTE_OFFSET));
+        Drupal.announce(Drupal.formatPlural(payload.nodes.length, "Duplicated 1 node", "Duplicated @count nodes"));
+      }
+    }
+
+    /**
+     * Puts the selected nodes on the system clipboard.
+     */
+    handleCopy(event) {
+      if (!this.isTarget(event) || !event.clipboardData) {
+        return;
+      }
+      const payload = this.copy();
+      if (payload) {
+        event.clipboardData.setData("text/plain", JSON.stringify(payload));
+        event.preventDefault();
+      }
+    }
+
+    /**
+     * Pastes nodes from the system clipboard.
+     */
+    handlePaste(event) {
+      if (!this.isTarget(event) || !event.clipboardData) {
+        return;
+      }
+      const payload = parsePayload(event.clipboardData.getData("text/plain"));
+      if (payload) {
+        event.preventDefault();
+        this.paste(payload);
+      }
+    }
+
+    /**
+     * Duplicates on Ctrl+D.
+     */
+    handleKeydown(event) {
+      if ((event.ctrlKey || event.metaKey) && !event.shiftKey && !event.altKey && event.key.toLowerCase() === "d" && this.isTarget(event)) {
+        // Browsers bookmark the page otherwise.
+        event.preventDefault();
+        this.duplicate();
+      }
+    }
+  }
+
+  /**
+   * Adds copy, paste and duplicate to a mounted FlowDrop app.
+   *
+   * @param {object} app
+   *   The mounted app.
+   * @param {HTMLElement} container
+   *   The element the app is mounted in.
+   *
+   * @return {Clipboard}
+   *   The clipboard, also available as app.clipboard.
+   */
+  Drupal.FlowDrop.attachClipboard = function (app, container) {
+    const clipboard = new Clipboard(app, container).attach();
+    const destroy = app.destroy;
+
+    app.clipboard = clipboard;
+    app.destroy = function () {
+      clipboard.detach();
+      return destroy.apply(app, arguments);
+    };
+
+    return clipboard;
+  };
+
+  Drupal.FlowDrop.Clipboard = Clipboard;
+  Drupal.FlowDrop.clipboardPayload = {
+    create: createPayload,
+    parse: parsePayload,
+    paste: pastePayload,
+  };
+
+})(Drupal);
@@ -0,0 +1,770 @@
+/**
+ * @file
+ * Review comments on the nodes and edges of FlowDrop editors.
+ *
+ * Comment threads are attached to a node or edge of the canvas and kept by
+ * a comment storage backend, never in the workflow itself. Editors whose
+ * node IDs change between loads pass getNodeKey, and threads are then
+ * stored against node keys, and edges against the keys of their ends.
+ * Nodes and edges with threads get a badge with the number of open
+ * threads; the Comments panel lists the threads, lets people reply, and
+ * resolve or reopen them.
+ *
+ * Badges are drawn in Svelte Flow's front viewport layer, which pans and
+ * zooms with the canvas, because the library's node components cannot be
+ * extended.
+ */
+
+(function (Drupal) {
+  "use strict";
+
+  Drupal.FlowDrop = Drupal.FlowDrop || {};
+
+  /**
+   * Node size used until a node has been rendered, in pixels.
+   */
+  const DEFAULT_SIZE = { width: 260, height: 120 };
+
+  /**
+   * Which threads the panel lists.
+   */
+  const FILTERS = ["open", "resolved", "all"];
+
+  /**
+   * Comment storage backends.
+   */
+  Drupal.FlowDrop.commentStorage = {
+
+    /**
+     * Stores comments on the server.
+     *
+     * @param {object} options
+     *   - endpointConfig: Endpoint configuration with a "comments" group
+     *     holding list, create, reply and update paths. Paths have an {id}
+     *     placeholder for the workflow and, for reply and update, a
+     *     {threadId} placeholder.
+     *   - authProvider: The editor's auth provider, which adds the CSRF
+     *     token to writes and retries them with a new one once (default
+     *     the one of core's session/token route).
+     *   - library: The FlowDrop library (default window.FlowDrop).
+     */
+    rest: function (options) {
+      const endpoints = options.endpointConfig.endpoints.comments;
+      const authProvider = options.authProvider || Drupal.FlowDrop.getAuthProvider();
+      const url = (path, params) => (options.library || window.FlowDrop).buildEndpointUrl(options.endpointConfig, path, params);
+
+      async function send(method, path, params, body) {
+        const response = await authProvider.fetch(url(path, params), {
+          method: method,
+          headers: {
+            "Content-Type": "application/json",
+            "Accept": "application/json",
+          },
+          body: body ? JSON.stringify(body) : undefined,
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || result.success === false) {
+          throw new Error(result.error || `Comment request failed: ${response.statusText}`);
+        }
+        return result.data;
+      }
+
+      return {
+        name: "rest",
+        list: async (workflowId) => (await send("GET", endpoints.list, { id: workflowId })) || [],
+        create: (workflowId, target, body) => send("POST", endpoints.create, { id: workflowId }, { target: target, body: body }),
+        reply: (workflowId, threadId, body) => send("POST", endpoints.reply, { id: workflowId, threadId: threadId }, { body: body }),
+        setStatus: (workflowId, threadId, status) => send("PATCH", endpoints.update, { id: workflowId, threadId: threadId }, { status: status }),
+      };
+    },
+
+  };
+
+  /**
+   * Gets the key of a comment target.
+   */
+  function targetKey(target) {
+    return `${target.type}:${target.id}`;
+  }
+
+  /**
+   * Separates the node keys of the ends of a stored edge target.
+   */
+  const EDGE_KEY_SEPARATOR = "->";
+
+  /**
+   * Formats when a comment was written.
+   */
+  function formatDate(value) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? "" : date.toLocaleString();
+  }
+
+  /**
+   * Comment threads of one mounted editor.
+   */
+  class NodeComments {
+    /**
+     * @param {object} app
+     *   The mounted app.
+     * @param {HTMLElement} container
+     *   The element the app is mounted in.
+     * @param {object} options
+     *   - storage: The comment storage backend.
+     *   - workflowId: The workflow the comments belong to.
+     *   - getNodeKey: Gets the key a node is stored as, for nodes whose ID
+     *     is not kept between loads (default the node ID).
+     */
+    constructor(app, container, options) {
+      this.app = app;
+      this.container = container;
+      this.library = app.library || window.FlowDrop;
+      this.storage = options.storage;
+      this.workflowId = options.workflowId;
+      this.getNodeKey = options.getNodeKey || null;
+      this.threads = [];
+      this.target = null;
+      this.filter = "open";
+      this.error = "";
+      this.frame = null;
+      this.layer = null;
+      this.panel = null;
+      this.badges = new Map();
+
+      this.observer = new MutationObserver(() => this.scheduleRender());
+      this.onPointerDown = (event) => this.handlePointerDown(event);
+      this.unsubscribe = null;
+    }
+
+    /**
+     * Loads the threads and starts tracking the canvas.
+     */
+    attach() {
+      this.observer.observe(this.container, { childList: true, subtree: true });
+      this.container.addEventListener("pointerdown", this.onPointerDown, true);
+      this.unsubscribe = this.library.workflowStore.subscribe(() => this.scheduleRender());
+      this.load();
+      return this;
+    }
+
+    /**
+     * Stops tracking the canvas and removes badges and the panel.
+     */
+    detach() {
+      this.observer.disconnect();
+      cancelAnimationFrame(this.frame);
+      this.container.removeEventListener("pointerdown", this.onPointerDown, true);
+      if (this.unsubscribe) {
+        this.unsubscribe();
+        this.unsubscribe = null;
+      }
+      if (this.layer) {
+        this.layer.remove();
+        this.layer = null;
+      }
+      if (this.panel) {
+        this.panel.remove();
+        this.panel = null;
+      }
+      this.badges.clear();
+    }
+
+    /**
+     * Fetches the threads from the storage.
+     *
+     * @return {Promise}
+     *   Resolves once the threads are shown.
+     */
+    async load() {
+      try {
+        this.threads = await this.storage.list(this.workflowId);
+        this.error = "";
+      } catch (error) {
+        console.error("FlowDrop: could not load comments", error);
+        this.error = Drupal.t("Comments could not be loaded.");
+      }
+      this.scheduleRender();
+      this.renderPanel();
+    }
+
+    /**
+     * Gets the threads of a target.
+     */
+    getThreads(target) {
+      const stored = this.toStoredTarget(target);
+      const key = stored ? targetKey(stored) : null;
+      return this.threads.filter((thread) => targetKey(thread.target) === key);
+    }
+
+    /**
+     * Gets the target a thread on a canvas node or edge is stored against.
+     *
+     * @return {object|null}
+     *   The stored target, or NULL when the node or edge does not exist.
+     */
+    toStoredTarget(target) {
+      if (!this.getNodeKey) {
+        return target;
+      }
+      const workflow = this.app.getWorkflow() || {};
+      const nodes = new Map((workflow.nodes || []).map((node) => [node.id, node]));
+      if (target.type === "node") {
+        return nodes.has(target.id) ? { type: "node", id: this.getNodeKey(nodes.get(target.id)) } : null;
+      }
+      const edge = (workflow.edges || []).find((item) => item.id === target.id);
+      if (!edge || !nodes.has(edge.source) || !nodes.has(edge.target)) {
+        return null;
+      }
+      return { type: "edge", id: this.getNodeKey(nodes.get(edge.source)) + EDGE_KEY_SEPARATOR + this.getNodeKey(nodes.get(edge.target)) };
+    }
+
+    /**
+     * Gets the canvas node or edge a stored thread target points at.
+     *
+     * @return {object|null}
+     *   The target on the canvas, or NULL when it is no longer there.
+     */
+    toCanvasTarget(stored) {
+      if (!this.getNodeKey) {
+        return stored;
+      }
+      const workflow = this.app.getWorkflow() || {};
+      const nodeIds = new Map((workflow.nodes || []).map((node) => [this.getNodeKey(node), node.id]));
+      if (stored.type === "node") {
+        return nodeIds.has(stored.id) ? { type: "node", id: nodeIds.get(stored.id) } : null;
+      }
+      const separator = stored.id.lastIndexOf(EDGE_KEY_SEPARATOR);
+      const source = nodeIds.get(stored.id.slice(0, separator));
+      const target = nodeIds.get(stored.id.slice(separator + EDGE_KEY_SEPARATOR.length));
+      const edge = separator === -1 ? null : (workflow.edges || []).find((item) => item.source === source && item.target === target);
+      return edge ? { type: "edge", id: edge.id } : null;
+    }
+
+    /**
+     * Gets a readable name for a comment target.
+     *
+     * @return {string|null}
+     *   The name, or NULL when the node or edge no longer exists.
+     */
+    getTargetLabel(target) {
+      const workflow = this.app.getWorkflow() || {};
+      const nodeLabel = (id) => {
+        const node = (workflow.nodes || []).find((item) => item.id === id);
+        return node ? ((node.data && node.data.label) || node.id) : null;
+      };
+      if (target.type === "node") {
+        return nodeLabel(target.id);
+      }
+      const edge = (workflow.edges || []).find((item) => item.id === target.id);
+      return edge ? Drupal.t("@source → @target", { "@source": nodeLabel(edge.source), "@target": nodeLabel(edge.target) }) : null;
+    }
+
+    /**
+     * Brings the node of a target into view.
+     */
+    focusTarget(target) {
+      let nodeId = target.id;
+      if (target.type === "edge") {
+        const edge = ((this.app.getWorkflow() || {}).edges || []).find((item) => item.id === target.id);
+        if (!edge) {
+          return;
+        }
+        nodeId = edge.source;
+      }
+      Drupal.FlowDrop.focusNode(this.container, nodeId);
+    }
+
+    /**
+     * Opens the panel.
+     *
+     * @param {object} [target]
+     *   The node or edge to comment on, as {type, id}. Defaults to the
+     *   selected node or edge.
+     */
+    open(target) {
+      this.target = target || this.getSelectedTarget();
+      if (!this.panel) {
+        this.createPanel();
+      }
+      this.panel.hidden = false;
+      this.renderPanel();
+      this.load();
+      const field = this.panel.querySelector(".flowdrop-comments__composer textarea");
+      if (field && this.target) {
+        field.focus();
+      }
+    }
+
+    /**
+     * Closes the panel.
+     */
+    close() {
+      if (this.panel) {
+        this.panel.hidden = true;
+      }
+      this.target = null;
+      this.scheduleRender();
+    }
+
+    /**
+     * Whether the panel is open.
+     */
+    isOpen() {
+      return !!(this.panel && !this.panel.hidden);
+    }
+
+    /**
+     * Gets the selected node or edge.
+     */
+    getSelectedTarget() {
+      const nodeIds = Drupal.FlowDrop.getSelectedNodeIds(this.container);
+      if (nodeIds.length) {
+        return { type: "node", id: nodeIds[0] };
+      }
+      const edge = this.container.querySelector(".svelte-flow__edge.selected[data-id]");
+      return edge ? { type: "edge", id: edge.dataset.id } : null;
+    }
+
+    /**
+     * Makes the clicked node or edge the one to comment on.
+     *
+     * Works without selection, which review mode turns off.
+     */
+    handlePointerDown(event) {
+      if (!this.isOpen() || event.target.closest(".flowdrop-comments-badge")) {
+        return;
+      }
+      const element = event.target.closest(".svelte-flow__node[data-id], .svelte-flow__edge[data-id]");
+      if (!element) {
+        return;
+      }
+      const target = { type: element.classList.contains("svelte-flow__node") ? "node" : "edge", id: element.dataset.id };
+      if (!this.target || targetKey(this.target) !== targetKey(target)) {
+        this.target = target;
+        this.renderPanel();
+        this.scheduleRender();
+      }
+    }
+
+    /**
+     * Starts a thread on the current target.
+     */
+    async create(body) {
+      const target = this.toStoredTarget(this.target);
+      if (!target) {
+        throw new Error(Drupal.t("The node or connection is no longer in the workflow."));
+      }
+      const thread = await this.storage.create(this.workflowId, target, body);
+      this.threads.push(thread);
+      Drupal.announce(Drupal.t("Comment added"));
+    }
+
+    /**
+     * Replies to a thread.
+     */
+    async reply(threadId, body) {
+      this.replaceThread(await this.storage.reply(this.workflowId, threadId, body));
+      Drupal.announce(Drupal.t("Reply added"));
+    }
+
+    /**
+     * Resolves or reopens a thread.
+     */
+    async setStatus(threadId, status) {
+      this.replaceThread(await this.storage.setStatus(this.workflowId, threadId, status));
+      Drupal.announce(status === "resolved" ? Drupal.t("Thread resolved") : Drupal.t("Thread reopened"));
+    }
+
+    /**
+     * Replaces a thread with its updated copy.
+     */
+    replaceThread(thread) {
+      const index = this.threads.findIndex((item) => item.id === thread.id);
+      if (index === -1) {
+        this.threads.push(thread);
+      } else {
+        this.threads[index] = thread;
+      }
+    }
+
+    /**
+     * Runs a storage request started from the panel and shows the result.
+     */
+    async run(request) {
+      try {
+        await request();
+        this.error = "";
+      } catch (error) {
+        console.error("FlowDrop: comment request failed", error);
+        this.error = error.message || Drupal.t("The comment could not be saved.");
+      }
+      this.renderPanel();
+      this.scheduleRender();
+    }
+
+    /**
+     * Renders the badges on the next animation frame.
+     */
+    scheduleRender() {
+      cancelAnimationFrame(this.frame);
+      this.frame = requestAnimationFrame(() => this.render());
+    }
+
+    /**
+     * Gets where the badge of a target goes, in canvas coordinates.
+     *
+     * @return {object|null}
+     *   {x, y}, or NULL when the target is not on the canvas.
+     */
+    getAnchor(target, workflow) {
+      if (target.type === "node") {
+        const node = (workflow.nodes || []).find((item) => item.id === target.id);
+        if (!node || node.hidden) {
+          return null;
+        }
+        const element = this.container.querySelector(`.svelte-flow__node[data-id="${CSS.escape(node.id)}"]`);
+        const width = element && element.offsetWidth ? element.offsetWidth : DEFAULT_SIZE.width;
+        const position = node.position || { x: 0, y: 0 };
+        return { x: position.x + width, y: position.y };
+      }
+      const path = this.container.querySelector(`.svelte-flow__edge[data-id="${CSS.escape(target.id)}"] .svelte-flow__edge-path`);
+      if (!path || typeof path.getTotalLength !== "function") {
+        return null;
+      }
+      // Edge paths are drawn in canvas coordinates.
+      const point = path.getPointAtLength(path.getTotalLength() / 2);
+      return { x: point.x, y: point.y };
+    }
+
+    /**
+     * Draws the badges of commented nodes and edges.
+     */
+    render() {
+      const front = this.container.querySelector(".svelte-flow__viewport-front");
+      const workflow = this.app.getWorkflow();
+      if (!front || !workflow) {
+        return;
+      }
+
+      // Pause the observer so our own DOM changes do not trigger it.
+      this.observer.disconnect();
+
+      if (!this.layer || this.layer.parentNode !== front) {
+        this.layer = document.createElement("div");
+        this.layer.className = "flowdrop-comments-badges";
+        front.appendChild(this.layer);
+        this.badges.clear();
+      }
+
+      const targets = new Map();
+      this.threads.forEach((thread) => {
+        const target = this.toCanvasTarget(thread.target);
+        if (!target) {
+          return;
+        }
+        const key = targetKey(target);
+        const entry = targets.get(key) || { target: target, open: 0, total: 0 };
+        entry.total++;
+        if (thread.status !== "resolved") {
+          entry.open++;
+        }
+        targets.set(key, entry);
+      });
+
+      this.badges.forEach((badge, key) => {
+        if (!targets.has(key)) {
+          badge.remove();
+          this.badges.delete(key);
+        }
+      });
+      targets.forEach((entry, key) => {
+        const anchor = this.getAnchor(entry.target, workflow);
+        let badge = this.badges.get(key);
+        if (!anchor) {
+          if (badge) {
+            badge.hidden = true;
+          }
+          return;
+        }
+        if (!badge) {
+          badge = document.createElement("button");
+          badge.type = "button";
+          // Svelte Flow neither pans nor drags from these classes.
+          badge.className = "flowdrop-comments-badge nopan nodrag";
+          badge.addEventListener("click", (event) => {
+            event.stopPropagation();
+            this.open(entry.target);
+          });
+          this.layer.appendChild(badge);
+          this.badges.set(key, badge);
+        }
+        badge.hidden = false;
+        badge.style.left = `${anchor.x}px`;
+        badge.style.top = `${anchor.y}px`;
+        badge.textContent = entry.open || "✓";
+        badge.classList.toggle("flowdrop-comments-badge--resolved", !entry.open);
+        badge.classList.toggle("flowdrop-comments-badge--current", !!(this.target && this.isOpen() && targetKey(this.target) === key));
+        badge.title = entry.open
+          ? Drupal.formatPlural(entry.open, "1 open comment thread", "@count open comment threads")
+          : Drupal.t("All comment threads resolved");
+        badge.setAttribute("aria-label", badge.title);
+      });
+
+      this.observer.observe(this.container, { childList: true, subtree: true });
+    }
+
+    /**
+     * Creates the (hidden) panel.
+     */
+    createPanel() {
+      this.panel = document.createElement("aside");
+      this.panel.className = "flowdrop-comments";
+      this.panel.setAttribute("aria-label", Drupal.t("Comments"));
+      this.panel.hidden = true;
+      this.panel.innerHTML = `<header class="flowdrop-comments__header">
+          <h2 class="flowdrop-comments__title"></h2>
+          <select class="flowdrop-comments__filter"></select>
+          <button type="button" class="flowdrop-comments__close">×</button>
+        </header>
+        <p class="flowdrop-comments__error" role="alert" hidden></p>
+        <div class="flowdrop-comments__composer"></div>
+        <ol class="flowdrop-comments__threads"></ol>`;
+
+      this.panel.querySelector(".flowdrop-comments__title").textContent = Drupal.t("Comments");
+      const close = this.panel.querySelector(".flowdrop-comments__close");
+      close.setAttribute("aria-label", Drupal.t("Close comments"));
+      close.addEventListener("click", () => this.close());
+
+      const filter = this.panel.querySelector(".flowdrop-comments__filter");
+      filter.setAttribute("aria-label", Drupal.t("Show"));
+      const labels = { open: Drupal.t("Open"), resolved: Drupal.t("Resolved"), all: Drupal.t("All") };
+      FILTERS.forEach((value) => {
+        filter.add(new Option(labels[value], value));
+      });
+      filter.value = this.filter;
+      filter.addEventListener("change", () => {
+        this.filter = filter.value;
+        this.renderPanel();
+      });
+
+      this.container.appendChild(this.panel);
+    }
+
+    /**
+     * Creates a form with a text area and a submit button.
+     */
+    createForm(label, buttonLabel, onSubmit) {
+      const form = document.createElement("form");
+      form.className = "flowdrop-comments__form";
+      const field = document.createElement("textarea");
+      field.rows = 3;
+      field.required = true;
+      field.setAttribute("aria-label", label);
+      field.placeholder = label;
+      const button = document.createElement("button");
+      button.type = "submit";
+      button.className = "flowdrop-comments__submit";
+      button.textContent = buttonLabel;
+      form.append(field, button);
+
+      form.addEventListener("submit", (event) => {
+        event.preventDefault();
+        const body = field.value.trim();
+        if (!body) {
+          return;
+        }
+        button.disabled = true;
+        this.run(() => onSubmit(body));
+      });
+      // Ctrl+Enter sends, like in the configuration sidebar.
+      field.addEventListener("keydown", (event) => {
+        if ((event.ctrlKey || event.metaKey) && event.key === "Enter") {
+          event.preventDefault();
+          event.stopPropagation();
+          form.requestSubmit();
+        }
+      });
+      return form;
+    }
+
+    /**
+     * Renders the composer and the thread list.
+     */
+    renderPanel() {
+      if (!this.panel) {
+        return;
+      }
+      const error = this.panel.querySelector(".flowdrop-comments__error");
+      error.textContent = this.error;
+      error.hidden = !this.error;
+
+      const composer = this.panel.querySelector(".flowdrop-comments__composer");
+      composer.textContent = "";
+      const targetLabel = this.target ? this.getTargetLabel(this.target) : null;
+      if (this.target && targetLabel !== null) {
+        const heading = document.createElement("p");
+        heading.className = "flowdrop-comments__target";
+        heading.textContent = Drupal.t("Comment on @target", { "@target": targetLabel });
+        const all = document.createElement("button");
+        all.type = "button";
+        all.className = "flowdrop-comments__show-all";
+        all.textContent = Drupal.t("Show all");
+        all.addEventListener("click", () => {
+          this.target = null;
+          this.renderPanel();
+          this.scheduleRender();
+        });
+        heading.appendChild(all);
+        composer.append(heading, this.createForm(Drupal.t("Write a comment"), Drupal.t("Comment"), (body) => this.create(body)));
+      } else {
+        const hint = document.createElement("p");
+        hint.className = "flowdrop-comments__hint";
+        hint.textContent = Drupal.t("Click a node or connection to comment on it.");
+        composer.appendChild(hint);
+      }
+
+      const list = this.panel.querySelector(".flowdrop-comments__threads");
+      list.textContent = "";
+      const threads = (this.target ? this.getThreads(this.target) : this.threads).filter((thread) => (
+        this.filter === "all" || (this.filter === "resolved") === (thread.status === "resolved")
+      ));
+      if (!threads.length) {
+        const empty = document.createElement("li");
+        empty.className = "flowdrop-comments__empty";
+        empty.textContent = this.filter === "resolved" ? Drupal.t("No resolved comments.") : Drupal.t("No comments yet.");
+        list.appendChild(empty);
+      }
+      threads.forEach((thread) => list.appendChild(this.renderThread(thread)));
+    }
+
+    /**
+     * Renders one thread.
+     */
+    renderThread(thread) {
+      const resolved = thread.status === "resolved";
+      const item = document.createElement("li");
+      item.className = "flowdrop-comments__thread";
+      item.classList.toggle("flowdrop-comments__thread--resolved", resolved);
+
+      const canvasTarget = this.toCanvasTarget(thread.target);
+      const label = canvasTarget ? this.getTargetLabel(canvasTarget) : null;
+      const target = document.createElement("button");
+      target.type = "button";
+      target.className = "flowdrop-comments__thread-target";
+      target.textContent = label === null ? Drupal.t("Removed from the workflow") : label;
+      target.disabled = label === null;
+      target.addEventListener("click", () => {
+        this.target = canvasTarget;
+        this.focusTarget(canvasTarget);
+        this.renderPanel();
+        this.scheduleRender();
+      });
+      item.appendChild(target);
+
+      thread.comments.forEach((comment) => {
+        const entry = document.createElement("div");
+        entry.className = "flowdrop-comments__comment";
+        const meta = document.createElement("p");
+        meta.className = "flowdrop-comments__meta";
+        meta.textContent = Drupal.t("@author, @date", { "@author": comment.author.name, "@date": formatDate(comment.created) });
+        const body = document.createElement("p");
+        body.className = "flowdrop-comments__body";
+        body.textContent = comment.body;
+        entry.append(meta, body);
+        item.appendChild(entry);
+      });
+
+      if (resolved && thread.resolved) {
+        const note = document.createElement("p");
+        note.className = "flowdrop-comments__meta";
+        note.textContent = Drupal.t("Resolved by @author, @date", { "@author": thread.resolved.author.name, "@date": formatDate(thread.resolved.created) });
+        item.appendChild(note);
+      }
+
+      const actions = document.createElement("div");
+      actions.className = "flowdrop-comments__actions";
+      if (!resolved) {
+        const reply = document.createElement("button");
+        reply.type = "button";
+        reply.textContent = Drupal.t("Reply");
+        reply.addEventListener("click", () => {
+          const form = this.createForm(Drupal.t("Write a reply"), Drupal.t("Reply"), (body) => this.reply(thread.id, body));
+          actions.replaceWith(form);
+          form.querySelector("textarea").focus();
+        });
+        actions.appendChild(reply);
+      }
+      const status = document.createElement("button");
+      status.type = "button";
+      status.textContent = resolved ? Drupal.t("Reopen") : Drupal.t("Resolve");
+      status.addEventListener("click", () => {
+        status.disabled = true;
+        this.run(() => this.setStatus(thread.id, resolved ? "open" : "resolved"));
+      });
+      actions.appendChild(status);
+      item.appendChild(actions);
+
+      return item;
+    }
+  }
+
+  /**
+   * Adds review comments to a mounted FlowDrop app.
+   *
+   * @param {object} app
+   *   The mounted app.
+   * @param {HTMLElement} container
+   *   The element the app is mounted in.
+   * @param {object} options
+   *   Options for NodeComments.
+   *
+   * @return {NodeComments}
+   *   The comments, also available as app.comments.
+   */
+  Drupal.FlowDrop.attachComments = function (app, container, options) {
+    const comments = new NodeComments(app, container, options).attach();
+    const destroy = app.destroy;
+
+    app.comments = comments;
+    app.destroy = function () {
+      comments.detach();
+      return destroy.apply(app, arguments);
+    };
+
+    return comments;
+  };
+
+  /**
+   * Builds the navbar action that opens the Comments panel.
+   *
+   * Comments on the selected node or edge, if there is one.
+   *
+   * @param {HTMLElement} container
+   *   The element the app is mounted in.
+   *
+   * @return {object}
+   *   The navbar action.
+   */
+  Drupal.FlowDrop.commentsAction = function (container) {
+    return {
+      label: Drupal.t("Comments"),
+      href: "#",
+      variant: "secondary",
+      icon: "mdi:comment-text-multiple-outline",
+      onclick: function () {
+        const app = container.flowdropApp;
+        if (!app || !app.comments) {
+          return;
+        }
+        if (app.comments.isOpen()) {
+          app.comments.close();
+        } else {
+          app.comments.open();
+        }
+      },
+    };
+  };
+
+  Drupal.FlowDrop.NodeComments = NodeComments;
+
+})(Drupal);
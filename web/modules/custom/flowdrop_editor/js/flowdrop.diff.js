@@ -0,0 +1,543 @@
+/**
+ * @file
+ * Visual diff between two versions of a FlowDrop workflow.
+ *
+ * Both versions are merged into one read-only canvas: added nodes and edges
+ * are outlined green, removed ones come back as red ghosts, moved nodes get
+ * a trail from where they were, and changed nodes list their changed
+ * settings with the before and after values in the configuration sidebar.
+ *
+ * The canvas is a second editor mounted with Drupal.FlowDrop.bootstrap() in
+ * review mode, so it runs on its own copy of the library.
+ */
+
+(function (Drupal) {
+  "use strict";
+
+  Drupal.FlowDrop = Drupal.FlowDrop || {};
+
+  /**
+   * Prefix of the IDs removed nodes and edges get on the merged canvas.
+   */
+  const REMOVED_PREFIX = "removed--";
+
+  /**
+   * Smallest distance a node must move to count as moved, in pixels.
+   */
+  const MOVE_THRESHOLD = 1;
+
+  /**
+   * Node size used until a node has been rendered, in pixels.
+   */
+  const DEFAULT_SIZE = { width: 260, height: 120 };
+
+  /**
+   * Node and edge statuses, each with a CSS class of its own.
+   */
+  const STATUSES = ["added", "removed", "changed", "moved"];
+
+  /**
+   * Serializes a value with sorted object keys, for comparisons.
+   */
+  function stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(stableStringify).join(",")}]`;
+    }
+    if (value && typeof value === "object") {
+      return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(",")}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  /**
+   * Formats a setting for the list of changes.
+   */
+  function formatValue(value) {
+    if (value === undefined || value === null || value === "") {
+      return Drupal.t("(empty)");
+    }
+    return typeof value === "string" ? value : JSON.stringify(value, null, 2);
+  }
+
+  /**
+   * Gets the port part of an edge handle.
+   *
+   * Handles are named "{nodeId}-{input|output}-{portId}".
+   */
+  function handlePort(handle, nodeId) {
+    const prefix = `${nodeId}-`;
+    return handle && handle.indexOf(prefix) === 0 ? handle.slice(prefix.length) : (handle || "");
+  }
+
+  /**
+   * Lists the label and data.config fields that differ between two nodes.
+   *
+   * @return {Array}
+   *   List of {field, label, before, after} objects.
+   */
+  function compareNodes(before, after) {
+    const from = before.data || {};
+    const to = after.data || {};
+    const changes = [];
+    if ((from.label || "") !== (to.label || "")) {
+      changes.push({ field: "label", label: Drupal.t("Label"), before: from.label, after: to.label });
+    }
+
+    const fromConfig = from.config || {};
+    const toConfig = to.config || {};
+    const schema = (to.metadata && to.metadata.configSchema && to.metadata.configSchema.properties) || {};
+    new Set(Object.keys(fromConfig).concat(Object.keys(toConfig))).forEach((field) => {
+      if (stableStringify(fromConfig[field]) !== stableStringify(toConfig[field])) {
+        changes.push({
+          field: field,
+          label: (schema[field] && schema[field].title) || field,
+          before: fromConfig[field],
+          after: toConfig[field],
+        });
+      }
+    });
+    return changes;
+  }
+
+  /**
+   * Compares two versions of a workflow.
+   *
+   * @param {object} before
+   *   The older workflow, shaped like app.getWorkflow() returns it.
+   * @param {object} after
+   *   The newer workflow.
+   * @param {object} [options]
+   *   - getNodeKey: Returns what identifies a node across both versions
+   *     (default its ID). Useful when IDs are renumbered on load.
+   *
+   * @return {object}
+   *   - workflow: Both versions merged into one workflow. Removed nodes and
+   *     edges have their ID prefixed with "removed--".
+   *   - nodes: Per node of the merged workflow: {id, status, moved,
+   *     changes}. Status is 'added', 'removed', 'changed', 'moved' or
+   *     'unchanged'; moved is {from, to} or NULL.
+   *   - edges: Per edge of the merged workflow: {id, status}.
+   *   - summary: Counts of added, removed, changed and moved nodes and of
+   *     added and removed edges.
+   */
+  Drupal.FlowDrop.diffWorkflows = function (before, after, options = {}) {
+    const getKey = options.getNodeKey || ((node) => node.id);
+    const beforeNodes = (before && before.nodes) || [];
+    const afterNodes = (after && after.nodes) || [];
+    const beforeByKey = new Map(beforeNodes.map((node) => [getKey(node), node]));
+    const afterKeys = new Set(afterNodes.map(getKey));
+
+    // IDs of the older nodes on the merged canvas.
+    const mergedIds = {};
+    const nodes = [];
+    const nodeEntries = [];
+    afterNodes.forEach((node) => {
+      const previous = beforeByKey.get(getKey(node));
+      const entry = { id: node.id, status: "added", moved: null, changes: [] };
+      if (previous) {
+        mergedIds[previous.id] = node.id;
+        const from = previous.position || { x: 0, y: 0 };
+        const to = node.position || { x: 0, y: 0 };
+        if (Math.abs(from.x - to.x) > MOVE_THRESHOLD || Math.abs(from.y - to.y) > MOVE_THRESHOLD) {
+          entry.moved = { from: from, to: to };
+        }
+        entry.changes = compareNodes(previous, node);
+        entry.status = entry.changes.length ? "changed" : (entry.moved ? "moved" : "unchanged");
+      }
+      nodes.push(node);
+      nodeEntries.push(entry);
+    });
+    beforeNodes.forEach((node) => {
+      if (afterKeys.has(getKey(node))) {
+        return;
+      }
+      const id = REMOVED_PREFIX + node.id;
+      mergedIds[node.id] = id;
+      nodes.push(Object.assign({}, node, { id: id, selected: false }));
+      nodeEntries.push({ id: id, status: "removed", moved: null, changes: [] });
+    });
+
+    // Edges are matched by the nodes and ports they connect.
+    const edgeKey = (edge, byId) => {
+      const source = byId[edge.source];
+      const target = byId[edge.target];
+      return [
+        source ? getKey(source) : edge.source,
+        handlePort(edge.sourceHandle, edge.source),
+        target ? getKey(target) : edge.target,
+        handlePort(edge.targetHandle, edge.target),
+      ].join("|");
+    };
+    const beforeById = {};
+    beforeNodes.forEach((node) => {
+      beforeById[node.id] = node;
+    });
+    const afterById = {};
+    afterNodes.forEach((node) => {
+      afterById[node.id] = node;
+    });
+    const beforeEdgeKeys = new Set(((before && before.edges) || []).map((edge) => edgeKey(edge, beforeById)));
+    const afterEdgeKeys = new Set(((after && after.edges) || []).map((edge) => edgeKey(edge, afterById)));
+
+    const edges = [];
+    const edgeEntries = [];
+    ((after && after.edges) || []).forEach((edge) => {
+      edges.push(edge);
+      edgeEntries.push({ id: edge.id, status: beforeEdgeKeys.has(edgeKey(edge, afterById)) ? "unchanged" : "added" });
+    });
+    ((before && before.edges) || []).forEach((edge) => {
+      if (afterEdgeKeys.has(edgeKey(edge, beforeById))) {
+        return;
+      }
+      const source = mergedIds[edge.source] || edge.source;
+      const target = mergedIds[edge.target] || edge.target;
+      const id = REMOVED_PREFIX + edge.id;
+      edges.push(Object.assign({}, edge, {
+        id: id,
+        source: source,
+        target: target,
+        sourceHandle: edge.sourceHandle && `${source}-${handlePort(edge.sourceHandle, edge.source)}`,
+        targetHandle: edge.targetHandle && `${target}-${handlePort(edge.targetHandle, edge.target)}`,
+        selected: false,
+      }));
+      edgeEntries.push({ id: id, status: "removed" });
+    });
+
+    const count = (entries, test) => entries.filter(test).length;
+    return {
+      workflow: Object.assign({}, after, { nodes: nodes, edges: edges }),
+      nodes: nodeEntries,
+      edges: edgeEntries,
+      summary: {
+        added: count(nodeEntries, (entry) => entry.status === "added"),
+        removed: count(nodeEntries, (entry) => entry.status === "removed"),
+        changed: count(nodeEntries, (entry) => entry.changes.length > 0),
+        moved: count(nodeEntries, (entry) => !!entry.moved),
+        edgesAdded: count(edgeEntries, (entry) => entry.status === "added"),
+        edgesRemoved: count(edgeEntries, (entry) => entry.status === "removed"),
+      },
+    };
+  };
+
+  /**
+   * Describes the differences in one sentence.
+   *
+   * @param {object} summary
+   *   The summary of diffWorkflows().
+   *
+   * @return {string}
+   *   The description, or an empty string when nothing differs.
+   */
+  Drupal.FlowDrop.describeDiff = function (summary) {
+    const parts = [];
+    if (summary.added) {
+      parts.push(Drupal.formatPlural(summary.added, "1 node added", "@count nodes added"));
+    }
+    if (summary.removed) {
+      parts.push(Drupal.formatPlural(summary.removed, "1 node removed", "@count nodes removed"));
+    }
+    if (summary.changed) {
+      parts.push(Drupal.formatPlural(summary.changed, "1 node changed", "@count nodes changed"));
+    }
+    if (summary.moved) {
+      parts.push(Drupal.formatPlural(summary.moved, "1 node moved", "@count nodes moved"));
+    }
+    if (summary.edgesAdded) {
+      parts.push(Drupal.formatPlural(summary.edgesAdded, "1 connection added", "@count connections added"));
+    }
+    if (summary.edgesRemoved) {
+      parts.push(Drupal.formatPlural(summary.edgesRemoved, "1 connection removed", "@count connections removed"));
+    }
+    return parts.join(", ");
+  };
+
+  /**
+   * Marks the differences on a mounted canvas.
+   */
+  class WorkflowDiffView {
+    /**
+     * @param {object} app
+     *   The app showing the merged workflow.
+     * @param {HTMLElement} container
+     *   The element the app is mounted in.
+     * @param {object} diff
+     *   The result of diffWorkflows().
+     */
+    constructor(app, container, diff) {
+      this.app = app;
+      this.container = container;
+      this.diff = diff;
+      this.nodes = new Map(diff.nodes.map((entry) => [entry.id, entry]));
+      this.edges = new Map(diff.edges.map((entry) => [entry.id, entry]));
+      this.frame = null;
+      this.layer = null;
+
+      this.observer = new MutationObserver(() => this.scheduleRender());
+    }
+
+    /**
+     * Starts marking the canvas.
+     */
+    attach() {
+      this.observe();
+      this.scheduleRender();
+      return this;
+    }
+
+    /**
+     * Stops marking the canvas.
+     */
+    detach() {
+      this.observer.disconnect();
+      cancelAnimationFrame(this.frame);
+      if (this.layer) {
+        this.layer.remove();
+        this.layer = null;
+      }
+    }
+
+    /**
+     * Watches the canvas, including class changes Svelte makes.
+     */
+    observe() {
+      this.observer.observe(this.container, { childList: true, subtree: true, attributes: true, attributeFilter: ["class"] });
+    }
+
+    /**
+     * Marks the canvas on the next animation frame.
+     */
+    scheduleRender() {
+      cancelAnimationFrame(this.frame);
+      this.frame = requestAnimationFrame(() => this.render());
+    }
+
+    /**
+     * Marks nodes and edges, draws trails and lists changes.
+     */
+    render() {
+      // Pause the observer so our own DOM changes do not trigger it.
+      this.observer.disconnect();
+
+      this.container.querySelectorAll(".svelte-flow__node[data-id]").forEach((element) => {
+        this.mark(element, "flowdrop-diff-node", this.nodes.get(element.dataset.id));
+      });
+      this.container.querySelectorAll(".svelte-flow__edge[data-id]").forEach((element) => {
+        this.mark(element, "flowdrop-diff-edge", this.edges.get(element.dataset.id));
+      });
+      this.renderTrails();
+      this.renderChanges();
+
+      this.observe();
+    }
+
+    /**
+     * Gives an element the classes of its status.
+     */
+    mark(element, prefix, entry) {
+      STATUSES.forEach((status) => {
+        const active = !!entry && (entry.status === status || (status === "moved" && !!entry.moved));
+        if (element.classList.contains(`${prefix}--${status}`) !== active) {
+          element.classList.toggle(`${prefix}--${status}`, active);
+        }
+      });
+    }
+
+    /**
+     * Draws where moved nodes were and a line to where they are.
+     */
+    renderTrails() {
+      const back = this.container.querySelector(".svelte-flow__viewport-back");
+      if (!back) {
+        return;
+      }
+      if (!this.layer || this.layer.parentNode !== back) {
+        this.layer = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+        this.layer.setAttribute("class", "flowdrop-diff__trails");
+        this.layer.setAttribute("aria-hidden", "true");
+        back.appendChild(this.layer);
+      }
+
+      let markup = "";
+      this.diff.nodes.filter((entry) => entry.moved).forEach((entry) => {
+        const element = this.container.querySelector(`.svelte-flow__node[data-id="${CSS.escape(entry.id)}"]`);
+        const size = element && element.offsetWidth ? { width: element.offsetWidth, height: element.offsetHeight } : DEFAULT_SIZE;
+        const from = entry.moved.from;
+        const to = entry.moved.to;
+        markup += `<rect class="flowdrop-diff__ghost" x="${from.x}" y="${from.y}" width="${size.width}" height="${size.height}" rx="8"></rect>`;
+        markup += `<line class="flowdrop-diff__trail" x1="${from.x + size.width / 2}" y1="${from.y + size.height / 2}" x2="${to.x + size.width / 2}" y2="${to.y + size.height / 2}"></line>`;
+      });
+      if (this.layer.innerHTML !== markup) {
+        this.layer.innerHTML = markup;
+      }
+    }
+
+    /**
+     * Lists the changes of the node open in the configuration sidebar.
+     */
+    renderChanges() {
+      const content = this.container.querySelector(".flowdrop-config-sidebar__content");
+      const existing = this.container.querySelector(".flowdrop-diff-changes");
+      const idElement = content && content.querySelector(".flowdrop-config-sidebar__detail-value-with-copy .flowdrop-config-sidebar__detail-value");
+      const entry = idElement ? this.nodes.get(idElement.textContent.trim()) : null;
+      if (!entry || entry.status === "unchanged") {
+        if (existing) {
+          existing.remove();
+        }
+        return;
+      }
+      if (existing && existing.dataset.nodeId === entry.id && existing.parentNode === content) {
+        return;
+      }
+      if (existing) {
+        existing.remove();
+      }
+
+      const section = document.createElement("div");
+      section.className = "flowdrop-config-sidebar__section flowdrop-diff-changes";
+      section.dataset.nodeId = entry.id;
+      const title = document.createElement("h3");
+      title.className = "flowdrop-config-sidebar__section-title";
+      title.textContent = Drupal.t("Changes");
+      section.appendChild(title);
+
+      const summary = document.createElement("p");
+      summary.className = "flowdrop-diff-changes__summary";
+      if (entry.status === "added") {
+        summary.textContent = Drupal.t("This node was added.");
+      } else if (entry.status === "removed") {
+        summary.textContent = Drupal.t("This node was removed.");
+      } else if (!entry.changes.length) {
+        summary.textContent = Drupal.t("This node was only moved.");
+      }
+      if (summary.textContent) {
+        section.appendChild(summary);
+      }
+
+      if (entry.changes.length) {
+        const list = document.createElement("dl");
+        list.className = "flowdrop-diff-changes__list";
+        entry.changes.forEach((change) => {
+          const term = document.createElement("dt");
+          term.textContent = change.label;
+          const before = document.createElement("dd");
+          before.className = "flowdrop-diff-changes__before";
+          before.textContent = formatValue(change.before);
+          before.setAttribute("aria-label", Drupal.t("Before: @value", { "@value": before.textContent }));
+          const after = document.createElement("dd");
+          after.className = "flowdrop-diff-changes__after";
+          after.textContent = formatValue(change.after);
+          after.setAttribute("aria-label", Drupal.t("After: @value", { "@value": after.textContent }));
+          list.append(term, before, after);
+        });
+        section.appendChild(list);
+      }
+
+      content.insertBefore(section, content.firstChild);
+    }
+  }
+
+  /**
+   * Marks the differences of a diff on a mounted app.
+   *
+   * @param {object} app
+   *   The app showing the merged workflow of the diff.
+   * @param {HTMLElement} container
+   *   The element the app is mounted in.
+   * @param {object} diff
+   *   The result of diffWorkflows().
+   *
+   * @return {WorkflowDiffView}
+   *   The diff view, also available as app.diff.
+   */
+  Drupal.FlowDrop.attachWorkflowDiff = function (app, container, diff) {
+    const view = new WorkflowDiffView(app, container, diff).attach();
+    const destroy = app.destroy;
+
+    app.diff = view;
+    app.destroy = function () {
+      view.detach();
+      return destroy.apply(app, arguments);
+    };
+
+    return view;
+  };
+
+  /**
+   * Shows the differences between two workflows in a dialog.
+   *
+   * @param {object} before
+   *   The older workflow.
+   * @param {object} after
+   *   The newer workflow.
+   * @param {object} [options]
+   *   - title: The dialog title.
+   *   - beforeLabel / afterLabel: Names of the two versions.
+   *   - getNodeKey: See diffWorkflows().
+   *   - endpointConfig: Endpoint configuration for the canvas.
+   *   - nodes: Node types, when they are not fetched from the API.
+   *
+   * @return {Promise<object|null>}
+   *   The app showing the diff, or NULL when both versions are the same or
+   *   the canvas could not be mounted.
+   */
+  Drupal.FlowDrop.showWorkflowDiff = async function (before, after, options = {}) {
+    const diff = Drupal.FlowDrop.diffWorkflows(before, after, { getNodeKey: options.getNodeKey });
+    const description = Drupal.FlowDrop.describeDiff(diff.summary);
+    if (!description) {
+      Drupal.announce(Drupal.t("No differences found."));
+      return null;
+    }
+    const beforeLabel = options.beforeLabel || Drupal.t("Before");
+    const afterLabel = options.afterLabel || Drupal.t("After");
+
+    const element = document.createElement("div");
+    element.className = "flowdrop-diff";
+    element.innerHTML = "<ul class=\"flowdrop-diff__legend\"></ul><div class=\"flowdrop-diff__canvas\"></div>";
+    const legend = element.querySelector(".flowdrop-diff__legend");
+    [
+      ["added", Drupal.t("Added in @version", { "@version": afterLabel })],
+      ["removed", Drupal.t("Only in @version", { "@version": beforeLabel })],
+      ["changed", Drupal.t("Changed settings")],
+      ["moved", Drupal.t("Moved")],
+    ].forEach(([status, label]) => {
+      const item = document.createElement("li");
+      item.className = `flowdrop-diff__legend-item flowdrop-diff__legend-item--${status}`;
+      item.textContent = label;
+      legend.appendChild(item);
+    });
+    const canvas = element.querySelector(".flowdrop-diff__canvas");
+
+    const dialog = Drupal.dialog(element, {
+      title: options.title || Drupal.t("Compare versions"),
+      width: "90%",
+      close: function () {
+        Drupal.FlowDrop.teardown(canvas);
+        element.remove();
+      },
+    });
+    dialog.showModal();
+
+    const app = await Drupal.FlowDrop.bootstrap(canvas, {
+      workflow: diff.workflow,
+      nodes: options.nodes,
+      endpointConfig: options.endpointConfig,
+      navbarTitle: Drupal.t("@before → @after", { "@before": beforeLabel, "@after": afterLabel }),
+      readOnly: {
+        title: Drupal.t("@before → @after", { "@before": beforeLabel, "@after": afterLabel }),
+        message: description,
+      },
+      feedback: false,
+      groups: false,
+      commandPalette: false,
+      export: false,
+      draft: false,
+    });
+    if (app) {
+      Drupal.FlowDrop.attachWorkflowDiff(app, canvas, diff);
+    }
+    return app;
+  };
+
+  Drupal.FlowDrop.WorkflowDiffView = WorkflowDiffView;
+
+})(Drupal);
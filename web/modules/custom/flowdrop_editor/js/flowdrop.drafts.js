@@ -0,0 +1,482 @@
+/**
+ * @file
+ * Draft autosave and recovery for FlowDrop editors.
+ *
+ * Unsaved work is saved as a draft while an editor is open and offered back
+ * the next time the same user opens the same workflow, as long as nobody
+ * saved the workflow since the draft was written.
+ *
+ * Drafts go through a storage backend, an object with these methods:
+ *
+ * - getKey(scope, workflowId): The key of a workflow's draft.
+ * - load(key): Resolves with {workflow, metadata} or NULL.
+ * - save(key, workflow): Resolves with TRUE once stored.
+ * - delete(key): Resolves once removed.
+ *
+ * Drupal.FlowDrop.draftStorage.local() keeps drafts in localStorage, in the
+ * format of the library's DraftAutoSaveManager, and is the default.
+ * Drupal.FlowDrop.draftStorage.rest() stores them on the server through the
+ * "drafts" endpoint group.
+ */
+
+(function (Drupal, drupalSettings) {
+  "use strict";
+
+  Drupal.FlowDrop = Drupal.FlowDrop || {};
+
+  /**
+   * Gets the draft storage key for a workflow and the current user.
+   *
+   * @param {string} scope
+   *   What kind of workflow it is, e.g. 'ai_agent'.
+   * @param {string} workflowId
+   *   The workflow ID.
+   * @param {object} [library]
+   *   The FlowDrop library (default window.FlowDrop).
+   *
+   * @return {string}
+   *   The localStorage key.
+   */
+  Drupal.FlowDrop.getDraftKey = function (scope, workflowId, library) {
+    const uid = (drupalSettings.user && drupalSettings.user.uid) || 0;
+    return (library || window.FlowDrop).getDraftStorageKey(`user/${uid}/${scope}/${workflowId || "new"}`);
+  };
+
+  /**
+   * How often dirty workflows are saved as drafts, in milliseconds.
+   */
+  const DEFAULT_INTERVAL = 30000;
+
+  /**
+   * Builds a draft in the library's format.
+   */
+  function createDraft(workflow) {
+    return {
+      workflow: workflow,
+      metadata: {
+        savedAt: new Date().toISOString(),
+        workflowId: workflow.id,
+        workflowName: workflow.name,
+      },
+    };
+  }
+
+  /**
+   * Draft storage backends.
+   */
+  Drupal.FlowDrop.draftStorage = {
+
+    /**
+     * Stores drafts in the browser's localStorage, per user.
+     *
+     * @param {object} [library]
+     *   The FlowDrop library (default window.FlowDrop).
+     */
+    local: function (library) {
+      const flowdrop = library || window.FlowDrop;
+      return {
+        name: "local",
+        getKey: (scope, workflowId) => Drupal.FlowDrop.getDraftKey(scope, workflowId, flowdrop),
+        load: async (key) => flowdrop.loadDraft(key),
+        save: async (key, workflow) => {
+          try {
+            window.localStorage.setItem(key, JSON.stringify(createDraft(workflow)));
+            return true;
+          } catch (error) {
+            console.warn("FlowDrop: could not store draft", error);
+            return false;
+          }
+        },
+        delete: async (key) => flowdrop.deleteDraft(key),
+      };
+    },
+
+    /**
+     * Stores drafts on the server.
+     *
+     * The server keeps one draft per user and workflow, so the key is the
+     * workflow ID.
+     *
+     * @param {object} options
+     *   - endpointConfig: Endpoint configuration with a "drafts" group
+     *     holding get, save and delete paths with an {id} placeholder.
+     *   - authProvider: The editor's auth provider, which adds the CSRF
+     *     token to writes and retries them with a new one once (default
+     *     the one of core's session/token route).
+     *   - library: The FlowDrop library (default window.FlowDrop).
+     */
+    rest: function (options) {
+      const endpoints = options.endpointConfig.endpoints.drafts;
+      const authProvider = options.authProvider || Drupal.FlowDrop.getAuthProvider();
+      const url = (path, key) => (options.library || window.FlowDrop).buildEndpointUrl(options.endpointConfig, path, { id: key });
+
+      async function send(method, path, key, body) {
+        const response = await authProvider.fetch(url(path, key), {
+          method: method,
+          // Lets the last draft reach the server while the page unloads.
+          keepalive: method !== "GET" && (!body || body.length < 60000),
+          headers: {
+            "Content-Type": "application/json",
+            "Accept": "application/json",
+          },
+          body: body,
+        });
+        if (!response.ok) {
+          throw new Error(`Draft request failed: ${response.statusText}`);
+        }
+        return response.json();
+      }
+
+      return {
+        name: "rest",
+        getKey: (scope, workflowId) => workflowId || "new",
+        load: async (key) => {
+          const result = await send("GET", endpoints.get, key);
+          return result.data || null;
+        },
+        save: async (key, workflow) => {
+          const result = await send("POST", endpoints.save, key, JSON.stringify(workflow));
+          return result.success !== false;
+        },
+        delete: async (key) => {
+          await send("DELETE", endpoints.delete, key);
+        },
+      };
+    },
+
+  };
+
+  /**
+   * Saves a mounted app's workflow as a draft while it is dirty.
+   *
+   * Replaces the library's DraftAutoSaveManager, which can only write to
+   * localStorage.
+   */
+  class DraftAutosaver {
+    /**
+     * @param {object} app
+     *   The mounted app.
+     * @param {object} storage
+     *   The draft storage backend.
+     * @param {string} key
+     *   The draft key.
+     * @param {object} [options]
+     *   - interval: Milliseconds between saves (default 30000).
+     */
+    constructor(app, storage, key, options = {}) {
+      this.app = app;
+      this.storage = storage;
+      this.key = key;
+      this.interval = options.interval || DEFAULT_INTERVAL;
+      this.timer = null;
+      this.lastHash = null;
+    }
+
+    /**
+     * Starts saving drafts.
+     */
+    start() {
+      if (!this.timer) {
+        this.timer = setInterval(() => this.saveIfDirty(), this.interval);
+      }
+      return this;
+    }
+
+    /**
+     * Stops saving drafts.
+     */
+    stop() {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    /**
+     * Saves a draft if the workflow changed since the last one.
+     *
+     * @return {Promise<boolean>}
+     *   TRUE if a draft was saved.
+     */
+    async saveIfDirty() {
+      const workflow = this.app.getWorkflow();
+      if (!workflow || !this.app.isDirty()) {
+        return false;
+      }
+      const hash = JSON.stringify(workflow);
+      if (hash === this.lastHash) {
+        return false;
+      }
+      this.lastHash = hash;
+      try {
+        return await this.storage.save(this.key, workflow);
+      } catch (error) {
+        this.lastHash = null;
+        console.warn("FlowDrop: could not save draft", error);
+        return false;
+      }
+    }
+
+    /**
+     * Loads the stored draft.
+     *
+     * @return {Promise<object|null>}
+     *   The draft, or NULL.
+     */
+    async load() {
+      try {
+        return await this.storage.load(this.key);
+      } catch (error) {
+        console.warn("FlowDrop: could not load draft", error);
+        return null;
+      }
+    }
+
+    /**
+     * Removes the stored draft, e.g. after saving or discarding changes.
+     */
+    async discard() {
+      this.lastHash = null;
+      try {
+        await this.storage.delete(this.key);
+      } catch (error) {
+        console.warn("FlowDrop: could not delete draft", error);
+      }
+    }
+  }
+
+  /**
+   * Adds draft autosave to a mounted app.
+   *
+   * The app must be mounted with the library's own autosave turned off.
+   *
+   * @param {object} app
+   *   The mounted app.
+   * @param {object} options
+   *   - storage: The draft storage backend (default local storage).
+   *   - key: The draft key.
+   *   - interval: Milliseconds between saves.
+   *
+   * @return {DraftAutosaver}
+   *   The autosaver, also available as app.drafts.
+   */
+  Drupal.FlowDrop.attachDrafts = function (app, options) {
+    const storage = options.storage || Drupal.FlowDrop.draftStorage.local(app.library);
+    const drafts = new DraftAutosaver(app, storage, options.key, options).start();
+    const destroy = app.destroy;
+
+    app.drafts = drafts;
+    app.destroy = function () {
+      drafts.stop();
+      // Keep what was not saved yet.
+      drafts.saveIfDirty();
+      return destroy.apply(app, arguments);
+    };
+
+    return drafts;
+  };
+
+  /**
+   * Converts a changed time to milliseconds.
+   *
+   * @param {number|string|null} value
+   *   Unix seconds, milliseconds or a date string.
+   *
+   * @return {number|null}
+   *   Milliseconds since the epoch, or NULL if unknown.
+   */
+  function toMilliseconds(value) {
+    if (value === null || value === undefined || value === "") {
+      return null;
+    }
+    if (typeof value === "number" || /^\d+$/.test(String(value))) {
+      const number = Number(value);
+      return number < 1e12 ? number * 1000 : number;
+    }
+    const parsed = Date.parse(value);
+    return isNaN(parsed) ? null : parsed;
+  }
+
+  /**
+   * Summarises how a draft differs from the loaded workflow.
+   *
+   * @param {object} saved
+   *   The workflow as loaded from the server.
+   * @param {object} draft
+   *   The draft workflow.
+   *
+   * @return {string[]}
+   *   One line per kind of difference; empty when they are the same.
+   */
+  function summarizeDraft(saved, draft) {
+    const savedNodes = {};
+    (saved.nodes || []).forEach((node) => {
+      savedNodes[node.id] = node;
+    });
+    const draftNodes = {};
+    (draft.nodes || []).forEach((node) => {
+      draftNodes[node.id] = node;
+    });
+
+    let added = 0;
+    let changed = 0;
+    let moved = 0;
+    Object.keys(draftNodes).forEach((id) => {
+      const node = draftNodes[id];
+      const original = savedNodes[id];
+      if (!original) {
+        added++;
+        return;
+      }
+      const data = node.data || {};
+      const originalData = original.data || {};
+      if (JSON.stringify(data.config) !== JSON.stringify(originalData.config) || data.label !== originalData.label) {
+        changed++;
+      } else if (JSON.stringify(node.position) !== JSON.stringify(original.position)) {
+        moved++;
+      }
+    });
+    const removed = Object.keys(savedNodes).filter((id) => !draftNodes[id]).length;
+
+    const edgeKey = (edge) => `${edge.source}:${edge.sourceHandle}>${edge.target}:${edge.targetHandle}`;
+    const savedEdges = new Set((saved.edges || []).map(edgeKey));
+    const draftEdges = new Set((draft.edges || []).map(edgeKey));
+    const edgesAdded = [...draftEdges].filter((key) => !savedEdges.has(key)).length;
+    const edgesRemoved = [...savedEdges].filter((key) => !draftEdges.has(key)).length;
+
+    const lines = [];
+    if (draft.name !== saved.name || (draft.description || "") !== (saved.description || "")) {
+      lines.push(Drupal.t("Name or description changed"));
+    }
+    if (added) {
+      lines.push(Drupal.formatPlural(added, "1 node added", "@count nodes added"));
+    }
+    if (removed) {
+      lines.push(Drupal.formatPlural(removed, "1 node removed", "@count nodes removed"));
+    }
+    if (changed) {
+      lines.push(Drupal.formatPlural(changed, "1 node reconfigured", "@count nodes reconfigured"));
+    }
+    if (moved) {
+      lines.push(Drupal.formatPlural(moved, "1 node moved", "@count nodes moved"));
+    }
+    if (edgesAdded) {
+      lines.push(Drupal.formatPlural(edgesAdded, "1 connection added", "@count connections added"));
+    }
+    if (edgesRemoved) {
+      lines.push(Drupal.formatPlural(edgesRemoved, "1 connection removed", "@count connections removed"));
+    }
+    return lines;
+  }
+
+  /**
+   * Asks whether to restore a draft.
+   *
+   * @param {object} metadata
+   *   The draft metadata.
+   * @param {string[]} summary
+   *   The differences to list.
+   *
+   * @return {Promise<boolean>}
+   *   TRUE to restore the draft.
+   */
+  function confirmRestore(metadata, summary) {
+    return new Promise((resolve) => {
+      const element = document.createElement("div");
+      element.className = "flowdrop-draft-dialog";
+      const intro = document.createElement("p");
+      intro.textContent = Drupal.t("You have unsaved changes from @time that are newer than the saved version.", {
+        "@time": new Date(metadata.savedAt).toLocaleString(),
+      });
+      element.appendChild(intro);
+      const list = document.createElement("ul");
+      summary.forEach((line) => {
+        const item = document.createElement("li");
+        item.textContent = line;
+        list.appendChild(item);
+      });
+      element.appendChild(list);
+
+      let restore = false;
+      const dialog = Drupal.dialog(element, {
+        title: Drupal.t("Restore unsaved changes?"),
+        width: "480px",
+        buttons: [
+          {
+            text: Drupal.t("Restore"),
+            class: "button--primary",
+            click: function () {
+              restore = true;
+              dialog.close();
+            },
+          },
+          {
+            text: Drupal.t("Discard"),
+            click: function () {
+              dialog.close();
+            },
+          },
+        ],
+        close: function () {
+          resolve(restore);
+          element.remove();
+        },
+      });
+      dialog.showModal();
+    });
+  }
+
+  /**
+   * Offers to restore a draft of a mounted app's workflow.
+   *
+   * Drafts older than the saved workflow are dropped without asking, as
+   * are drafts that do not differ from it.
+   *
+   * @param {object} app
+   *   The mounted app, with drafts attached.
+   * @param {object} [options]
+   *   - changed: When the workflow was last saved on the server, in Unix
+   *     seconds, milliseconds or as a date string. Unknown means any draft
+   *     is offered.
+   *   - confirm: Replaces the Restore/Discard dialog; receives the draft
+   *     metadata and summary and resolves with TRUE to restore.
+   *
+   * @return {Promise<boolean>}
+   *   TRUE if a draft was restored.
+   */
+  Drupal.FlowDrop.offerDraftRecovery = async function (app, options = {}) {
+    const library = app.library || window.FlowDrop;
+    const draft = app.drafts ? await app.drafts.load() : null;
+    if (!draft || !draft.workflow || !draft.metadata) {
+      return false;
+    }
+
+    const savedAt = toMilliseconds(draft.metadata.savedAt);
+    const changed = toMilliseconds(options.changed);
+    const current = app.getWorkflow();
+    const summary = current ? summarizeDraft(current, draft.workflow) : [];
+    if (!summary.length || (changed !== null && savedAt !== null && savedAt <= changed)) {
+      await app.drafts.discard();
+      return false;
+    }
+
+    const restore = await (options.confirm || confirmRestore)(draft.metadata, summary);
+    if (!restore) {
+      await app.drafts.discard();
+      return false;
+    }
+
+    // Keep the loaded workflow as the saved state so the restored changes
+    // show up as unsaved.
+    library.workflowActions.updateWorkflow(Object.assign({}, app.getWorkflow(), {
+      name: draft.workflow.name,
+      description: draft.workflow.description,
+      nodes: draft.workflow.nodes,
+      edges: draft.workflow.edges,
+    }));
+    Drupal.announce(Drupal.t("Unsaved changes restored"));
+    return true;
+  };
+
+  Drupal.FlowDrop.summarizeDraft = summarizeDraft;
+  Drupal.FlowDrop.DraftAutosaver = DraftAutosaver;
+
+})(Drupal, drupalSettings);
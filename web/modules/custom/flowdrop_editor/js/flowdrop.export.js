@@ -0,0 +1,457 @@
+/**
+ * @file
+ * Image and Mermaid export for FlowDrop editors.
+ *
+ * Turns a workflow into a standalone SVG, a PNG rendered from that SVG, or
+ * a Mermaid flowchart, for documentation. Nodes are drawn as cards with the
+ * color of their category from the library's CATEGORY_COLOR_TOKENS. In an
+ * editor, the node sizes and edge paths are taken from the canvas so the
+ * image looks like what is on screen.
+ *
+ * workflowToSvg() and workflowToMermaid() only read the workflow and their
+ * options, so they also run without a mounted editor.
+ */
+
+(function (Drupal) {
+  "use strict";
+
+  Drupal.FlowDrop = Drupal.FlowDrop || {};
+
+  /**
+   * Node size used when the canvas does not tell, in pixels.
+   */
+  const NODE_SIZE = { width: 240, height: 72 };
+
+  /**
+   * Space around the graph, in pixels.
+   */
+  const PADDING = 32;
+
+  /**
+   * Values of the reference colors CATEGORY_COLOR_TOKENS points at, for
+   * when they cannot be read from a stylesheet.
+   */
+  const REFERENCE_COLORS = {
+    "--color-ref-amber-500": "#f59e0b",
+    "--color-ref-blue-600": "#2563eb",
+    "--color-ref-emerald-500": "#10b981",
+    "--color-ref-indigo-500": "#6366f1",
+    "--color-ref-orange-500": "#f97316",
+    "--color-ref-purple-500": "#a855f7",
+    "--color-ref-purple-600": "#9333ea",
+    "--color-ref-slate-500": "#64748b",
+    "--color-ref-teal-500": "#14b8a6",
+  };
+
+  /**
+   * Color of nodes without a known category.
+   */
+  const DEFAULT_COLOR = "#64748b";
+
+  /**
+   * Escapes text for SVG markup.
+   */
+  function escapeXml(text) {
+    return String(text).replace(/[&<>"']/g, (character) => ({
+      "&": "&amp;",
+      "<": "&lt;",
+      ">": "&gt;",
+      "\"": "&quot;",
+      "'": "&apos;",
+    })[character]);
+  }
+
+  /**
+   * Shortens text to roughly fit a width, at about 0.6em per character.
+   */
+  function fitText(text, width, fontSize) {
+    const max = Math.max(1, Math.floor(width / (fontSize * 0.6)));
+    return text.length > max ? text.substring(0, max - 1) + "…" : text;
+  }
+
+  /**
+   * Gets the label of a node.
+   */
+  function nodeLabel(node) {
+    const data = node.data || {};
+    return String(data.label || (data.metadata && data.metadata.name) || node.id);
+  }
+
+  /**
+   * Gets the category of a node.
+   */
+  function nodeCategory(node) {
+    const data = node.data || {};
+    return (data.metadata && data.metadata.category) || "";
+  }
+
+  /**
+   * Gets the kind of a node.
+   *
+   * @return {string}
+   *   'agent', 'tool', 'input' or 'step'.
+   */
+  function nodeKind(node) {
+    const data = node.data || {};
+    const metadata = data.metadata || {};
+    if (data.nodeType === "tool" || metadata.type === "tool") {
+      return "tool";
+    }
+    if (data.nodeType === "agent" || metadata.type === "agent") {
+      return "agent";
+    }
+    return metadata.category === "inputs" ? "input" : "step";
+  }
+
+  /**
+   * Whether an edge connects a tool rather than passing data.
+   */
+  function isToolEdge(edge) {
+    return !!edge.data && edge.data.dataType === "tool";
+  }
+
+  /**
+   * Resolves the color of a category.
+   *
+   * @param {string} category
+   *   The category.
+   * @param {object} library
+   *   The FlowDrop library, for CATEGORY_COLOR_TOKENS.
+   * @param {function} [resolveColor]
+   *   Turns a CSS custom property name into a color, or returns an empty
+   *   value to use the reference colors.
+   *
+   * @return {string}
+   *   A color usable outside the editor's stylesheets.
+   */
+  function categoryColor(category, library, resolveColor) {
+    const token = (library && library.CATEGORY_COLOR_TOKENS && library.CATEGORY_COLOR_TOKENS[category]) || "";
+    const match = /^var\((--[\w-]+)\)$/.exec(token);
+    if (!match) {
+      return token || DEFAULT_COLOR;
+    }
+    return (resolveColor && resolveColor(match[1])) || REFERENCE_COLORS[match[1]] || DEFAULT_COLOR;
+  }
+
+  /**
+   * Draws a workflow as a standalone SVG document.
+   *
+   * @param {object} workflow
+   *   The workflow.
+   * @param {object} library
+   *   The FlowDrop library, for CATEGORY_COLOR_TOKENS.
+   * @param {object} [options]
+   *   - getSize: Returns {width, height} of a node, or NULL for the
+   *     default size.
+   *   - getEdgePath: Returns the path data of an edge in canvas
+   *     coordinates, or NULL to draw a curve between its nodes.
+   *   - resolveColor: Turns a CSS custom property name into a color.
+   *   - background: Background color (default white).
+   *
+   * @return {string}
+   *   The SVG markup.
+   */
+  function workflowToSvg(workflow, library, options = {}) {
+    const nodes = (workflow && workflow.nodes) || [];
+    const boxes = {};
+    nodes.forEach((node) => {
+      const size = (options.getSize && options.getSize(node)) || NODE_SIZE;
+      boxes[node.id] = {
+        x: (node.position && node.position.x) || 0,
+        y: (node.position && node.position.y) || 0,
+        width: size.width,
+        height: size.height,
+      };
+    });
+
+    const ids = Object.keys(boxes);
+    const left = ids.length ? Math.min(...ids.map((id) => boxes[id].x)) - PADDING : 0;
+    const top = ids.length ? Math.min(...ids.map((id) => boxes[id].y)) - PADDING : 0;
+    const width = ids.length ? Math.max(...ids.map((id) => boxes[id].x + boxes[id].width)) + PADDING - left : PADDING * 2;
+    const height = ids.length ? Math.max(...ids.map((id) => boxes[id].y + boxes[id].height)) + PADDING - top : PADDING * 2;
+    const title = (workflow && (workflow.name || workflow.label)) || "";
+
+    const edges = ((workflow && workflow.edges) || []).filter((edge) => boxes[edge.source] && boxes[edge.target]).map((edge) => {
+      let path = options.getEdgePath && options.getEdgePath(edge);
+      if (!path) {
+        // From the right of the source to the left of the target, like
+        // the library's bezier edges.
+        const source = boxes[edge.source];
+        const target = boxes[edge.target];
+        const x1 = source.x + source.width;
+        const y1 = source.y + source.height / 2;
+        const x2 = target.x;
+        const y2 = target.y + target.height / 2;
+        const bend = Math.max(40, Math.abs(x2 - x1) / 2);
+        path = `M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`;
+      }
+      return `<path d="${escapeXml(path)}" fill="none" stroke="#94a3b8" stroke-width="1.5"` +
+        (isToolEdge(edge) ? " stroke-dasharray=\"5 5\"" : "") + " marker-end=\"url(#flowdrop-export-arrow)\"/>";
+    });
+
+    const cards = nodes.map((node) => {
+      const box = boxes[node.id];
+      const color = categoryColor(nodeCategory(node), library, options.resolveColor);
+      const subtitle = [nodeCategory(node), nodeKind(node) === "step" ? "" : nodeKind(node)].filter(Boolean).join(" · ");
+      return `<g transform="translate(${box.x} ${box.y})">` +
+        `<rect width="${box.width}" height="${box.height}" rx="8" fill="#ffffff" stroke="${escapeXml(color)}" stroke-width="1.5"/>` +
+        `<rect width="6" height="${box.height}" rx="3" fill="${escapeXml(color)}"/>` +
+        `<text x="18" y="${Math.min(box.height / 2, 28)}" font-size="14" font-weight="600" fill="#0f172a">${escapeXml(fitText(nodeLabel(node), box.width - 30, 14))}</text>` +
+        (subtitle ? `<text x="18" y="${Math.min(box.height / 2, 28) + 20}" font-size="12" fill="#64748b">${escapeXml(fitText(subtitle, box.width - 30, 12))}</text>` : "") +
+        "</g>";
+    });
+
+    return "<svg xmlns=\"http://www.w3.org/2000/svg\" " +
+      `width="${Math.ceil(width)}" height="${Math.ceil(height)}" viewBox="${Math.floor(left)} ${Math.floor(top)} ${Math.ceil(width)} ${Math.ceil(height)}" ` +
+      "font-family=\"system-ui, -apple-system, 'Segoe UI', sans-serif\">\n" +
+      (title ? `<title>${escapeXml(title)}</title>\n` : "") +
+      "<defs><marker id=\"flowdrop-export-arrow\" viewBox=\"0 0 10 10\" refX=\"9\" refY=\"5\" markerWidth=\"8\" markerHeight=\"8\" orient=\"auto-start-reverse\">" +
+      "<path d=\"M 0 0 L 10 5 L 0 10 z\" fill=\"#94a3b8\"/></marker></defs>\n" +
+      `<rect x="${Math.floor(left)}" y="${Math.floor(top)}" width="${Math.ceil(width)}" height="${Math.ceil(height)}" fill="${escapeXml(options.background || "#ffffff")}"/>\n` +
+      `<g>\n${edges.join("\n")}\n</g>\n` +
+      `<g>\n${cards.join("\n")}\n</g>\n` +
+      "</svg>\n";
+  }
+
+  /**
+   * Writes a workflow as a Mermaid flowchart.
+   *
+   * Agents are drawn as subroutines, tools as hexagons and inputs as
+   * stadiums; tool connections are dotted. Each category gets a class with
+   * its color.
+   *
+   * @param {object} workflow
+   *   The workflow.
+   * @param {object} library
+   *   The FlowDrop library, for CATEGORY_COLOR_TOKENS.
+   * @param {object} [options]
+   *   - direction: Flowchart direction (default 'LR').
+   *   - resolveColor: Turns a CSS custom property name into a color.
+   *
+   * @return {string}
+   *   The Mermaid source.
+   */
+  function workflowToMermaid(workflow, library, options = {}) {
+    const nodes = (workflow && workflow.nodes) || [];
+    const lines = [`flowchart ${options.direction || "LR"}`];
+
+    // Mermaid IDs are plain words, and some words are keywords.
+    const mermaidIds = {};
+    const used = new Set();
+    nodes.forEach((node) => {
+      const base = "n_" + String(node.id).replace(/[^A-Za-z0-9_]/g, "_");
+      let id = base;
+      for (let suffix = 2; used.has(id); suffix++) {
+        id = `${base}_${suffix}`;
+      }
+      used.add(id);
+      mermaidIds[node.id] = id;
+    });
+
+    const label = (text) => "\"" + text.replace(/"/g, "#quot;").replace(/</g, "#lt;").replace(/>/g, "#gt;") + "\"";
+    const shapes = {
+      agent: ["[[", "]]"],
+      tool: ["{{", "}}"],
+      input: ["([", "])"],
+      step: ["[", "]"],
+    };
+    nodes.forEach((node) => {
+      const shape = shapes[nodeKind(node)];
+      lines.push(`  ${mermaidIds[node.id]}${shape[0]}${label(nodeLabel(node))}${shape[1]}`);
+    });
+
+    ((workflow && workflow.edges) || []).forEach((edge) => {
+      if (mermaidIds[edge.source] && mermaidIds[edge.target]) {
+        lines.push(`  ${mermaidIds[edge.source]} ${isToolEdge(edge) ? "-.->" : "-->"} ${mermaidIds[edge.target]}`);
+      }
+    });
+
+    const categories = {};
+    nodes.forEach((node) => {
+      const category = nodeCategory(node);
+      if (category) {
+        (categories[category] = categories[category] || []).push(mermaidIds[node.id]);
+      }
+    });
+    Object.keys(categories).sort().forEach((category) => {
+      const name = "category_" + category.replace(/[^A-Za-z0-9_]/g, "_");
+      const color = categoryColor(category, library, options.resolveColor);
+      lines.push(`  classDef ${name} fill:#ffffff,stroke:${color},stroke-width:2px`);
+      lines.push(`  class ${categories[category].join(",")} ${name}`);
+    });
+
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * Renders SVG markup to a PNG.
+   *
+   * @param {string} svg
+   *   The SVG markup, with width and height set.
+   * @param {object} [options]
+   *   - scale: Pixels per SVG unit (default 2).
+   *
+   * @return {Promise<Blob>}
+   *   Resolves with the PNG.
+   */
+  function svgToPng(svg, options = {}) {
+    const scale = options.scale || 2;
+    const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => {
+        const canvas = document.createElement("canvas");
+        canvas.width = Math.ceil(image.width * scale);
+        canvas.height = Math.ceil(image.height * scale);
+        const context = canvas.getContext("2d");
+        context.scale(scale, scale);
+        context.drawImage(image, 0, 0);
+        URL.revokeObjectURL(url);
+        canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("The image could not be rendered."))), "image/png");
+      };
+      image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error("The image could not be rendered."));
+      };
+      image.src = url;
+    });
+  }
+
+  /**
+   * Offers a file for download.
+   */
+  function download(content, filename, type) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: type });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  }
+
+  /**
+   * Builds export options that measure the graph on the canvas.
+   *
+   * @param {HTMLElement} container
+   *   The element the app is mounted in.
+   */
+  function canvasOptions(container) {
+    const style = getComputedStyle(container);
+    return {
+      resolveColor: (name) => style.getPropertyValue(name).trim(),
+      getSize: (node) => {
+        const element = container.querySelector(`.svelte-flow__node[data-id="${CSS.escape(node.id)}"]`);
+        return element && element.offsetWidth ? { width: element.offsetWidth, height: element.offsetHeight } : null;
+      },
+      getEdgePath: (edge) => {
+        const path = container.querySelector(`.svelte-flow__edge[data-id="${CSS.escape(edge.id)}"] .svelte-flow__edge-path`);
+        return path && path.getAttribute("d");
+      },
+    };
+  }
+
+  /**
+   * Exports the graph of a mounted FlowDrop app.
+   *
+   * @param {object} app
+   *   The mounted app.
+   * @param {HTMLElement} container
+   *   The element the app is mounted in.
+   * @param {string} format
+   *   'svg', 'png' or 'mermaid'.
+   *
+   * @return {Promise<string|Blob>}
+   *   Resolves with the exported graph once it is offered for download.
+   */
+  Drupal.FlowDrop.exportWorkflow = async function (app, container, format) {
+    const library = app.library || window.FlowDrop;
+    const workflow = app.getWorkflow();
+    const options = canvasOptions(container);
+    const basename = String((workflow && (workflow.name || workflow.id)) || "workflow").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "workflow";
+
+    let result;
+    if (format === "mermaid") {
+      result = workflowToMermaid(workflow, library, options);
+      download(result, basename + ".mmd", "text/plain");
+    } else {
+      result = workflowToSvg(workflow, library, options);
+      if (format === "png") {
+        result = await svgToPng(result);
+      }
+      download(result, `${basename}.${format}`, "image/svg+xml");
+    }
+    Drupal.announce(Drupal.t("Exported the workflow"));
+    return result;
+  };
+
+  /**
+   * Builds the navbar action that exports an editor.
+   *
+   * Asks for the format in a dialog showing the image and the Mermaid
+   * source.
+   *
+   * @param {HTMLElement} container
+   *   The element the app is mounted in.
+   *
+   * @return {object}
+   *   The navbar action.
+   */
+  Drupal.FlowDrop.exportAction = function (container) {
+    return {
+      label: Drupal.t("Export"),
+      href: "#",
+      variant: "secondary",
+      icon: "mdi:export-variant",
+      onclick: function () {
+        const app = container.flowdropApp;
+        if (!app) {
+          return;
+        }
+        const library = app.library || window.FlowDrop;
+        const workflow = app.getWorkflow();
+        const options = canvasOptions(container);
+
+        const element = document.createElement("div");
+        element.className = "flowdrop-export";
+        const preview = element.appendChild(document.createElement("img"));
+        preview.className = "flowdrop-export__preview";
+        preview.alt = Drupal.t("Preview of the exported image");
+        preview.src = URL.createObjectURL(new Blob([workflowToSvg(workflow, library, options)], { type: "image/svg+xml" }));
+        const source = element.appendChild(document.createElement("textarea"));
+        source.className = "flowdrop-export__mermaid";
+        source.setAttribute("aria-label", Drupal.t("Mermaid source"));
+        source.readOnly = true;
+        source.rows = 8;
+        source.value = workflowToMermaid(workflow, library, options);
+
+        const exportAs = (format) => function () {
+          Drupal.FlowDrop.exportWorkflow(app, container, format).catch((error) => {
+            console.error("FlowDrop: export failed", error);
+            Drupal.announce(Drupal.t("The workflow could not be exported."), "assertive");
+          });
+        };
+        const dialog = Drupal.dialog(element, {
+          title: Drupal.t("Export workflow"),
+          width: "720px",
+          buttons: [
+            { text: Drupal.t("Download SVG"), class: "button button--primary", click: exportAs("svg") },
+            { text: Drupal.t("Download PNG"), class: "button", click: exportAs("png") },
+            { text: Drupal.t("Download Mermaid"), class: "button", click: exportAs("mermaid") },
+          ],
+          close: function () {
+            URL.revokeObjectURL(preview.src);
+            element.remove();
+          },
+        });
+        dialog.showModal();
+      },
+    };
+  };
+
+  Drupal.FlowDrop.workflowToSvg = workflowToSvg;
+  Drupal.FlowDrop.workflowToMermaid = workflowToMermaid;
+  Drupal.FlowDrop.svgToPng = svgToPng;
+
+})(Drupal);
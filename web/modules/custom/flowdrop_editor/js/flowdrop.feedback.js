@@ -0,0 +1,395 @@
+/**
+ * @file
+ * Structured validation feedback for FlowDrop editors.
+ *
+ * Save and validate endpoints report violations as a list of
+ * {nodeId, field, message} objects. This maps them onto the canvas: the
+ * node gets a failed NodeStatusOverlay badge, the matching ConfigSidebar
+ * field is marked invalid while the node is being configured, and a toast
+ * summarises the whole list.
+ */
+
+(function (Drupal) {
+  "use strict";
+
+  Drupal.FlowDrop = Drupal.FlowDrop || {};
+
+  /**
+   * Execution info that resets a node's status overlay.
+   */
+  const IDLE_EXECUTION_INFO = { status: "idle", executionCount: 0, isExecuting: false };
+
+  /**
+   * Error thrown by editor save functions when the server rejects a save.
+   */
+  class SaveError extends Error {
+    /**
+     * @param {string} message
+     *   Summary of the failure.
+     * @param {Array} [violations]
+     *   Violations as returned by Drupal.FlowDrop.normalizeViolations().
+     */
+    constructor(message, violations = []) {
+      super(message);
+      this.name = "SaveError";
+      this.violations = violations;
+    }
+  }
+
+  /**
+   * Extracts violations from a save or validate response body.
+   *
+   * Accepts "violations" lists as well as the older "errors" lists of plain
+   * strings, either at the top level or under "data".
+   *
+   * @param {object|null} result
+   *   The decoded JSON response.
+   *
+   * @return {Array}
+   *   List of {nodeId, field, message} objects.
+   */
+  function normalizeViolations(result) {
+    if (!result || typeof result !== "object") {
+      return [];
+    }
+    const data = result.data && typeof result.data === "object" ? result.data : {};
+    const list = result.violations || data.violations || result.errors || data.errors;
+    if (!Array.isArray(list)) {
+      return [];
+    }
+    return list.map((item) => {
+      if (typeof item === "string") {
+        return { nodeId: null, field: null, message: item };
+      }
+      return {
+        nodeId: item.nodeId || item.node_id || null,
+        field: item.field || item.property || null,
+        message: String(item.message || ""),
+      };
+    }).filter((item) => item.message);
+  }
+
+  /**
+   * Builds a SaveError from a failed fetch() response.
+   *
+   * @param {Response} response
+   *   The response.
+   * @param {string} fallback
+   *   Message used when the body does not carry one.
+   *
+   * @return {Promise<SaveError>}
+   *   The error, with any violations the body carried, the HTTP status as
+   *   "status" and the "data" of the body, if any.
+   */
+  async function saveErrorFromResponse(response, fallback) {
+    let result = null;
+    try {
+      result = await response.clone().json();
+    } catch (error) {
+      // Not JSON, e.g. an HTML error page.
+    }
+    const message = (result && (result.message || result.error)) || `${fallback}: ${response.statusText}`;
+    const error = new SaveError(message, normalizeViolations(result));
+    error.status = response.status;
+    error.data = (result && result.data) || null;
+    return error;
+  }
+
+  /**
+   * Shows validation violations on a mounted FlowDrop canvas.
+   */
+  class ValidationFeedback {
+    /**
+     * @param {HTMLElement} container
+     *   The element the FlowDrop app is mounted in.
+     * @param {object} [library]
+     *   The FlowDrop library the app was mounted with (default
+     *   window.FlowDrop).
+     */
+    constructor(container, library) {
+      this.container = container;
+      this.library = library || window.FlowDrop;
+      this.violations = [];
+      this.configKeys = {};
+      this.activeNodeId = null;
+      this.updating = false;
+      this.frame = null;
+
+      this.onClick = (event) => {
+        const node = event.target.closest && event.target.closest(".svelte-flow__node[data-id]");
+        if (node && this.container.contains(node)) {
+          this.activeNodeId = node.dataset.id;
+          this.scheduleDecorate();
+        }
+      };
+      this.observer = new MutationObserver(() => this.scheduleDecorate());
+      this.unsubscribe = null;
+    }
+
+    /**
+     * Starts tracking the canvas.
+     */
+    attach() {
+      this.container.addEventListener("click", this.onClick, true);
+      this.observer.observe(this.container, { childList: true, subtree: true });
+      this.unsubscribe = this.library.workflowStore.subscribe((workflow) => {
+        this.handleStoreChange(workflow);
+      });
+      return this;
+    }
+
+    /**
+     * Stops tracking the canvas.
+     */
+    detach() {
+      this.container.removeEventListener("click", this.onClick, true);
+      this.observer.disconnect();
+      cancelAnimationFrame(this.frame);
+      if (this.unsubscribe) {
+        this.unsubscribe();
+        this.unsubscribe = null;
+      }
+    }
+
+    /**
+     * Replaces the shown violations.
+     *
+     * @param {Array} violations
+     *   List of {nodeId, field, message} objects.
+     */
+    show(violations) {
+      const workflow = this.library.getWorkflowFromStore();
+      const nodeIds = new Set(((workflow && workflow.nodes) || []).map((node) => node.id));
+
+      // Violations for nodes that are not on the canvas belong to the
+      // workflow as a whole.
+      this.violations = violations.map((item) => (
+        item.nodeId && !nodeIds.has(item.nodeId) ? Object.assign({}, item, { nodeId: null }) : item
+      ));
+      this.configKeys = {};
+      ((workflow && workflow.nodes) || []).forEach((node) => {
+        this.configKeys[node.id] = JSON.stringify(node.data && node.data.config);
+      });
+
+      this.updateBadges();
+      this.scheduleDecorate();
+    }
+
+    /**
+     * Removes all violations from the canvas.
+     */
+    clear() {
+      if (!this.violations.length) {
+        return;
+      }
+      this.violations = [];
+      this.updateBadges();
+      this.decorate();
+    }
+
+    /**
+     * Shows violations and a toast summarising them.
+     *
+     * @param {Error|Array} errorOrViolations
+     *   A SaveError (or any Error) or a list of violations.
+     * @param {object} [options]
+     *   - toast: "saveError" (default) to use workflowToasts.saveError,
+     *     anything else for a plain error toast.
+     *
+     * @return {string}
+     *   The summary that was shown.
+     */
+    report(errorOrViolations, options = {}) {
+      const violations = Array.isArray(errorOrViolations) ? errorOrViolations : (errorOrViolations.violations || []);
+      this.show(violations);
+
+      let summary;
+      if (violations.length === 1) {
+        summary = violations[0].message;
+      } else if (violations.length > 1) {
+        summary = Drupal.formatPlural(violations.length, "1 problem: @first", "@count problems, first: @first", {
+          "@first": violations[0].message,
+        });
+      } else {
+        summary = errorOrViolations.message || Drupal.t("Unknown error");
+      }
+
+      if ((options.toast || "saveError") === "saveError") {
+        this.library.workflowToasts.saveError(summary);
+      } else {
+        this.library.showError(summary);
+      }
+      return summary;
+    }
+
+    /**
+     * Drops violations of nodes whose config changed since they were shown.
+     */
+    handleStoreChange(workflow) {
+      if (this.updating || !workflow) {
+        return;
+      }
+      const present = {};
+      (workflow.nodes || []).forEach((node) => {
+        present[node.id] = JSON.stringify(node.data && node.data.config);
+      });
+      const remaining = this.violations.filter((item) => (
+        !item.nodeId || present[item.nodeId] === this.configKeys[item.nodeId]
+      ));
+      // Undo/redo can bring back badges of violations that are gone.
+      const stale = (workflow.nodes || []).some((node) => (
+        node.data && node.data.executionInfo && node.data.executionInfo.validationError &&
+        !remaining.some((item) => item.nodeId === node.id)
+      ));
+      if (stale || remaining.length !== this.violations.length) {
+        this.violations = remaining;
+        this.updateBadges();
+        this.scheduleDecorate();
+      }
+    }
+
+    /**
+     * Writes failed/idle execution info onto the nodes in the store.
+     *
+     * Execution info is not part of the dirty-state snapshot, so this does
+     * not mark the workflow as changed.
+     */
+    updateBadges() {
+      const workflow = this.library.getWorkflowFromStore();
+      if (!workflow) {
+        return;
+      }
+
+      const messages = {};
+      this.violations.forEach((item) => {
+        if (item.nodeId) {
+          (messages[item.nodeId] = messages[item.nodeId] || []).push(item.message);
+        }
+      });
+
+      let changed = false;
+      const nodes = (workflow.nodes || []).map((node) => {
+        const info = node.data && node.data.executionInfo;
+        if (messages[node.id]) {
+          changed = true;
+          return Object.assign({}, node, {
+            data: Object.assign({}, node.data, {
+              executionInfo: Object.assign({}, IDLE_EXECUTION_INFO, {
+                status: "failed",
+                lastError: messages[node.id].join("\n"),
+                validationError: true,
+              }),
+            }),
+          });
+        }
+        if (info && info.validationError) {
+          changed = true;
+          return Object.assign({}, node, {
+            data: Object.assign({}, node.data, { executionInfo: IDLE_EXECUTION_INFO }),
+          });
+        }
+        return node;
+      });
+
+      if (changed) {
+        this.updating = true;
+        try {
+          this.library.workflowActions.batchUpdate({ nodes });
+        } finally {
+          this.updating = false;
+        }
+      }
+    }
+
+    /**
+     * Decorates sidebar fields on the next animation frame.
+     */
+    scheduleDecorate() {
+      cancelAnimationFrame(this.frame);
+      this.frame = requestAnimationFrame(() => this.decorate());
+    }
+
+    /**
+     * Marks ConfigSidebar fields of the node being configured as invalid.
+     */
+    decorate() {
+      const fields = {};
+      this.violations.forEach((item) => {
+        if (item.field && item.nodeId === this.activeNodeId) {
+          (fields[item.field] = fields[item.field] || []).push(item.message);
+        }
+      });
+
+      // Pause the observer so our own DOM changes do not trigger it.
+      this.observer.disconnect();
+
+      this.container.querySelectorAll("[data-flowdrop-field-error]").forEach((wrapper) => {
+        const field = wrapper.dataset.flowdropFieldError;
+        const message = (fields[field] || []).join(" ");
+        const input = wrapper.querySelector(`#config-${CSS.escape(field)}`);
+        if (!input || message !== wrapper.querySelector(".flowdrop-field-error__message")?.textContent) {
+          wrapper.classList.remove("flowdrop-field-error");
+          wrapper.querySelector(".flowdrop-field-error__message")?.remove();
+          if (input) {
+            input.removeAttribute("aria-invalid");
+            input.removeAttribute("aria-describedby");
+          }
+          delete wrapper.dataset.flowdropFieldError;
+        }
+      });
+
+      Object.keys(fields).forEach((field) => {
+        const input = this.container.querySelector(`#config-${CSS.escape(field)}`);
+        if (!input) {
+          return;
+        }
+        const wrapper = input.closest(".config-sidebar__field, .flowdrop-config-sidebar__field") || input.parentElement;
+        if (wrapper.dataset.flowdropFieldError === field) {
+          return;
+        }
+        const message = document.createElement("p");
+        message.className = "flowdrop-field-error__message";
+        message.id = `config-${field}-error`;
+        message.setAttribute("role", "alert");
+        message.textContent = fields[field].join(" ");
+        wrapper.appendChild(message);
+        wrapper.classList.add("flowdrop-field-error");
+        wrapper.dataset.flowdropFieldError = field;
+        input.setAttribute("aria-invalid", "true");
+        input.setAttribute("aria-describedby", message.id);
+      });
+
+      this.observer.observe(this.container, { childList: true, subtree: true });
+    }
+  }
+
+  /**
+   * Adds validation feedback to a mounted FlowDrop app.
+   *
+   * @param {object} app
+   *   The handle returned by FlowDrop.mountFlowDropApp().
+   * @param {HTMLElement} container
+   *   The element the app is mounted in.
+   *
+   * @return {ValidationFeedback}
+   *   The feedback instance, also available as app.validation.
+   */
+  Drupal.FlowDrop.attachValidationFeedback = function (app, container) {
+    const feedback = new ValidationFeedback(container, app.library).attach();
+    const destroy = app.destroy;
+
+    app.validation = feedback;
+    app.destroy = function () {
+      feedback.detach();
+      return destroy.apply(app, arguments);
+    };
+
+    return feedback;
+  };
+
+  Drupal.FlowDrop.normalizeViolations = normalizeViolations;
+  Drupal.FlowDrop.saveErrorFromResponse = saveErrorFromResponse;
+  Drupal.FlowDrop.SaveError = SaveError;
+  Drupal.FlowDrop.ValidationFeedback = ValidationFeedback;
+
+})(Drupal);
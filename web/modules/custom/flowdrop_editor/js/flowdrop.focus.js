@@ -0,0 +1,142 @@
+/**
+ * @file
+ * Brings a node of a mounted FlowDrop canvas into view and reads which
+ * nodes are selected.
+ *
+ * The library does not expose the Svelte Flow instance, so this goes
+ * through the same paths a user would: selecting the node in the workflow
+ * store, focusing its element, zooming in with the canvas' zoom-in control
+ * and dragging the pane until the node sits in its center. Only the
+ * viewport moves; the other nodes stay where they are.
+ */
+
+(function (Drupal) {
+  "use strict";
+
+  Drupal.FlowDrop = Drupal.FlowDrop || {};
+
+  /**
+   * How long a focused node stays highlighted, in milliseconds.
+   */
+  const HIGHLIGHT_DURATION = 2000;
+
+  /**
+   * Zoom level a focused node is shown at, at least.
+   */
+  const FOCUS_ZOOM = 1;
+
+  /**
+   * Factor the canvas' zoom-in control zooms by.
+   */
+  const ZOOM_STEP = 1.2;
+
+  /**
+   * Gets the center of an element in client coordinates.
+   */
+  function getCenter(element) {
+    const rect = element.getBoundingClientRect();
+    return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+  }
+
+  /**
+   * Zooms the canvas in until a node is shown at FOCUS_ZOOM.
+   *
+   * The zoom-in control zooms around the center of the canvas and never
+   * past its maximum zoom.
+   */
+  function zoomTo(container, element) {
+    const zoomIn = container.querySelector(".svelte-flow__controls-zoomin");
+    const zoom = element.offsetWidth ? element.getBoundingClientRect().width / element.offsetWidth : FOCUS_ZOOM;
+    if (!zoomIn || zoom >= FOCUS_ZOOM) {
+      return;
+    }
+    for (let step = Math.ceil(Math.log(FOCUS_ZOOM / zoom) / Math.log(ZOOM_STEP)); step > 0 && !zoomIn.disabled; step--) {
+      zoomIn.click();
+    }
+  }
+
+  /**
+   * Pans the canvas so a node sits in its center.
+   *
+   * Drags the pane the way a mouse would; Svelte Flow keeps the zoom.
+   */
+  function panTo(pane, element) {
+    const from = getCenter(pane);
+    const node = getCenter(element);
+    const to = { x: from.x + from.x - node.x, y: from.y + from.y - node.y };
+    const init = { bubbles: true, cancelable: true, view: window, button: 0 };
+    pane.dispatchEvent(new MouseEvent("mousedown", Object.assign({ clientX: from.x, clientY: from.y, buttons: 1 }, init)));
+    window.dispatchEvent(new MouseEvent("mousemove", Object.assign({ clientX: to.x, clientY: to.y, buttons: 1 }, init)));
+    window.dispatchEvent(new MouseEvent("mouseup", Object.assign({ clientX: to.x, clientY: to.y }, init)));
+  }
+
+  /**
+   * Selects a node and brings it into view.
+   *
+   * @param {HTMLElement} container
+   *   The element the FlowDrop app is mounted in.
+   * @param {string} nodeId
+   *   The ID of the node.
+   *
+   * @return {boolean}
+   *   FALSE if the node is not on the canvas.
+   */
+  Drupal.FlowDrop.focusNode = function (container, nodeId) {
+    const flowdrop = (container.flowdropApp && container.flowdropApp.library) || window.FlowDrop;
+    const workflow = flowdrop.getWorkflowFromStore();
+    if (!workflow || !(workflow.nodes || []).some((node) => node.id === nodeId)) {
+      return false;
+    }
+
+    // Selection is not part of the dirty-state snapshot.
+    flowdrop.workflowActions.batchUpdate({
+      nodes: workflow.nodes.map((node) => (
+        Boolean(node.selected) === (node.id === nodeId) ? node : Object.assign({}, node, { selected: node.id === nodeId })
+      )),
+    });
+
+    requestAnimationFrame(() => {
+      const element = container.querySelector(`.svelte-flow__node[data-id="${CSS.escape(nodeId)}"]`);
+      if (!element) {
+        return;
+      }
+      element.focus({ preventScroll: true, focusVisible: true });
+      zoomTo(container, element);
+
+      // Measure once the zoom has been rendered.
+      requestAnimationFrame(() => {
+        const pane = container.querySelector(".svelte-flow__pane");
+        if (pane && element.isConnected) {
+          panTo(pane, element);
+        }
+        element.classList.add("flowdrop-node--focused");
+        setTimeout(() => element.classList.remove("flowdrop-node--focused"), HIGHLIGHT_DURATION);
+      });
+    });
+
+    return true;
+  };
+
+  /**
+   * Gets the IDs of the selected nodes of a mounted FlowDrop canvas.
+   *
+   * Svelte Flow does not write selection back to the workflow store until
+   * the next graph change, so the canvas is the source of truth.
+   *
+   * @param {HTMLElement} container
+   *   The element the FlowDrop app is mounted in.
+   *
+   * @return {string[]}
+   *   The node IDs.
+   */
+  Drupal.FlowDrop.getSelectedNodeIds = function (container) {
+    const elements = container.querySelectorAll(".svelte-flow__node.selected[data-id]");
+    if (elements.length) {
+      return Array.from(elements, (element) => element.dataset.id);
+    }
+    const app = container.flowdropApp;
+    const workflow = app && app.getWorkflow();
+    return ((workflow && workflow.nodes) || []).filter((node) => node.selected).map((node) => node.id);
+  };
+
+})(Drupal);
@@ -0,0 +1,769 @@
+/**
+ * @file
+ * Collapsible node groups for FlowDrop editors.
+ *
+ * A group frames a set of nodes, moves them together when its header is
+ * dragged and can be collapsed into a single card that lists the ports
+ * connecting the group to the rest of the graph. Groups are kept in the
+ * workflow metadata as {id, label, nodeIds, collapsed}, so they are saved
+ * and restored with the workflow without becoming part of the graph.
+ *
+ * The library's node types are fixed, so frames are drawn in Svelte Flow's
+ * back viewport layer, which pans and zooms with the canvas. Members of a
+ * collapsed group are hidden through Svelte Flow's "hidden" node flag.
+ */
+
+(function (Drupal) {
+  "use strict";
+
+  Drupal.FlowDrop = Drupal.FlowDrop || {};
+
+  /**
+   * Space between a frame and its nodes, in pixels.
+   */
+  const FRAME_PADDING = 24;
+
+  /**
+   * Height of the frame header, in pixels.
+   */
+  const HEADER_HEIGHT = 32;
+
+  /**
+   * Width of a collapsed group, in pixels.
+   */
+  const CARD_WIDTH = 240;
+
+  /**
+   * Node size used until a node has been rendered, in pixels.
+   */
+  const DEFAULT_SIZE = { width: 260, height: 120 };
+
+  /**
+   * Execution statuses shown on collapsed groups, most important first.
+   */
+  const STATUSES = ["running", "failed", "completed"];
+
+  /**
+   * Whether an event comes from a place where text is typed.
+   */
+  function isEditable(target) {
+    return !!(target && target.closest && target.closest("input, textarea, select, [contenteditable]:not([contenteditable='false'])"));
+  }
+
+  /**
+   * Gets the groups of a workflow.
+   *
+   * @return {Array}
+   *   List of {id, label, nodeIds, collapsed} objects.
+   */
+  function getGroups(workflow) {
+    return (workflow && workflow.metadata && Array.isArray(workflow.metadata.groups)) ? workflow.metadata.groups : [];
+  }
+
+  /**
+   * Gets the port of a node an edge handle belongs to.
+   *
+   * Handles are named "{nodeId}-{input|output}-{portId}".
+   */
+  function portId(handle, nodeId, direction) {
+    const prefix = `${nodeId}-${direction}-`;
+    return handle && handle.indexOf(prefix) === 0 ? handle.slice(prefix.length) : (handle || direction);
+  }
+
+  /**
+   * Node groups of one mounted editor.
+   */
+  class NodeGroups {
+    /**
+     * @param {object} app
+     *   The mounted app.
+     * @param {HTMLElement} container
+     *   The element the app is mounted in.
+     * @param {object} [options]
+     *   - readOnly: Only show the groups and let them be collapsed and
+     *     expanded; they cannot be created, renamed, moved or removed.
+     */
+    constructor(app, container, options = {}) {
+      this.app = app;
+      this.container = container;
+      this.readOnly = !!options.readOnly;
+      this.library = app.library || window.FlowDrop;
+      this.updating = false;
+      this.frame = null;
+      this.layer = null;
+      this.elements = new Map();
+      // Last rendered size of each node, for members that are hidden.
+      this.sizes = {};
+      this.savedKey = null;
+
+      this.onKeydown = (event) => this.handleKeydown(event);
+      this.observer = new MutationObserver(() => this.scheduleRender());
+      this.unsubscribe = null;
+    }
+
+    /**
+     * Starts tracking the canvas.
+     */
+    attach() {
+      this.savedKey = this.getKey();
+      document.addEventListener("keydown", this.onKeydown);
+      this.observer.observe(this.container, { childList: true, subtree: true });
+      this.unsubscribe = this.library.workflowStore.subscribe((workflow) => {
+        this.handleStoreChange(workflow);
+      });
+      return this;
+    }
+
+    /**
+     * Stops tracking the canvas.
+     */
+    detach() {
+      document.removeEventListener("keydown", this.onKeydown);
+      this.observer.disconnect();
+      cancelAnimationFrame(this.frame);
+      if (this.unsubscribe) {
+        this.unsubscribe();
+        this.unsubscribe = null;
+      }
+      if (this.layer) {
+        this.layer.remove();
+        this.layer = null;
+      }
+      this.elements.clear();
+    }
+
+    /**
+     * Gets the groups of the workflow being edited.
+     */
+    getGroups() {
+      return getGroups(this.app.getWorkflow());
+    }
+
+    /**
+     * Builds a comparison key for the groups, to tell whether they changed.
+     */
+    getKey() {
+      return JSON.stringify(this.getGroups());
+    }
+
+    /**
+     * Whether the groups changed since the workflow was last saved.
+     */
+    isChanged() {
+      return this.getKey() !== this.savedKey;
+    }
+
+    /**
+     * Records the current groups as saved.
+     */
+    markAsSaved() {
+      this.savedKey = this.getKey();
+    }
+
+    /**
+     * Replaces the groups of the workflow.
+     *
+     * Group metadata is not part of the library's dirty-state snapshot, so
+     * the dirty flag is raised here.
+     */
+    setGroups(groups) {
+      this.library.workflowActions.updateMetadata({ groups: groups });
+      if (this.isChanged()) {
+        this.library.isDirtyStore.set(true);
+      }
+    }
+
+    /**
+     * Groups nodes.
+     *
+     * Nodes leave the groups they were in; groups left empty are removed.
+     *
+     * @param {string[]} nodeIds
+     *   The IDs of the nodes.
+     * @param {string} [label]
+     *   The group label.
+     *
+     * @return {object|null}
+     *   The new group, or NULL without nodes.
+     */
+    group(nodeIds, label) {
+      if (!nodeIds.length) {
+        return null;
+      }
+      const ids = new Set(nodeIds);
+      const groups = this.getGroups().map((group) => Object.assign({}, group, {
+        nodeIds: group.nodeIds.filter((id) => !ids.has(id)),
+      })).filter((group) => group.nodeIds.length);
+
+      const number = groups.reduce((max, group) => {
+        const match = /^group\.(\d+)$/.exec(group.id);
+        return match ? Math.max(max, Number(match[1])) : max;
+      }, 0) + 1;
+      const group = {
+        id: `group.${number}`,
+        label: label || Drupal.t("Group @number", { "@number": number }),
+        nodeIds: nodeIds.slice(),
+        collapsed: false,
+      };
+      this.setGroups(groups.concat([group]));
+      Drupal.announce(Drupal.formatPlural(nodeIds.length, "Grouped 1 node", "Grouped @count nodes"));
+      return group;
+    }
+
+    /**
+     * Removes a group, leaving its nodes on the canvas.
+     */
+    ungroup(groupId) {
+      const group = this.getGroups().find((item) => item.id === groupId);
+      if (group) {
+        this.setGroups(this.getGroups().filter((item) => item.id !== groupId));
+        Drupal.announce(Drupal.t("Removed group @label", { "@label": group.label }));
+      }
+    }
+
+    /**
+     * Collapses or expands a group.
+     *
+     * @param {string} groupId
+     *   The group ID.
+     * @param {boolean} [collapsed]
+     *   Whether to collapse; toggles when omitted.
+     */
+    toggle(groupId, collapsed) {
+      let label = null;
+      let state = false;
+      this.setGroups(this.getGroups().map((group) => {
+        if (group.id !== groupId) {
+          return group;
+        }
+        label = group.label;
+        state = collapsed === undefined ? !group.collapsed : collapsed;
+        return Object.assign({}, group, { collapsed: state });
+      }));
+      if (label !== null) {
+        Drupal.announce(state ? Drupal.t("Collapsed group @label", { "@label": label }) : Drupal.t("Expanded group @label", { "@label": label }));
+      }
+    }
+
+    /**
+     * Renames a group.
+     */
+    rename(groupId, label) {
+      this.setGroups(this.getGroups().map((group) => (group.id === groupId ? Object.assign({}, group, { label: label }) : group)));
+    }
+
+    /**
+     * Moves the nodes of a group.
+     *
+     * @param {string} groupId
+     *   The group ID.
+     * @param {object} start
+     *   Positions of the members when the move began, keyed by node ID.
+     * @param {number} dx
+     *   Horizontal distance in canvas pixels.
+     * @param {number} dy
+     *   Vertical distance in canvas pixels.
+     */
+    move(groupId, start, dx, dy) {
+      const workflow = this.app.getWorkflow();
+      this.library.workflowActions.batchUpdate({
+        nodes: workflow.nodes.map((node) => (
+          start[node.id] ? Object.assign({}, node, { position: { x: start[node.id].x + dx, y: start[node.id].y + dy } }) : node
+        )),
+      });
+    }
+
+    /**
+     * Keeps the groups and the hidden flags in line with the graph.
+     */
+    handleStoreChange(workflow) {
+      if (this.updating || !workflow) {
+        return;
+      }
+      this.updating = true;
+      try {
+        this.sync(workflow);
+      } finally {
+        this.updating = false;
+      }
+      this.scheduleRender();
+    }
+
+    /**
+     * Drops deleted nodes from groups and hides members of collapsed ones.
+     */
+    sync(workflow) {
+      const nodeIds = new Set((workflow.nodes || []).map((node) => node.id));
+      const groups = getGroups(workflow);
+      const pruned = groups.map((group) => (
+        group.nodeIds.every((id) => nodeIds.has(id)) ? group : Object.assign({}, group, { nodeIds: group.nodeIds.filter((id) => nodeIds.has(id)) })
+      )).filter((group) => group.nodeIds.length);
+      if (pruned.length !== groups.length || pruned.some((group, index) => group !== groups[index])) {
+        this.setGroups(pruned);
+        workflow = this.app.getWorkflow();
+      }
+
+      const hidden = new Set();
+      pruned.filter((group) => group.collapsed).forEach((group) => {
+        group.nodeIds.forEach((id) => hidden.add(id));
+      });
+      let changed = false;
+      const nodes = (workflow.nodes || []).map((node) => {
+        if (Boolean(node.hidden) === hidden.has(node.id)) {
+          return node;
+        }
+        changed = true;
+        return Object.assign({}, node, { hidden: hidden.has(node.id) });
+      });
+      const edges = (workflow.edges || []).map((edge) => {
+        const isHidden = hidden.has(edge.source) || hidden.has(edge.target);
+        if (Boolean(edge.hidden) === isHidden) {
+          return edge;
+        }
+        changed = true;
+        return Object.assign({}, edge, { hidden: isHidden });
+      });
+      // Hidden flags are not part of the dirty-state snapshot.
+      if (changed) {
+        this.library.workflowActions.batchUpdate({ nodes: nodes, edges: edges });
+      }
+    }
+
+    /**
+     * Groups the selection on Ctrl+G and ungroups it on Ctrl+Shift+G.
+     */
+    handleKeydown(event) {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey || event.key.toLowerCase() !== "g") {
+        return;
+      }
+      if (this.readOnly || Drupal.FlowDrop.getActiveApp() !== this.app || isEditable(event.target)) {
+        return;
+      }
+      const selected = Drupal.FlowDrop.getSelectedNodeIds(this.container);
+      if (!selected.length) {
+        return;
+      }
+      event.preventDefault();
+      if (event.shiftKey) {
+        this.getGroups().filter((group) => group.nodeIds.some((id) => selected.indexOf(id) !== -1)).forEach((group) => {
+          this.ungroup(group.id);
+        });
+      } else {
+        this.group(selected);
+      }
+    }
+
+    /**
+     * Renders the groups on the next animation frame.
+     */
+    scheduleRender() {
+      cancelAnimationFrame(this.frame);
+      this.frame = requestAnimationFrame(() => this.render());
+    }
+
+    /**
+     * Gets the zoom level of the canvas.
+     */
+    getZoom() {
+      const viewport = this.container.querySelector(".svelte-flow__viewport");
+      return viewport ? new DOMMatrixReadOnly(getComputedStyle(viewport).transform).a || 1 : 1;
+    }
+
+    /**
+     * Converts the center of an element to canvas coordinates.
+     */
+    toCanvas(element) {
+      const origin = this.layer.getBoundingClientRect();
+      const rect = element.getBoundingClientRect();
+      const zoom = this.getZoom();
+      return {
+        x: (rect.left + rect.width / 2 - origin.left) / zoom,
+        y: (rect.top + rect.height / 2 - origin.top) / zoom,
+      };
+    }
+
+    /**
+     * Gets the size of a node, remembering it for when it is hidden.
+     */
+    getSize(node) {
+      const element = this.container.querySelector(`.svelte-flow__node[data-id="${CSS.escape(node.id)}"]`);
+      if (element && element.offsetWidth) {
+        this.sizes[node.id] = { width: element.offsetWidth, height: element.offsetHeight };
+      }
+      return this.sizes[node.id] || DEFAULT_SIZE;
+    }
+
+    /**
+     * Draws frames and collapsed groups on the canvas.
+     */
+    render() {
+      const back = this.container.querySelector(".svelte-flow__viewport-back");
+      const workflow = this.app.getWorkflow();
+      if (!back || !workflow) {
+        return;
+      }
+
+      // Pause the observer so our own DOM changes do not trigger it.
+      this.observer.disconnect();
+
+      if (!this.layer || this.layer.parentNode !== back) {
+        this.layer = document.createElement("div");
+        this.layer.className = "flowdrop-groups";
+        this.layer.innerHTML = "<svg class=\"flowdrop-groups__connectors\" aria-hidden=\"true\"></svg>";
+        back.appendChild(this.layer);
+        this.elements.clear();
+      }
+
+      const byId = {};
+      (workflow.nodes || []).forEach((node) => {
+        byId[node.id] = node;
+      });
+      const groups = getGroups(workflow);
+      const present = new Set(groups.map((group) => group.id));
+      this.elements.forEach((element, id) => {
+        if (!present.has(id)) {
+          element.remove();
+          this.elements.delete(id);
+        }
+      });
+
+      groups.forEach((group) => {
+        const members = group.nodeIds.map((id) => byId[id]).filter(Boolean);
+        if (!members.length) {
+          return;
+        }
+        const element = this.elements.get(group.id) || this.createElement(group.id);
+        const bounds = members.reduce((box, node) => {
+          const size = this.getSize(node);
+          const position = node.position || { x: 0, y: 0 };
+          return {
+            left: Math.min(box.left, position.x),
+            top: Math.min(box.top, position.y),
+            right: Math.max(box.right, position.x + size.width),
+            bottom: Math.max(box.bottom, position.y + size.height),
+          };
+        }, { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity });
+
+        element.classList.toggle("flowdrop-group--collapsed", !!group.collapsed);
+        element.style.left = `${bounds.left - FRAME_PADDING}px`;
+        element.style.top = `${bounds.top - FRAME_PADDING - HEADER_HEIGHT}px`;
+        element.style.width = `${group.collapsed ? CARD_WIDTH : bounds.right - bounds.left + 2 * FRAME_PADDING}px`;
+        element.style.height = group.collapsed ? "" : `${bounds.bottom - bounds.top + 2 * FRAME_PADDING + HEADER_HEIGHT}px`;
+        element.setAttribute("aria-label", group.label);
+
+        const label = element.querySelector(".flowdrop-group__label");
+        if (label.textContent !== group.label) {
+          label.textContent = group.label;
+        }
+        element.querySelector(".flowdrop-group__count").textContent = Drupal.formatPlural(members.length, "1 node", "@count nodes");
+        const toggle = element.querySelector(".flowdrop-group__toggle");
+        toggle.setAttribute("aria-expanded", group.collapsed ? "false" : "true");
+        toggle.title = group.collapsed ? Drupal.t("Expand group") : Drupal.t("Collapse group");
+        toggle.setAttribute("aria-label", toggle.title);
+
+        const status = group.collapsed ? this.getStatus(members) : null;
+        STATUSES.forEach((item) => element.classList.toggle(`flowdrop-group--status-${item}`, status === item));
+        this.renderPorts(element, group.collapsed ? this.getPorts(group, workflow, byId) : null);
+      });
+
+      this.renderConnectors(workflow);
+      this.observer.observe(this.container, { childList: true, subtree: true });
+    }
+
+    /**
+     * Creates the element of a group.
+     */
+    createElement(groupId) {
+      const element = document.createElement("div");
+      // Svelte Flow neither pans nor drags nodes from these classes.
+      element.className = "flowdrop-group nopan nodrag nowheel";
+      element.setAttribute("role", "group");
+      element.dataset.groupId = groupId;
+      element.innerHTML = "<div class=\"flowdrop-group__header\">" +
+        "<button type=\"button\" class=\"flowdrop-group__toggle\"></button>" +
+        "<span class=\"flowdrop-group__label\"></span>" +
+        "<span class=\"flowdrop-group__count\"></span>" +
+        "<button type=\"button\" class=\"flowdrop-group__ungroup\"></button>" +
+        "</div><div class=\"flowdrop-group__ports\"></div>";
+
+      const ungroup = element.querySelector(".flowdrop-group__ungroup");
+      ungroup.title = Drupal.t("Ungroup");
+      ungroup.setAttribute("aria-label", Drupal.t("Ungroup"));
+      element.querySelector(".flowdrop-group__toggle").addEventListener("click", () => this.toggle(groupId));
+      if (this.readOnly) {
+        ungroup.hidden = true;
+        element.classList.add("flowdrop-group--read-only");
+      } else {
+        ungroup.addEventListener("click", () => this.ungroup(groupId));
+        element.querySelector(".flowdrop-group__label").addEventListener("dblclick", () => this.startRename(element, groupId));
+        element.querySelector(".flowdrop-group__header").addEventListener("pointerdown", (event) => this.startDrag(event, groupId));
+      }
+
+      this.layer.appendChild(element);
+      this.elements.set(groupId, element);
+      return element;
+    }
+
+    /**
+     * Turns the label of a group into a text field.
+     */
+    startRename(element, groupId) {
+      const label = element.querySelector(".flowdrop-group__label");
+      const input = document.createElement("input");
+      input.type = "text";
+      input.className = "flowdrop-group__input";
+      input.value = label.textContent;
+      input.setAttribute("aria-label", Drupal.t("Group name"));
+      label.hidden = true;
+      label.after(input);
+      input.focus();
+      input.select();
+
+      let done = false;
+      const finish = (save) => {
+        if (done) {
+          return;
+        }
+        done = true;
+        input.remove();
+        label.hidden = false;
+        if (save && input.value.trim() && input.value.trim() !== label.textContent) {
+          this.rename(groupId, input.value.trim());
+        }
+      };
+      input.addEventListener("keydown", (event) => {
+        if (event.key === "Enter" || event.key === "Escape") {
+          event.preventDefault();
+          finish(event.key === "Enter");
+        }
+      });
+      input.addEventListener("blur", () => finish(true));
+    }
+
+    /**
+     * Moves the group along with the pointer while its header is dragged.
+     */
+    startDrag(event, groupId) {
+      if (event.button !== 0 || event.target.closest("button, input")) {
+        return;
+      }
+      const group = this.getGroups().find((item) => item.id === groupId);
+      if (!group) {
+        return;
+      }
+      event.preventDefault();
+      event.stopPropagation();
+
+      const ids = new Set(group.nodeIds);
+      const start = {};
+      this.app.getWorkflow().nodes.forEach((node) => {
+        if (ids.has(node.id)) {
+          start[node.id] = node.position || { x: 0, y: 0 };
+        }
+      });
+      const zoom = this.getZoom();
+      const onMove = (moveEvent) => {
+        this.move(groupId, start, (moveEvent.clientX - event.clientX) / zoom, (moveEvent.clientY - event.clientY) / zoom);
+      };
+      const onUp = () => {
+        window.removeEventListener("pointermove", onMove);
+        window.removeEventListener("pointerup", onUp);
+      };
+      window.addEventListener("pointermove", onMove);
+      window.addEventListener("pointerup", onUp);
+    }
+
+    /**
+     * Sums up the execution status of the members of a group.
+     */
+    getStatus(members) {
+      const statuses = members.map((node) => {
+        const info = node.data && node.data.executionInfo;
+        return info ? (info.isExecuting ? "running" : info.status) : null;
+      });
+      return STATUSES.find((status) => statuses.indexOf(status) !== -1) || null;
+    }
+
+    /**
+     * Lists the ports connecting a group to the rest of the graph.
+     *
+     * @return {object}
+     *   {inputs, outputs}, each a list of {handle, label, count}.
+     */
+    getPorts(group, workflow, byId) {
+      const ids = new Set(group.nodeIds);
+      const ports = { inputs: {}, outputs: {} };
+      (workflow.edges || []).forEach((edge) => {
+        if (ids.has(edge.source) === ids.has(edge.target)) {
+          return;
+        }
+        const inside = ids.has(edge.target) ? edge.target : edge.source;
+        const handle = ids.has(edge.target) ? edge.targetHandle : edge.sourceHandle;
+        const list = ids.has(edge.target) ? ports.inputs : ports.outputs;
+        const key = handle || inside;
+        if (!list[key]) {
+          const node = byId[inside];
+          list[key] = {
+            handle: key,
+            label: `${(node.data && node.data.label) || inside}: ${portId(handle, inside, ids.has(edge.target) ? "input" : "output")}`,
+            count: 0,
+          };
+        }
+        list[key].count++;
+      });
+      return {
+        inputs: Object.values(ports.inputs),
+        outputs: Object.values(ports.outputs),
+      };
+    }
+
+    /**
+     * Lists the ports of a collapsed group.
+     *
+     * @param {HTMLElement} element
+     *   The group element.
+     * @param {object|null} ports
+     *   The ports, or NULL for an expanded group.
+     */
+    renderPorts(element, ports) {
+      const container = element.querySelector(".flowdrop-group__ports");
+      const key = JSON.stringify(ports);
+      if (container.dataset.key === key) {
+        return;
+      }
+      container.dataset.key = key;
+      container.textContent = "";
+      if (!ports) {
+        return;
+      }
+      [["inputs", Drupal.t("Inputs")], ["outputs", Drupal.t("Outputs")]].forEach(([type, title]) => {
+        if (!ports[type].length) {
+          return;
+        }
+        const heading = document.createElement("div");
+        heading.className = "flowdrop-group__ports-title";
+        heading.textContent = title;
+        const list = document.createElement("ul");
+        list.className = `flowdrop-group__port-list flowdrop-group__port-list--${type}`;
+        ports[type].forEach((port) => {
+          const item = document.createElement("li");
+          item.className = "flowdrop-group__port";
+          item.dataset.handle = port.handle;
+          item.textContent = port.count > 1 ? `${port.label} (${port.count})` : port.label;
+          const dot = document.createElement("span");
+          dot.className = "flowdrop-group__port-dot";
+          item.prepend(dot);
+          list.appendChild(item);
+        });
+        container.append(heading, list);
+      });
+    }
+
+    /**
+     * Draws the edges between collapsed groups and visible nodes.
+     */
+    renderConnectors(workflow) {
+      const svg = this.layer.querySelector(".flowdrop-groups__connectors");
+      const paths = [];
+      getGroups(workflow).filter((group) => group.collapsed).forEach((group) => {
+        const element = this.elements.get(group.id);
+        if (!element) {
+          return;
+        }
+        const ids = new Set(group.nodeIds);
+        (workflow.edges || []).forEach((edge) => {
+          if (ids.has(edge.source) === ids.has(edge.target)) {
+            return;
+          }
+          const incoming = ids.has(edge.target);
+          const outside = incoming ? edge.source : edge.target;
+          const outsideHandle = incoming ? edge.sourceHandle : edge.targetHandle;
+          const insideKey = (incoming ? edge.targetHandle : edge.sourceHandle) || (incoming ? edge.target : edge.source);
+          const dot = element.querySelector(`.flowdrop-group__port[data-handle="${CSS.escape(insideKey)}"] .flowdrop-group__port-dot`);
+          const handle = outsideHandle && this.container.querySelector(`.svelte-flow__handle[data-nodeid="${CSS.escape(outside)}"][data-handleid="${CSS.escape(outsideHandle)}"]`);
+          const target = handle || this.container.querySelector(`.svelte-flow__node[data-id="${CSS.escape(outside)}"]`);
+          if (!dot || !target) {
+            return;
+          }
+          const from = this.toCanvas(incoming ? target : dot);
+          const to = this.toCanvas(incoming ? dot : target);
+          const bend = Math.max(40, Math.abs(to.x - from.x) / 2);
+          paths.push(`<path d="M${from.x},${from.y} C${from.x + bend},${from.y} ${to.x - bend},${to.y} ${to.x},${to.y}"></path>`);
+        });
+      });
+      svg.innerHTML = paths.join("");
+    }
+  }
+
+  /**
+   * Adds node groups to a mounted FlowDrop app.
+   *
+   * Group changes count as unsaved changes of the app.
+   *
+   * @param {object} app
+   *   The mounted app.
+   * @param {HTMLElement} container
+   *   The element the app is mounted in.
+   * @param {object} [options]
+   *   Options for NodeGroups.
+   *
+   * @return {NodeGroups}
+   *   The groups, also available as app.groups.
+   */
+  Drupal.FlowDrop.attachGroups = function (app, container, options = {}) {
+    const groups = new NodeGroups(app, container, options).attach();
+    const destroy = app.destroy;
+    const isDirty = app.isDirty;
+    const markAsSaved = app.markAsSaved;
+
+    app.groups = groups;
+    app.isDirty = function () {
+      return isDirty.apply(app, arguments) || groups.isChanged();
+    };
+    app.markAsSaved = function () {
+      groups.markAsSaved();
+      return markAsSaved.apply(app, arguments);
+    };
+    app.destroy = function () {
+      groups.detach();
+      return destroy.apply(app, arguments);
+    };
+
+    return groups;
+  };
+
+  /**
+   * Builds the navbar action that groups the selected nodes.
+   *
+   * @param {HTMLElement} container
+   *   The element the app is mounted in.
+   *
+   * @return {object}
+   *   The navbar action.
+   */
+  Drupal.FlowDrop.groupAction = function (container) {
+    return {
+      label: Drupal.t("Group"),
+      href: "#",
+      variant: "secondary",
+      icon: "mdi:group",
+      shortcut: "Ctrl+G",
+      onclick: function () {
+        const app = container.flowdropApp;
+        if (!app || !app.groups) {
+          return;
+        }
+        const selected = Drupal.FlowDrop.getSelectedNodeIds(container);
+        if (selected.length) {
+          app.groups.group(selected);
+        } else {
+          Drupal.announce(Drupal.t("Select the nodes to group first."));
+        }
+      },
+    };
+  };
+
+  Drupal.FlowDrop.NodeGroups = NodeGroups;
+  Drupal.FlowDrop.getNodeGroups = getGroups;
+
+})(Drupal);
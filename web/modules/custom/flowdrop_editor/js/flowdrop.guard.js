@@ -0,0 +1,294 @@
+/**
+ * @file
+ * Unsaved-changes guard for FlowDrop editors.
+ *
+ * Keeps people from losing work when they leave an editor with a dirty
+ * workflow: links inside the editor (the navbar "Back" action), browser
+ * back, closing the tab and closing the Drupal dialog or off-canvas tray
+ * the editor lives in. Where the browser allows it, the user is asked to
+ * Save, Discard or Cancel; on tab close only the native prompt is possible.
+ */
+
+(function (Drupal) {
+  "use strict";
+
+  Drupal.FlowDrop = Drupal.FlowDrop || {};
+
+  /**
+   * Asks what to do with unsaved changes.
+   *
+   * @param {object} [options]
+   *   - title: The dialog title.
+   *   - message: The question.
+   *
+   * @return {Promise<string>}
+   *   'save', 'discard' or 'cancel'.
+   */
+  Drupal.FlowDrop.confirmUnsavedChanges = function (options = {}) {
+    return new Promise((resolve) => {
+      const element = document.createElement("div");
+      element.className = "flowdrop-unsaved-dialog";
+      const message = document.createElement("p");
+      message.textContent = options.message || Drupal.t("This workflow has changes that have not been saved.");
+      element.appendChild(message);
+
+      let choice = "cancel";
+      const dialog = Drupal.dialog(element, {
+        title: options.title || Drupal.t("Unsaved changes"),
+        width: "480px",
+        buttons: [
+          {
+            text: Drupal.t("Save"),
+            class: "button--primary",
+            click: function () {
+              choice = "save";
+              dialog.close();
+            },
+          },
+          {
+            text: Drupal.t("Discard"),
+            click: function () {
+              choice = "discard";
+              dialog.close();
+            },
+          },
+          {
+            text: Drupal.t("Cancel"),
+            click: function () {
+              dialog.close();
+            },
+          },
+        ],
+        close: function () {
+          resolve(choice);
+          element.remove();
+        },
+      });
+      dialog.showModal();
+    });
+  };
+
+  /**
+   * Navigation guard bound to one mounted editor.
+   */
+  class NavigationGuard {
+    /**
+     * @param {object} app
+     *   The mounted app.
+     * @param {HTMLElement} container
+     *   The element the app is mounted in.
+     * @param {object} [options]
+     *   - confirm: Replaces Drupal.FlowDrop.confirmUnsavedChanges().
+     */
+    constructor(app, container, options = {}) {
+      this.app = app;
+      this.container = container;
+      this.confirm = options.confirm || Drupal.FlowDrop.confirmUnsavedChanges;
+      this.library = app.library || window.FlowDrop;
+      this.bypass = false;
+      this.armed = false;
+      this.prompting = false;
+      this.unsubscribe = null;
+      this.dialogContent = null;
+
+      this.onClick = (event) => this.handleClick(event);
+      this.onBeforeUnload = (event) => this.handleBeforeUnload(event);
+      this.onPopState = (event) => this.handlePopState(event);
+      this.onDialogBeforeClose = () => this.handleDialogBeforeClose();
+    }
+
+    /**
+     * Starts guarding.
+     */
+    attach() {
+      this.container.addEventListener("click", this.onClick, true);
+      window.addEventListener("beforeunload", this.onBeforeUnload);
+      window.addEventListener("popstate", this.onPopState);
+
+      // Browser back is only intercepted while there is something to lose.
+      this.unsubscribe = this.library.isDirtyStore.subscribe((dirty) => {
+        if (dirty) {
+          this.arm();
+        }
+      });
+
+      // Drupal dialogs and the off-canvas tray are jQuery UI dialogs, whose
+      // close can be vetoed from "dialogbeforeclose".
+      this.dialogContent = this.container.closest(".ui-dialog-content");
+      if (this.dialogContent && window.jQuery) {
+        window.jQuery(this.dialogContent).on("dialogbeforeclose", this.onDialogBeforeClose);
+      }
+      return this;
+    }
+
+    /**
+     * Stops guarding.
+     */
+    detach() {
+      this.container.removeEventListener("click", this.onClick, true);
+      window.removeEventListener("beforeunload", this.onBeforeUnload);
+      window.removeEventListener("popstate", this.onPopState);
+      if (this.unsubscribe) {
+        this.unsubscribe();
+        this.unsubscribe = null;
+      }
+      if (this.dialogContent && window.jQuery) {
+        window.jQuery(this.dialogContent).off("dialogbeforeclose", this.onDialogBeforeClose);
+      }
+      this.dialogContent = null;
+    }
+
+    /**
+     * Whether leaving now would lose changes.
+     */
+    isDirty() {
+      return !this.bypass && this.app.isDirty();
+    }
+
+    /**
+     * Adds a history entry so browser back stays on the page once.
+     */
+    arm() {
+      if (this.armed || this.bypass) {
+        return;
+      }
+      window.history.pushState({ flowdropGuard: true }, "");
+      this.armed = true;
+    }
+
+    /**
+     * Asks what to do with the changes and carries it out.
+     *
+     * @param {Function} leave
+     *   Leaves the editor.
+     *
+     * @return {Promise<boolean>}
+     *   TRUE if the editor was left.
+     */
+    async prompt(leave) {
+      if (this.prompting) {
+        return false;
+      }
+      this.prompting = true;
+      try {
+        const choice = await this.confirm();
+        if (choice === "save") {
+          try {
+            const result = await this.app.save();
+            if (result && result.cancelled) {
+              return false;
+            }
+          } catch (error) {
+            // The save reported its own error; stay on the page.
+            return false;
+          }
+        } else if (choice === "discard") {
+          // Keeps the discarded changes from being stored as a draft when
+          // the editor is torn down, and drops the one stored so far.
+          this.app.markAsSaved();
+          if (this.app.drafts) {
+            this.app.drafts.discard();
+          }
+        } else {
+          return false;
+        }
+        this.bypass = true;
+        leave();
+        return true;
+      } finally {
+        this.prompting = false;
+      }
+    }
+
+    /**
+     * Intercepts links that leave the editor.
+     */
+    handleClick(event) {
+      const link = event.target.closest && event.target.closest("a[href]");
+      if (!link || event.defaultPrevented || event.button !== 0 || event.ctrlKey || event.metaKey || event.shiftKey) {
+        return;
+      }
+      const href = link.getAttribute("href");
+      if (!href || href.charAt(0) === "#" || href.indexOf("javascript:") === 0 || link.target === "_blank" || !this.isDirty()) {
+        return;
+      }
+      event.preventDefault();
+      event.stopPropagation();
+      this.prompt(() => {
+        window.location.href = link.href;
+      });
+    }
+
+    /**
+     * Shows the browser's own prompt when the tab is closed or reloaded.
+     */
+    handleBeforeUnload(event) {
+      if (this.isDirty()) {
+        event.preventDefault();
+        event.returnValue = "";
+      }
+    }
+
+    /**
+     * Handles browser back out of the armed history entry.
+     */
+    handlePopState() {
+      if (!this.armed) {
+        return;
+      }
+      this.armed = false;
+      if (!this.isDirty()) {
+        window.history.back();
+        return;
+      }
+      this.prompt(() => window.history.back()).then((left) => {
+        if (!left) {
+          this.arm();
+        }
+      });
+    }
+
+    /**
+     * Vetoes closing the surrounding dialog while there are changes.
+     */
+    handleDialogBeforeClose() {
+      if (!this.isDirty()) {
+        return true;
+      }
+      const content = this.dialogContent;
+      this.prompt(() => {
+        window.jQuery(content).dialog("close");
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Guards a mounted FlowDrop app against losing unsaved changes.
+   *
+   * @param {object} app
+   *   The mounted app, with a save() that resolves once saved.
+   * @param {HTMLElement} container
+   *   The element the app is mounted in.
+   * @param {object} [options]
+   *   Options passed to NavigationGuard.
+   *
+   * @return {NavigationGuard}
+   *   The guard, also available as app.guard.
+   */
+  Drupal.FlowDrop.attachNavigationGuard = function (app, container, options) {
+    const guard = new NavigationGuard(app, container, options).attach();
+    const destroy = app.destroy;
+
+    app.guard = guard;
+    app.destroy = function () {
+      guard.detach();
+      return destroy.apply(app, arguments);
+    };
+
+    return guard;
+  };
+
+  Drupal.FlowDrop.NavigationGuard = NavigationGuard;
+
+})(Drupal);
@@ -0,0 +1,317 @@
+/**
+ * @file
+ * Undo/redo history for FlowDrop editors.
+ *
+ * Records snapshots of the shared FlowDrop workflow store and restores them
+ * on demand. Every canvas operation (node add/remove/move, edge
+ * connect/disconnect, ConfigForm edits) ends up in the workflow store, so
+ * watching the store covers all of them without hooking individual
+ * components.
+ */
+
+(function (Drupal) {
+  "use strict";
+
+  Drupal.FlowDrop = Drupal.FlowDrop || {};
+
+  /**
+   * Builds a comparison key for a workflow.
+   *
+   * Mirrors the library's dirty-state snapshot so history entries line up
+   * with what FlowDrop itself considers a change.
+   *
+   * @param {object|null} workflow
+   *   The workflow from the store.
+   *
+   * @return {string|null}
+   *   A JSON string, or NULL when there is no workflow.
+   */
+  function snapshotKey(workflow) {
+    if (!workflow) {
+      return null;
+    }
+    return JSON.stringify({
+      nodes: (workflow.nodes || []).map((node) => ({
+        id: node.id,
+        position: node.position,
+        label: node.data?.label,
+        config: node.data?.config,
+      })),
+      edges: (workflow.edges || []).map((edge) => ({
+        id: edge.id,
+        source: edge.source,
+        target: edge.target,
+        sourceHandle: edge.sourceHandle,
+        targetHandle: edge.targetHandle,
+      })),
+    });
+  }
+
+  /**
+   * Clones the nodes and edges of a workflow.
+   *
+   * JSON cloning drops the callbacks the editor injects into node data
+   * (e.g. onConfigOpen); the editor re-adds them when the store changes.
+   */
+  function cloneGraph(workflow) {
+    return JSON.parse(JSON.stringify({
+      nodes: workflow.nodes || [],
+      edges: workflow.edges || [],
+    }));
+  }
+
+  /**
+   * Bounded undo/redo stack over the FlowDrop workflow store.
+   */
+  class WorkflowHistory {
+    /**
+     * @param {object} [options]
+     *   - limit: Maximum number of undo steps kept (default 50).
+     *   - coalesceDelay: Quiet period in milliseconds before a change is
+     *     committed, so a node drag becomes one step (default 300).
+     *   - onChange: Called with the history after the stacks change.
+     *   - library: The FlowDrop library whose store is watched (default
+     *     window.FlowDrop).
+     */
+    constructor(options = {}) {
+      this.limit = options.limit || 50;
+      this.coalesceDelay = options.coalesceDelay ?? 300;
+      this.onChange = options.onChange || null;
+      this.library = options.library || window.FlowDrop;
+      this.past = [];
+      this.future = [];
+      this.present = null;
+      this.pending = null;
+      this.timer = null;
+      this.applying = false;
+      this.unsubscribe = null;
+    }
+
+    /**
+     * Starts watching the workflow store.
+     */
+    attach() {
+      if (this.unsubscribe) {
+        return this;
+      }
+      this.unsubscribe = this.library.workflowStore.subscribe((workflow) => {
+        this.handleStoreChange(workflow);
+      });
+      return this;
+    }
+
+    /**
+     * Stops watching the workflow store and drops all entries.
+     */
+    detach() {
+      if (this.unsubscribe) {
+        this.unsubscribe();
+        this.unsubscribe = null;
+      }
+      clearTimeout(this.timer);
+      this.past = [];
+      this.future = [];
+      this.present = null;
+      this.pending = null;
+    }
+
+    /**
+     * Forgets all history and uses the current workflow as the baseline.
+     */
+    reset() {
+      clearTimeout(this.timer);
+      this.pending = null;
+      this.past = [];
+      this.future = [];
+      const workflow = this.library.getWorkflowFromStore();
+      this.present = workflow ? this.createEntry(workflow) : null;
+      this.notify();
+    }
+
+    /**
+     * Creates a history entry for a workflow.
+     */
+    createEntry(workflow) {
+      return {
+        key: snapshotKey(workflow),
+        graph: cloneGraph(workflow),
+      };
+    }
+
+    /**
+     * Reacts to a workflow store update.
+     */
+    handleStoreChange(workflow) {
+      if (this.applying || !workflow) {
+        return;
+      }
+      if (!this.present) {
+        this.present = this.createEntry(workflow);
+        return;
+      }
+      this.pending = workflow;
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.commit(), this.coalesceDelay);
+    }
+
+    /**
+     * Commits a pending store change as a new history step.
+     */
+    commit() {
+      clearTimeout(this.timer);
+      if (!this.pending) {
+        return;
+      }
+      const entry = this.createEntry(this.pending);
+      this.pending = null;
+      if (this.present && entry.key === this.present.key) {
+        return;
+      }
+      if (this.present) {
+        this.past.push(this.present);
+        if (this.past.length > this.limit) {
+          this.past.shift();
+        }
+      }
+      this.present = entry;
+      this.future = [];
+      this.notify();
+    }
+
+    /**
+     * Writes a history entry back into the workflow store.
+     */
+    apply(entry) {
+      const graph = JSON.parse(JSON.stringify(entry.graph));
+      this.applying = true;
+      try {
+        this.library.workflowActions.batchUpdate({
+          nodes: graph.nodes,
+          edges: graph.edges,
+        });
+      } finally {
+        this.applying = false;
+      }
+    }
+
+    /**
+     * Reverts the last change.
+     *
+     * @return {boolean}
+     *   TRUE if a step was undone.
+     */
+    undo() {
+      this.commit();
+      if (!this.past.length) {
+        return false;
+      }
+      this.future.push(this.present);
+      this.present = this.past.pop();
+      this.apply(this.present);
+      this.notify();
+      return true;
+    }
+
+    /**
+     * Re-applies the last undone change.
+     *
+     * @return {boolean}
+     *   TRUE if a step was redone.
+     */
+    redo() {
+      this.commit();
+      if (!this.future.length) {
+        return false;
+      }
+      this.past.push(this.present);
+      this.present = this.future.pop();
+      this.apply(this.present);
+      this.notify();
+      return true;
+    }
+
+    /**
+     * Whether there is a change that undo() would revert.
+     */
+    canUndo() {
+      return this.past.length > 0 || (this.pending !== null && snapshotKey(this.pending) !== this.present?.key);
+    }
+
+    /**
+     * Whether there is an undone change that redo() would re-apply.
+     */
+    canRedo() {
+      return this.future.length > 0;
+    }
+
+    /**
+     * Reports a stack change to the onChange callback.
+     */
+    notify() {
+      if (this.onChange) {
+        this.onChange(this);
+      }
+    }
+  }
+
+  /**
+   * Adds undo()/redo()/canUndo()/canRedo() to a mounted FlowDrop app.
+   *
+   * @param {object} app
+   *   The handle returned by FlowDrop.mountFlowDropApp().
+   * @param {object} [options]
+   *   Options passed to WorkflowHistory.
+   *
+   * @return {WorkflowHistory}
+   *   The history instance, also available as app.history.
+   */
+  Drupal.FlowDrop.attachHistory = function (app, options) {
+    const history = new WorkflowHistory(Object.assign({ library: app.library }, options)).attach();
+    const destroy = app.destroy;
+
+    app.history = history;
+    app.undo = () => history.undo();
+    app.redo = () => history.redo();
+    app.canUndo = () => history.canUndo();
+    app.canRedo = () => history.canRedo();
+    app.destroy = function () {
+      history.detach();
+      return destroy.apply(app, arguments);
+    };
+
+    return history;
+  };
+
+  /**
+   * Maps an undo/redo keyboard shortcut to a history action.
+   *
+   * Keystrokes inside form fields are left alone so text inputs in the
+   * config sidebar keep their native undo.
+   *
+   * @param {KeyboardEvent} event
+   *   The keydown event.
+   *
+   * @return {string|null}
+   *   'undo', 'redo' or NULL.
+   */
+  Drupal.FlowDrop.getHistoryShortcut = function (event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+      return null;
+    }
+    const target = event.target;
+    if (target && (target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName))) {
+      return null;
+    }
+    const key = event.key.toLowerCase();
+    if (key === "z") {
+      return event.shiftKey ? "redo" : "undo";
+    }
+    if (key === "y" && !event.shiftKey) {
+      return "redo";
+    }
+    return null;
+  };
+
+  Drupal.FlowDrop.WorkflowHistory = WorkflowHistory;
+
+})(Drupal);
@@ -0,0 +1,334 @@
+/**
+ * @file
+ * Auto-layout for FlowDrop editors.
+ *
+ * Arranges the graph in columns by execution order: inputs on the left,
+ * agents and other steps in the middle, outputs on the right. Tools are
+ * fanned out beneath the agent that owns them instead of taking a column of
+ * their own. The new positions end up in the workflow store like a drag
+ * would, so they are saved with the workflow.
+ */
+
+(function (Drupal) {
+  "use strict";
+
+  Drupal.FlowDrop = Drupal.FlowDrop || {};
+
+  /**
+   * Spacing and fallback node sizes, in pixels.
+   */
+  const SPACING = {
+    column: 120,
+    row: 60,
+    fan: 40,
+    tool: 24,
+    toolsPerRow: 4,
+    nodeWidth: 260,
+    nodeHeight: 120,
+  };
+
+  /**
+   * How long nodes take to move to their new positions, in milliseconds.
+   */
+  const ANIMATION_DURATION = 300;
+
+  /**
+   * Gets the part a node plays in the layout.
+   *
+   * @return {string}
+   *   'input', 'output', 'agent', 'tool' or 'step'.
+   */
+  function nodeRole(node) {
+    const data = node.data || {};
+    const metadata = data.metadata || {};
+    if (data.nodeType === "tool" || metadata.type === "tool") {
+      return "tool";
+    }
+    if (data.nodeType === "agent" || metadata.type === "agent") {
+      return "agent";
+    }
+    if (metadata.category === "inputs") {
+      return "input";
+    }
+    if (metadata.category === "outputs") {
+      return "output";
+    }
+    return "step";
+  }
+
+  /**
+   * Computes new positions for nodes of a workflow.
+   *
+   * @param {object} workflow
+   *   The workflow.
+   * @param {object} library
+   *   The FlowDrop library, for getExecutionOrder().
+   * @param {object} [options]
+   *   - nodeIds: Only arrange these nodes (default all).
+   *   - getSize: Returns {width, height} of a node, or NULL for the
+   *     default size.
+   *
+   * @return {object}
+   *   Positions keyed by node ID. The arranged nodes keep the top-left
+   *   corner of their current bounding box.
+   */
+  function computeLayout(workflow, library, options = {}) {
+    const ids = new Set(options.nodeIds || (workflow.nodes || []).map((node) => node.id));
+    const nodes = (workflow.nodes || []).filter((node) => ids.has(node.id));
+    const edges = (workflow.edges || []).filter((edge) => ids.has(edge.source) && ids.has(edge.target));
+    if (!nodes.length) {
+      return {};
+    }
+    const byId = {};
+    nodes.forEach((node) => {
+      byId[node.id] = node;
+    });
+    const size = (node) => (options.getSize && options.getSize(node)) || { width: SPACING.nodeWidth, height: SPACING.nodeHeight };
+
+    // Tools belong to the first agent they are connected to.
+    const owner = {};
+    const tools = {};
+    nodes.filter((node) => nodeRole(node) === "tool").forEach((node) => {
+      const edge = edges.find((item) => (
+        (item.target === node.id && nodeRole(byId[item.source]) === "agent") || (item.source === node.id && nodeRole(byId[item.target]) === "agent")
+      ));
+      if (edge) {
+        owner[node.id] = edge.source === node.id ? edge.target : edge.source;
+        (tools[owner[node.id]] = tools[owner[node.id]] || []).push(node);
+      }
+    });
+
+    // Everything else gets a column by execution order. Nodes on a cycle
+    // are missing from the order and keep their place in the workflow.
+    const ranked = nodes.filter((node) => !owner[node.id]);
+    const rankedEdges = edges.filter((edge) => !owner[edge.source] && !owner[edge.target]);
+    const order = library.getExecutionOrder(ranked, rankedEdges);
+    ranked.forEach((node) => {
+      if (order.indexOf(node.id) === -1) {
+        order.push(node.id);
+      }
+    });
+
+    const hasInputs = ranked.some((node) => nodeRole(node) === "input");
+    const rank = {};
+    order.forEach((id) => {
+      if (nodeRole(byId[id]) === "input") {
+        rank[id] = 0;
+        return;
+      }
+      let value = hasInputs ? 1 : 0;
+      rankedEdges.filter((edge) => edge.target === id && rank[edge.source] !== undefined).forEach((edge) => {
+        value = Math.max(value, rank[edge.source] + 1);
+      });
+      rank[id] = value;
+    });
+    const outputs = order.filter((id) => nodeRole(byId[id]) === "output");
+    const lastRank = Math.max(0, ...order.filter((id) => nodeRole(byId[id]) !== "output").map((id) => rank[id] + 1));
+    outputs.forEach((id) => {
+      rank[id] = lastRank;
+    });
+
+    // Each ranked node is a block: the node with its tools beneath.
+    const blocks = order.map((id) => {
+      const node = byId[id];
+      const nodeSize = size(node);
+      const fan = tools[id] || [];
+      const perRow = Math.min(fan.length, SPACING.toolsPerRow);
+      const toolSize = fan.length ? fan.map(size).reduce((max, item) => ({
+        width: Math.max(max.width, item.width),
+        height: Math.max(max.height, item.height),
+      })) : { width: 0, height: 0 };
+      const rows = perRow ? Math.ceil(fan.length / perRow) : 0;
+      const fanWidth = perRow * toolSize.width + Math.max(0, perRow - 1) * SPACING.tool;
+      return {
+        id: id,
+        rank: rank[id],
+        node: nodeSize,
+        fan: fan,
+        perRow: perRow,
+        toolSize: toolSize,
+        width: Math.max(nodeSize.width, fanWidth),
+        height: nodeSize.height + (rows ? SPACING.fan + rows * toolSize.height + (rows - 1) * SPACING.tool : 0),
+      };
+    });
+
+    const columns = [];
+    blocks.forEach((block) => {
+      (columns[block.rank] = columns[block.rank] || []).push(block);
+    });
+    const columnHeight = (column) => column.reduce((total, block) => total + block.height, 0) + (column.length - 1) * SPACING.row;
+    const tallest = Math.max(...columns.filter(Boolean).map(columnHeight));
+
+    const origin = {
+      x: Math.min(...nodes.map((node) => (node.position && node.position.x) || 0)),
+      y: Math.min(...nodes.map((node) => (node.position && node.position.y) || 0)),
+    };
+    const positions = {};
+    let x = origin.x;
+    columns.forEach((column) => {
+      if (!column) {
+        return;
+      }
+      const width = Math.max(...column.map((block) => block.width));
+      // Shorter columns are centred on the tallest one.
+      let y = origin.y + (tallest - columnHeight(column)) / 2;
+      column.forEach((block) => {
+        const center = x + width / 2;
+        positions[block.id] = { x: Math.round(center - block.node.width / 2), y: Math.round(y) };
+        block.fan.forEach((tool, index) => {
+          const row = Math.floor(index / block.perRow);
+          const inRow = Math.min(block.perRow, block.fan.length - row * block.perRow);
+          const rowWidth = inRow * block.toolSize.width + (inRow - 1) * SPACING.tool;
+          positions[tool.id] = {
+            x: Math.round(center - rowWidth / 2 + (index % block.perRow) * (block.toolSize.width + SPACING.tool)),
+            y: Math.round(y + block.node.height + SPACING.fan + row * (block.toolSize.height + SPACING.tool)),
+          };
+        });
+        y += block.height + SPACING.row;
+      });
+      x += width + SPACING.column;
+    });
+
+    return positions;
+  }
+
+  /**
+   * Moves nodes to new positions.
+   *
+   * @param {object} app
+   *   The mounted app.
+   * @param {object} positions
+   *   Positions keyed by node ID.
+   * @param {boolean} animate
+   *   Whether to move the nodes gradually.
+   *
+   * @return {Promise}
+   *   Resolves once the nodes are in place.
+   */
+  function moveNodes(app, positions, animate) {
+    const library = app.library || window.FlowDrop;
+    const start = {};
+    (app.getWorkflow().nodes || []).forEach((node) => {
+      if (positions[node.id]) {
+        start[node.id] = node.position || { x: 0, y: 0 };
+      }
+    });
+
+    const step = (progress) => {
+      // Ease in and out.
+      const eased = progress < 0.5 ? 2 * progress * progress : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+      library.workflowActions.batchUpdate({
+        nodes: app.getWorkflow().nodes.map((node) => {
+          if (!start[node.id]) {
+            return node;
+          }
+          const from = start[node.id];
+          const to = positions[node.id];
+          return Object.assign({}, node, {
+            position: progress >= 1 ? to : {
+              x: from.x + (to.x - from.x) * eased,
+              y: from.y + (to.y - from.y) * eased,
+            },
+          });
+        }),
+      });
+    };
+
+    if (!animate) {
+      step(1);
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      const began = performance.now();
+      const frame = (now) => {
+        const progress = Math.min(1, (now - began) / ANIMATION_DURATION);
+        step(progress);
+        if (progress < 1) {
+          requestAnimationFrame(frame);
+        } else {
+          resolve();
+        }
+      };
+      requestAnimationFrame(frame);
+    });
+  }
+
+  /**
+   * Arranges the nodes of a mounted FlowDrop app.
+   *
+   * @param {object} app
+   *   The mounted app.
+   * @param {HTMLElement} container
+   *   The element the app is mounted in.
+   * @param {object} [options]
+   *   - selectionOnly: Only arrange the selected nodes. Does nothing when
+   *     fewer than two nodes are selected.
+   *   - animate: Move the nodes gradually (default TRUE unless the user
+   *     prefers reduced motion).
+   *
+   * @return {Promise<number>}
+   *   Resolves with the number of arranged nodes.
+   */
+  Drupal.FlowDrop.autoArrange = async function (app, container, options = {}) {
+    const workflow = app.getWorkflow();
+    if (!workflow) {
+      return 0;
+    }
+    let nodeIds = null;
+    if (options.selectionOnly) {
+      nodeIds = Drupal.FlowDrop.getSelectedNodeIds(container);
+      if (nodeIds.length < 2) {
+        return 0;
+      }
+    }
+
+    const positions = computeLayout(workflow, app.library || window.FlowDrop, {
+      nodeIds: nodeIds,
+      getSize: (node) => {
+        const element = container.querySelector(`.svelte-flow__node[data-id="${CSS.escape(node.id)}"]`);
+        return element && element.offsetWidth ? { width: element.offsetWidth, height: element.offsetHeight } : null;
+      },
+    });
+    const count = Object.keys(positions).length;
+    if (!count) {
+      return 0;
+    }
+
+    const reducedMotion = window.matchMedia && window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+    await moveNodes(app, positions, options.animate ?? !reducedMotion);
+    Drupal.announce(Drupal.formatPlural(count, "Arranged 1 node", "Arranged @count nodes"));
+    return count;
+  };
+
+  /**
+   * Builds the navbar action that arranges an editor.
+   *
+   * Arranges the selection when two or more nodes are selected, otherwise
+   * the whole graph.
+   *
+   * @param {HTMLElement} container
+   *   The element the app is mounted in.
+   *
+   * @return {object}
+   *   The navbar action.
+   */
+  Drupal.FlowDrop.autoArrangeAction = function (container) {
+    return {
+      label: Drupal.t("Auto arrange"),
+      href: "#",
+      variant: "secondary",
+      icon: "mdi:sitemap-outline",
+      onclick: function () {
+        const app = container.flowdropApp;
+        if (!app) {
+          return;
+        }
+        const selectionOnly = Drupal.FlowDrop.getSelectedNodeIds(container).length > 1;
+        Drupal.FlowDrop.autoArrange(app, container, { selectionOnly: selectionOnly });
+      },
+    };
+  };
+
+  Drupal.FlowDrop.computeLayout = computeLayout;
+
+})(Drupal);
@@ -0,0 +1,483 @@
+/**
+ * @file
+ * Minimap for FlowDrop editors.
+ *
+ * Replaces the library's minimap, which cannot be configured from outside
+ * and knows nothing about the state of the nodes. Nodes are colored by
+ * category from CATEGORY_COLOR_TOKENS; running and failed nodes, nodes with
+ * validation errors and command palette matches are marked on top of that.
+ * Clicking the minimap centers the canvas on that point, and dragging keeps
+ * it centered under the pointer. Whether the minimap is shown is
+ * remembered per user in localStorage.
+ *
+ * Svelte Flow's viewport cannot be set from outside the library, so the
+ * canvas is panned the way a user would: by dragging its pane.
+ */
+
+(function (Drupal, drupalSettings) {
+  "use strict";
+
+  Drupal.FlowDrop = Drupal.FlowDrop || {};
+
+  /**
+   * Minimap size, in pixels.
+   */
+  const MAP_SIZE = { width: 200, height: 150 };
+
+  /**
+   * Node size used until a node has been rendered, in pixels.
+   */
+  const DEFAULT_SIZE = { width: 260, height: 120 };
+
+  /**
+   * Space around the graph, in canvas pixels.
+   */
+  const PADDING = 40;
+
+  /**
+   * Statuses marked on the minimap.
+   */
+  const MARKED_STATUSES = ["running", "failed"];
+
+  const SVG_NS = "http://www.w3.org/2000/svg";
+
+  /**
+   * Gets the localStorage key remembering whether the minimap is shown.
+   */
+  function storageKey() {
+    const uid = (drupalSettings.user && drupalSettings.user.uid) || 0;
+    return `flowdrop:user/${uid}/minimap`;
+  }
+
+  /**
+   * Minimap of one mounted editor.
+   */
+  class Minimap {
+    /**
+     * @param {object} app
+     *   The mounted app.
+     * @param {HTMLElement} container
+     *   The element the app is mounted in.
+     * @param {object} [options]
+     *   - width / height: Minimap size in pixels (default 200 × 150).
+     *   - visible: Whether to show the minimap when the user has not
+     *     toggled it yet (default TRUE).
+     */
+    constructor(app, container, options = {}) {
+      this.app = app;
+      this.container = container;
+      this.library = app.library || window.FlowDrop;
+      this.size = {
+        width: options.width || MAP_SIZE.width,
+        height: options.height || MAP_SIZE.height,
+      };
+      this.visible = this.loadVisibility(options.visible !== false);
+      this.matches = new Set();
+      this.element = null;
+      this.viewBox = null;
+      this.dragging = false;
+      this.frame = null;
+      this.panFrame = null;
+      this.pending = null;
+      this.unsubscribe = null;
+
+      this.observer = new MutationObserver(() => this.scheduleRender());
+      this.onPointerDown = (event) => this.handlePointerDown(event);
+      this.onPointerMove = (event) => this.handlePointerMove(event);
+      this.onPointerUp = (event) => this.handlePointerUp(event);
+    }
+
+    /**
+     * Shows the minimap and starts following the canvas.
+     */
+    attach() {
+      this.container.classList.add("flowdrop-editor--minimap");
+      this.observe();
+      this.unsubscribe = this.library.workflowStore.subscribe(() => this.scheduleRender());
+      this.render();
+      return this;
+    }
+
+    /**
+     * Removes the minimap.
+     */
+    detach() {
+      this.observer.disconnect();
+      cancelAnimationFrame(this.frame);
+      cancelAnimationFrame(this.panFrame);
+      if (this.unsubscribe) {
+        this.unsubscribe();
+        this.unsubscribe = null;
+      }
+      if (this.element) {
+        this.element.remove();
+        this.element = null;
+      }
+      this.container.classList.remove("flowdrop-editor--minimap");
+    }
+
+    /**
+     * Follows node changes, moves and the viewport.
+     */
+    observe() {
+      this.observer.observe(this.container, { childList: true, subtree: true, attributes: true, attributeFilter: ["style", "class"] });
+    }
+
+    /**
+     * Shows or hides the minimap and remembers the choice.
+     *
+     * @param {boolean} [visible]
+     *   Whether to show it (default: the opposite of now).
+     */
+    toggle(visible = !this.visible) {
+      this.visible = visible;
+      try {
+        window.localStorage.setItem(storageKey(), visible ? "1" : "0");
+      } catch (error) {
+        // The choice is only kept for this page.
+      }
+      this.render();
+      Drupal.announce(visible ? Drupal.t("Minimap shown") : Drupal.t("Minimap hidden"));
+    }
+
+    /**
+     * Reads whether the user last showed or hid the minimap.
+     */
+    loadVisibility(fallback) {
+      try {
+        const value = window.localStorage.getItem(storageKey());
+        return value === null ? fallback : value === "1";
+      } catch (error) {
+        return fallback;
+      }
+    }
+
+    /**
+     * Marks nodes as search matches.
+     *
+     * @param {string[]} nodeIds
+     *   The matching node IDs; empty to clear.
+     */
+    setMatches(nodeIds) {
+      this.matches = new Set(nodeIds || []);
+      this.scheduleRender();
+    }
+
+    /**
+     * Redraws the minimap in the next frame.
+     */
+    scheduleRender() {
+      if (this.frame) {
+        return;
+      }
+      this.frame = requestAnimationFrame(() => {
+        this.frame = null;
+        this.render();
+      });
+    }
+
+    /**
+     * Reads the viewport of the canvas.
+     *
+     * @return {object|null}
+     *   {x, y, zoom, width, height}: the translation and zoom of the
+     *   viewport and the size of the pane in screen pixels.
+     */
+    getViewport() {
+      const flow = this.container.querySelector(".svelte-flow");
+      const viewport = this.container.querySelector(".svelte-flow__viewport");
+      if (!flow || !viewport) {
+        return null;
+      }
+      const matrix = new DOMMatrixReadOnly(getComputedStyle(viewport).transform);
+      return { x: matrix.e, y: matrix.f, zoom: matrix.a || 1, width: flow.clientWidth, height: flow.clientHeight };
+    }
+
+    /**
+     * Gets the nodes to draw with their boxes and marks.
+     */
+    getNodes() {
+      const workflow = this.app.getWorkflow();
+      const violations = (this.app.validation && this.app.validation.violations) || [];
+      const errors = new Set(violations.map((violation) => violation.nodeId).filter(Boolean));
+      const service = this.library.nodeExecutionService;
+
+      return ((workflow && workflow.nodes) || []).filter((node) => !node.hidden).map((node) => {
+        const element = this.container.querySelector(`.svelte-flow__node[data-id="${CSS.escape(node.id)}"]`);
+        const info = (node.data && node.data.executionInfo) || (service && service.getCachedNodeExecutionInfo(node.id));
+        const category = (node.data && node.data.metadata && node.data.metadata.category) || "";
+        return {
+          id: node.id,
+          x: (node.position && node.position.x) || 0,
+          y: (node.position && node.position.y) || 0,
+          width: (element && element.offsetWidth) || DEFAULT_SIZE.width,
+          height: (element && element.offsetHeight) || DEFAULT_SIZE.height,
+          color: this.library.getCategoryColorToken ? this.library.getCategoryColorToken(category) : "",
+          status: info && MARKED_STATUSES.indexOf(info.status) !== -1 ? info.status : null,
+          error: errors.has(node.id),
+          match: this.matches.has(node.id),
+        };
+      });
+    }
+
+    /**
+     * Draws the minimap.
+     */
+    render() {
+      const flow = this.container.querySelector(".svelte-flow");
+      const viewport = this.getViewport();
+      if (!flow || !viewport) {
+        return;
+      }
+
+      this.observer.disconnect();
+      try {
+        if (!this.element || this.element.parentNode !== flow) {
+          flow.appendChild(this.element || this.createElement());
+        }
+        this.element.hidden = !this.visible;
+        if (!this.visible) {
+          return;
+        }
+
+        const nodes = this.getNodes();
+        const visible = {
+          x: -viewport.x / viewport.zoom,
+          y: -viewport.y / viewport.zoom,
+          width: viewport.width / viewport.zoom,
+          height: viewport.height / viewport.zoom,
+        };
+
+        // Keep the scale still while the user drags across the minimap.
+        if (!this.dragging || !this.viewBox) {
+          const boxes = nodes.concat([visible]);
+          const left = Math.min(...boxes.map((box) => box.x)) - PADDING;
+          const top = Math.min(...boxes.map((box) => box.y)) - PADDING;
+          const right = Math.max(...boxes.map((box) => box.x + box.width)) + PADDING;
+          const bottom = Math.max(...boxes.map((box) => box.y + box.height)) + PADDING;
+          const scale = Math.max((right - left) / this.size.width, (bottom - top) / this.size.height);
+          const width = this.size.width * scale;
+          const height = this.size.height * scale;
+          this.viewBox = {
+            x: left - (width - (right - left)) / 2,
+            y: top - (height - (bottom - top)) / 2,
+            width: width,
+            height: height,
+            scale: scale,
+          };
+        }
+
+        const svg = this.element.querySelector("svg");
+        svg.setAttribute("viewBox", `${this.viewBox.x} ${this.viewBox.y} ${this.viewBox.width} ${this.viewBox.height}`);
+        const group = svg.querySelector(".flowdrop-minimap__nodes");
+        group.textContent = "";
+        nodes.forEach((node) => {
+          const rect = document.createElementNS(SVG_NS, "rect");
+          rect.setAttribute("class", [
+            "flowdrop-minimap__node",
+            node.status ? `flowdrop-minimap__node--${node.status}` : "",
+            node.error ? "flowdrop-minimap__node--error" : "",
+            node.match ? "flowdrop-minimap__node--match" : "",
+          ].filter(Boolean).join(" "));
+          rect.setAttribute("x", node.x);
+          rect.setAttribute("y", node.y);
+          rect.setAttribute("width", node.width);
+          rect.setAttribute("height", node.height);
+          rect.setAttribute("rx", 8);
+          rect.style.setProperty("--flowdrop-minimap-node-color", node.color);
+          rect.style.strokeWidth = `${2 * this.viewBox.scale}px`;
+          group.appendChild(rect);
+        });
+
+        const frame = svg.querySelector(".flowdrop-minimap__viewport");
+        frame.setAttribute("x", visible.x);
+        frame.setAttribute("y", visible.y);
+        frame.setAttribute("width", visible.width);
+        frame.setAttribute("height", visible.height);
+        frame.style.strokeWidth = `${1.5 * this.viewBox.scale}px`;
+      } finally {
+        this.observe();
+      }
+    }
+
+    /**
+     * Creates the minimap element.
+     */
+    createElement() {
+      this.element = document.createElement("div");
+      this.element.className = "flowdrop-minimap nopan nowheel";
+      this.element.style.width = `${this.size.width}px`;
+      this.element.style.height = `${this.size.height}px`;
+
+      const svg = document.createElementNS(SVG_NS, "svg");
+      svg.setAttribute("class", "flowdrop-minimap__svg");
+      svg.setAttribute("role", "img");
+      svg.setAttribute("aria-label", Drupal.t("Minimap; click or drag to move the canvas"));
+      svg.setAttribute("preserveAspectRatio", "xMidYMid meet");
+      const nodes = document.createElementNS(SVG_NS, "g");
+      nodes.setAttribute("class", "flowdrop-minimap__nodes");
+      const frame = document.createElementNS(SVG_NS, "rect");
+      frame.setAttribute("class", "flowdrop-minimap__viewport");
+      svg.append(nodes, frame);
+      this.element.appendChild(svg);
+
+      svg.addEventListener("pointerdown", this.onPointerDown);
+      svg.addEventListener("pointermove", this.onPointerMove);
+      svg.addEventListener("pointerup", this.onPointerUp);
+      svg.addEventListener("pointercancel", this.onPointerUp);
+      return this.element;
+    }
+
+    /**
+     * Starts moving the canvas to the pointer.
+     */
+    handlePointerDown(event) {
+      if (event.button !== 0) {
+        return;
+      }
+      event.preventDefault();
+      event.stopPropagation();
+      this.dragging = true;
+      event.currentTarget.setPointerCapture(event.pointerId);
+      this.centerOnPointer(event);
+    }
+
+    /**
+     * Keeps the canvas centered under the pointer while dragging.
+     */
+    handlePointerMove(event) {
+      if (this.dragging) {
+        this.centerOnPointer(event);
+      }
+    }
+
+    /**
+     * Stops dragging.
+     */
+    handlePointerUp(event) {
+      if (!this.dragging) {
+        return;
+      }
+      this.dragging = false;
+      if (event.currentTarget.hasPointerCapture(event.pointerId)) {
+        event.currentTarget.releasePointerCapture(event.pointerId);
+      }
+      this.scheduleRender();
+    }
+
+    /**
+     * Centers the canvas on the point of the minimap under the pointer,
+     * once per frame.
+     */
+    centerOnPointer(event) {
+      const bounds = event.currentTarget.getBoundingClientRect();
+      this.pending = {
+        x: this.viewBox.x + (event.clientX - bounds.left) / bounds.width * this.viewBox.width,
+        y: this.viewBox.y + (event.clientY - bounds.top) / bounds.height * this.viewBox.height,
+      };
+      if (this.panFrame) {
+        return;
+      }
+      this.panFrame = requestAnimationFrame(() => {
+        this.panFrame = null;
+        this.centerOn(this.pending.x, this.pending.y);
+      });
+    }
+
+    /**
+     * Centers the canvas on a point.
+     *
+     * @param {number} x
+     *   Canvas X coordinate.
+     * @param {number} y
+     *   Canvas Y coordinate.
+     */
+    centerOn(x, y) {
+      const viewport = this.getViewport();
+      if (viewport) {
+        this.panBy(viewport.width / 2 - x * viewport.zoom - viewport.x, viewport.height / 2 - y * viewport.zoom - viewport.y);
+      }
+    }
+
+    /**
+     * Pans the canvas by dragging its pane.
+     *
+     * @param {number} dx
+     *   Horizontal distance in screen pixels.
+     * @param {number} dy
+     *   Vertical distance in screen pixels.
+     */
+    panBy(dx, dy) {
+      const pane = this.container.querySelector(".svelte-flow__pane");
+      if (!pane || (!Math.round(dx) && !Math.round(dy))) {
+        return;
+      }
+      const bounds = pane.getBoundingClientRect();
+      const start = { clientX: bounds.left + 1, clientY: bounds.top + 1 };
+      const init = { bubbles: true, cancelable: true, view: window, button: 0, buttons: 1 };
+      pane.dispatchEvent(new MouseEvent("mousedown", Object.assign({}, init, start)));
+      window.dispatchEvent(new MouseEvent("mousemove", Object.assign({}, init, {
+        clientX: start.clientX + dx,
+        clientY: start.clientY + dy,
+      })));
+      window.dispatchEvent(new MouseEvent("mouseup", Object.assign({}, init, {
+        buttons: 0,
+        clientX: start.clientX + dx,
+        clientY: start.clientY + dy,
+      })));
+    }
+  }
+
+  /**
+   * Adds the minimap to a mounted FlowDrop app.
+   *
+   * @param {object} app
+   *   The mounted app.
+   * @param {HTMLElement} container
+   *   The element the app is mounted in.
+   * @param {object} [options]
+   *   Options for Minimap.
+   *
+   * @return {Minimap}
+   *   The minimap, also available as app.minimap.
+   */
+  Drupal.FlowDrop.attachMinimap = function (app, container, options = {}) {
+    const minimap = new Minimap(app, container, options).attach();
+    const destroy = app.destroy;
+
+    app.minimap = minimap;
+    app.destroy = function () {
+      minimap.detach();
+      return destroy.apply(app, arguments);
+    };
+
+    return minimap;
+  };
+
+  /**
+   * Builds the navbar action that shows or hides the minimap.
+   *
+   * @param {HTMLElement} container
+   *   The element the app is mounted in.
+   *
+   * @return {object}
+   *   The navbar action.
+   */
+  Drupal.FlowDrop.minimapAction = function (container) {
+    return {
+      label: Drupal.t("Minimap"),
+      href: "#",
+      variant: "secondary",
+      icon: "mdi:map-outline",
+      onclick: function () {
+        const app = container.flowdropApp;
+        if (app && app.minimap) {
+          app.minimap.toggle();
+        }
+      },
+    };
+  };
+
+  Drupal.FlowDrop.Minimap = Minimap;
+
+})(Drupal, drupalSettings);
@@ -0,0 +1,450 @@
+/**
+ * @file
+ * In-memory stand-in for the FlowDrop API.
+ *
+ * MockBackend is a transport (see flowdrop.transport.js) that answers the
+ * FlowDrop REST API from memory, so an editor can be developed and tested
+ * with no Drupal behind it: node types, the port configuration, workflow
+ * create/load/update/delete/validate/export/import, executions with their
+ * status, logs and pipeline node statuses, the runtime configuration at
+ * /config and /api/config, CSRF tokens and save adapter URLs. It answers
+ * what the editor requests through its auth provider and, while the editor
+ * is mounted, what the library requests itself.
+ *
+ * It is seeded from the library's sample data or from a fixtures file:
+ *
+ * @code
+ * Drupal.FlowDrop.bootstrap(container, {
+ *   workflow: window.FlowDrop.sampleWorkflow,
+ *   saveAdapter: Drupal.FlowDrop.saveAdapters.restWorkflow(),
+ *   transport: Drupal.FlowDrop.MockBackend.fromLibrary(window.FlowDrop),
+ * });
+ * @endcode
+ *
+ * A fixtures file is a JSON object with any of "nodes", "workflows" and
+ * "portConfig". Executions run through the workflow's nodes one after the
+ * other, stepDelay milliseconds each. More endpoints can be added with
+ * route(). Every request answered is recorded in the backend's log, for
+ * tests to check what the editor sent.
+ */
+
+(function (Drupal) {
+  "use strict";
+
+  Drupal.FlowDrop = Drupal.FlowDrop || {};
+
+  /**
+   * Statuses that end an execution.
+   */
+  const FINISHED = ["completed", "failed", "cancelled"];
+
+  /**
+   * Copies JSON data, so callers cannot change what the backend holds.
+   */
+  function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * Gets the path of a URL, relative or absolute.
+   */
+  function pathOf(url) {
+    return new URL(url, window.location.href).pathname.replace(/\/$/, "") || "/";
+  }
+
+  /**
+   * Compiles a route pattern like "/workflows/{id}" to a regular expression.
+   */
+  function compile(pattern) {
+    const names = [];
+    const source = pattern.replace(/[.*+?^$()|[\]\\]/g, "\\$&").replace(/\{(\w+)\}/g, (match, name) => {
+      names.push(name);
+      return "([^/]+)";
+    });
+    return { regexp: new RegExp(`^${source}$`), names: names };
+  }
+
+  /**
+   * Builds a JSON response.
+   */
+  function json(status, body) {
+    return new Response(JSON.stringify(body), {
+      status: status,
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  /**
+   * In-memory FlowDrop API.
+   */
+  class MockBackend {
+    /**
+     * @param {object} [options]
+     *   - baseUrl: API base URL the backend answers (default
+     *     "/api/flowdrop").
+     *   - tokenUrl: CSRF token URL it answers (default session/token).
+     *   - saveUrls: More URLs that save a workflow when POSTed to, e.g. a
+     *     Modeler API save URL.
+     *   - nodes: Node types.
+     *   - workflows: Workflows.
+     *   - portConfig: The port configuration. Without one the port-config
+     *     endpoint answers 404 and the library uses its default.
+     *   - latency: Milliseconds before every response (default 0).
+     *   - stepDelay: Milliseconds each node of an execution runs (default
+     *     500).
+     */
+    constructor(options = {}) {
+      this.baseUrl = pathOf(options.baseUrl || "/api/flowdrop");
+      this.tokenUrl = pathOf(options.tokenUrl || Drupal.url("session/token"));
+      this.saveUrls = (options.saveUrls || []).map(pathOf);
+      this.latency = options.latency || 0;
+      this.stepDelay = options.stepDelay === undefined ? 500 : options.stepDelay;
+      this.nodes = clone(options.nodes || []);
+      this.portConfig = clone(options.portConfig || null);
+      this.workflows = new Map();
+      (options.workflows || []).forEach((workflow) => this.workflows.set(workflow.id, clone(workflow)));
+      this.executions = new Map();
+      this.routes = [];
+      this.log = [];
+      this.counter = 0;
+      this.addRoutes();
+    }
+
+    /**
+     * Creates a backend seeded with the library's sample nodes and workflow.
+     *
+     * @param {object} library
+     *   The FlowDrop library.
+     * @param {object} [options]
+     *   Constructor options, which win over the samples.
+     *
+     * @return {MockBackend}
+     *   The backend.
+     */
+    static fromLibrary(library, options = {}) {
+      return new MockBackend(Object.assign({
+        nodes: library.sampleNodes,
+        workflows: library.sampleWorkflow ? [library.sampleWorkflow] : [],
+        portConfig: library.DEFAULT_PORT_CONFIG,
+      }, options));
+    }
+
+    /**
+     * Creates a backend seeded from a fixtures file.
+     *
+     * @param {string} url
+     *   URL of the fixtures JSON.
+     * @param {object} [options]
+     *   Constructor options, which win over the fixtures.
+     *
+     * @return {Promise<MockBackend>}
+     *   The backend.
+     */
+    static async fromFixtures(url, options = {}) {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Could not load FlowDrop fixtures from ${url}: ${response.statusText}`);
+      }
+      return new MockBackend(Object.assign({}, await response.json(), options));
+    }
+
+    /**
+     * Adds an endpoint.
+     *
+     * @param {string} method
+     *   The HTTP method.
+     * @param {string} pattern
+     *   Path below the base URL, with {name} placeholders.
+     * @param {function} handler
+     *   Called with {params, query, body, method, url}. Returns the response
+     *   body for a 200, a Response, or {status, body}.
+     *
+     * @return {MockBackend}
+     *   The backend, for chaining.
+     */
+    route(method, pattern, handler) {
+      // Later routes win, so defaults can be replaced.
+      this.routes.unshift(Object.assign({ method: method.toUpperCase(), handler: handler }, compile(pattern)));
+      return this;
+    }
+
+    /**
+     * Whether a URL is answered by this backend.
+     */
+    handles(url) {
+      const path = pathOf(url);
+      return path === this.baseUrl || path.indexOf(`${this.baseUrl}/`) === 0 || path === this.tokenUrl || path === "/api/config" || this.saveUrls.indexOf(path) !== -1;
+    }
+
+    /**
+     * Answers a request.
+     *
+     * @param {string} url
+     *   The URL.
+     * @param {object} [init]
+     *   Options of the fetch() call.
+     *
+     * @return {Promise<Response>}
+     *   The response. Rejects with an AbortError when aborted.
+     */
+    async fetch(url, init = {}) {
+      const signal = init.signal;
+      if (this.latency) {
+        await new Promise((resolve, reject) => {
+          const timer = setTimeout(resolve, this.latency);
+          if (signal) {
+            signal.addEventListener("abort", () => {
+              clearTimeout(timer);
+              reject(new DOMException("The request was aborted.", "AbortError"));
+            }, { once: true });
+          }
+        });
+      }
+      if (signal && signal.aborted) {
+        throw new DOMException("The request was aborted.", "AbortError");
+      }
+
+      const method = (init.method || "GET").toUpperCase();
+      const parsed = new URL(url, window.location.href);
+      const path = pathOf(url);
+      let body = null;
+      if (typeof init.body === "string" && init.body) {
+        try {
+          body = JSON.parse(init.body);
+        } catch (error) {
+          return json(400, { success: false, error: "Invalid JSON" });
+        }
+      }
+      this.log.push({ method: method, url: parsed.pathname + parsed.search, body: body });
+
+      if (path === this.tokenUrl) {
+        return new Response("mock-csrf-token", { headers: { "Content-Type": "text/plain" } });
+      }
+      if (path === "/api/config") {
+        return json(200, this.getRuntimeConfig());
+      }
+      if (this.saveUrls.indexOf(path) !== -1 && method === "POST") {
+        const workflow = this.storeWorkflow(body);
+        return json(200, { success: true, message: "Saved", data: { id: workflow.id } });
+      }
+
+      const relative = path.slice(this.baseUrl.length) || "/";
+      for (const route of this.routes) {
+        const match = route.method === method && route.regexp.exec(relative);
+        if (!match) {
+          continue;
+        }
+        const params = {};
+        route.names.forEach((name, index) => {
+          params[name] = decodeURIComponent(match[index + 1]);
+        });
+        const result = await route.handler({
+          params: params,
+          query: parsed.searchParams,
+          body: body,
+          method: method,
+          url: url,
+        });
+        if (result instanceof Response) {
+          return result;
+        }
+        if (result && typeof result.status === "number" && "body" in result) {
+          return json(result.status, result.body);
+        }
+        return json(200, result);
+      }
+      return json(404, { success: false, error: `No mock for ${method} ${relative}` });
+    }
+
+    /**
+     * Stores a workflow, giving it an ID when it has none.
+     */
+    storeWorkflow(workflow) {
+      const stored = clone(workflow || {});
+      if (!stored.id) {
+        stored.id = `mock-workflow-${++this.counter}`;
+      }
+      stored.metadata = Object.assign({}, stored.metadata, { changed: new Date().toISOString() });
+      this.workflows.set(stored.id, stored);
+      return stored;
+    }
+
+    /**
+     * Gets the state of an execution at this moment.
+     *
+     * Nodes run one after the other, each for stepDelay milliseconds.
+     */
+    getExecutionState(execution) {
+      const elapsed = Date.now() - execution.startedAt;
+      const done = this.stepDelay ? Math.floor(elapsed / this.stepDelay) : execution.nodeIds.length;
+      const status = execution.cancelled ? "cancelled" : (done >= execution.nodeIds.length ? "completed" : "running");
+      const nodeStatuses = {};
+      execution.nodeIds.forEach((nodeId, index) => {
+        let nodeStatus = "pending";
+        if (index < done) {
+          nodeStatus = "completed";
+        } else if (index === done) {
+          nodeStatus = execution.cancelled ? "cancelled" : "running";
+        } else if (execution.cancelled) {
+          nodeStatus = "cancelled";
+        }
+        nodeStatuses[nodeId] = {
+          status: nodeStatus,
+          execution_time: nodeStatus === "completed" ? this.stepDelay : undefined,
+          last_executed: nodeStatus === "completed" ? new Date(execution.startedAt + (index + 1) * this.stepDelay).toISOString() : undefined,
+        };
+      });
+      return {
+        id: execution.id,
+        workflowId: execution.workflowId,
+        status: status,
+        startedAt: new Date(execution.startedAt).toISOString(),
+        finished: FINISHED.indexOf(status) !== -1,
+        inputs: execution.inputs,
+        nodeStatuses: nodeStatuses,
+      };
+    }
+
+    /**
+     * Builds the runtime configuration.
+     */
+    getRuntimeConfig() {
+      return {
+        apiBaseUrl: this.baseUrl,
+        theme: "auto",
+        timeout: 30000,
+        authType: "none",
+        version: "mock",
+        environment: "development",
+      };
+    }
+
+    /**
+     * Adds the FlowDrop API endpoints.
+     */
+    addRoutes() {
+      const notFound = (what) => ({ status: 404, body: { success: false, error: `${what} not found` } });
+      const findNode = (id) => this.nodes.find((node) => node.id === id || node.name === id);
+      const findExecution = (id) => this.executions.get(id);
+
+      // Node types and the port configuration. Later routes are matched
+      // first, so fixed paths come after the placeholders they overlap.
+      this.route("GET", "/nodes", ({ query }) => {
+        const search = (query.get("search") || "").toLowerCase();
+        const nodes = this.nodes.filter((node) => (!query.get("category") || node.category === query.get("category"))
+          && (!search || `${node.name} ${node.description || ""}`.toLowerCase().indexOf(search) !== -1));
+        return { success: true, data: clone(nodes), count: nodes.length };
+      });
+      this.route("GET", "/nodes/{id}", ({ params }) => (findNode(params.id) ? { success: true, data: clone(findNode(params.id)) } : notFound("Node")));
+      this.route("GET", "/nodes/by-category", () => {
+        const data = {};
+        this.nodes.forEach((node) => {
+          (data[node.category] = data[node.category] || []).push(clone(node));
+        });
+        return { success: true, data: data, categories: Object.keys(data).sort() };
+      });
+      this.route("GET", "/nodes/{id}/metadata", ({ params }) => (findNode(params.id) ? { success: true, data: clone(findNode(params.id)) } : notFound("Node")));
+      this.route("GET", "/port-config", () => (this.portConfig ? { success: true, data: clone(this.portConfig) } : notFound("Port configuration")));
+      this.route("GET", "/config", () => this.getRuntimeConfig());
+
+      // Workflows.
+      this.route("GET", "/workflows", () => {
+        const workflows = Array.from(this.workflows.values());
+        return { success: true, data: clone(workflows), count: workflows.length };
+      });
+      this.route("POST", "/workflows", ({ body }) => ({ status: 201, body: { success: true, data: clone(this.storeWorkflow(Object.assign({}, body, { id: undefined }))) } }));
+      this.route("GET", "/workflows/{id}", ({ params }) => (this.workflows.has(params.id) ? { success: true, data: clone(this.workflows.get(params.id)) } : notFound("Workflow")));
+      this.route("PUT", "/workflows/{id}", ({ params, body }) => {
+        if (!this.workflows.has(params.id)) {
+          return notFound("Workflow");
+        }
+        return { success: true, data: clone(this.storeWorkflow(Object.assign({}, body, { id: params.id }))) };
+      });
+      this.route("DELETE", "/workflows/{id}", ({ params }) => (this.workflows.delete(params.id) ? { success: true } : notFound("Workflow")));
+      this.route("POST", "/workflows/validate", ({ body }) => {
+        const ids = new Set(((body && body.nodes) || []).map((node) => node.id));
+        const errors = ((body && body.edges) || []).filter((edge) => !ids.has(edge.source) || !ids.has(edge.target)).map((edge) => ({
+          nodeId: ids.has(edge.source) ? edge.target : edge.source,
+          message: `Connection ${edge.id} points at a missing node.`,
+        }));
+        return { success: true, data: { valid: !errors.length, errors: errors, warnings: [] } };
+      });
+      this.route("GET", "/workflows/{id}/export", ({ params }) => (this.workflows.has(params.id) ? { success: true, data: JSON.stringify(this.workflows.get(params.id), null, 2) } : notFound("Workflow")));
+      this.route("POST", "/workflows/import", ({ body }) => {
+        const workflow = typeof body === "string" ? JSON.parse(body) : (body && body.workflow) || body;
+        return { success: true, data: clone(this.storeWorkflow(Object.assign({}, workflow, { id: undefined }))) };
+      });
+
+      // Executions.
+      this.route("POST", "/workflows/{id}/execute", ({ params, body }) => {
+        const workflow = this.workflows.get(params.id);
+        if (!workflow) {
+          return notFound("Workflow");
+        }
+        const execution = {
+          id: `mock-execution-${++this.counter}`,
+          workflowId: params.id,
+          inputs: (body && body.inputs) || {},
+          nodeIds: (workflow.nodes || []).map((node) => node.id),
+          startedAt: Date.now(),
+          cancelled: false,
+        };
+        this.executions.set(execution.id, execution);
+        return { success: true, data: this.getExecutionState(execution) };
+      });
+      this.route("GET", "/executions", () => ({
+        success: true,
+        data: Array.from(this.executions.values()).map((execution) => this.getExecutionState(execution)),
+      }));
+      this.route("GET", "/executions/{id}", ({ params }) => (findExecution(params.id) ? { success: true, data: this.getExecutionState(findExecution(params.id)) } : notFound("Execution")));
+      this.route("POST", "/executions/{id}/cancel", ({ params }) => {
+        const execution = findExecution(params.id);
+        if (!execution) {
+          return notFound("Execution");
+        }
+        if (!this.getExecutionState(execution).finished) {
+          execution.cancelled = true;
+        }
+        return { success: true, data: this.getExecutionState(execution) };
+      });
+      this.route("GET", "/executions/{id}/logs", ({ params }) => {
+        const execution = findExecution(params.id);
+        if (!execution) {
+          return notFound("Execution");
+        }
+        const state = this.getExecutionState(execution);
+        return {
+          success: true,
+          data: Object.keys(state.nodeStatuses).filter((nodeId) => state.nodeStatuses[nodeId].status !== "pending").map((nodeId) => ({
+            nodeId: nodeId,
+            level: "info",
+            message: `Node ${nodeId} ${state.nodeStatuses[nodeId].status}`,
+            timestamp: state.nodeStatuses[nodeId].last_executed || state.startedAt,
+          })),
+        };
+      });
+
+      // Pipeline status, which the library reads node statuses from. The
+      // ID of a pipeline is the ID of its execution.
+      this.route("GET", "/pipeline/{id}", ({ params }) => {
+        const execution = findExecution(params.id);
+        if (!execution) {
+          return notFound("Pipeline");
+        }
+        const state = this.getExecutionState(execution);
+        return {
+          id: execution.id,
+          status: state.status,
+          jobs: Object.keys(state.nodeStatuses).map((nodeId) => Object.assign({
+            node_id: nodeId,
+            execution_count: state.nodeStatuses[nodeId].status === "completed" ? 1 : 0,
+          }, state.nodeStatuses[nodeId])),
+          node_statuses: state.nodeStatuses,
+        };
+      });
+    }
+  }
+
+  Drupal.FlowDrop.MockBackend = MockBackend;
+
+})(Drupal);
@@ -0,0 +1,872 @@
+/**
+ * @file
+ * Offline support for FlowDrop editors.
+ *
+ * The library's API client retries a request a few times and then gives
+ * up, and a save that fails because the network is down is lost. Saves go
+ * through the offline queue instead: when the browser is offline, or the
+ * request fails without an answer from the server, the write is kept in
+ * localStorage and the save reports that it was queued. Once the
+ * connection is back, queued writes are sent in the order they were made.
+ *
+ * A queued write can carry a conflict check, a request the server answers
+ * with 409 when somebody else changed the same thing in the meantime. It
+ * is sent first, and a write that conflicts is held back until the user
+ * sends it anyway or discards it. Queued writes with the same key replace
+ * each other, so saving the same workflow twice while offline sends it
+ * once.
+ *
+ * Reads fall back to the last answer the server gave: cachedRead() keeps
+ * successful GET responses, which is how editors open with the node list
+ * and port configuration when the API cannot be reached. While online they
+ * go through the editor's API client (see flowdrop.requests.js).
+ *
+ * The queue is shared by every editor and tab of the current user. An
+ * indicator in the navbar shows when the editor is offline and what is
+ * waiting to be sent.
+ */
+
+(function (Drupal, drupalSettings) {
+  "use strict";
+
+  Drupal.FlowDrop = Drupal.FlowDrop || {};
+
+  /**
+   * Milliseconds between attempts while the server cannot be reached.
+   */
+  const RETRY_INTERVAL = 30000;
+
+  /**
+   * Name of the Web Lock that keeps tabs from sending the queue twice.
+   */
+  const LOCK_NAME = "flowdrop-offline-queue";
+
+  /**
+   * The queue of the current user, created on first use.
+   */
+  let sharedQueue = null;
+
+  /**
+   * Gets a per-user localStorage key.
+   */
+  function storageKey(name) {
+    const uid = (drupalSettings.user && drupalSettings.user.uid) || 0;
+    return `flowdrop:user/${uid}/${name}`;
+  }
+
+  /**
+   * Whether a request failed without an answer from the server.
+   *
+   * fetch() rejects with a TypeError when the network is down, the server
+   * cannot be reached or the request was blocked. Aborted requests are not
+   * network errors, and neither are other errors, even while the browser
+   * reports being offline.
+   *
+   * @param {Error} error
+   *   The error a request rejected with.
+   *
+   * @return {boolean}
+   *   TRUE for network errors.
+   */
+  Drupal.FlowDrop.isNetworkError = function (error) {
+    if (error && error.name === "AbortError") {
+      return false;
+    }
+    return error instanceof TypeError || (error && error.name === "NetworkError");
+  };
+
+  /**
+   * Sets a value at a dotted path of a JSON document.
+   *
+   * @return {string}
+   *   The changed document, encoded.
+   */
+  function setPath(data, path, value) {
+    const keys = path.split(".");
+    let target = data;
+    keys.slice(0, -1).forEach((key) => {
+      target = target[key] = (target[key] && typeof target[key] === "object") ? target[key] : {};
+    });
+    target[keys[keys.length - 1]] = value;
+    return JSON.stringify(data);
+  }
+
+  /**
+   * Error for a queued write the server no longer accepts as it is.
+   */
+  class ConflictError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = "ConflictError";
+    }
+  }
+
+  /**
+   * Persistent queue of writes made while offline.
+   *
+   * Entries are plain objects:
+   * - id: Unique ID of the entry.
+   * - key: What the write changes; a newer write with the same key
+   *   replaces the entry.
+   * - label: What the write changes, for people.
+   * - url, method, headers, body: The request. The body is a string.
+   * - check: Optional conflict check, {url, body, revisionField}, POSTed
+   *   before the write. It answers 409 with the current revision as
+   *   data.revision when the write would overwrite someone else's changes.
+   *   revisionField is the dotted path of the base revision in the request
+   *   body, which Send anyway sets to the current revision.
+   * - queuedAt: When the write was queued, in milliseconds.
+   * - status: "queued", "conflict" or "failed".
+   * - error: Why the entry was held back.
+   *
+   * The entries are always read from localStorage, so every tab sees the
+   * same queue, and "sent" events reach the tab that queued the write even
+   * when another tab sent it.
+   *
+   * Writes are sent with the auth provider of the editor that made them,
+   * so they take the same transport and tokens as its other requests. Auth
+   * providers cannot be stored, so a write is only sent from a tab where
+   * its editor is open, see useAuthProvider(); the others wait for one.
+   */
+  class OfflineQueue {
+    constructor() {
+      this.key = storageKey("offline-queue");
+      this.sentKey = storageKey("offline-sent");
+      this.listeners = new Set();
+      this.online = navigator.onLine !== false;
+      this.sending = null;
+      this.retryTimer = null;
+      this.authProviders = new Map();
+
+      this.onOnline = () => {
+        this.setOnline(true);
+        this.replay();
+      };
+      this.onOffline = () => this.setOnline(false);
+      this.onStorage = (event) => {
+        if (event.key === this.key) {
+          this.emit({ type: "change" });
+        } else if (event.key === this.sentKey && event.newValue) {
+          try {
+            const sent = JSON.parse(event.newValue);
+            this.emit({ type: "sent", entry: sent.entry, result: sent.result });
+          } catch (error) {
+            // Not written by this queue.
+          }
+        }
+      };
+      window.addEventListener("online", this.onOnline);
+      window.addEventListener("offline", this.onOffline);
+      window.addEventListener("storage", this.onStorage);
+    }
+
+    /**
+     * Gets the queued entries, oldest first.
+     *
+     * @return {object[]}
+     *   The entries.
+     */
+    getEntries() {
+      try {
+        const entries = JSON.parse(window.localStorage.getItem(this.key) || "[]");
+        return Array.isArray(entries) ? entries : [];
+      } catch (error) {
+        return [];
+      }
+    }
+
+    /**
+     * Stores the entries.
+     */
+    setEntries(entries) {
+      if (entries.length) {
+        window.localStorage.setItem(this.key, JSON.stringify(entries));
+      } else {
+        window.localStorage.removeItem(this.key);
+      }
+      this.emit({ type: "change" });
+    }
+
+    /**
+     * Queues a write.
+     *
+     * @param {object} entry
+     *   The entry, see the class documentation. id, queuedAt and status are
+     *   filled in.
+     * @param {object} authProvider
+     *   The auth provider to send it with.
+     *
+     * @return {object}
+     *   The queued entry.
+     */
+    enqueue(entry, authProvider) {
+      const queued = Object.assign({}, entry, {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        queuedAt: Date.now(),
+        status: "queued",
+        error: null,
+      });
+      const entries = this.getEntries().filter((existing) => !queued.key || existing.key !== queued.key);
+      entries.push(queued);
+      // Throws when storage is full or disabled; the write is not queued then.
+      this.setEntries(entries);
+      this.authProviders.set(queued.key || queued.id, authProvider);
+      this.scheduleRetry();
+      return queued;
+    }
+
+    /**
+     * Sends the writes of a key with an auth provider.
+     *
+     * Editors call this for their queue key when they open, so writes they
+     * queued before, in this tab or on an earlier visit, are sent.
+     *
+     * @param {string} key
+     *   The queue key.
+     * @param {object} authProvider
+     *   The auth provider of the editor.
+     *
+     * @return {function}
+     *   Stops sending them with it.
+     */
+    useAuthProvider(key, authProvider) {
+      this.authProviders.set(key, authProvider);
+      this.replay();
+      return () => {
+        if (this.authProviders.get(key) === authProvider) {
+          this.authProviders.delete(key);
+        }
+      };
+    }
+
+    /**
+     * Gets the auth provider an entry is sent with.
+     *
+     * @return {object|null}
+     *   The auth provider, or NULL when its editor is not open in this tab.
+     */
+    getAuthProvider(entry) {
+      return this.authProviders.get(entry.key || entry.id) || null;
+    }
+
+    /**
+     * Removes an entry.
+     *
+     * @param {string} id
+     *   The entry ID.
+     */
+    remove(id) {
+      this.setEntries(this.getEntries().filter((entry) => entry.id !== id));
+    }
+
+    /**
+     * Changes an entry.
+     */
+    update(id, changes) {
+      this.setEntries(this.getEntries().map((entry) => (entry.id === id ? Object.assign({}, entry, changes) : entry)));
+    }
+
+    /**
+     * Sends one entry.
+     *
+     * @param {object} entry
+     *   The entry.
+     * @param {boolean} check
+     *   Whether to run its conflict check first.
+     *
+     * @return {Promise<object>}
+     *   The decoded response. Rejects with a ConflictError when the check
+     *   or the server refuses the write as a conflict, and with a TypeError
+     *   when the server cannot be reached.
+     */
+    async send(entry, check) {
+      const authProvider = this.getAuthProvider(entry);
+      if (!authProvider) {
+        throw new Error(Drupal.t("Open the editor the change was made in to send it."));
+      }
+      let body = entry.body;
+      if (entry.check && (check || entry.check.revisionField)) {
+        const response = await authProvider.fetch(entry.check.url, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "Accept": "application/json",
+          },
+          body: JSON.stringify(entry.check.body),
+        });
+        if (response.status === 409) {
+          if (check) {
+            throw new ConflictError(Drupal.t("It was changed by someone else in the meantime."));
+          }
+          // Overwrite: save against the revision that is there now.
+          const result = await response.json();
+          body = setPath(JSON.parse(body), entry.check.revisionField, result.data && result.data.revision);
+        } else if (!response.ok) {
+          throw new Error(Drupal.t("The conflict check failed: @status", { "@status": response.statusText }));
+        }
+      }
+
+      const response = await authProvider.fetch(entry.url, {
+        method: entry.method,
+        headers: entry.headers,
+        body: body,
+      });
+      if (response.status === 409) {
+        throw new ConflictError(Drupal.t("It was changed by someone else in the meantime."));
+      }
+      if (!response.ok) {
+        throw await Drupal.FlowDrop.saveErrorFromResponse(response, "Save failed");
+      }
+      const result = await response.json();
+      if (result.success === false) {
+        throw new Drupal.FlowDrop.SaveError(result.message || result.error || "Save failed", Drupal.FlowDrop.normalizeViolations(result));
+      }
+      return result;
+    }
+
+    /**
+     * Sends the queued entries in order.
+     *
+     * Entries that conflict or are refused are held back and the next one
+     * is sent. Entries whose editor is not open in this tab are skipped. A
+     * network error stops the replay until the connection is back.
+     *
+     * @return {Promise}
+     *   Resolves when the replay is over.
+     */
+    replay() {
+      if (this.sending) {
+        return this.sending;
+      }
+      if (navigator.onLine === false || !this.getEntries().some((entry) => entry.status === "queued" && this.getAuthProvider(entry))) {
+        return Promise.resolve();
+      }
+
+      const run = async () => {
+        for (const entry of this.getEntries()) {
+          // Another tab may have sent, replaced or discarded it.
+          const current = this.getEntries().find((candidate) => candidate.id === entry.id);
+          if (!current || current.status !== "queued" || !this.getAuthProvider(current)) {
+            continue;
+          }
+          try {
+            const result = await this.send(current, true);
+            this.setOnline(true);
+            this.markSent(current, result);
+          } catch (error) {
+            if (Drupal.FlowDrop.isNetworkError(error)) {
+              this.setOnline(false);
+              this.scheduleRetry();
+              return;
+            }
+            console.error("FlowDrop: queued write failed", error);
+            this.update(current.id, {
+              status: error instanceof ConflictError ? "conflict" : "failed",
+              error: error.message,
+            });
+          }
+        }
+      };
+
+      this.emit({ type: "change" });
+      this.sending = (navigator.locks ? navigator.locks.request(LOCK_NAME, run) : run()).finally(() => {
+        this.sending = null;
+        this.emit({ type: "change" });
+      });
+      return this.sending;
+    }
+
+    /**
+     * Sends an entry that was held back, overwriting changes made since.
+     *
+     * @param {string} id
+     *   The entry ID.
+     *
+     * @return {Promise<object>}
+     *   The decoded response.
+     */
+    async sendAnyway(id) {
+      const entry = this.getEntries().find((candidate) => candidate.id === id);
+      if (!entry) {
+        return null;
+      }
+      const result = await this.send(entry, false);
+      this.markSent(entry, result);
+      return result;
+    }
+
+    /**
+     * Removes a sent entry and tells every tab it was sent.
+     */
+    markSent(entry, result) {
+      this.remove(entry.id);
+      try {
+        window.localStorage.setItem(this.sentKey, JSON.stringify({ entry: entry, result: result, sentAt: Date.now() }));
+      } catch (error) {
+        // Other tabs pick the saved state up when they reload.
+      }
+      this.emit({ type: "sent", entry: entry, result: result });
+    }
+
+    /**
+     * Tries again later while writes are waiting.
+     */
+    scheduleRetry() {
+      if (this.retryTimer) {
+        return;
+      }
+      this.retryTimer = setTimeout(() => {
+        this.retryTimer = null;
+        this.replay();
+      }, RETRY_INTERVAL);
+    }
+
+    /**
+     * Records whether the server can be reached.
+     */
+    setOnline(online) {
+      if (this.online !== online) {
+        this.online = online;
+        this.emit({ type: "change" });
+      }
+    }
+
+    /**
+     * Listens to the queue.
+     *
+     * @param {function} listener
+     *   Called with {type: "change"} when the entries or the connection
+     *   change, and with {type: "sent", entry, result} when a queued write
+     *   was sent.
+     *
+     * @return {function}
+     *   Stops listening.
+     */
+    subscribe(listener) {
+      this.listeners.add(listener);
+      return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Notifies the listeners.
+     */
+    emit(event) {
+      this.listeners.forEach((listener) => {
+        try {
+          listener(event);
+        } catch (error) {
+          console.error("FlowDrop: offline queue listener failed", error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Gets the offline queue of the current user.
+   *
+   * @return {OfflineQueue}
+   *   The queue.
+   */
+  Drupal.FlowDrop.getOfflineQueue = function () {
+    if (!sharedQueue) {
+      sharedQueue = new OfflineQueue();
+    }
+    return sharedQueue;
+  };
+
+  /**
+   * Sends a write, or queues it when the server cannot be reached.
+   *
+   * @param {object} request
+   *   - url, method, headers, body: The request. The body is a string.
+   *   - authProvider: The auth provider to send it with.
+   *   - key, label, check: See OfflineQueue.
+   *
+   * @return {Promise<Response|null>}
+   *   The response, or NULL when the write was queued. Rejects when it
+   *   could not be queued either.
+   */
+  Drupal.FlowDrop.sendOrQueue = async function (request) {
+    const queue = Drupal.FlowDrop.getOfflineQueue();
+    if (navigator.onLine !== false) {
+      try {
+        const response = await request.authProvider.fetch(request.url, {
+          method: request.method,
+          headers: request.headers,
+          body: request.body,
+        });
+        queue.setOnline(true);
+        return response;
+      } catch (error) {
+        if (!Drupal.FlowDrop.isNetworkError(error)) {
+          throw error;
+        }
+        queue.setOnline(false);
+      }
+    }
+
+    queue.enqueue({
+      key: request.key,
+      label: request.label,
+      url: request.url,
+      method: request.method,
+      headers: request.headers,
+      body: request.body,
+      check: request.check || null,
+    }, request.authProvider);
+    return null;
+  };
+
+  /**
+   * GETs JSON, falling back to the last response when offline.
+   *
+   * @param {string} url
+   *   The URL.
+   * @param {object} [options]
+   *   - client: API client to GET with, see createApiClient(); without one
+   *     the page's request cache is used with the other options.
+   *   Other options for ApiRequests.get(): signal, authProvider, ttl,
+   *   timeout.
+   *
+   * @return {Promise<object>}
+   *   The decoded response. Rejects when the server cannot be reached and
+   *   nothing was cached.
+   */
+  Drupal.FlowDrop.cachedRead = async function (url, options = {}) {
+    const key = storageKey(`cache/${url}`);
+    try {
+      const result = await (options.client ? options.client.get(url, options) : Drupal.FlowDrop.getApiRequests().get(url, options));
+      try {
+        window.localStorage.setItem(key, JSON.stringify(result));
+      } catch (error) {
+        // Storage is full or disabled; the response is not cached.
+      }
+      return result;
+    } catch (error) {
+      if (!Drupal.FlowDrop.isNetworkError(error)) {
+        throw error;
+      }
+      let cached = null;
+      try {
+        cached = JSON.parse(window.localStorage.getItem(key));
+      } catch (storageError) {
+        // Treated as not cached.
+      }
+      if (!cached) {
+        throw error;
+      }
+      Drupal.FlowDrop.getOfflineQueue().setOnline(false);
+      return cached;
+    }
+  };
+
+  /**
+   * Loads node types for an editor, falling back to the cached list.
+   *
+   * @param {object} apiClient
+   *   The editor's API client, see createApiClient().
+   * @param {object} [options]
+   *   Options for the client's get(): signal, force.
+   *
+   * @return {Promise<object[]|null>}
+   *   The node types, or NULL when none could be loaded. Rejects only when
+   *   aborted.
+   */
+  Drupal.FlowDrop.loadNodeTypes = async function (apiClient, options) {
+    try {
+      const result = await Drupal.FlowDrop.cachedRead(apiClient.buildUrl(apiClient.config.endpoints.nodes.list), Object.assign({ client: apiClient }, options));
+      const nodes = Array.isArray(result) ? result : result.data;
+      return Array.isArray(nodes) && nodes.length ? nodes : null;
+    } catch (error) {
+      if (error.name === "AbortError") {
+        throw error;
+      }
+      console.warn("FlowDrop: could not load node types", error);
+      return null;
+    }
+  };
+
+  /**
+   * Loads the port configuration, falling back to the cached one.
+   *
+   * @param {object} apiClient
+   *   The editor's API client, see createApiClient().
+   * @param {object} [options]
+   *   Options for the client's get(): signal, force.
+   *
+   * @return {Promise<object|null>}
+   *   The port configuration, or NULL to let the library load it. Rejects
+   *   only when aborted.
+   */
+  Drupal.FlowDrop.loadPortConfig = async function (apiClient, options) {
+    try {
+      const result = await Drupal.FlowDrop.cachedRead(apiClient.buildUrl(apiClient.config.endpoints.portConfig || "/port-config"), Object.assign({ client: apiClient }, options));
+      const portConfig = result && result.data;
+      return portConfig && Array.isArray(portConfig.dataTypes) ? portConfig : null;
+    } catch (error) {
+      if (error.name === "AbortError") {
+        throw error;
+      }
+      console.warn("FlowDrop: could not load the port configuration", error);
+      return null;
+    }
+  };
+
+  /**
+   * Formats how long ago something happened.
+   */
+  function formatAge(timestamp) {
+    const minutes = Math.round((Date.now() - timestamp) / 60000);
+    if (minutes < 1) {
+      return Drupal.t("just now");
+    }
+    if (minutes < 60) {
+      return Drupal.formatPlural(minutes, "1 minute ago", "@count minutes ago");
+    }
+    return new Date(timestamp).toLocaleString();
+  }
+
+  /**
+   * Navbar indicator of the offline queue for one editor.
+   */
+  class OfflineIndicator {
+    /**
+     * @param {object} app
+     *   The mounted app.
+     * @param {HTMLElement} container
+     *   The element the app is mounted in.
+     * @param {object} [options]
+     *   - queue: The queue (default the current user's).
+     *   - key: Queue key of the editor's saves.
+     *   - authProvider: The auth provider the editor's queued saves are
+     *     sent with, see OfflineQueue.useAuthProvider().
+     *   - onSent(result, entry): Called when a queued save of the editor
+     *     was sent.
+     */
+    constructor(app, container, options = {}) {
+      this.app = app;
+      this.container = container;
+      this.options = options;
+      this.queue = options.queue || Drupal.FlowDrop.getOfflineQueue();
+      this.element = null;
+      this.dialog = null;
+      this.unsubscribe = null;
+      this.releaseAuthProvider = null;
+    }
+
+    /**
+     * Adds the indicator to the navbar.
+     */
+    attach() {
+      this.element = document.createElement("button");
+      this.element.type = "button";
+      this.element.className = "flowdrop-offline";
+      this.element.title = Drupal.t("Show changes waiting to be sent");
+      this.element.addEventListener("click", () => this.open());
+      const slot = this.container.querySelector(".flowdrop-navbar__end");
+      if (slot) {
+        slot.appendChild(this.element);
+      } else {
+        this.element.classList.add("flowdrop-offline--floating");
+        this.container.appendChild(this.element);
+      }
+
+      this.unsubscribe = this.queue.subscribe((event) => {
+        if (event.type === "sent" && this.options.key && event.entry.key === this.options.key) {
+          Drupal.announce(Drupal.t("Changes saved offline to @label were sent.", { "@label": event.entry.label }));
+          if (this.options.onSent) {
+            Promise.resolve(this.options.onSent(event.result, event.entry)).catch((error) => {
+              console.error("FlowDrop: handling a sent save failed", error);
+            });
+          }
+        }
+        this.render();
+      });
+      if (this.options.key && this.options.authProvider) {
+        this.releaseAuthProvider = this.queue.useAuthProvider(this.options.key, this.options.authProvider);
+      }
+      this.render();
+      return this;
+    }
+
+    /**
+     * Removes the indicator.
+     */
+    detach() {
+      if (this.unsubscribe) {
+        this.unsubscribe();
+        this.unsubscribe = null;
+      }
+      if (this.releaseAuthProvider) {
+        this.releaseAuthProvider();
+        this.releaseAuthProvider = null;
+      }
+      if (this.dialog) {
+        this.dialog.close();
+      }
+      if (this.element) {
+        this.element.remove();
+        this.element = null;
+      }
+    }
+
+    /**
+     * Shows the connection state and the number of waiting writes.
+     */
+    render() {
+      if (!this.element) {
+        return;
+      }
+      const entries = this.queue.getEntries();
+      const held = entries.filter((entry) => entry.status !== "queued").length;
+      const waiting = entries.length - held;
+
+      let text = "";
+      let state = "";
+      if (held) {
+        state = "attention";
+        text = Drupal.formatPlural(held, "1 change needs attention", "@count changes need attention");
+      } else if (!this.queue.online) {
+        state = "offline";
+        text = waiting ? Drupal.formatPlural(waiting, "Offline: 1 change waiting", "Offline: @count changes waiting") : Drupal.t("Offline");
+      } else if (waiting) {
+        state = "sending";
+        text = Drupal.formatPlural(waiting, "Sending 1 change", "Sending @count changes");
+      }
+
+      this.element.hidden = !state;
+      this.element.textContent = text;
+      this.element.dataset.state = state || "online";
+      this.container.classList.toggle("flowdrop-editor--offline", !this.queue.online);
+      if (this.dialog) {
+        this.renderList(this.dialog.element);
+      }
+    }
+
+    /**
+     * Opens the list of waiting writes.
+     */
+    open() {
+      if (this.dialog) {
+        return;
+      }
+      const element = document.createElement("div");
+      element.className = "flowdrop-offline-queue";
+      const dialog = Drupal.dialog(element, {
+        title: Drupal.t("Changes waiting to be sent"),
+        width: "560px",
+        buttons: [
+          {
+            text: Drupal.t("Try again now"),
+            class: "button button--primary",
+            click: () => {
+              this.queue.replay();
+            },
+          },
+          {
+            text: Drupal.t("Close"),
+            class: "button",
+            click: () => dialog.close(),
+          },
+        ],
+        close: () => {
+          this.dialog = null;
+          element.remove();
+        },
+      });
+      this.dialog = { element: element, close: () => dialog.close() };
+      this.renderList(element);
+      dialog.showModal();
+    }
+
+    /**
+     * Lists the waiting writes with what can be done about them.
+     */
+    renderList(element) {
+      element.textContent = "";
+      const entries = this.queue.getEntries();
+      const intro = element.appendChild(document.createElement("p"));
+      intro.textContent = entries.length
+        ? Drupal.t("These changes were saved while the server could not be reached. They are sent in this order once it can be.")
+        : Drupal.t("All changes were sent.");
+
+      const list = element.appendChild(document.createElement("ul"));
+      list.className = "flowdrop-offline-queue__list";
+      entries.forEach((entry) => {
+        const item = list.appendChild(document.createElement("li"));
+        item.className = `flowdrop-offline-queue__entry flowdrop-offline-queue__entry--${entry.status}`;
+
+        const title = item.appendChild(document.createElement("strong"));
+        title.textContent = entry.label || entry.url;
+        const meta = item.appendChild(document.createElement("span"));
+        meta.className = "flowdrop-offline-queue__meta";
+        meta.textContent = {
+          queued: this.queue.getAuthProvider(entry)
+            ? Drupal.t("Saved @age, waiting", { "@age": formatAge(entry.queuedAt) })
+            : Drupal.t("Saved @age, waiting for its editor to be opened", { "@age": formatAge(entry.queuedAt) }),
+          conflict: Drupal.t("Saved @age, conflicts: @error", { "@age": formatAge(entry.queuedAt), "@error": entry.error }),
+          failed: Drupal.t("Saved @age, refused: @error", { "@age": formatAge(entry.queuedAt), "@error": entry.error }),
+        }[entry.status];
+
+        const actions = item.appendChild(document.createElement("span"));
+        actions.className = "flowdrop-offline-queue__actions";
+        if (entry.status !== "queued") {
+          this.addButton(actions, Drupal.t("Send anyway"), () => this.queue.sendAnyway(entry.id));
+        }
+        this.addButton(actions, Drupal.t("Discard"), async () => {
+          this.queue.remove(entry.id);
+          Drupal.announce(Drupal.t("Discarded the changes to @label.", { "@label": entry.label || entry.url }));
+        });
+      });
+    }
+
+    /**
+     * Adds a button that runs an action on an entry.
+     */
+    addButton(parent, label, action) {
+      const button = parent.appendChild(document.createElement("button"));
+      button.type = "button";
+      button.className = "button button--small";
+      button.textContent = label;
+      button.addEventListener("click", () => {
+        button.disabled = true;
+        action().catch((error) => {
+          button.disabled = false;
+          Drupal.announce(Drupal.t("The change could not be sent: @error", { "@error": error.message }), "assertive");
+        });
+      });
+    }
+  }
+
+  /**
+   * Shows the offline queue in an editor's navbar.
+   *
+   * Sets app.offline; the indicator is removed when the app is destroyed.
+   *
+   * @param {object} app
+   *   The mounted app.
+   * @param {HTMLElement} container
+   *   The element the app is mounted in.
+   * @param {object} [options]
+   *   See OfflineIndicator.
+   *
+   * @return {OfflineIndicator}
+   *   The indicator.
+   */
+  Drupal.FlowDrop.attachOffline = function (app, container, options = {}) {
+    const indicator = new OfflineIndicator(app, container, options).attach();
+    const destroy = app.destroy;
+    app.destroy = function () {
+      indicator.detach();
+      container.classList.remove("flowdrop-editor--offline");
+      delete app.offline;
+      return destroy.apply(this, arguments);
+    };
+    app.offline = indicator;
+    return indicator;
+  };
+
+  Drupal.FlowDrop.OfflineQueue = OfflineQueue;
+  Drupal.FlowDrop.OfflineIndicator = OfflineIndicator;
+
+})(Drupal, drupalSettings);
@@ -0,0 +1,539 @@
+/**
+ * @file
+ * Ctrl+K command palette for FlowDrop editors.
+ *
+ * Searches the nodes on the canvas by label, node ID, tool plugin ID and
+ * config values, and the editor's commands by name. Choosing a node brings
+ * it into view and highlights it; typing ">" first lists commands only.
+ */
+
+(function (Drupal) {
+  "use strict";
+
+  Drupal.FlowDrop = Drupal.FlowDrop || {};
+
+  /**
+   * Most results listed at once.
+   */
+  const MAX_RESULTS = 50;
+
+  /**
+   * Characters of a config value shown around a match.
+   */
+  const SNIPPET_CONTEXT = 30;
+
+  /**
+   * Number of palettes created so far, for element IDs.
+   */
+  let paletteCount = 0;
+
+  /**
+   * Whether an event comes from a place where text is typed.
+   */
+  function isEditable(target) {
+    return !!(target && target.closest && target.closest("input, textarea, select, [contenteditable]:not([contenteditable='false'])"));
+  }
+
+  /**
+   * Scores how well a query matches a text.
+   *
+   * Substrings score highest, earlier and at word starts better. Short
+   * texts also match when the query letters appear in order, so "wbs"
+   * finds "web_search".
+   *
+   * @param {string} query
+   *   The lowercase query.
+   * @param {string} text
+   *   The text.
+   * @param {boolean} fuzzy
+   *   Whether in-order letters count as a match.
+   *
+   * @return {number}
+   *   The score, 0 for no match.
+   */
+  function matchScore(query, text, fuzzy) {
+    const haystack = String(text).toLowerCase();
+    const index = haystack.indexOf(query);
+    if (index !== -1) {
+      const wordStart = index === 0 || /[\s_\-.:/]/.test(haystack.charAt(index - 1));
+      return 100 + (wordStart ? 20 : 0) - Math.min(index, 50) * 0.2;
+    }
+    if (!fuzzy) {
+      return 0;
+    }
+    let position = -1;
+    let gaps = 0;
+    for (const character of query) {
+      const next = haystack.indexOf(character, position + 1);
+      if (next === -1) {
+        return 0;
+      }
+      gaps += position === -1 ? 0 : next - position - 1;
+      position = next;
+    }
+    return Math.max(1, 60 - gaps);
+  }
+
+  /**
+   * Lists the text values of a config object with their keys.
+   *
+   * @return {Array}
+   *   List of {key, text} objects.
+   */
+  function flattenConfig(config, prefix = "") {
+    const values = [];
+    Object.keys(config || {}).forEach((key) => {
+      const value = config[key];
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (value && typeof value === "object") {
+        values.push(...flattenConfig(value, path));
+      } else if (typeof value === "string" || typeof value === "number") {
+        if (String(value).trim()) {
+          values.push({ key: path, text: String(value) });
+        }
+      }
+    });
+    return values;
+  }
+
+  /**
+   * Cuts the part around a match out of a long text.
+   */
+  function snippet(text, query) {
+    const flat = text.replace(/\s+/g, " ");
+    const index = flat.toLowerCase().indexOf(query);
+    if (index === -1 || flat.length <= SNIPPET_CONTEXT * 2 + query.length) {
+      return flat.length > SNIPPET_CONTEXT * 2 ? `${flat.slice(0, SNIPPET_CONTEXT * 2)}…` : flat;
+    }
+    const start = Math.max(0, index - SNIPPET_CONTEXT);
+    const end = Math.min(flat.length, index + query.length + SNIPPET_CONTEXT);
+    return `${start > 0 ? "…" : ""}${flat.slice(start, end)}${end < flat.length ? "…" : ""}`;
+  }
+
+  /**
+   * Searches the nodes of a workflow.
+   *
+   * Every word of the query has to match a label, ID, tool or type (fuzzy)
+   * or a config value (as a substring).
+   *
+   * @param {object} workflow
+   *   The workflow.
+   * @param {string} query
+   *   The query.
+   *
+   * @return {Array}
+   *   List of {nodeId, label, detail, score}, best first.
+   */
+  function searchNodes(workflow, query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const results = [];
+    ((workflow && workflow.nodes) || []).forEach((node) => {
+      const data = node.data || {};
+      const config = data.config || {};
+      const metadata = data.metadata || {};
+      const label = data.label || metadata.name || node.id;
+      const fields = [
+        { key: null, text: label },
+        { key: null, text: node.id },
+        { key: "tool", text: data.toolId || config.toolId || config.tool_id || metadata.tool_id || "" },
+        { key: "type", text: metadata.name || metadata.id || "" },
+      ].filter((field) => field.text);
+      const values = flattenConfig(config);
+
+      let score = 0;
+      let detail = null;
+      const matched = terms.every((term) => {
+        let best = 0;
+        fields.forEach((field) => {
+          best = Math.max(best, matchScore(term, field.text, true));
+        });
+        values.forEach((value) => {
+          // Config matches rank below matches on the node itself.
+          const valueScore = matchScore(term, value.text, false) * 0.5;
+          if (valueScore > best) {
+            best = valueScore;
+            detail = `${value.key}: ${snippet(value.text, term)}`;
+          }
+        });
+        score += best;
+        return best > 0;
+      });
+
+      if (matched || !terms.length) {
+        const tool = fields.find((field) => field.key === "tool");
+        results.push({
+          nodeId: node.id,
+          label: label,
+          detail: detail || (tool ? tool.text : node.id),
+          score: score,
+        });
+      }
+    });
+    return results.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Searches commands.
+   *
+   * @param {Array} commands
+   *   List of {id, label, keywords, shortcut, run} objects.
+   * @param {string} query
+   *   The query.
+   *
+   * @return {Array}
+   *   List of {command, score}, best first.
+   */
+  function searchCommands(commands, query) {
+    const term = query.trim().toLowerCase();
+    return commands.map((command) => ({
+      command: command,
+      score: term ? Math.max(matchScore(term, command.label, true), matchScore(term, (command.keywords || []).join(" "), true) * 0.8) : 1,
+    })).filter((result) => result.score > 0).sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Command palette of one mounted editor.
+   */
+  class CommandPalette {
+    /**
+     * @param {object} app
+     *   The mounted app.
+     * @param {HTMLElement} container
+     *   The element the app is mounted in.
+     * @param {object} [options]
+     *   - commands: List of {id, label, keywords, shortcut, run} objects.
+     */
+    constructor(app, container, options = {}) {
+      this.app = app;
+      this.container = container;
+      this.commands = (options.commands || []).slice();
+      this.id = `flowdrop-palette-${++paletteCount}`;
+      this.element = null;
+      this.input = null;
+      this.list = null;
+      this.results = [];
+      this.active = 0;
+      this.returnFocus = null;
+
+      this.onKeydown = (event) => this.handleKeydown(event);
+    }
+
+    /**
+     * Starts listening for Ctrl+K.
+     */
+    attach() {
+      document.addEventListener("keydown", this.onKeydown);
+      return this;
+    }
+
+    /**
+     * Stops listening and removes the palette.
+     */
+    detach() {
+      document.removeEventListener("keydown", this.onKeydown);
+      this.close();
+    }
+
+    /**
+     * Adds a command.
+     *
+     * @param {object} command
+     *   {id, label, keywords, shortcut, run}; replaces a command with the
+     *   same ID.
+     */
+    addCommand(command) {
+      this.commands = this.commands.filter((item) => item.id !== command.id).concat([command]);
+    }
+
+    /**
+     * Whether the palette is open.
+     */
+    isOpen() {
+      return !!this.element;
+    }
+
+    /**
+     * Opens the palette.
+     *
+     * @param {string} [query]
+     *   Text to start with.
+     */
+    open(query = "") {
+      if (!this.element) {
+        this.returnFocus = document.activeElement;
+        this.render();
+      }
+      this.input.value = query;
+      this.input.focus();
+      this.update();
+    }
+
+    /**
+     * Closes the palette.
+     */
+    close() {
+      if (!this.element) {
+        return;
+      }
+      this.element.remove();
+      this.element = null;
+      if (this.app.minimap) {
+        this.app.minimap.setMatches([]);
+      }
+      if (this.returnFocus && this.returnFocus.isConnected) {
+        this.returnFocus.focus({ preventScroll: true });
+      }
+      this.returnFocus = null;
+    }
+
+    /**
+     * Creates the palette elements.
+     */
+    render() {
+      this.element = document.createElement("div");
+      this.element.className = "flowdrop-palette";
+      this.element.innerHTML = `<div class="flowdrop-palette__dialog" role="dialog" aria-modal="true">
+        <input type="text" class="flowdrop-palette__input" role="combobox" aria-autocomplete="list" aria-expanded="true" autocomplete="off" spellcheck="false">
+        <ul class="flowdrop-palette__list" role="listbox"></ul>
+        <p class="flowdrop-palette__empty" hidden></p>
+      </div>`;
+      const dialog = this.element.querySelector(".flowdrop-palette__dialog");
+      dialog.setAttribute("aria-label", Drupal.t("Command palette"));
+      this.input = this.element.querySelector(".flowdrop-palette__input");
+      this.input.placeholder = Drupal.t("Search nodes, or type > for commands");
+      this.input.setAttribute("aria-controls", `${this.id}-list`);
+      this.list = this.element.querySelector(".flowdrop-palette__list");
+      this.list.id = `${this.id}-list`;
+      this.element.querySelector(".flowdrop-palette__empty").textContent = Drupal.t("Nothing found");
+
+      this.input.addEventListener("input", () => this.update());
+      this.input.addEventListener("keydown", (event) => this.handleInputKeydown(event));
+      this.list.addEventListener("mousedown", (event) => {
+        // Keep the focus in the input.
+        event.preventDefault();
+      });
+      this.list.addEventListener("click", (event) => {
+        const option = event.target.closest("[data-index]");
+        if (option) {
+          this.choose(Number(option.dataset.index));
+        }
+      });
+      this.element.addEventListener("mousedown", (event) => {
+        if (event.target === this.element) {
+          this.close();
+        }
+      });
+
+      this.container.appendChild(this.element);
+    }
+
+    /**
+     * Lists the results for the current query.
+     */
+    update() {
+      const value = this.input.value;
+      const commandsOnly = value.charAt(0) === ">";
+      const query = commandsOnly ? value.slice(1).trim() : value.trim();
+
+      const commands = searchCommands(this.commands.filter((command) => !command.isAvailable || command.isAvailable()), query).map((result) => ({
+        type: "command",
+        command: result.command,
+        score: result.score,
+      }));
+      const nodes = commandsOnly ? [] : searchNodes(this.app.getWorkflow(), query).map((result) => Object.assign({ type: "node" }, result));
+      // Without a query, nodes come first; commands are a ">" away.
+      this.results = (query ? nodes.concat(commands).sort((a, b) => b.score - a.score) : (commandsOnly ? commands : nodes.concat(commands))).slice(0, MAX_RESULTS);
+      this.active = 0;
+
+      this.list.textContent = "";
+      this.results.forEach((result, index) => {
+        const option = document.createElement("li");
+        option.className = `flowdrop-palette__option flowdrop-palette__option--${result.type}`;
+        option.id = `${this.id}-option-${index}`;
+        option.setAttribute("role", "option");
+        option.dataset.index = index;
+
+        const title = document.createElement("span");
+        title.className = "flowdrop-palette__title";
+        title.textContent = result.type === "node" ? result.label : result.command.label;
+        const detail = document.createElement("span");
+        detail.className = "flowdrop-palette__detail";
+        detail.textContent = result.type === "node" ? result.detail : (result.command.shortcut || Drupal.t("Command"));
+        option.append(title, detail);
+        this.list.appendChild(option);
+      });
+      this.element.querySelector(".flowdrop-palette__empty").hidden = this.results.length > 0;
+      this.highlight();
+
+      if (this.app.minimap) {
+        this.app.minimap.setMatches(query ? nodes.map((result) => result.nodeId) : []);
+      }
+    }
+
+    /**
+     * Marks the active result.
+     */
+    highlight() {
+      Array.from(this.list.children).forEach((option, index) => {
+        option.setAttribute("aria-selected", index === this.active ? "true" : "false");
+      });
+      const option = this.list.children[this.active];
+      if (option) {
+        this.input.setAttribute("aria-activedescendant", option.id);
+        option.scrollIntoView({ block: "nearest" });
+      } else {
+        this.input.removeAttribute("aria-activedescendant");
+      }
+    }
+
+    /**
+     * Runs a command or brings a node into view.
+     *
+     * @param {number} index
+     *   The index of the result.
+     */
+    choose(index) {
+      const result = this.results[index];
+      if (!result) {
+        return;
+      }
+      this.close();
+      if (result.type === "command") {
+        result.command.run(this.app);
+        return;
+      }
+
+      // Members of collapsed groups have to be shown first.
+      const group = this.app.groups && this.app.groups.getGroups().find((item) => item.collapsed && item.nodeIds.indexOf(result.nodeId) !== -1);
+      if (group) {
+        this.app.groups.toggle(group.id, false);
+      }
+      requestAnimationFrame(() => Drupal.FlowDrop.focusNode(this.container, result.nodeId));
+    }
+
+    /**
+     * Moves through the results and chooses one.
+     */
+    handleInputKeydown(event) {
+      if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+        event.preventDefault();
+        if (this.results.length) {
+          this.active = (this.active + (event.key === "ArrowDown" ? 1 : -1) + this.results.length) % this.results.length;
+          this.highlight();
+        }
+      } else if (event.key === "Enter") {
+        event.preventDefault();
+        this.choose(this.active);
+      } else if (event.key === "Escape") {
+        event.preventDefault();
+        this.close();
+      }
+    }
+
+    /**
+     * Opens or closes the palette on Ctrl+K.
+     */
+    handleKeydown(event) {
+      if (!(event.ctrlKey || event.metaKey) || event.shiftKey || event.altKey || event.key.toLowerCase() !== "k") {
+        return;
+      }
+      if (this.isOpen()) {
+        event.preventDefault();
+        this.close();
+        return;
+      }
+      if (Drupal.FlowDrop.getActiveApp() !== this.app || isEditable(event.target)) {
+        return;
+      }
+      // Browsers focus their search bar otherwise.
+      event.preventDefault();
+      this.open();
+    }
+  }
+
+  /**
+   * Turns navbar actions into palette commands.
+   *
+   * Actions may name their keyboard shortcut in a "shortcut" property.
+   *
+   * @param {Array} actions
+   *   The navbar actions.
+   *
+   * @return {Array}
+   *   The commands.
+   */
+  function commandsFromNavbarActions(actions) {
+    return actions.filter((action) => action.onclick || (action.href && action.href !== "#")).map((action) => ({
+      id: `navbar:${action.label}`,
+      label: action.label,
+      shortcut: action.shortcut,
+      run: function () {
+        if (action.onclick) {
+          action.onclick(new Event("click"));
+        } else {
+          window.location.href = action.href;
+        }
+      },
+    }));
+  }
+
+  /**
+   * Adds a command palette to a mounted FlowDrop app.
+   *
+   * @param {object} app
+   *   The mounted app.
+   * @param {HTMLElement} container
+   *   The element the app is mounted in.
+   * @param {object} [options]
+   *   - commands: List of {id, label, keywords, shortcut, isAvailable, run}
+   *     objects; run() gets the app.
+   *   - navbarActions: Navbar actions to offer as commands too.
+   *
+   * @return {CommandPalette}
+   *   The palette, also available as app.palette.
+   */
+  Drupal.FlowDrop.attachCommandPalette = function (app, container, options = {}) {
+    const commands = commandsFromNavbarActions(options.navbarActions || []).concat([
+      {
+        id: "fit-view",
+        label: Drupal.t("Fit view"),
+        keywords: ["zoom", "all"],
+        run: function () {
+          const fitView = container.querySelector(".svelte-flow__controls-fitview");
+          if (fitView) {
+            fitView.click();
+          }
+        },
+      },
+      {
+        id: "undo",
+        label: Drupal.t("Undo"),
+        shortcut: "Ctrl+Z",
+        isAvailable: () => !!(app.canUndo && app.canUndo()),
+        run: () => app.undo(),
+      },
+      {
+        id: "redo",
+        label: Drupal.t("Redo"),
+        shortcut: "Ctrl+Shift+Z",
+        isAvailable: () => !!(app.canRedo && app.canRedo()),
+        run: () => app.redo(),
+      },
+    ], options.commands || []);
+
+    const palette = new CommandPalette(app, container, { commands: commands }).attach();
+    const destroy = app.destroy;
+
+    app.palette = palette;
+    app.destroy = function () {
+      palette.detach();
+      return destroy.apply(app, arguments);
+    };
+
+    return palette;
+  };
+
+  Drupal.FlowDrop.CommandPalette = CommandPalette;
+  Drupal.FlowDrop.searchNodes = searchNodes;
+
+})(Drupal);
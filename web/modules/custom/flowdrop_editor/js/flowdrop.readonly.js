@@ -0,0 +1,197 @@
+/**
+ * @file
+ * Review mode for FlowDrop editors.
+ *
+ * Shows a workflow without letting it be changed: the node palette is
+ * hidden, nodes cannot be dragged, connected, selected or deleted, and the
+ * configuration sidebar shows the values of a node without saving them.
+ * Panning, zooming and opening nodes keep working. A banner on the canvas
+ * says why the workflow cannot be changed.
+ *
+ * This build of the library accepts lockWorkflow and readOnly but does not
+ * act on them, and disableSidebar would remove the configuration sidebar as
+ * well, so the editor is locked from the outside.
+ */
+
+(function (Drupal) {
+  "use strict";
+
+  Drupal.FlowDrop = Drupal.FlowDrop || {};
+
+  /**
+   * Fields of the configuration sidebar.
+   */
+  const FIELD_SELECTOR = [
+    ".flowdrop-sidebar--right input",
+    ".flowdrop-sidebar--right select",
+    ".flowdrop-sidebar--right textarea",
+    ".flowdrop-sidebar--right [contenteditable=\"true\"]",
+    ".flowdrop-sidebar--right form button",
+    ".flowdrop-config-sidebar__form button",
+    ".config-sidebar__content input",
+    ".config-sidebar__content select",
+    ".config-sidebar__content textarea",
+    ".config-sidebar__content [contenteditable=\"true\"]",
+    ".config-sidebar__content button",
+  ].join(", ");
+
+  /**
+   * Input types that can be made read-only instead of disabled.
+   */
+  const TEXT_TYPES = ["", "text", "search", "url", "email", "tel", "number", "password", "date", "datetime-local", "time"];
+
+  /**
+   * Review mode of one mounted editor.
+   */
+  class ReadOnlyMode {
+    /**
+     * @param {object} app
+     *   The mounted app.
+     * @param {HTMLElement} container
+     *   The element the app is mounted in.
+     * @param {object} [options]
+     *   - title: Banner title.
+     *   - message: Banner text explaining why the workflow cannot be
+     *     changed.
+     */
+    constructor(app, container, options = {}) {
+      this.app = app;
+      this.container = container;
+      this.title = options.title || Drupal.t("Read-only");
+      this.message = options.message || Drupal.t("This workflow can be viewed but not changed.");
+      this.banner = null;
+      this.frame = null;
+
+      this.observer = new MutationObserver(() => this.scheduleApply());
+      this.onKeydown = (event) => this.handleKeydown(event);
+    }
+
+    /**
+     * Locks the editor.
+     */
+    attach() {
+      this.container.classList.add("flowdrop-editor--read-only");
+      this.container.addEventListener("keydown", this.onKeydown, true);
+      this.observer.observe(this.container, { childList: true, subtree: true, attributes: true, attributeFilter: ["class"] });
+      this.apply();
+      return this;
+    }
+
+    /**
+     * Stops locking the editor.
+     */
+    detach() {
+      this.observer.disconnect();
+      cancelAnimationFrame(this.frame);
+      this.container.removeEventListener("keydown", this.onKeydown, true);
+      this.container.classList.remove("flowdrop-editor--read-only");
+      if (this.banner) {
+        this.banner.remove();
+        this.banner = null;
+      }
+    }
+
+    /**
+     * Locks what the editor rendered since the last frame.
+     */
+    scheduleApply() {
+      if (this.frame) {
+        return;
+      }
+      this.frame = requestAnimationFrame(() => {
+        this.frame = null;
+        this.apply();
+      });
+    }
+
+    /**
+     * Locks the canvas and the configuration sidebar and shows the banner.
+     */
+    apply() {
+      // The canvas is locked with its own lock control, which turns off
+      // dragging, connecting and selecting together. Nodes only carry the
+      // "draggable" class while it is unlocked.
+      const lock = this.container.querySelector(".svelte-flow__controls-interactive");
+      if (lock && this.container.querySelector(".svelte-flow__node.draggable")) {
+        lock.click();
+      }
+
+      this.container.querySelectorAll(FIELD_SELECTOR).forEach((field) => {
+        if (field.dataset.flowdropReadOnly) {
+          return;
+        }
+        field.dataset.flowdropReadOnly = "true";
+        if (field.isContentEditable) {
+          field.setAttribute("contenteditable", "false");
+        } else if (field.tagName === "TEXTAREA" || (field.tagName === "INPUT" && TEXT_TYPES.indexOf(field.getAttribute("type") || "") !== -1)) {
+          field.readOnly = true;
+        } else {
+          field.disabled = true;
+        }
+      });
+
+      const canvas = this.container.querySelector(".svelte-flow");
+      if (canvas && (!this.banner || this.banner.parentNode !== canvas)) {
+        canvas.appendChild(this.banner || this.createBanner());
+      }
+    }
+
+    /**
+     * Creates the banner.
+     *
+     * Uses the markup of the library's CanvasBanner, which cannot be mounted
+     * from outside the library.
+     */
+    createBanner() {
+      this.banner = document.createElement("div");
+      this.banner.className = "flowdrop-canvas-banner flowdrop-read-only-banner";
+      this.banner.setAttribute("role", "status");
+      this.banner.innerHTML = "<div class=\"flowdrop-card\"><div class=\"flowdrop-card__body flowdrop-text--center\">" +
+        "<h3 class=\"flowdrop-canvas-banner__title\"></h3>" +
+        "<p class=\"flowdrop-canvas-banner__description\"></p>" +
+        "</div></div>";
+      this.banner.querySelector(".flowdrop-canvas-banner__title").textContent = this.title;
+      this.banner.querySelector(".flowdrop-canvas-banner__description").textContent = this.message;
+      return this.banner;
+    }
+
+    /**
+     * Keeps Ctrl+Enter from saving the configuration sidebar.
+     */
+    handleKeydown(event) {
+      if ((event.ctrlKey || event.metaKey) && event.key === "Enter" && event.target.closest(".flowdrop-sidebar--right, .config-sidebar__content")) {
+        event.preventDefault();
+        event.stopPropagation();
+      }
+    }
+  }
+
+  /**
+   * Puts a mounted FlowDrop app in review mode.
+   *
+   * @param {object} app
+   *   The mounted app.
+   * @param {HTMLElement} container
+   *   The element the app is mounted in.
+   * @param {object} [options]
+   *   Options for ReadOnlyMode.
+   *
+   * @return {ReadOnlyMode}
+   *   The review mode, also available as app.readOnly.
+   */
+  Drupal.FlowDrop.attachReadOnly = function (app, container, options = {}) {
+    const readOnly = new ReadOnlyMode(app, container, options).attach();
+    const destroy = app.destroy;
+
+    app.readOnly = readOnly;
+    app.destroy = function () {
+      readOnly.detach();
+      return destroy.apply(app, arguments);
+    };
+
+    return readOnly;
+  };
+
+  Drupal.FlowDrop.ReadOnlyMode = ReadOnlyMode;
+
+})(Drupal);
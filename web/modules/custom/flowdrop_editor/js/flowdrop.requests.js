@@ -0,0 +1,373 @@
+/**
+ * @file
+ * Cached, deduplicated and cancellable GET requests for FlowDrop editors.
+ *
+ * The library's API client fetches node types, node metadata and the port
+ * configuration again for every editor mounted, and a slow answer can
+ * arrive after a newer one. Each editor gets its own client instead, an
+ * EnhancedFlowDropApiClient from createApiClient() that sends its requests
+ * through the editor's auth provider, and GETs through ApiRequests:
+ *
+ * - Identical GETs in flight share one request.
+ * - Every request takes an AbortSignal. Aborting rejects that caller; the
+ *   shared request is only cancelled once every caller aborted. Closing
+ *   the editor aborts all requests of its client.
+ * - Responses are kept for their Cache-Control max-age, or the configured
+ *   TTL when the server sends none, and never with no-store. Expired
+ *   responses with an ETag are revalidated with If-None-Match, so a 304
+ *   reuses what was loaded before. no-cache is not honored: Drupal sends it
+ *   with every response to a logged-in user, so the TTL decides when to
+ *   revalidate.
+ * - Writes through a client forget the responses cached under its API.
+ *
+ * The cache lives as long as the page, so an editor opened again reuses
+ * what the one before it loaded.
+ */
+
+(function (Drupal) {
+  "use strict";
+
+  Drupal.FlowDrop = Drupal.FlowDrop || {};
+
+  /**
+   * Milliseconds responses are kept when the server does not say.
+   */
+  const DEFAULT_TTL = 60000;
+
+  /**
+   * The shared instance.
+   */
+  let sharedRequests = null;
+
+  /**
+   * Creates the error fetch() rejects with when a request is aborted.
+   */
+  function abortError() {
+    return new DOMException(Drupal.t("The request was aborted."), "AbortError");
+  }
+
+  /**
+   * Reads how long a response may be kept from its Cache-Control header.
+   *
+   * @return {number|null}
+   *   Milliseconds, -1 to not keep it, or NULL when the header does not say.
+   */
+  function parseCacheControl(header) {
+    const directives = (header || "").toLowerCase().split(",").map((part) => part.trim());
+    if (directives.indexOf("no-store") !== -1) {
+      return -1;
+    }
+    const maxAge = directives.find((directive) => directive.indexOf("max-age=") === 0);
+    return maxAge ? Math.max(0, parseInt(maxAge.slice(8), 10) || 0) * 1000 : null;
+  }
+
+  /**
+   * GET request cache.
+   */
+  class ApiRequests {
+    /**
+     * @param {object} [options]
+     *   - ttl: Milliseconds to keep responses without a max-age (default
+     *     60000).
+     */
+    constructor(options = {}) {
+      this.ttl = options.ttl === undefined ? DEFAULT_TTL : options.ttl;
+      this.cache = new Map();
+      this.inflight = new Map();
+    }
+
+    /**
+     * GETs JSON.
+     *
+     * @param {string} url
+     *   The URL.
+     * @param {object} [options]
+     *   - signal: AbortSignal that cancels the request for this caller.
+     *   - authProvider: Auth provider to fetch with; without one the
+     *     request is sent with the session cookie.
+     *   - ttl: Milliseconds to keep the response without a max-age,
+     *     overrides the default.
+     *   - timeout: Milliseconds after which the request fails with a
+     *     TimeoutError (default no limit).
+     *   - force: Skip the cached response, but still revalidate it.
+     *
+     * @return {Promise<object>}
+     *   The decoded response. Each caller gets its own copy. Rejects with
+     *   an AbortError when aborted.
+     */
+    get(url, options = {}) {
+      const signal = options.signal;
+      if (signal && signal.aborted) {
+        return Promise.reject(abortError());
+      }
+
+      const cached = this.cache.get(url);
+      if (cached && !options.force && cached.expires > Date.now()) {
+        return Promise.resolve(JSON.parse(cached.json));
+      }
+
+      let request = this.inflight.get(url);
+      if (!request) {
+        request = this.load(url, options);
+        this.inflight.set(url, request);
+        request.promise.finally(() => {
+          if (this.inflight.get(url) === request) {
+            this.inflight.delete(url);
+          }
+        }).catch(() => {
+          // Reported to the callers.
+        });
+      }
+      request.waiting++;
+
+      return new Promise((resolve, reject) => {
+        let settled = false;
+        const onAbort = () => {
+          if (settled) {
+            return;
+          }
+          settled = true;
+          reject(abortError());
+          // Cancel the request once nobody waits for it any more.
+          if (--request.waiting === 0) {
+            request.controller.abort();
+            if (this.inflight.get(url) === request) {
+              this.inflight.delete(url);
+            }
+          }
+        };
+        if (signal) {
+          signal.addEventListener("abort", onAbort, { once: true });
+        }
+        request.promise.then((json) => {
+          if (!settled) {
+            settled = true;
+            request.waiting--;
+            resolve(JSON.parse(json));
+          }
+        }, (error) => {
+          if (!settled) {
+            settled = true;
+            request.waiting--;
+            reject(error);
+          }
+        }).finally(() => {
+          if (signal) {
+            signal.removeEventListener("abort", onAbort);
+          }
+        });
+      });
+    }
+
+    /**
+     * Starts a request, revalidating the cached response if there is one.
+     *
+     * @return {object}
+     *   {promise, controller, waiting}. The promise resolves with the
+     *   response body as a string.
+     */
+    load(url, options) {
+      const controller = new AbortController();
+      const cached = this.cache.get(url);
+      const headers = { "Accept": "application/json" };
+      if (cached && cached.etag) {
+        headers["If-None-Match"] = cached.etag;
+      }
+      const init = { headers: headers, signal: controller.signal };
+      const timer = options.timeout ? setTimeout(() => {
+        controller.abort(new DOMException(Drupal.t("The request timed out."), "TimeoutError"));
+      }, options.timeout) : null;
+
+      const promise = (async () => {
+        const response = await (options.authProvider ? options.authProvider.fetch(url, init) : fetch(url, Object.assign({ credentials: "same-origin" }, init)));
+        const maxAge = parseCacheControl(response.headers.get("Cache-Control"));
+        const ttl = maxAge === null ? (options.ttl === undefined ? this.ttl : options.ttl) : maxAge;
+
+        if (response.status === 304 && cached) {
+          cached.expires = Date.now() + Math.max(0, ttl);
+          return cached.json;
+        }
+        if (!response.ok) {
+          throw new Error(`Request failed: ${response.status} ${response.statusText}`);
+        }
+
+        // Fail here for bodies that are not JSON, not in every caller.
+        const json = await response.text();
+        JSON.parse(json);
+        if (ttl < 0) {
+          this.cache.delete(url);
+        } else {
+          this.cache.set(url, {
+            json: json,
+            etag: response.headers.get("ETag"),
+            expires: Date.now() + ttl,
+          });
+        }
+        return json;
+      })();
+      promise.finally(() => clearTimeout(timer)).catch(() => {
+        // Reported to the callers.
+      });
+
+      return { promise: promise, controller: controller, waiting: 0 };
+    }
+
+    /**
+     * Forgets cached responses.
+     *
+     * @param {string} [prefix]
+     *   Only forget URLs starting with this; everything when omitted.
+     */
+    invalidate(prefix) {
+      Array.from(this.cache.keys()).forEach((url) => {
+        if (!prefix || url.indexOf(prefix) === 0) {
+          this.cache.delete(url);
+        }
+      });
+    }
+  }
+
+  /**
+   * Gets the request cache shared by the editors on the page.
+   *
+   * @return {ApiRequests}
+   *   The request cache.
+   */
+  Drupal.FlowDrop.getApiRequests = function () {
+    if (!sharedRequests) {
+      sharedRequests = new ApiRequests();
+    }
+    return sharedRequests;
+  };
+
+  /**
+   * Combines abort signals.
+   *
+   * @return {AbortSignal|undefined}
+   *   A signal aborted with the first of the given ones, if any.
+   */
+  function anySignal(...signals) {
+    signals = signals.filter(Boolean);
+    return signals.length > 1 ? AbortSignal.any(signals) : signals[0];
+  }
+
+  /**
+   * Creates the API client of an editor.
+   *
+   * @param {object} library
+   *   The FlowDrop library.
+   * @param {object} endpointConfig
+   *   The endpoint configuration.
+   * @param {object} options
+   *   - authProvider: Auth provider to fetch with; an AuthProvider with a
+   *     fetch() method like DrupalSessionAuthProvider.
+   *   - signal: AbortSignal that cancels every request of the client,
+   *     e.g. when its editor closes.
+   *   - requests: The ApiRequests to GET through (default the page's).
+   *   - ttl: Milliseconds to keep responses without a max-age, overrides
+   *     the default of the ApiRequests.
+   *
+   * @return {object}
+   *   The client, an EnhancedFlowDropApiClient. Its request() takes a
+   *   signal, and force to skip the cached response, with the other fetch
+   *   options; getAvailableNodes(), getNode() and getNodeMetadata() take
+   *   them as their last argument.
+   */
+  Drupal.FlowDrop.createApiClient = function (library, endpointConfig, options = {}) {
+    const requests = options.requests || Drupal.FlowDrop.getApiRequests();
+
+    class DrupalApiClient extends library.EnhancedFlowDropApiClient {
+      /**
+       * Builds the URL of an endpoint.
+       */
+      buildUrl(endpointPath, params) {
+        return library.buildEndpointUrl(this.config, endpointPath, params);
+      }
+
+      /**
+       * GETs JSON through the request cache.
+       *
+       * @param {string} url
+       *   The URL.
+       * @param {object} [getOptions]
+       *   - signal: AbortSignal that cancels the request for this caller.
+       *   - force: Skip the cached response, but still revalidate it.
+       *
+       * @return {Promise<object>}
+       *   The decoded response.
+       */
+      get(url, getOptions = {}) {
+        return requests.get(url, {
+          signal: anySignal(options.signal, getOptions.signal),
+          authProvider: this.authProvider,
+          ttl: options.ttl,
+          timeout: this.config.timeout,
+          force: getOptions.force,
+        });
+      }
+
+      /**
+       * Sends a request through the auth provider, GETs through the cache.
+       */
+      async request(endpointKey, endpointPath, params, requestOptions = {}, operation = "API request") {
+        const url = this.buildUrl(endpointPath, params);
+        const method = (requestOptions.method || library.getEndpointMethod(this.config, endpointKey)).toUpperCase();
+        if (method === "GET") {
+          return this.get(url, requestOptions);
+        }
+
+        const init = Object.assign({}, requestOptions, {
+          method: method,
+          headers: Object.assign(library.getEndpointHeaders(this.config, endpointKey), requestOptions.headers),
+          signal: anySignal(options.signal, requestOptions.signal),
+        });
+        delete init.force;
+        const response = await this.authProvider.fetch(url, init);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new library.ApiError(data.error || `HTTP ${response.status}: ${response.statusText}`, response.status, operation, data);
+        }
+        // The write may have changed what was read before.
+        requests.invalidate(this.config.baseUrl);
+        return data;
+      }
+
+      /**
+       * Requests the data of an endpoint.
+       */
+      async read(endpointKey, endpointPath, params, requestOptions, operation) {
+        const response = await this.request(endpointKey, endpointPath, params, requestOptions || {}, operation);
+        if (!response.success || !response.data) {
+          throw new Error(response.error || `Failed to ${operation}`);
+        }
+        return response.data;
+      }
+
+      /**
+       * Fetches all node types.
+       */
+      getAvailableNodes(requestOptions) {
+        return this.read("nodes.list", this.config.endpoints.nodes.list, undefined, requestOptions, "fetch available nodes");
+      }
+
+      /**
+       * Fetches a node type.
+       */
+      getNode(nodeId, requestOptions) {
+        return this.read("nodes.get", this.config.endpoints.nodes.get, { id: nodeId }, requestOptions, "fetch node");
+      }
+
+      /**
+       * Fetches the metadata of a node type.
+       */
+      getNodeMetadata(nodeId, requestOptions) {
+        return this.read("nodes.metadata", this.config.endpoints.nodes.metadata, { id: nodeId }, requestOptions, "fetch node metadata");
+      }
+    }
+
+    return new DrupalApiClient(endpointConfig, options.authProvider);
+  };
+
+  Drupal.FlowDrop.ApiRequests = ApiRequests;
+
+})(Drupal);
@@ -0,0 +1,209 @@
+/**
+ * @file
+ * Runtime configuration of FlowDrop editors.
+ *
+ * The library's fetchRuntimeConfig() always asks /api/config at the site
+ * root and keeps one configuration for the whole page. Editors load theirs
+ * through a RuntimeConfig instead, from the optional "runtimeConfig"
+ * endpoint of their endpoint configuration:
+ *
+ * @code
+ * endpoints: {
+ *   runtimeConfig: "/config",
+ * }
+ * @endcode
+ *
+ * The endpoint is relative to the base URL, and a root-relative base URL
+ * gets Drupal's base path, so sites installed in a subdirectory work. Each
+ * editor keeps its own configuration, loaded through its own auth provider,
+ * for five minutes; without the endpoint, or when it cannot be loaded, the
+ * defaults point at the editor's own API.
+ *
+ * Editors send their API requests to the apiBaseUrl of the configuration
+ * and give up on reads after its timeout, see RuntimeConfig.applyTo().
+ */
+
+(function (Drupal, drupalSettings) {
+  "use strict";
+
+  Drupal.FlowDrop = Drupal.FlowDrop || {};
+
+  /**
+   * Milliseconds a loaded configuration is kept, as in the library.
+   */
+  const DEFAULT_TTL = 300000;
+
+  /**
+   * Prefixes a root-relative URL with Drupal's base path.
+   *
+   * URLs that already start with the base path, absolute URLs and relative
+   * ones are returned as they are.
+   *
+   * @param {string} url
+   *   The URL.
+   *
+   * @return {string}
+   *   The URL to request.
+   */
+  Drupal.FlowDrop.withBasePath = function (url) {
+    const basePath = (drupalSettings.path && drupalSettings.path.baseUrl) || "/";
+    if (!url || url.charAt(0) !== "/" || url.indexOf("//") === 0 || url.indexOf(basePath) === 0) {
+      return url;
+    }
+    return basePath.replace(/\/$/, "") + url;
+  };
+
+  /**
+   * The runtime configuration of one editor.
+   */
+  class RuntimeConfig {
+    /**
+     * @param {object} endpointConfig
+     *   The endpoint configuration of the editor.
+     * @param {object} [options]
+     *   - authProvider: Auth provider to fetch with; without one the
+     *     request is sent with the session cookie.
+     *   - ttl: Milliseconds to keep the configuration (default 300000).
+     */
+    constructor(endpointConfig, options = {}) {
+      this.endpointConfig = endpointConfig;
+      this.authProvider = options.authProvider || null;
+      this.ttl = options.ttl === undefined ? DEFAULT_TTL : options.ttl;
+      this.config = null;
+      this.loadedAt = 0;
+      this.pending = null;
+    }
+
+    /**
+     * Gets the URL of the runtimeConfig endpoint.
+     *
+     * @return {string|null}
+     *   The URL, or NULL when the endpoint is not configured.
+     */
+    getUrl() {
+      const endpoint = this.endpointConfig.endpoints && this.endpointConfig.endpoints.runtimeConfig;
+      if (!endpoint) {
+        return null;
+      }
+      return Drupal.FlowDrop.withBasePath(`${this.endpointConfig.baseUrl.replace(/\/$/, "")}${endpoint}`);
+    }
+
+    /**
+     * Gets the configuration used when none could be loaded.
+     *
+     * @return {object}
+     *   The defaults, pointing at the editor's API.
+     */
+    getDefaults() {
+      return {
+        apiBaseUrl: Drupal.FlowDrop.withBasePath(this.endpointConfig.baseUrl),
+        theme: "auto",
+        timeout: this.endpointConfig.timeout || 30000,
+        authType: "none",
+        version: "1.0.0",
+        environment: "production",
+      };
+    }
+
+    /**
+     * Gets the configuration loaded last.
+     *
+     * @return {object|null}
+     *   The configuration, or NULL before the first load().
+     */
+    get() {
+      return this.config;
+    }
+
+    /**
+     * Loads the configuration, unless a fresh one was loaded already.
+     *
+     * @param {object} [options]
+     *   - force: Load it again even if it is fresh.
+     *   - signal: AbortSignal that cancels the request.
+     *
+     * @return {Promise<object>}
+     *   The configuration; the defaults, or the last one loaded, when it
+     *   cannot be loaded. Rejects with an AbortError when aborted.
+     */
+    load(options = {}) {
+      if (!options.force && this.config && Date.now() - this.loadedAt < this.ttl) {
+        return Promise.resolve(this.config);
+      }
+      if (this.pending && !options.force) {
+        return this.pending;
+      }
+
+      const url = this.getUrl();
+      const pending = (async () => {
+        let config = null;
+        if (url) {
+          try {
+            const init = { headers: { "Accept": "application/json" }, signal: options.signal };
+            const response = await (this.authProvider ? this.authProvider.fetch(url, init) : fetch(url, Object.assign({ credentials: "same-origin" }, init)));
+            if (!response.ok) {
+              throw new Error(`Request failed: ${response.status} ${response.statusText}`);
+            }
+            config = await response.json();
+          } catch (error) {
+            if (error.name === "AbortError") {
+              throw error;
+            }
+            console.warn("FlowDrop: failed to load the runtime configuration, using defaults", error);
+          }
+        }
+        if (config || !this.config) {
+          this.config = Object.assign(this.getDefaults(), config || {});
+          this.loadedAt = config ? Date.now() : 0;
+        }
+        return this.config;
+      })();
+
+      this.pending = pending;
+      pending.finally(() => {
+        if (this.pending === pending) {
+          this.pending = null;
+        }
+      }).catch(() => {
+        // Reported to the caller.
+      });
+      return pending;
+    }
+
+    /**
+     * Applies the configuration loaded last to an endpoint configuration.
+     *
+     * @param {object} endpointConfig
+     *   The endpoint configuration.
+     *
+     * @return {object}
+     *   A copy with the apiBaseUrl as base URL and the timeout of the
+     *   configuration, or the endpoint configuration itself before the
+     *   first load().
+     */
+    applyTo(endpointConfig) {
+      if (!this.config) {
+        return endpointConfig;
+      }
+      const applied = Object.assign({}, endpointConfig);
+      if (typeof this.config.apiBaseUrl === "string" && this.config.apiBaseUrl) {
+        applied.baseUrl = this.config.apiBaseUrl.replace(/\/$/, "");
+      }
+      if (this.config.timeout > 0) {
+        applied.timeout = this.config.timeout;
+      }
+      return applied;
+    }
+
+    /**
+     * Forgets the loaded configuration, so the next load() requests it.
+     */
+    clear() {
+      this.config = null;
+      this.loadedAt = 0;
+    }
+  }
+
+  Drupal.FlowDrop.RuntimeConfig = RuntimeConfig;
+
+})(Drupal, drupalSettings);
@@ -0,0 +1,182 @@
+/**
+ * @file
+ * Pluggable transport for FlowDrop API requests.
+ *
+ * A transport is an object with two methods:
+ *
+ * - handles(url): Whether the transport answers requests to the URL.
+ * - fetch(url, init): Resolves with a Response, like window.fetch().
+ *
+ * A transport is handed to an editor by wrapping its auth provider in a
+ * TransportAuthProvider, which sends the requests the transport handles to
+ * it and all others through the wrapped provider. Everything the editor
+ * requests through its auth provider goes that way: the runtime
+ * configuration, node types and port configuration (see
+ * flowdrop.requests.js), saves and the CSRF token.
+ *
+ * The library calls fetch() itself, for its API clients, node lists,
+ * runtime configuration and execution polling, and takes no fetch to use
+ * instead. While an editor with a transport is mounted, its requests to
+ * URLs the transport handles are routed to the editor's provider as well,
+ * see Drupal.FlowDrop.routeLibraryRequests(). Requests to any other URL go
+ * to window.fetch() as before.
+ *
+ * Editors get a transport through the "transport" option of
+ * Drupal.FlowDrop.bootstrap(); see flowdrop.mock.js for a stand-in backend.
+ */
+
+(function (Drupal) {
+  "use strict";
+
+  Drupal.FlowDrop = Drupal.FlowDrop || {};
+
+  /**
+   * Methods that do not change anything and need no CSRF token.
+   */
+  const SAFE_METHODS = ["GET", "HEAD", "OPTIONS", "TRACE"];
+
+  /**
+   * AuthProvider that routes requests through a transport.
+   */
+  class TransportAuthProvider {
+    /**
+     * @param {object} authProvider
+     *   The provider requests the transport does not handle go through.
+     * @param {object} transport
+     *   The transport.
+     */
+    constructor(authProvider, transport) {
+      if (typeof transport.handles !== "function" || typeof transport.fetch !== "function") {
+        throw new Error("A FlowDrop transport needs handles() and fetch() methods.");
+      }
+      this.authProvider = authProvider;
+      this.transport = transport;
+      this.tokenUrl = authProvider.tokenUrl;
+      this.token = null;
+    }
+
+    /**
+     * Whether the transport answers the token URL.
+     */
+    handlesToken() {
+      return !!this.tokenUrl && this.transport.handles(this.tokenUrl);
+    }
+
+    /**
+     * Gets the CSRF token, from the transport when it answers the token URL.
+     *
+     * @return {Promise<string>}
+     *   The token.
+     */
+    getToken() {
+      if (!this.handlesToken()) {
+        return this.authProvider.getToken();
+      }
+      if (!this.token) {
+        this.token = this.transport.fetch(this.tokenUrl, {}).then((response) => response.text()).catch((error) => {
+          this.token = null;
+          throw error;
+        });
+      }
+      return this.token;
+    }
+
+    /**
+     * Gets the headers that authenticate a request.
+     *
+     * @param {string} [method]
+     *   The request method.
+     *
+     * @return {Promise<object>}
+     *   The headers.
+     */
+    async getAuthHeaders(method) {
+      if (!this.handlesToken()) {
+        return this.authProvider.getAuthHeaders(method);
+      }
+      if (method && SAFE_METHODS.indexOf(method.toUpperCase()) !== -1) {
+        return {};
+      }
+      return { "X-CSRF-Token": await this.getToken() };
+    }
+
+    /**
+     * Asks the wrapped provider.
+     */
+    isAuthenticated() {
+      return this.authProvider.isAuthenticated();
+    }
+
+    /**
+     * Asks the wrapped provider.
+     */
+    onUnauthorized() {
+      return this.authProvider.onUnauthorized ? this.authProvider.onUnauthorized() : Promise.resolve(false);
+    }
+
+    /**
+     * Asks the wrapped provider.
+     */
+    onForbidden() {
+      return this.authProvider.onForbidden ? this.authProvider.onForbidden() : Promise.resolve(false);
+    }
+
+    /**
+     * Fetches from the transport, or through the wrapped provider.
+     *
+     * @param {string} url
+     *   The URL.
+     * @param {object} [init]
+     *   Options for fetch().
+     *
+     * @return {Promise<Response>}
+     *   The response.
+     */
+    async fetch(url, init = {}) {
+      if (!this.transport.handles(url)) {
+        return this.authProvider.fetch(url, init);
+      }
+      const method = (init.method || "GET").toUpperCase();
+      return this.transport.fetch(url, Object.assign({}, init, {
+        method: method,
+        headers: Object.assign({}, init.headers || {}, await this.getAuthHeaders(method)),
+      }));
+    }
+  }
+
+  /**
+   * Routes the library's own requests through a transport auth provider.
+   *
+   * Wraps window.fetch() so that requests to URLs the provider's transport
+   * handles go to the provider; all other requests, and Request objects, go
+   * to the fetch() in place when it was called.
+   *
+   * @param {TransportAuthProvider} authProvider
+   *   The editor's auth provider.
+   *
+   * @return {function}
+   *   Stops routing, and puts back the previous fetch() unless something
+   *   wrapped it since.
+   */
+  Drupal.FlowDrop.routeLibraryRequests = function (authProvider) {
+    const previous = window.fetch;
+    let routing = true;
+    const routedFetch = function (input, init) {
+      const url = (typeof input === "string" || input instanceof URL) ? String(input) : null;
+      if (routing && url !== null && authProvider.transport.handles(url)) {
+        return authProvider.fetch(url, init || {});
+      }
+      return previous.call(window, input, init);
+    };
+    window.fetch = routedFetch;
+    return function () {
+      routing = false;
+      if (window.fetch === routedFetch) {
+        window.fetch = previous;
+      }
+    };
+  };
+
+  Drupal.FlowDrop.TransportAuthProvider = TransportAuthProvider;
+
+})(Drupal);
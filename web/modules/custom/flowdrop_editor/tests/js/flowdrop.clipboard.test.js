@@ -0,0 +1,141 @@
+/**
+ * @file
+ * Tests copy, paste and duplicate of node subgraphs.
+ *
+ * Run with: node --test web/modules/custom/flowdrop_editor/tests/js
+ */
+
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { load } = require("./helpers");
+
+/**
+ * Loads the clipboard module.
+ */
+function loadClipboard() {
+  const sandbox = load(["flowdrop.clipboard.js"], {
+    Drupal: {
+      t: (text) => text,
+      formatPlural: (count, singular, plural) => (count === 1 ? singular : plural.replace("@count", count)),
+      announce: () => {},
+    },
+  });
+  return sandbox.Drupal.FlowDrop;
+}
+
+/**
+ * A stand-in for the library, numbering new nodes per type.
+ */
+function createLibrary(app) {
+  return {
+    WorkflowAdapter: class {
+      addNode(workflow, typeId) {
+        const count = workflow.nodes.filter((node) => node.id.indexOf(`${typeId}.`) === 0).length;
+        return { id: `${typeId}.${count + 1}` };
+      }
+    },
+    workflowActions: {
+      updateWorkflow: (workflow) => {
+        app.workflow = workflow;
+      },
+    },
+  };
+}
+
+const node = (id, type, x) => ({
+  id: id,
+  type: "universalNode",
+  position: { x: x, y: 0 },
+  selected: true,
+  data: { label: id, nodeId: id, config: { type: type }, metadata: { id: type }, executionInfo: { status: "failed" } },
+});
+
+const workflow = {
+  id: "w",
+  nodes: [node("prompt.1", "prompt", 0), node("chat.1", "chat", 200), node("output.1", "output", 400)],
+  edges: [
+    { id: "e1", source: "prompt.1", target: "chat.1", sourceHandle: "prompt.1-output-text", targetHandle: "chat.1-input-prompt" },
+    { id: "e2", source: "chat.1", target: "output.1", sourceHandle: "chat.1-output-text", targetHandle: "output.1-input-value" },
+  ],
+};
+
+describe("clipboardPayload", () => {
+  it("copies nodes with the edges between them only", () => {
+    const FlowDrop = loadClipboard();
+    const payload = FlowDrop.clipboardPayload.create(workflow, ["prompt.1", "chat.1"]);
+    assert.equal(payload.type, "flowdrop/subgraph");
+    assert.equal(payload.source, "w");
+    assert.deepEqual(payload.nodes.map((item) => item.id), ["prompt.1", "chat.1"]);
+    assert.deepEqual(payload.edges.map((edge) => edge.id), ["e1"]);
+    // Execution state stays on the canvas it came from.
+    assert.equal(payload.nodes[0].data.executionInfo, undefined);
+    assert.equal(payload.nodes[0].selected, undefined);
+    assert.equal(FlowDrop.clipboardPayload.create(workflow, ["missing"]), null);
+  });
+
+  it("only reads payloads it understands", () => {
+    const FlowDrop = loadClipboard();
+    const payload = FlowDrop.clipboardPayload.create(workflow, ["prompt.1"]);
+    assert.equal(FlowDrop.clipboardPayload.parse(JSON.stringify(payload)).nodes.length, 1);
+    assert.equal(FlowDrop.clipboardPayload.parse("Hello"), null);
+    assert.equal(FlowDrop.clipboardPayload.parse(JSON.stringify({ type: "other", nodes: [] })), null);
+    const original = console.warn;
+    console.warn = () => {};
+    try {
+      assert.equal(FlowDrop.clipboardPayload.parse(JSON.stringify(Object.assign({}, payload, { version: 2 }))), null);
+    } finally {
+      console.warn = original;
+    }
+  });
+
+  it("pastes under new IDs with their edges reconnected", () => {
+    const FlowDrop = loadClipboard();
+    const payload = FlowDrop.clipboardPayload.create(workflow, ["prompt.1", "chat.1"]);
+    const pasted = FlowDrop.clipboardPayload.paste(workflow, payload, createLibrary({}), 40);
+    assert.deepEqual(pasted.nodes.map((item) => `${item.id} ${Boolean(item.selected)}`), [
+      "prompt.1 false",
+      "chat.1 false",
+      "output.1 false",
+      "prompt.2 true",
+      "chat.2 true",
+    ]);
+    assert.deepEqual({ ...pasted.nodes[4].position }, { x: 240, y: 40 });
+    assert.equal(pasted.nodes[4].data.nodeId, "chat.2");
+    const edge = pasted.edges[2];
+    assert.deepEqual([edge.source, edge.sourceHandle, edge.target, edge.targetHandle], ["prompt.2", "prompt.2-output-text", "chat.2", "chat.2-input-prompt"]);
+    assert.equal(edge.id, "xy-edge__prompt.2prompt.2-output-text-chat.2chat.2-input-prompt");
+  });
+});
+
+describe("Clipboard", () => {
+  function createClipboard() {
+    const FlowDrop = loadClipboard();
+    const app = {
+      workflow: workflow,
+      getWorkflow() {
+        return this.workflow;
+      },
+    };
+    app.library = createLibrary(app);
+    FlowDrop.getSelectedNodeIds = () => ["prompt.1"];
+    return { clipboard: new FlowDrop.Clipboard(app, {}), app };
+  }
+
+  it("moves repeated pastes of the same nodes further away", () => {
+    const { clipboard, app } = createClipboard();
+    const payload = clipboard.copy();
+    clipboard.paste(payload);
+    clipboard.paste(payload);
+    assert.deepEqual(app.workflow.nodes.slice(3).map((item) => `${item.id} ${item.position.x}`), ["prompt.2 40", "prompt.3 80"]);
+  });
+
+  it("duplicates the selection in place", () => {
+    const { clipboard, app } = createClipboard();
+    clipboard.duplicate();
+    assert.equal(app.workflow.nodes.length, 4);
+    assert.equal(app.workflow.nodes[3].id, "prompt.2");
+    assert.equal(clipboard.lastPayload, null);
+  });
+});
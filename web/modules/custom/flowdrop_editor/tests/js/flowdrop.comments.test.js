@@ -0,0 +1,202 @@
+/**
+ * @file
+ * Tests review comment threads and their REST storage.
+ *
+ * Run with: node --test web/modules/custom/flowdrop_editor/tests/js
+ */
+
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { load } = require("./helpers");
+
+/**
+ * Loads the comments module without a canvas to draw on.
+ */
+function loadComments() {
+  const sandbox = load(["flowdrop.comments.js"], {
+    Drupal: {
+      t: (text, args) => Object.keys(args || {}).reduce((result, key) => result.replace(key, args[key]), text),
+      announce: () => {},
+    },
+    MutationObserver: class {
+      observe() {}
+      disconnect() {}
+    },
+    requestAnimationFrame: () => 0,
+    cancelAnimationFrame: () => {},
+  });
+  return sandbox.Drupal.FlowDrop;
+}
+
+/**
+ * A comment storage backend that keeps threads in an array.
+ */
+function createStorage(threads = []) {
+  let next = threads.length;
+  const copy = (thread) => JSON.parse(JSON.stringify(thread));
+  return {
+    threads: threads,
+    list: async () => threads.map(copy),
+    create: async (workflowId, target, body) => {
+      const thread = { id: String(++next), target: target, status: "open", comments: [{ body: body }] };
+      threads.push(thread);
+      return copy(thread);
+    },
+    reply: async (workflowId, threadId, body) => {
+      const thread = threads.find((item) => item.id === threadId);
+      thread.comments.push({ body: body });
+      return copy(thread);
+    },
+    setStatus: async (workflowId, threadId, status) => {
+      const thread = threads.find((item) => item.id === threadId);
+      thread.status = status;
+      return copy(thread);
+    },
+  };
+}
+
+/**
+ * An agent whose tool nodes are numbered anew on every load.
+ */
+function agentWorkflow(tools) {
+  const nodes = [{ id: "agent_assistant", data: { label: "Assistant", nodeType: "agent" } }];
+  const edges = [];
+  tools.forEach((toolId, index) => {
+    nodes.push({ id: `tool_${index}`, data: { label: toolId, nodeType: "tool", toolId: toolId } });
+    edges.push({ id: `edge_${index}`, source: "agent_assistant", target: `tool_${index}` });
+  });
+  return { id: "assistant", nodes: nodes, edges: edges };
+}
+
+const getNodeKey = (node) => (node.data.nodeType === "tool" ? `tool:${node.data.toolId}` : node.id);
+
+function setUp(workflow, storage) {
+  const FlowDrop = loadComments();
+  const app = {
+    workflow: workflow,
+    getWorkflow() {
+      return this.workflow;
+    },
+    destroy: () => {},
+    library: { workflowStore: { subscribe: () => () => {} } },
+  };
+  const container = { addEventListener: () => {}, removeEventListener: () => {} };
+  const comments = FlowDrop.attachComments(app, container, { storage: storage, workflowId: "assistant", getNodeKey: getNodeKey });
+  return { comments, app };
+}
+
+describe("NodeComments", () => {
+  it("keeps threads on nodes and edges whose IDs change between loads", async () => {
+    const storage = createStorage();
+    const { comments, app } = setUp(agentWorkflow(["search", "fetch"]), storage);
+    await comments.load();
+
+    comments.target = { type: "node", id: "tool_1" };
+    await comments.create("Needs a timeout.");
+    comments.target = { type: "edge", id: "edge_0" };
+    await comments.create("Why search first?");
+    assert.deepEqual(storage.threads.map((thread) => `${thread.target.type}:${thread.target.id}`), ["node:tool:fetch", "edge:agent_assistant->tool:search"]);
+
+    // The server renumbered the tools.
+    app.workflow = agentWorkflow(["fetch", "search"]);
+    await comments.load();
+    assert.equal(comments.getThreads({ type: "node", id: "tool_0" }).length, 1);
+    assert.equal(comments.getThreads({ type: "node", id: "tool_1" }).length, 0);
+    assert.deepEqual({ ...comments.toCanvasTarget(storage.threads[0].target) }, { type: "node", id: "tool_0" });
+    assert.deepEqual({ ...comments.toCanvasTarget(storage.threads[1].target) }, { type: "edge", id: "edge_1" });
+
+    // Removed from the canvas.
+    app.workflow = agentWorkflow(["search"]);
+    assert.equal(comments.toCanvasTarget(storage.threads[0].target), null);
+    comments.target = { type: "node", id: "tool_1" };
+    await assert.rejects(comments.create("Lost"), /no longer in the workflow/);
+  });
+
+  it("replies to threads and resolves them", async () => {
+    const storage = createStorage([{ id: "1", target: { type: "node", id: "agent_assistant" }, status: "open", comments: [{ body: "Shorter prompt?" }] }]);
+    const { comments } = setUp(agentWorkflow([]), storage);
+    await comments.load();
+    await comments.reply("1", "Done.");
+    await comments.setStatus("1", "resolved");
+    assert.equal(comments.threads.length, 1);
+    assert.equal(comments.threads[0].status, "resolved");
+    assert.deepEqual(comments.threads[0].comments.map((comment) => comment.body), ["Shorter prompt?", "Done."]);
+  });
+
+  it("says when the threads cannot be loaded", async () => {
+    const storage = createStorage();
+    storage.list = async () => {
+      throw new Error("Forbidden");
+    };
+    const { comments } = setUp(agentWorkflow([]), storage);
+    const original = console.error;
+    console.error = () => {};
+    try {
+      await comments.load();
+    } finally {
+      console.error = original;
+    }
+    assert.equal(comments.error, "Comments could not be loaded.");
+  });
+
+  it("names nodes and edges by their labels", () => {
+    const { comments } = setUp(agentWorkflow(["search"]), createStorage());
+    assert.equal(comments.getTargetLabel({ type: "node", id: "tool_0" }), "search");
+    assert.equal(comments.getTargetLabel({ type: "edge", id: "edge_0" }), "Assistant → search");
+    assert.equal(comments.getTargetLabel({ type: "node", id: "missing" }), null);
+  });
+});
+
+describe("commentStorage.rest", () => {
+  const endpointConfig = {
+    baseUrl: "/api",
+    endpoints: {
+      comments: {
+        list: "/workflows/{id}/comments",
+        create: "/workflows/{id}/comments",
+        reply: "/workflows/{id}/comments/{threadId}/replies",
+        update: "/workflows/{id}/comments/{threadId}",
+      },
+    },
+  };
+  const library = {
+    buildEndpointUrl: (config, path, params) => config.baseUrl + path.replace(/\{(\w+)\}/g, (match, key) => params[key]),
+  };
+
+  /**
+   * An auth provider that answers with a body and logs what it was sent.
+   */
+  function createAuthProvider(body, status = 200) {
+    return {
+      log: [],
+      async fetch(url, init) {
+        this.log.push(`${init.method} ${url} ${init.body || ""}`.trim());
+        return new Response(JSON.stringify(body), { status: status });
+      },
+    };
+  }
+
+  it("sends requests through the auth provider", async () => {
+    const FlowDrop = loadComments();
+    const authProvider = createAuthProvider({ success: true, data: { id: "1" } });
+    const storage = FlowDrop.commentStorage.rest({ endpointConfig: endpointConfig, authProvider: authProvider, library: library });
+    await storage.list("assistant");
+    await storage.create("assistant", { type: "node", id: "tool:search" }, "Hi");
+    await storage.reply("assistant", "1", "Hello");
+    await storage.setStatus("assistant", "1", "resolved");
+    assert.deepEqual([...authProvider.log], [
+      "GET /api/workflows/assistant/comments",
+      "POST /api/workflows/assistant/comments {\"target\":{\"type\":\"node\",\"id\":\"tool:search\"},\"body\":\"Hi\"}",
+      "POST /api/workflows/assistant/comments/1/replies {\"body\":\"Hello\"}",
+      "PATCH /api/workflows/assistant/comments/1 {\"status\":\"resolved\"}",
+    ]);
+  });
+
+  it("rejects with the error of the server", async () => {
+    const FlowDrop = loadComments();
+    const storage = FlowDrop.commentStorage.rest({ endpointConfig: endpointConfig, authProvider: createAuthProvider({ success: false, error: "Thread not found" }, 404), library: library });
+    await assert.rejects(storage.reply("assistant", "9", "Hello"), /Thread not found/);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * @file
+ * Tests the comparison of two workflow versions.
+ *
+ * Run with: node --test web/modules/custom/flowdrop_editor/tests/js
+ */
+
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { load } = require("./helpers");
+
+const { FlowDrop } = load(["flowdrop.diff.js"], {
+  Drupal: {
+    t: (text) => text,
+    formatPlural: (count, singular, plural) => (count === 1 ? singular : plural.replace("@count", count)),
+  },
+}).Drupal;
+
+function node(id, x, config = {}, label = id) {
+  return {
+    id: id,
+    position: { x: x, y: 0 },
+    data: { label: label, config: config, metadata: { configSchema: { properties: { model: { title: "Model" } } } } },
+  };
+}
+
+function edge(id, source, target) {
+  return { id: id, source: source, target: target, sourceHandle: `${source}-output-text`, targetHandle: `${target}-input-text` };
+}
+
+const before = {
+  id: "w",
+  nodes: [node("input", 0), node("chat", 300, { model: "small", temperature: 1 }), node("summary", 600), node("output", 900)],
+  edges: [edge("e1", "input", "chat"), edge("e2", "chat", "summary"), edge("e3", "summary", "output")],
+};
+const after = {
+  id: "w",
+  nodes: [node("input", 0), node("chat", 300, { temperature: 1, model: "large" }), node("output", 1200), node("translate", 600)],
+  edges: [edge("e1", "input", "chat"), edge("e4", "chat", "translate"), edge("e5", "translate", "output")],
+};
+
+const statuses = (entries) => Array.from(entries, (entry) => `${entry.id} ${entry.status}`);
+
+describe("diffWorkflows", () => {
+  it("marks added, removed, changed and moved nodes", () => {
+    const diff = FlowDrop.diffWorkflows(before, after);
+    assert.deepEqual(statuses(diff.nodes), [
+      "input unchanged",
+      "chat changed",
+      "output moved",
+      "translate added",
+      "removed--summary removed",
+    ]);
+    assert.deepEqual(JSON.parse(JSON.stringify(diff.nodes[1].changes)), [{ field: "model", label: "Model", before: "small", after: "large" }]);
+    assert.deepEqual(JSON.parse(JSON.stringify(diff.nodes[2].moved)), { from: { x: 900, y: 0 }, to: { x: 1200, y: 0 } });
+    assert.deepEqual({ ...diff.summary }, { added: 1, removed: 1, changed: 1, moved: 1, edgesAdded: 2, edgesRemoved: 2 });
+    assert.equal(FlowDrop.describeDiff(diff.summary), "1 node added, 1 node removed, 1 node changed, 1 node moved, 2 connections added, 2 connections removed");
+  });
+
+  it("brings removed edges back between the merged nodes", () => {
+    const diff = FlowDrop.diffWorkflows(before, after);
+    assert.deepEqual(statuses(diff.edges), ["e1 unchanged", "e4 added", "e5 added", "removed--e2 removed", "removed--e3 removed"]);
+    const ghost = diff.workflow.edges.find((item) => item.id === "removed--e3");
+    assert.deepEqual([ghost.source, ghost.sourceHandle, ghost.target, ghost.targetHandle], ["removed--summary", "removed--summary-output-text", "output", "output-input-text"]);
+    assert.equal(diff.workflow.nodes.length, 5);
+  });
+
+  it("matches nodes by their key when IDs are renumbered", () => {
+    const tool = (id, toolId, x) => Object.assign(node(id, x), { data: { label: toolId, toolId: toolId } });
+    const getNodeKey = (item) => item.data.toolId || item.id;
+    const saved = { nodes: [node("agent", 0), tool("tool_0", "search", 300), tool("tool_1", "fetch", 600)], edges: [edge("a", "agent", "tool_0"), edge("b", "agent", "tool_1")] };
+    const loaded = { nodes: [node("agent", 0), tool("tool_0", "fetch", 600), tool("tool_1", "search", 300)], edges: [edge("a", "agent", "tool_1"), edge("b", "agent", "tool_0")] };
+    const diff = FlowDrop.diffWorkflows(saved, loaded, { getNodeKey: getNodeKey });
+    assert.deepEqual(statuses(diff.nodes), ["agent unchanged", "tool_0 unchanged", "tool_1 unchanged"]);
+    assert.deepEqual(statuses(diff.edges), ["a unchanged", "b unchanged"]);
+    assert.equal(FlowDrop.describeDiff(diff.summary), "");
+
+    // Without the key, the same tools look changed and moved.
+    assert.deepEqual(statuses(FlowDrop.diffWorkflows(saved, loaded).nodes), ["agent unchanged", "tool_0 changed", "tool_1 changed"]);
+  });
+});
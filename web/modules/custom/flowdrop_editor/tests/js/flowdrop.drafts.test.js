@@ -0,0 +1,231 @@
+/**
+ * @file
+ * Tests draft autosave and recovery.
+ *
+ * Run with: node --test web/modules/custom/flowdrop_editor/tests/js
+ */
+
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { load } = require("./helpers");
+
+/**
+ * Loads the drafts module.
+ */
+function loadDrafts() {
+  const sandbox = load(["flowdrop.drafts.js"], {
+    Drupal: {
+      t: (text) => text,
+      formatPlural: (count, singular, plural) => (count === 1 ? singular : plural.replace("@count", count)),
+      announce: () => {},
+    },
+    drupalSettings: { user: { uid: 3 } },
+  });
+  return sandbox.Drupal.FlowDrop;
+}
+
+/**
+ * A draft storage backend that keeps drafts in a map.
+ */
+function createStorage() {
+  return {
+    drafts: new Map(),
+    log: [],
+    failSave: false,
+    getKey: (scope, workflowId) => workflowId,
+    async load(key) {
+      return this.drafts.get(key) || null;
+    },
+    async save(key, workflow) {
+      this.log.push(`save ${key}`);
+      if (this.failSave) {
+        throw new Error("Quota exceeded");
+      }
+      this.drafts.set(key, { workflow: workflow, metadata: { savedAt: new Date().toISOString() } });
+      return true;
+    },
+    async delete(key) {
+      this.log.push(`delete ${key}`);
+      this.drafts.delete(key);
+    },
+  };
+}
+
+const saved = {
+  id: "w",
+  name: "Workflow",
+  nodes: [{ id: "a", position: { x: 0, y: 0 }, data: { label: "A", config: { limit: 1 } } }, { id: "b", position: { x: 0, y: 0 }, data: { label: "B" } }],
+  edges: [{ source: "a", sourceHandle: "a-output-out", target: "b", targetHandle: "b-input-in" }],
+};
+
+/**
+ * A mounted app showing a workflow.
+ */
+function createApp(workflow, storage, FlowDrop) {
+  const app = {
+    workflow: workflow,
+    dirty: false,
+    getWorkflow() {
+      return this.workflow;
+    },
+    isDirty() {
+      return this.dirty;
+    },
+    library: {
+      workflowActions: {
+        updateWorkflow: (next) => {
+          app.workflow = next;
+        },
+      },
+    },
+  };
+  app.drafts = new FlowDrop.DraftAutosaver(app, storage, "w");
+  return app;
+}
+
+describe("DraftAutosaver", () => {
+  it("saves dirty workflows once per change", async () => {
+    const FlowDrop = loadDrafts();
+    const storage = createStorage();
+    const app = createApp(saved, storage, FlowDrop);
+    assert.equal(await app.drafts.saveIfDirty(), false);
+
+    app.dirty = true;
+    assert.equal(await app.drafts.saveIfDirty(), true);
+    assert.equal(await app.drafts.saveIfDirty(), false);
+    app.workflow = Object.assign({}, saved, { name: "Renamed" });
+    assert.equal(await app.drafts.saveIfDirty(), true);
+    assert.deepEqual([...storage.log], ["save w", "save w"]);
+  });
+
+  it("tries again after a failed save", async () => {
+    const FlowDrop = loadDrafts();
+    const storage = createStorage();
+    const app = createApp(saved, storage, FlowDrop);
+    app.dirty = true;
+    storage.failSave = true;
+    assert.equal(await app.drafts.saveIfDirty(), false);
+    storage.failSave = false;
+    assert.equal(await app.drafts.saveIfDirty(), true);
+  });
+});
+
+describe("draftStorage.rest", () => {
+  const endpointConfig = {
+    baseUrl: "/api/flowdrop",
+    endpoints: { drafts: { get: "/drafts/{id}", save: "/drafts/{id}", delete: "/drafts/{id}" } },
+  };
+  const library = {
+    buildEndpointUrl: (config, path, params) => config.baseUrl + path.replace("{id}", encodeURIComponent(params.id)),
+  };
+
+  /**
+   * An auth provider that answers with a body and logs what it was sent.
+   */
+  function createAuthProvider(body, status = 200) {
+    return {
+      log: [],
+      async fetch(url, init) {
+        this.log.push({ url: url, method: init.method, keepalive: init.keepalive, body: init.body });
+        return new Response(JSON.stringify(body), { status: status, statusText: status === 200 ? "OK" : "Forbidden" });
+      },
+    };
+  }
+
+  it("sends drafts through the auth provider, one per workflow", async () => {
+    const FlowDrop = loadDrafts();
+    const authProvider = createAuthProvider({ success: true, data: null });
+    const storage = FlowDrop.draftStorage.rest({ endpointConfig: endpointConfig, authProvider: authProvider, library: library });
+    assert.equal(storage.getKey("ai_agent", "assistant"), "assistant");
+    assert.equal(storage.getKey("ai_agent", ""), "new");
+
+    assert.equal(await storage.save("assistant", saved), true);
+    assert.equal(await storage.load("assistant"), null);
+    await storage.delete("assistant");
+    assert.deepEqual(authProvider.log.map((entry) => `${entry.method} ${entry.url} ${entry.keepalive}`), [
+      "POST /api/flowdrop/drafts/assistant true",
+      "GET /api/flowdrop/drafts/assistant false",
+      "DELETE /api/flowdrop/drafts/assistant true",
+    ]);
+    assert.deepEqual(JSON.parse(authProvider.log[0].body), saved);
+  });
+
+  it("rejects when the server refuses", async () => {
+    const FlowDrop = loadDrafts();
+    const storage = FlowDrop.draftStorage.rest({ endpointConfig: endpointConfig, authProvider: createAuthProvider({}, 403), library: library });
+    await assert.rejects(storage.save("assistant", saved), /Draft request failed: Forbidden/);
+  });
+});
+
+describe("summarizeDraft", () => {
+  it("lists each kind of difference", () => {
+    const FlowDrop = loadDrafts();
+    const draft = {
+      id: "w",
+      name: "Workflow",
+      nodes: [
+        { id: "a", position: { x: 0, y: 0 }, data: { label: "A", config: { limit: 2 } } },
+        { id: "c", position: { x: 0, y: 0 }, data: { label: "C" } },
+        { id: "d", position: { x: 0, y: 0 }, data: { label: "D" } },
+      ],
+      edges: [{ source: "a", sourceHandle: "a-output-out", target: "c", targetHandle: "c-input-in" }],
+    };
+    assert.deepEqual([...FlowDrop.summarizeDraft(saved, draft)], [
+      "2 nodes added",
+      "1 node removed",
+      "1 node reconfigured",
+      "1 connection added",
+      "1 connection removed",
+    ]);
+    assert.deepEqual([...FlowDrop.summarizeDraft(saved, saved)], []);
+  });
+});
+
+describe("offerDraftRecovery", () => {
+  const draftOf = (workflow, savedAt) => ({ workflow: workflow, metadata: { savedAt: savedAt } });
+  const moved = Object.assign({}, saved, { nodes: [Object.assign({}, saved.nodes[0], { position: { x: 50, y: 0 } }), saved.nodes[1]] });
+
+  it("restores a newer draft as unsaved changes", async () => {
+    const FlowDrop = loadDrafts();
+    const storage = createStorage();
+    storage.drafts.set("w", draftOf(moved, "2026-01-02T00:00:00Z"));
+    const app = createApp(saved, storage, FlowDrop);
+    let summary = null;
+    const restored = await FlowDrop.offerDraftRecovery(app, {
+      changed: Date.parse("2026-01-01T00:00:00Z") / 1000,
+      confirm: async (metadata, lines) => {
+        summary = [...lines];
+        return true;
+      },
+    });
+    assert.equal(restored, true);
+    assert.deepEqual(summary, ["1 node moved"]);
+    assert.equal(app.workflow.nodes[0].position.x, 50);
+    assert.equal(storage.drafts.has("w"), true);
+  });
+
+  it("drops drafts older than the saved workflow without asking", async () => {
+    const FlowDrop = loadDrafts();
+    const storage = createStorage();
+    storage.drafts.set("w", draftOf(moved, "2026-01-01T00:00:00Z"));
+    const app = createApp(saved, storage, FlowDrop);
+    const restored = await FlowDrop.offerDraftRecovery(app, {
+      changed: "2026-01-02T00:00:00Z",
+      confirm: async () => assert.fail("Asked to restore a stale draft."),
+    });
+    assert.equal(restored, false);
+    assert.deepEqual([...storage.log], ["delete w"]);
+    assert.equal(app.workflow, saved);
+  });
+
+  it("drops drafts the user turns down", async () => {
+    const FlowDrop = loadDrafts();
+    const storage = createStorage();
+    storage.drafts.set("w", draftOf(moved, "2026-01-02T00:00:00Z"));
+    const app = createApp(saved, storage, FlowDrop);
+    assert.equal(await FlowDrop.offerDraftRecovery(app, { confirm: async () => false }), false);
+    assert.equal(storage.drafts.has("w"), false);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * @file
+ * Tests the SVG and Mermaid serializers of the export.
+ *
+ * Run with: node --test web/modules/custom/flowdrop_editor/tests/js
+ */
+
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { load } = require("./helpers");
+
+const { workflowToSvg, workflowToMermaid } = load(["flowdrop.export.js"]).Drupal.FlowDrop;
+
+/**
+ * A stand-in for the library's category colors.
+ */
+const library = {
+  CATEGORY_COLOR_TOKENS: {
+    agents: "var(--color-ref-purple-500)",
+    tools: "#123456",
+    inputs: "var(--color-unknown)",
+  },
+};
+
+/**
+ * An agent with a tool and an input.
+ */
+const workflow = {
+  id: "assistant",
+  name: "Assistant <beta>",
+  nodes: [
+    { id: "agent_assistant", position: { x: 100, y: 50 }, data: { label: "Assistant", nodeType: "agent", metadata: { category: "agents" } } },
+    { id: "tool_1", position: { x: 400, y: 50 }, data: { label: "Search \"web\"", metadata: { type: "tool", category: "tools" } } },
+    { id: "input-1", position: { x: -200, y: 0 }, data: { metadata: { name: "Prompt", category: "inputs" } } },
+  ],
+  edges: [
+    { id: "e1", source: "input-1", target: "agent_assistant" },
+    { id: "e2", source: "agent_assistant", target: "tool_1", data: { dataType: "tool" } },
+    { id: "e3", source: "agent_assistant", target: "missing" },
+  ],
+};
+
+describe("workflowToMermaid", () => {
+  it("draws each kind of node with its shape", () => {
+    const lines = workflowToMermaid(workflow, library).split("\n");
+    assert.equal(lines[0], "flowchart LR");
+    assert.ok(lines.includes("  n_agent_assistant[[\"Assistant\"]]"));
+    assert.ok(lines.includes("  n_tool_1{{\"Search #quot;web#quot;\"}}"));
+    assert.ok(lines.includes("  n_input_1([\"Prompt\"])"));
+  });
+
+  it("dots tool connections and leaves out dangling edges", () => {
+    const lines = workflowToMermaid(workflow, library).split("\n");
+    assert.ok(lines.includes("  n_input_1 --> n_agent_assistant"));
+    assert.ok(lines.includes("  n_agent_assistant -.-> n_tool_1"));
+    assert.equal(lines.filter((line) => line.includes("missing")).length, 0);
+  });
+
+  it("colors categories", () => {
+    const lines = workflowToMermaid(workflow, library, { resolveColor: (name) => (name === "--color-ref-purple-500" ? "#abcdef" : "") }).split("\n");
+    assert.ok(lines.includes("  classDef category_agents fill:#ffffff,stroke:#abcdef,stroke-width:2px"));
+    assert.ok(lines.includes("  classDef category_tools fill:#ffffff,stroke:#123456,stroke-width:2px"));
+    assert.ok(lines.includes("  classDef category_inputs fill:#ffffff,stroke:#64748b,stroke-width:2px"));
+    assert.ok(lines.includes("  class n_input_1 category_inputs"));
+  });
+
+  it("falls back to the reference colors", () => {
+    assert.match(workflowToMermaid(workflow, library), /classDef category_agents fill:#ffffff,stroke:#a855f7,/);
+  });
+
+  it("keeps IDs unique after replacing characters", () => {
+    const lines = workflowToMermaid({ nodes: [{ id: "a-b" }, { id: "a_b" }], edges: [] }, library, { direction: "TB" }).split("\n");
+    assert.deepEqual(lines, ["flowchart TB", "  n_a_b[\"a-b\"]", "  n_a_b_2[\"a_b\"]", ""]);
+  });
+});
+
+describe("workflowToSvg", () => {
+  it("fits the view box around the nodes", () => {
+    const svg = workflowToSvg(workflow, library);
+    // From x -200 - 32 to 400 + 240 + 32, and y 0 - 32 to 50 + 72 + 32.
+    assert.match(svg, /width="904" height="186" viewBox="-232 -32 904 186"/);
+  });
+
+  it("uses the sizes and edge paths it is given", () => {
+    const svg = workflowToSvg(workflow, library, {
+      getSize: (node) => (node.id === "tool_1" ? { width: 100, height: 40 } : null),
+      getEdgePath: (edge) => (edge.id === "e1" ? "M 0 0 L 1 1" : null),
+    });
+    assert.match(svg, /viewBox="-232 -32 764 186"/);
+    assert.match(svg, /<path d="M 0 0 L 1 1" fill="none"/);
+    assert.equal((svg.match(/<path d="M [^"]* C /g) || []).length, 1);
+  });
+
+  it("dashes tool connections and leaves out dangling edges", () => {
+    const svg = workflowToSvg(workflow, library);
+    assert.equal((svg.match(/marker-end=/g) || []).length, 2);
+    assert.equal((svg.match(/stroke-dasharray="5 5"/g) || []).length, 1);
+  });
+
+  it("escapes labels and the title", () => {
+    const svg = workflowToSvg(workflow, library);
+    assert.match(svg, /<title>Assistant &lt;beta&gt;<\/title>/);
+    assert.match(svg, />Search &quot;web&quot;</);
+    assert.match(svg, />tools · tool</);
+  });
+
+  it("shortens long labels", () => {
+    const svg = workflowToSvg({ nodes: [{ id: "n", data: { label: "x".repeat(100) } }] }, library);
+    // 240 pixels less 30 of padding, at 0.6em of 14 pixels per character.
+    assert.match(svg, new RegExp(`>${"x".repeat(24)}…<`));
+  });
+
+  it("draws an empty workflow", () => {
+    const svg = workflowToSvg(null, library, { background: "transparent" });
+    assert.match(svg, /viewBox="0 0 64 64"/);
+    assert.match(svg, /fill="transparent"/);
+    assert.doesNotMatch(svg, /<title>/);
+  });
+});
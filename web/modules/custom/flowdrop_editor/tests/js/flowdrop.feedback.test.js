@@ -0,0 +1,139 @@
+/**
+ * @file
+ * Tests the mapping of validation violations onto the canvas.
+ *
+ * Run with: node --test web/modules/custom/flowdrop_editor/tests/js
+ */
+
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { load } = require("./helpers");
+
+/**
+ * Loads the feedback without a DOM to decorate.
+ */
+function loadFeedback() {
+  const sandbox = load(["flowdrop.feedback.js"], {
+    Drupal: {
+      t: (text) => text,
+      formatPlural: (count, singular, plural, args) => (count === 1 ? singular : plural).replace("@count", count).replace("@first", args["@first"]),
+    },
+    MutationObserver: class {
+      observe() {}
+      disconnect() {}
+    },
+    requestAnimationFrame: () => 0,
+    cancelAnimationFrame: () => {},
+  });
+  return sandbox.Drupal.FlowDrop;
+}
+
+/**
+ * A stand-in for the library's workflow store and toasts.
+ */
+function createLibrary(workflow) {
+  const listeners = new Set();
+  const library = {
+    toasts: [],
+    workflowStore: {
+      subscribe: (listener) => {
+        listeners.add(listener);
+        listener(workflow);
+        return () => listeners.delete(listener);
+      },
+    },
+    getWorkflowFromStore: () => workflow,
+    workflowActions: {
+      batchUpdate: (changes) => library.set(Object.assign({}, workflow, changes)),
+    },
+    workflowToasts: { saveError: (message) => library.toasts.push(`saveError: ${message}`) },
+    showError: (message) => library.toasts.push(`error: ${message}`),
+    set: (next) => {
+      workflow = next;
+      listeners.forEach((listener) => listener(workflow));
+    },
+  };
+  return library;
+}
+
+const node = (id, config = {}) => ({ id: id, data: { label: id, config: config } });
+
+function createFeedback() {
+  const FlowDrop = loadFeedback();
+  const library = createLibrary({ id: "w", nodes: [node("a", { prompt: "" }), node("b")], edges: [] });
+  const feedback = new FlowDrop.ValidationFeedback({ addEventListener: () => {}, removeEventListener: () => {} }, library).attach();
+  const info = (id) => library.getWorkflowFromStore().nodes.find((item) => item.id === id).data.executionInfo;
+  return { feedback, library, info };
+}
+
+describe("normalizeViolations", () => {
+  it("reads violations and older error lists", () => {
+    const FlowDrop = loadFeedback();
+    const normalize = (result) => Array.from(FlowDrop.normalizeViolations(result), (item) => ({ ...item }));
+    assert.deepEqual(normalize({ violations: [{ node_id: "a", property: "prompt", message: "Required" }] }), [
+      { nodeId: "a", field: "prompt", message: "Required" },
+    ]);
+    assert.deepEqual(normalize({ data: { errors: ["No start node", ""] } }), [
+      { nodeId: null, field: null, message: "No start node" },
+    ]);
+    assert.deepEqual(normalize({ success: false }), []);
+    assert.deepEqual(normalize(null), []);
+  });
+});
+
+describe("saveErrorFromResponse", () => {
+  it("carries the message, status and violations of the body", async () => {
+    const FlowDrop = loadFeedback();
+    const response = new Response(JSON.stringify({ error: "Invalid workflow", violations: [{ nodeId: "a", message: "Required" }], data: { revision: "2" } }), { status: 422, statusText: "Unprocessable" });
+    const error = await FlowDrop.saveErrorFromResponse(response, "Save failed");
+    assert.equal(error.name, "SaveError");
+    assert.equal(error.message, "Invalid workflow");
+    assert.equal(error.status, 422);
+    assert.equal(error.data.revision, "2");
+    assert.equal(error.violations[0].nodeId, "a");
+  });
+
+  it("falls back to the status text for bodies that are not JSON", async () => {
+    const FlowDrop = loadFeedback();
+    const error = await FlowDrop.saveErrorFromResponse(new Response("<html></html>", { status: 500, statusText: "Server Error" }), "Save failed");
+    assert.equal(error.message, "Save failed: Server Error");
+    assert.equal(error.violations.length, 0);
+  });
+});
+
+describe("ValidationFeedback", () => {
+  it("marks nodes with violations as failed", () => {
+    const { feedback, library, info } = createFeedback();
+    const summary = feedback.report([
+      { nodeId: "a", field: "prompt", message: "Required" },
+      { nodeId: "gone", field: null, message: "Unknown node" },
+    ]);
+    assert.equal(summary, "2 problems, first: Required");
+    assert.deepEqual([...library.toasts], ["saveError: 2 problems, first: Required"]);
+    assert.equal(info("a").status, "failed");
+    assert.equal(info("a").lastError, "Required");
+    assert.equal(info("b"), undefined);
+    // Nodes that are not on the canvas belong to the workflow.
+    assert.equal(feedback.violations[1].nodeId, null);
+  });
+
+  it("drops the violations of a node once its config changes", () => {
+    const { feedback, library, info } = createFeedback();
+    feedback.show([{ nodeId: "a", field: "prompt", message: "Required" }, { nodeId: null, field: null, message: "No end node" }]);
+    const workflow = library.getWorkflowFromStore();
+    library.set(Object.assign({}, workflow, {
+      nodes: workflow.nodes.map((item) => (item.id === "a" ? Object.assign({}, item, { data: Object.assign({}, item.data, { config: { prompt: "Hi" } }) }) : item)),
+    }));
+    assert.equal(feedback.violations.length, 1);
+    assert.equal(feedback.violations[0].message, "No end node");
+    assert.equal(info("a").status, "idle");
+  });
+
+  it("reports errors without violations with their message", () => {
+    const { feedback, library } = createFeedback();
+    assert.equal(feedback.report(new Error("Network down"), { toast: "error" }), "Network down");
+    assert.deepEqual([...library.toasts], ["error: Network down"]);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * @file
+ * Tests bringing nodes into view and reading the selection.
+ *
+ * Run with: node --test web/modules/custom/flowdrop_editor/tests/js
+ */
+
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { load } = require("./helpers");
+
+/**
+ * Loads the module with animation frames that run right away.
+ */
+function loadFocus() {
+  const events = [];
+  const window = {
+    location: { href: "http://localhost/" },
+    dispatchEvent: (event) => events.push(event),
+  };
+  const sandbox = load(["flowdrop.focus.js"], {
+    window: window,
+    requestAnimationFrame: (callback) => callback(),
+    setTimeout: () => 0,
+    CSS: { escape: (value) => value },
+    MouseEvent: class {
+      constructor(type, init) {
+        this.type = type;
+        Object.assign(this, init);
+      }
+    },
+  });
+  return { FlowDrop: sandbox.Drupal.FlowDrop, events };
+}
+
+/**
+ * A node element drawn at half its size, 100px right of the pane center.
+ */
+function createNodeElement(id) {
+  const classes = new Set();
+  return {
+    dataset: { id: id },
+    offsetWidth: 100,
+    isConnected: true,
+    focused: false,
+    classes: classes,
+    classList: {
+      add: (name) => classes.add(name),
+      remove: (name) => classes.delete(name),
+    },
+    getBoundingClientRect: () => ({ left: 575, top: 275, width: 50, height: 50 }),
+    focus() {
+      this.focused = true;
+    },
+  };
+}
+
+function createContainer(workflow) {
+  const element = createNodeElement("b");
+  const zoomIn = {
+    disabled: false,
+    clicks: 0,
+    click() {
+      this.clicks++;
+    },
+  };
+  const pane = {
+    events: [],
+    getBoundingClientRect: () => ({ left: 0, top: 0, width: 1000, height: 600 }),
+    dispatchEvent(event) {
+      this.events.push(event);
+    },
+  };
+  const library = {
+    getWorkflowFromStore: () => workflow,
+    workflowActions: { batchUpdate: (changes) => Object.assign(workflow, changes) },
+  };
+  const container = {
+    flowdropApp: { library: library, getWorkflow: () => workflow },
+    querySelector: (selector) => {
+      if (selector === ".svelte-flow__node[data-id=\"b\"]") {
+        return element;
+      }
+      return { ".svelte-flow__controls-zoomin": zoomIn, ".svelte-flow__pane": pane }[selector] || null;
+    },
+    querySelectorAll: () => [],
+  };
+  return { container, element, zoomIn, pane };
+}
+
+const nodes = () => [{ id: "a", selected: true, data: {} }, { id: "b", data: {} }];
+
+describe("focusNode", () => {
+  it("selects the node and brings it into view", () => {
+    const { FlowDrop, events } = loadFocus();
+    const workflow = { id: "w", nodes: nodes(), edges: [] };
+    const { container, element, zoomIn, pane } = createContainer(workflow);
+
+    assert.equal(FlowDrop.focusNode(container, "b"), true);
+    assert.deepEqual(workflow.nodes.map((node) => Boolean(node.selected)), [false, true]);
+    assert.equal(element.focused, true);
+    assert.ok(element.classes.has("flowdrop-node--focused"));
+    // Zoom 0.5 takes four 1.2 steps to reach 1.
+    assert.equal(zoomIn.clicks, 4);
+    // Drag from the pane center by the node's offset the other way.
+    assert.equal(pane.events[0].type, "mousedown");
+    assert.deepEqual(events.map((event) => [event.type, event.clientX, event.clientY]), [["mousemove", 400, 300], ["mouseup", 400, 300]]);
+  });
+
+  it("refuses nodes that are not on the canvas", () => {
+    const { FlowDrop } = loadFocus();
+    const workflow = { id: "w", nodes: nodes(), edges: [] };
+    const { container } = createContainer(workflow);
+    assert.equal(FlowDrop.focusNode(container, "missing"), false);
+    assert.equal(workflow.nodes[0].selected, true);
+  });
+});
+
+describe("getSelectedNodeIds", () => {
+  it("prefers the selection on the canvas over the store", () => {
+    const { FlowDrop } = loadFocus();
+    const { container } = createContainer({ id: "w", nodes: nodes(), edges: [] });
+    assert.deepEqual([...FlowDrop.getSelectedNodeIds(container)], ["a"]);
+
+    container.querySelectorAll = () => [{ dataset: { id: "b" } }];
+    assert.deepEqual([...FlowDrop.getSelectedNodeIds(container)], ["b"]);
+  });
+});
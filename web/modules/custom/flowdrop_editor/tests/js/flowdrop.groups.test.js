@@ -0,0 +1,165 @@
+/**
+ * @file
+ * Tests collapsible node groups.
+ *
+ * Run with: node --test web/modules/custom/flowdrop_editor/tests/js
+ */
+
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { load } = require("./helpers");
+
+/**
+ * Loads the groups module without a canvas to draw on.
+ */
+function loadGroups() {
+  const sandbox = load(["flowdrop.groups.js"], {
+    Drupal: {
+      t: (text, args) => Object.keys(args || {}).reduce((result, key) => result.replace(key, args[key]), text),
+      formatPlural: (count, singular, plural) => (count === 1 ? singular : plural.replace("@count", count)),
+      announce: () => {},
+    },
+    document: { addEventListener: () => {}, removeEventListener: () => {} },
+    MutationObserver: class {
+      observe() {}
+      disconnect() {}
+    },
+    requestAnimationFrame: () => 0,
+    cancelAnimationFrame: () => {},
+  });
+  return sandbox.Drupal.FlowDrop;
+}
+
+/**
+ * A mounted app on a stand-in for the library's workflow store.
+ */
+function createApp(workflow) {
+  const listeners = new Set();
+  const app = {
+    getWorkflow: () => workflow,
+    isDirty: () => app.library.isDirtyStore.value,
+    markAsSaved: () => {
+      app.library.isDirtyStore.value = false;
+    },
+    destroy: () => {},
+    library: {
+      workflowStore: {
+        subscribe: (listener) => {
+          listeners.add(listener);
+          listener(workflow);
+          return () => listeners.delete(listener);
+        },
+      },
+      isDirtyStore: {
+        value: false,
+        set(value) {
+          this.value = value;
+        },
+      },
+      workflowActions: {
+        updateMetadata: (metadata) => app.set(Object.assign({}, workflow, { metadata: Object.assign({}, workflow.metadata, metadata) })),
+        batchUpdate: (changes) => app.set(Object.assign({}, workflow, changes)),
+      },
+    },
+    set: (next) => {
+      workflow = next;
+      listeners.forEach((listener) => listener(workflow));
+    },
+  };
+  return app;
+}
+
+const node = (id, executionInfo) => ({ id: id, position: { x: 0, y: 0 }, data: { label: id.toUpperCase(), executionInfo: executionInfo } });
+
+const workflow = {
+  id: "w",
+  nodes: [node("a"), node("b"), node("c"), node("d")],
+  edges: [
+    { id: "e1", source: "a", target: "b", sourceHandle: "a-output-text", targetHandle: "b-input-prompt" },
+    { id: "e2", source: "b", target: "c", sourceHandle: "b-output-text", targetHandle: "c-input-value" },
+    { id: "e3", source: "b", target: "d", sourceHandle: "b-output-text", targetHandle: "d-input-value" },
+  ],
+  metadata: {},
+};
+
+function setUp() {
+  const FlowDrop = loadGroups();
+  const app = createApp(workflow);
+  const groups = FlowDrop.attachGroups(app, {});
+  const plain = () => JSON.parse(JSON.stringify(groups.getGroups()));
+  return { app, groups, plain };
+}
+
+describe("NodeGroups", () => {
+  it("groups nodes and counts as an unsaved change", () => {
+    const { app, groups, plain } = setUp();
+    groups.group(["a", "b"]);
+    groups.group(["b", "c"], "Answer");
+    assert.deepEqual(plain(), [
+      { id: "group.1", label: "Group 1", nodeIds: ["a"], collapsed: false },
+      { id: "group.2", label: "Answer", nodeIds: ["b", "c"], collapsed: false },
+    ]);
+    assert.equal(app.isDirty(), true);
+
+    app.markAsSaved();
+    assert.equal(app.isDirty(), false);
+    groups.rename("group.2", "Reply");
+    assert.equal(app.isDirty(), true);
+
+    // Nodes leave their old group, and groups left empty are removed.
+    groups.group(["a", "d"]);
+    assert.deepEqual(plain().map((group) => `${group.id} ${group.nodeIds}`), ["group.2 b,c", "group.3 a,d"]);
+    groups.ungroup("group.2");
+    assert.deepEqual(plain().map((group) => group.id), ["group.3"]);
+  });
+
+  it("hides the members of collapsed groups and their edges", () => {
+    const { app, groups } = setUp();
+    groups.group(["b", "c"]);
+    groups.toggle("group.1");
+    const hidden = (items) => items.filter((item) => item.hidden).map((item) => item.id);
+    assert.deepEqual(hidden(app.getWorkflow().nodes), ["b", "c"]);
+    assert.deepEqual(hidden(app.getWorkflow().edges), ["e1", "e2", "e3"]);
+
+    groups.toggle("group.1", false);
+    assert.deepEqual(hidden(app.getWorkflow().nodes), []);
+    assert.deepEqual(hidden(app.getWorkflow().edges), []);
+  });
+
+  it("drops deleted nodes from their groups", () => {
+    const { app, groups, plain } = setUp();
+    groups.group(["a", "b"]);
+    groups.group(["c"]);
+    app.set(Object.assign({}, app.getWorkflow(), { nodes: app.getWorkflow().nodes.filter((item) => item.id !== "a" && item.id !== "c") }));
+    assert.deepEqual(plain().map((group) => `${group.id} ${group.nodeIds}`), ["group.1 b"]);
+  });
+
+  it("lists the ports connecting a group to the rest of the graph", () => {
+    const { app, groups } = setUp();
+    groups.group(["b"]);
+    const byId = {};
+    app.getWorkflow().nodes.forEach((item) => {
+      byId[item.id] = item;
+    });
+    const ports = groups.getPorts(groups.getGroups()[0], app.getWorkflow(), byId);
+    assert.deepEqual(JSON.parse(JSON.stringify(ports)), {
+      inputs: [{ handle: "b-input-prompt", label: "B: prompt", count: 1 }],
+      outputs: [{ handle: "b-output-text", label: "B: text", count: 2 }],
+    });
+  });
+
+  it("shows the most important status of the members", () => {
+    const { groups } = setUp();
+    assert.equal(groups.getStatus([node("a", { status: "completed" }), node("b", { status: "failed" })]), "failed");
+    assert.equal(groups.getStatus([node("a", { status: "failed" }), node("b", { status: "idle", isExecuting: true })]), "running");
+    assert.equal(groups.getStatus([node("a"), node("b", { status: "idle" })]), null);
+  });
+
+  it("moves the members together", () => {
+    const { app, groups } = setUp();
+    groups.move("group.1", { a: { x: 0, y: 0 }, b: { x: 100, y: 50 } }, 10, 20);
+    assert.deepEqual(app.getWorkflow().nodes.map((item) => `${item.id} ${item.position.x},${item.position.y}`), ["a 10,20", "b 110,70", "c 0,0", "d 0,0"]);
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * @file
+ * Tests the guard against leaving an editor with unsaved changes.
+ *
+ * Run with: node --test web/modules/custom/flowdrop_editor/tests/js
+ */
+
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { load } = require("./helpers");
+
+/**
+ * Sets up a guard for a dirty app that answers the prompt with a choice.
+ */
+function setUp(choice, save = async () => ({})) {
+  const log = [];
+  const window = {
+    location: { href: "http://localhost/editor" },
+    history: {
+      pushState: () => log.push("pushState"),
+      back: () => log.push("back"),
+    },
+    addEventListener: () => {},
+    removeEventListener: () => {},
+  };
+  const { Drupal } = load(["flowdrop.guard.js"], { window: window });
+  const listeners = new Set();
+  const app = {
+    dirty: true,
+    isDirty() {
+      return this.dirty;
+    },
+    save: async () => {
+      log.push("save");
+      return save();
+    },
+    markAsSaved() {
+      log.push("markAsSaved");
+      this.dirty = false;
+    },
+    drafts: { discard: () => log.push("discard draft") },
+    library: {
+      isDirtyStore: {
+        subscribe: (listener) => {
+          listeners.add(listener);
+          return () => listeners.delete(listener);
+        },
+      },
+    },
+  };
+  const container = {
+    addEventListener: () => {},
+    removeEventListener: () => {},
+    closest: () => null,
+  };
+  const guard = new Drupal.FlowDrop.NavigationGuard(app, container, { confirm: async () => choice }).attach();
+  const setDirty = (dirty) => {
+    app.dirty = dirty;
+    listeners.forEach((listener) => listener(dirty));
+  };
+  return { guard, app, window, log, setDirty };
+}
+
+/**
+ * A left click on a link inside the editor.
+ */
+function click(href, init = {}) {
+  const link = { href: `http://localhost${href}`, target: "", getAttribute: () => href };
+  return Object.assign({
+    button: 0,
+    defaultPrevented: false,
+    target: { closest: () => link },
+    preventDefault() {
+      this.defaultPrevented = true;
+    },
+    stopPropagation() {},
+  }, init);
+}
+
+/**
+ * A beforeunload event.
+ */
+function unloadEvent() {
+  return {
+    prevented: false,
+    preventDefault() {
+      this.prevented = true;
+    },
+  };
+}
+
+describe("NavigationGuard", () => {
+  it("saves before leaving", async () => {
+    const { guard, log } = setUp("save");
+    assert.equal(await guard.prompt(() => log.push("leave")), true);
+    assert.deepEqual([...log], ["save", "leave"]);
+    assert.equal(guard.isDirty(), false);
+  });
+
+  it("stays when the save fails or is cancelled", async () => {
+    const failed = setUp("save", async () => {
+      throw new Error("Save failed");
+    });
+    assert.equal(await failed.guard.prompt(() => failed.log.push("leave")), false);
+    const cancelled = setUp("save", async () => ({ cancelled: true }));
+    assert.equal(await cancelled.guard.prompt(() => cancelled.log.push("leave")), false);
+    assert.deepEqual([...failed.log, ...cancelled.log], ["save", "save"]);
+  });
+
+  it("drops the changes and their draft on discard", async () => {
+    const { guard, log } = setUp("discard");
+    assert.equal(await guard.prompt(() => log.push("leave")), true);
+    assert.deepEqual([...log], ["markAsSaved", "discard draft", "leave"]);
+  });
+
+  it("stays on cancel", async () => {
+    const { guard, log } = setUp("cancel");
+    assert.equal(await guard.prompt(() => log.push("leave")), false);
+    assert.deepEqual([...log], []);
+    assert.equal(guard.isDirty(), true);
+  });
+
+  it("asks before following links out of a dirty editor", async () => {
+    const { guard, window } = setUp("discard");
+    const event = click("/admin/structure");
+    guard.handleClick(event);
+    assert.equal(event.defaultPrevented, true);
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(window.location.href, "http://localhost/admin/structure");
+
+    // Anchors and new tabs are left alone.
+    const anchor = click("#top");
+    guard.handleClick(anchor);
+    assert.equal(anchor.defaultPrevented, false);
+    const newTab = click("/admin", { ctrlKey: true });
+    guard.handleClick(newTab);
+    assert.equal(newTab.defaultPrevented, false);
+  });
+
+  it("only prompts on tab close with changes", () => {
+    const { guard, app } = setUp("cancel");
+    const event = unloadEvent();
+    guard.handleBeforeUnload(event);
+    assert.equal(event.prevented, true);
+    assert.equal(event.returnValue, "");
+
+    app.dirty = false;
+    const clean = unloadEvent();
+    guard.handleBeforeUnload(clean);
+    assert.equal(clean.prevented, false);
+  });
+
+  it("keeps browser back on the page once there are changes", async () => {
+    const { guard, log, setDirty } = setUp("cancel");
+    setDirty(true);
+    setDirty(true);
+    assert.deepEqual([...log], ["pushState"]);
+
+    // Cancelled: the history entry comes back.
+    guard.handlePopState();
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepEqual([...log], ["pushState", "pushState"]);
+
+    // Saved in the meantime: go back for real.
+    setDirty(false);
+    guard.handlePopState();
+    assert.deepEqual([...log], ["pushState", "pushState", "back"]);
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * @file
+ * Tests the undo/redo history and its keyboard shortcuts.
+ *
+ * Run with: node --test web/modules/custom/flowdrop_editor/tests/js
+ */
+
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { load } = require("./helpers");
+
+/**
+ * Timers that only run when flushed.
+ */
+function createTimers() {
+  const timers = new Map();
+  let next = 1;
+  return {
+    setTimeout: (callback) => {
+      timers.set(next, callback);
+      return next++;
+    },
+    clearTimeout: (id) => timers.delete(id),
+    flush: () => {
+      const callbacks = Array.from(timers.values());
+      timers.clear();
+      callbacks.forEach((callback) => callback());
+    },
+  };
+}
+
+/**
+ * A stand-in for the library's workflow store.
+ */
+function createLibrary(workflow) {
+  const listeners = new Set();
+  const library = {
+    workflowStore: {
+      subscribe: (listener) => {
+        listeners.add(listener);
+        listener(workflow);
+        return () => listeners.delete(listener);
+      },
+    },
+    getWorkflowFromStore: () => workflow,
+    workflowActions: {
+      batchUpdate: (changes) => library.set(Object.assign({}, workflow, changes)),
+    },
+    set: (next) => {
+      workflow = next;
+      listeners.forEach((listener) => listener(workflow));
+    },
+  };
+  return library;
+}
+
+/**
+ * A workflow with one node at a horizontal position.
+ */
+function at(x) {
+  return { id: "w", nodes: [{ id: "a", position: { x: x, y: 0 }, data: { label: "A" } }], edges: [] };
+}
+
+function setUp(options = {}) {
+  const timers = createTimers();
+  const { Drupal } = load(["flowdrop.history.js"], { setTimeout: timers.setTimeout, clearTimeout: timers.clearTimeout });
+  const library = createLibrary(at(0));
+  const history = new Drupal.FlowDrop.WorkflowHistory(Object.assign({ library: library }, options)).attach();
+  const x = () => library.getWorkflowFromStore().nodes[0].position.x;
+  return { Drupal, timers, library, history, x };
+}
+
+describe("WorkflowHistory", () => {
+  it("records a drag as one step", () => {
+    const { timers, library, history, x } = setUp();
+    [10, 20, 30].forEach((position) => library.set(at(position)));
+    assert.equal(history.canUndo(), true);
+    timers.flush();
+    assert.equal(history.past.length, 1);
+
+    assert.equal(history.undo(), true);
+    assert.equal(x(), 0);
+    assert.equal(history.undo(), false);
+    assert.equal(history.redo(), true);
+    assert.equal(x(), 30);
+  });
+
+  it("commits a pending change before undoing it", () => {
+    const { library, history, x } = setUp();
+    library.set(at(10));
+    assert.equal(history.undo(), true);
+    assert.equal(x(), 0);
+  });
+
+  it("ignores store updates that change nothing", () => {
+    const { timers, library, history } = setUp();
+    library.set(Object.assign(at(0), { name: "Renamed" }));
+    timers.flush();
+    assert.equal(history.canUndo(), false);
+  });
+
+  it("keeps at most the limit of steps", () => {
+    const { timers, library, history, x } = setUp({ limit: 2 });
+    [10, 20, 30].forEach((position) => {
+      library.set(at(position));
+      timers.flush();
+    });
+    assert.equal(history.undo(), true);
+    assert.equal(history.undo(), true);
+    assert.equal(history.undo(), false);
+    assert.equal(x(), 10);
+  });
+
+  it("drops undone steps after a new change", () => {
+    const { timers, library, history } = setUp();
+    library.set(at(10));
+    timers.flush();
+    history.undo();
+    assert.equal(history.canRedo(), true);
+    library.set(at(20));
+    timers.flush();
+    assert.equal(history.canRedo(), false);
+  });
+
+  it("starts over from the current workflow on reset", () => {
+    const { timers, library, history } = setUp();
+    library.set(at(10));
+    timers.flush();
+    history.reset();
+    assert.equal(history.canUndo(), false);
+    assert.equal(history.present.graph.nodes[0].position.x, 10);
+  });
+});
+
+describe("getHistoryShortcut", () => {
+  const { Drupal } = load(["flowdrop.history.js"]);
+  const shortcut = (event) => Drupal.FlowDrop.getHistoryShortcut(Object.assign({ ctrlKey: false, metaKey: false, altKey: false, shiftKey: false, target: { tagName: "DIV" } }, event));
+
+  it("maps the undo and redo shortcuts", () => {
+    assert.equal(shortcut({ ctrlKey: true, key: "z" }), "undo");
+    assert.equal(shortcut({ metaKey: true, key: "Z", shiftKey: true }), "redo");
+    assert.equal(shortcut({ ctrlKey: true, key: "y" }), "redo");
+    assert.equal(shortcut({ ctrlKey: true, key: "y", shiftKey: true }), null);
+    assert.equal(shortcut({ ctrlKey: true, altKey: true, key: "z" }), null);
+    assert.equal(shortcut({ key: "z" }), null);
+  });
+
+  it("leaves form fields their own undo", () => {
+    assert.equal(shortcut({ ctrlKey: true, key: "z", target: { tagName: "INPUT" } }), null);
+    assert.equal(shortcut({ ctrlKey: true, key: "z", target: { tagName: "TEXTAREA" } }), null);
+    assert.equal(shortcut({ ctrlKey: true, key: "z", target: { tagName: "DIV", isContentEditable: true } }), null);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * @file
+ * Tests the auto-layout of workflows.
+ *
+ * Run with: node --test web/modules/custom/flowdrop_editor/tests/js
+ */
+
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { load } = require("./helpers");
+
+/**
+ * Loads the layout module.
+ */
+function loadLayout() {
+  const sandbox = load(["flowdrop.layout.js"], {
+    Drupal: {
+      t: (text) => text,
+      formatPlural: (count, singular, plural) => (count === 1 ? singular : plural.replace("@count", count)),
+      announce: () => {},
+    },
+    CSS: { escape: (value) => value },
+  });
+  return sandbox.Drupal.FlowDrop;
+}
+
+/**
+ * A stand-in for the library's topological sort; leaves out cycles.
+ */
+const library = {
+  getExecutionOrder: (nodes, edges) => {
+    const order = [];
+    const pending = nodes.map((node) => node.id);
+    let progress = true;
+    while (progress) {
+      progress = false;
+      pending.slice().forEach((id) => {
+        if (edges.every((edge) => edge.target !== id || order.includes(edge.source))) {
+          order.push(id);
+          pending.splice(pending.indexOf(id), 1);
+          progress = true;
+        }
+      });
+    }
+    return order;
+  },
+};
+
+function node(id, data, position = { x: 0, y: 0 }) {
+  return { id: id, position: position, data: data };
+}
+
+const edge = (source, target) => ({ id: `${source}-${target}`, source: source, target: target });
+
+/**
+ * An agent with two tools between a chat input and a chat output.
+ */
+const workflow = {
+  id: "w",
+  nodes: [
+    node("output", { metadata: { category: "outputs" } }),
+    node("tool_1", { nodeType: "tool" }),
+    node("agent", { nodeType: "agent" }),
+    node("input", { metadata: { category: "inputs" } }),
+    node("tool_2", { metadata: { type: "tool" } }),
+  ],
+  edges: [edge("input", "agent"), edge("agent", "output"), edge("agent", "tool_1"), edge("agent", "tool_2")],
+};
+
+const plain = (positions) => JSON.parse(JSON.stringify(positions));
+
+describe("computeLayout", () => {
+  it("puts inputs, agents and outputs in columns with tools beneath", () => {
+    const FlowDrop = loadLayout();
+    assert.deepEqual(plain(FlowDrop.computeLayout(workflow, library)), {
+      // The agent's column is widened by its tools and the tallest, so the
+      // others are centred on it.
+      input: { x: 0, y: 80 },
+      agent: { x: 522, y: 0 },
+      tool_1: { x: 380, y: 160 },
+      tool_2: { x: 664, y: 160 },
+      output: { x: 1044, y: 80 },
+    });
+  });
+
+  it("uses the measured size of nodes", () => {
+    const FlowDrop = loadLayout();
+    const positions = FlowDrop.computeLayout({ nodes: workflow.nodes.slice(0, 1).concat([workflow.nodes[3]]), edges: [edge("input", "output")] }, library, {
+      getSize: (item) => (item.id === "input" ? { width: 100, height: 50 } : null),
+    });
+    assert.deepEqual(plain(positions), { input: { x: 0, y: 35 }, output: { x: 220, y: 0 } });
+  });
+
+  it("only arranges the given nodes, from the corner of their bounding box", () => {
+    const FlowDrop = loadLayout();
+    const moved = {
+      nodes: [node("a", {}, { x: 500, y: 300 }), node("b", {}, { x: 100, y: 700 }), node("c", {}, { x: 0, y: 0 })],
+      edges: [edge("a", "b"), edge("b", "c")],
+    };
+    assert.deepEqual(plain(FlowDrop.computeLayout(moved, library, { nodeIds: ["a", "b"] })), {
+      a: { x: 100, y: 300 },
+      b: { x: 480, y: 300 },
+    });
+  });
+
+  it("keeps nodes on a cycle", () => {
+    const FlowDrop = loadLayout();
+    const cyclic = { nodes: [node("a", {}), node("b", {})], edges: [edge("a", "b"), edge("b", "a")] };
+    assert.deepEqual(Object.keys(FlowDrop.computeLayout(cyclic, library)), ["a", "b"]);
+  });
+});
+
+describe("autoArrange", () => {
+  it("moves the nodes in the store", async () => {
+    const FlowDrop = loadLayout();
+    const app = {
+      workflow: workflow,
+      getWorkflow() {
+        return this.workflow;
+      },
+      library: Object.assign({
+        workflowActions: {
+          batchUpdate: (changes) => {
+            app.workflow = Object.assign({}, app.workflow, changes);
+          },
+        },
+      }, library),
+    };
+    const container = { querySelector: () => null };
+    assert.equal(await FlowDrop.autoArrange(app, container, { animate: false }), 5);
+    assert.deepEqual(plain(app.workflow.nodes.find((item) => item.id === "output").position), { x: 1044, y: 80 });
+
+    // Fewer than two selected nodes leave the canvas as it is.
+    FlowDrop.getSelectedNodeIds = () => ["agent"];
+    assert.equal(await FlowDrop.autoArrange(app, container, { selectionOnly: true }), 0);
+  });
+});
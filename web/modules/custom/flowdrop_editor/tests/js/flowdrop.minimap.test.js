@@ -0,0 +1,151 @@
+/**
+ * @file
+ * Tests the minimap's remembered visibility, node marks and panning.
+ *
+ * Run with: node --test web/modules/custom/flowdrop_editor/tests/js
+ */
+
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { load } = require("./helpers");
+
+/**
+ * A localStorage that keeps items in a Map, or fails when it is blocked.
+ */
+function createStorage(items = {}, blocked = false) {
+  const values = new Map(Object.entries(items));
+  return {
+    values: values,
+    getItem(key) {
+      if (blocked) {
+        throw new Error("SecurityError");
+      }
+      return values.has(key) ? values.get(key) : null;
+    },
+    setItem(key, value) {
+      if (blocked) {
+        throw new Error("SecurityError");
+      }
+      values.set(key, value);
+    },
+  };
+}
+
+/**
+ * Sets up a minimap on a container without a rendered canvas.
+ */
+function setUp(workflow, options = {}) {
+  const announced = [];
+  const localStorage = options.localStorage || createStorage();
+  const sandbox = load(["flowdrop.minimap.js"], {
+    Drupal: {
+      t: (text) => text,
+      announce: (message) => announced.push(message),
+    },
+    drupalSettings: { user: { uid: 7 } },
+    window: { location: { href: "http://localhost/" }, localStorage: localStorage },
+    CSS: { escape: (value) => value },
+    MutationObserver: class {
+      observe() {}
+      disconnect() {}
+    },
+    requestAnimationFrame: () => 0,
+    cancelAnimationFrame: () => {},
+  });
+  const classes = new Set();
+  const container = {
+    classList: {
+      add: (name) => classes.add(name),
+      remove: (name) => classes.delete(name),
+    },
+    querySelector: (selector) => (options.elements && options.elements[selector]) || null,
+  };
+  const app = {
+    getWorkflow: () => workflow,
+    validation: options.validation,
+    destroy: () => "destroyed",
+    library: {
+      workflowStore: { subscribe: () => () => {} },
+      getCategoryColorToken: (category) => `var(--fd-${category || "none"})`,
+      nodeExecutionService: { getCachedNodeExecutionInfo: (nodeId) => (nodeId === "cached" ? { status: "running" } : null) },
+    },
+  };
+  const minimap = sandbox.Drupal.FlowDrop.attachMinimap(app, container, options.minimap);
+  return { minimap, app, classes, announced, localStorage };
+}
+
+const node = (id, data = {}, extra = {}) => Object.assign({ id: id, position: { x: 10, y: 20 }, data: data }, extra);
+
+describe("Minimap", () => {
+  it("remembers per user whether it is shown", () => {
+    const { minimap, announced, localStorage } = setUp({ nodes: [] });
+    assert.equal(minimap.visible, true);
+
+    minimap.toggle();
+    assert.equal(minimap.visible, false);
+    assert.equal(localStorage.values.get("flowdrop:user/7/minimap"), "0");
+    minimap.toggle(true);
+    assert.equal(localStorage.values.get("flowdrop:user/7/minimap"), "1");
+    assert.deepEqual(announced, ["Minimap hidden", "Minimap shown"]);
+
+    // The choice of the user wins over the default of the editor.
+    assert.equal(setUp({ nodes: [] }, { minimap: { visible: false } }).minimap.visible, false);
+    const stored = createStorage({ "flowdrop:user/7/minimap": "1" });
+    assert.equal(setUp({ nodes: [] }, { localStorage: stored, minimap: { visible: false } }).minimap.visible, true);
+  });
+
+  it("still toggles when localStorage is blocked", () => {
+    const { minimap } = setUp({ nodes: [] }, { localStorage: createStorage({}, true), minimap: { visible: false } });
+    assert.equal(minimap.visible, false);
+    minimap.toggle();
+    assert.equal(minimap.visible, true);
+  });
+
+  it("marks running and failed nodes, validation errors and matches", () => {
+    const workflow = {
+      nodes: [
+        node("input", { metadata: { category: "inputs" } }),
+        node("agent", { executionInfo: { status: "failed" } }),
+        node("cached"),
+        node("done", { executionInfo: { status: "completed" } }),
+        node("folded", {}, { hidden: true }),
+      ],
+    };
+    const elements = { ".svelte-flow__node[data-id=\"input\"]": { offsetWidth: 300, offsetHeight: 90 } };
+    const { minimap } = setUp(workflow, { elements: elements, validation: { violations: [{ nodeId: "done" }, { message: "No output" }] } });
+    minimap.setMatches(["agent"]);
+
+    assert.deepEqual(JSON.parse(JSON.stringify(minimap.getNodes())), [
+      { id: "input", x: 10, y: 20, width: 300, height: 90, color: "var(--fd-inputs)", status: null, error: false, match: false },
+      { id: "agent", x: 10, y: 20, width: 260, height: 120, color: "var(--fd-none)", status: "failed", error: false, match: true },
+      { id: "cached", x: 10, y: 20, width: 260, height: 120, color: "var(--fd-none)", status: "running", error: false, match: false },
+      { id: "done", x: 10, y: 20, width: 260, height: 120, color: "var(--fd-none)", status: null, error: true, match: false },
+    ]);
+
+    minimap.setMatches();
+    assert.equal(minimap.matches.size, 0);
+  });
+
+  it("pans the canvas so that a point ends up in the middle", () => {
+    const { minimap } = setUp({ nodes: [] });
+    const panned = [];
+    minimap.getViewport = () => ({ x: -100, y: 50, zoom: 2, width: 800, height: 600 });
+    minimap.panBy = (dx, dy) => panned.push([dx, dy]);
+    minimap.centerOn(300, 100);
+    assert.deepEqual(panned, [[-100, 50]]);
+
+    minimap.getViewport = () => null;
+    minimap.centerOn(300, 100);
+    assert.equal(panned.length, 1);
+  });
+
+  it("is removed with the app", () => {
+    const { minimap, app, classes } = setUp({ nodes: [] });
+    assert.equal(app.minimap, minimap);
+    assert.ok(classes.has("flowdrop-editor--minimap"));
+    assert.equal(app.destroy(), "destroyed");
+    assert.equal(classes.has("flowdrop-editor--minimap"), false);
+  });
+});
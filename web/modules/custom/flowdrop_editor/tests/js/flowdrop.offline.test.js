@@ -0,0 +1,94 @@
+/**
+ * @file
+ * Tests the offline queue of writes.
+ *
+ * Run with: node --test web/modules/custom/flowdrop_editor/tests/js
+ */
+
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const vm = require("node:vm");
+const { load } = require("./helpers");
+
+/**
+ * Loads the queue with an in-memory localStorage and no retry timer.
+ */
+function loadQueue() {
+  const storage = new Map();
+  const navigator = { onLine: true };
+  const sandbox = load(["flowdrop.feedback.js", "flowdrop.requests.js", "flowdrop.offline.js"], {
+    drupalSettings: { user: { uid: 1 } },
+    navigator: navigator,
+    window: {
+      location: { href: "http://localhost/" },
+      addEventListener: () => {},
+      localStorage: {
+        getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+        setItem: (key, value) => storage.set(key, String(value)),
+        removeItem: (key) => storage.delete(key),
+      },
+    },
+    setTimeout: () => 0,
+    clearTimeout: () => {},
+  });
+  return { FlowDrop: sandbox.Drupal.FlowDrop, sandbox, navigator, storage };
+}
+
+/**
+ * An auth provider that accepts every write and logs it.
+ */
+function createAuthProvider() {
+  return {
+    log: [],
+    async fetch(url, init) {
+      this.log.push(`${init.method} ${url}`);
+      return new Response(JSON.stringify({ success: true }), { status: 200 });
+    },
+  };
+}
+
+describe("isNetworkError", () => {
+  it("classifies by the error only", () => {
+    const { FlowDrop, sandbox, navigator } = loadQueue();
+    // fetch() rejects with a TypeError of the page.
+    assert.equal(FlowDrop.isNetworkError(vm.runInContext("new TypeError('Failed to fetch')", sandbox)), true);
+    assert.equal(FlowDrop.isNetworkError({ name: "NetworkError" }), true);
+    assert.equal(FlowDrop.isNetworkError(new DOMException("Aborted", "AbortError")), false);
+    navigator.onLine = false;
+    assert.equal(FlowDrop.isNetworkError(new Error("Save failed")), false);
+  });
+});
+
+describe("OfflineQueue", () => {
+  const write = { key: "workflow:a", label: "A", url: "/api/workflows/a", method: "PUT", headers: {}, body: "{}" };
+
+  it("sends writes with the auth provider they were queued with", async () => {
+    const { FlowDrop } = loadQueue();
+    const queue = new FlowDrop.OfflineQueue();
+    const authProvider = createAuthProvider();
+    queue.enqueue(write, authProvider);
+    await queue.replay();
+    assert.deepEqual([...authProvider.log], ["PUT /api/workflows/a"]);
+    assert.equal(queue.getEntries().length, 0);
+  });
+
+  it("keeps writes until their editor gives its auth provider", async () => {
+    const { FlowDrop, storage } = loadQueue();
+    // Queued on an earlier visit.
+    storage.set("flowdrop:user/1/offline-queue", JSON.stringify([Object.assign({ id: "1", queuedAt: 0, status: "queued" }, write)]));
+    const queue = new FlowDrop.OfflineQueue();
+    await queue.replay();
+    assert.equal(queue.getEntries().length, 1);
+    await assert.rejects(queue.sendAnyway("1"), /Open the editor/);
+
+    const authProvider = createAuthProvider();
+    const release = queue.useAuthProvider("workflow:a", authProvider);
+    await queue.replay();
+    assert.deepEqual([...authProvider.log], ["PUT /api/workflows/a"]);
+    assert.equal(queue.getEntries().length, 0);
+    release();
+    assert.equal(queue.getAuthProvider(write), null);
+  });
+});
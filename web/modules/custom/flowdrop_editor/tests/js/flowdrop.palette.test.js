@@ -0,0 +1,102 @@
+/**
+ * @file
+ * Tests the node search and commands of the command palette.
+ *
+ * Run with: node --test web/modules/custom/flowdrop_editor/tests/js
+ */
+
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { load } = require("./helpers");
+
+/**
+ * Loads the palette with animation frames that run right away.
+ */
+function loadPalette() {
+  const sandbox = load(["flowdrop.palette.js"], {
+    document: { addEventListener: () => {}, removeEventListener: () => {} },
+    requestAnimationFrame: (callback) => callback(),
+  });
+  return sandbox.Drupal.FlowDrop;
+}
+
+const workflow = {
+  id: "w",
+  nodes: [
+    { id: "agent_assistant", data: { label: "Assistant", nodeType: "agent", config: { systemPrompt: "You answer questions about the recipes on this site and nothing else, politely." } } },
+    { id: "tool_0", data: { label: "Search content", nodeType: "tool", toolId: "ai_agent:web_search", config: { limit: 5 } } },
+    { id: "tool_1", data: { label: "Fetch page", metadata: { id: "fetch", name: "Fetch" }, config: { headers: { accept: "text/html" } } } },
+  ],
+  edges: [],
+};
+
+const search = (FlowDrop, query) => Array.from(FlowDrop.searchNodes(workflow, query), (result) => `${result.nodeId} ${result.detail}`);
+
+describe("searchNodes", () => {
+  it("lists every node without a query", () => {
+    const FlowDrop = loadPalette();
+    assert.deepEqual(search(FlowDrop, ""), ["agent_assistant agent_assistant", "tool_0 ai_agent:web_search", "tool_1 tool_1"]);
+  });
+
+  it("finds nodes by label, ID and tool, letters in order too", () => {
+    const FlowDrop = loadPalette();
+    assert.deepEqual(search(FlowDrop, "fetch"), ["tool_1 tool_1"]);
+    assert.deepEqual(search(FlowDrop, "tool_0"), ["tool_0 ai_agent:web_search"]);
+    assert.deepEqual(search(FlowDrop, "wbs"), ["tool_0 ai_agent:web_search"]);
+  });
+
+  it("finds config values and shows where they matched", () => {
+    const FlowDrop = loadPalette();
+    assert.deepEqual(search(FlowDrop, "recipes"), ["agent_assistant systemPrompt: …ou answer questions about the recipes on this site and nothing else…"]);
+    assert.deepEqual(search(FlowDrop, "html"), ["tool_1 headers.accept: text/html"]);
+  });
+
+  it("requires every word to match", () => {
+    const FlowDrop = loadPalette();
+    assert.deepEqual(search(FlowDrop, "search 5"), ["tool_0 limit: 5"]);
+    assert.deepEqual(search(FlowDrop, "search recipes"), []);
+  });
+
+  it("ranks matches on the node above matches in its config", () => {
+    const FlowDrop = loadPalette();
+    const results = FlowDrop.searchNodes({ nodes: [
+      { id: "a", data: { label: "Summary", config: { prompt: "Write a page" } } },
+      { id: "b", data: { label: "Fetch page" } },
+    ] }, "page");
+    assert.deepEqual(Array.from(results, (result) => result.nodeId), ["b", "a"]);
+  });
+});
+
+describe("CommandPalette", () => {
+  it("runs commands and replaces them by ID", () => {
+    const FlowDrop = loadPalette();
+    const app = { getWorkflow: () => workflow };
+    const log = [];
+    const palette = new FlowDrop.CommandPalette(app, {}, { commands: [{ id: "save", label: "Save", run: () => log.push("old") }] });
+    palette.addCommand({ id: "save", label: "Save", run: (target) => log.push(target === app ? "save" : "wrong app") });
+    assert.equal(palette.commands.length, 1);
+    palette.results = [{ type: "command", command: palette.commands[0] }];
+    palette.choose(0);
+    assert.deepEqual(log, ["save"]);
+  });
+
+  it("expands the collapsed group of a chosen node before showing it", () => {
+    const FlowDrop = loadPalette();
+    const log = [];
+    const app = {
+      getWorkflow: () => workflow,
+      groups: {
+        getGroups: () => [{ id: "group.1", nodeIds: ["tool_0"], collapsed: true }],
+        toggle: (id, collapsed) => log.push(`toggle ${id} ${collapsed}`),
+      },
+    };
+    const container = {};
+    FlowDrop.focusNode = (target, nodeId) => log.push(`focus ${target === container} ${nodeId}`);
+    const palette = new FlowDrop.CommandPalette(app, container);
+    palette.results = Array.from(FlowDrop.searchNodes(workflow, "wbs"), (result) => Object.assign({ type: "node" }, result));
+    palette.choose(0);
+    assert.deepEqual(log, ["toggle group.1 false", "focus true tool_0"]);
+  });
+});
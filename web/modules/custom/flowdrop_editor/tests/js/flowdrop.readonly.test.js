@@ -0,0 +1,154 @@
+/**
+ * @file
+ * Tests the review mode that keeps a workflow from being changed.
+ *
+ * Run with: node --test web/modules/custom/flowdrop_editor/tests/js
+ */
+
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { load } = require("./helpers");
+
+/**
+ * A stand-in for an element, enough for what review mode touches.
+ */
+function createElement(tagName, attributes = {}) {
+  const children = {};
+  return {
+    tagName: tagName,
+    attributes: Object.assign({}, attributes),
+    dataset: {},
+    isContentEditable: attributes.contenteditable === "true",
+    readOnly: false,
+    disabled: false,
+    classes: new Set(),
+    appended: [],
+    get classList() {
+      const classes = this.classes;
+      return { add: (name) => classes.add(name), remove: (name) => classes.delete(name) };
+    },
+    getAttribute(name) {
+      return name in this.attributes ? this.attributes[name] : null;
+    },
+    setAttribute(name, value) {
+      this.attributes[name] = value;
+    },
+    querySelector(selector) {
+      return (children[selector] = children[selector] || createElement("SPAN"));
+    },
+    appendChild(child) {
+      this.appended.push(child);
+      child.parentNode = this;
+      return child;
+    },
+    remove() {
+      this.removed = true;
+    },
+  };
+}
+
+/**
+ * Sets up review mode on a canvas with sidebar fields.
+ */
+function setUp(options = {}) {
+  const sandbox = load(["flowdrop.readonly.js"], {
+    document: { createElement: (tagName) => createElement(tagName.toUpperCase()) },
+    MutationObserver: class {
+      observe() {}
+      disconnect() {}
+    },
+    requestAnimationFrame: () => 1,
+    cancelAnimationFrame: () => {},
+  });
+  const lock = {
+    clicks: 0,
+    click() {
+      this.clicks++;
+    },
+  };
+  const canvas = createElement("DIV");
+  const fields = {
+    text: createElement("INPUT"),
+    number: createElement("INPUT", { type: "number" }),
+    checkbox: createElement("INPUT", { type: "checkbox" }),
+    textarea: createElement("TEXTAREA"),
+    select: createElement("SELECT"),
+    button: createElement("BUTTON"),
+    editor: createElement("DIV", { contenteditable: "true" }),
+  };
+  const container = createElement("DIV");
+  Object.assign(container, {
+    addEventListener: () => {},
+    removeEventListener: () => {},
+    querySelector: (selector) => ({
+      ".svelte-flow__controls-interactive": lock,
+      ".svelte-flow__node.draggable": options.draggable === false ? null : {},
+      ".svelte-flow": canvas,
+    })[selector] || null,
+    querySelectorAll: () => Object.values(fields),
+  });
+  const app = { destroy: () => {} };
+  const readOnly = sandbox.Drupal.FlowDrop.attachReadOnly(app, container, options);
+  return { readOnly, app, container, canvas, lock, fields };
+}
+
+describe("ReadOnlyMode", () => {
+  it("locks the canvas and the fields of the sidebar", () => {
+    const { readOnly, container, lock, fields } = setUp();
+    assert.ok(container.classes.has("flowdrop-editor--read-only"));
+    assert.equal(lock.clicks, 1);
+    assert.equal(fields.text.readOnly, true);
+    assert.equal(fields.number.readOnly, true);
+    assert.equal(fields.textarea.readOnly, true);
+    assert.equal(fields.checkbox.disabled, true);
+    assert.equal(fields.select.disabled, true);
+    assert.equal(fields.button.disabled, true);
+    assert.equal(fields.editor.attributes.contenteditable, "false");
+    assert.equal(fields.text.disabled, false);
+
+    // Fields that were locked already are left alone.
+    fields.text.readOnly = false;
+    readOnly.apply();
+    assert.equal(fields.text.readOnly, false);
+  });
+
+  it("leaves a locked canvas locked", () => {
+    const { readOnly, lock } = setUp({ draggable: false });
+    readOnly.apply();
+    assert.equal(lock.clicks, 0);
+  });
+
+  it("says why on a banner until it is detached", () => {
+    const { app, container, canvas } = setUp({ title: "Locked", message: "Someone else is editing this agent." });
+    const banner = canvas.appended[0];
+    assert.equal(banner.attributes.role, "status");
+    assert.equal(banner.querySelector(".flowdrop-canvas-banner__title").textContent, "Locked");
+    assert.equal(banner.querySelector(".flowdrop-canvas-banner__description").textContent, "Someone else is editing this agent.");
+
+    app.destroy();
+    assert.equal(banner.removed, true);
+    assert.equal(container.classes.has("flowdrop-editor--read-only"), false);
+  });
+
+  it("keeps Ctrl+Enter from saving the sidebar", () => {
+    const { readOnly } = setUp();
+    const keydown = (inSidebar) => {
+      const event = {
+        ctrlKey: true,
+        key: "Enter",
+        prevented: false,
+        target: { closest: () => (inSidebar ? {} : null) },
+        preventDefault() {
+          this.prevented = true;
+        },
+        stopPropagation() {},
+      };
+      readOnly.handleKeydown(event);
+      return event.prevented;
+    };
+    assert.equal(keydown(true), true);
+    assert.equal(keydown(false), false);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * @file
+ * Tests the cached, deduplicated and cancellable API client of editors.
+ *
+ * Run with: node --test web/modules/custom/flowdrop_editor/tests/js
+ */
+
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { load } = require("./helpers");
+
+/**
+ * A stand-in for the parts of the library the client builds on.
+ */
+const library = {
+  EnhancedFlowDropApiClient: class {
+    constructor(config, authProvider) {
+      this.config = config;
+      this.authProvider = authProvider;
+    }
+  },
+  ApiError: class extends Error {
+    constructor(message, status, operation, errorData) {
+      super(message);
+      this.status = status;
+      this.operation = operation;
+      this.errorData = errorData;
+    }
+  },
+  buildEndpointUrl: (config, path, params) => config.baseUrl + path.replace(/\{(\w+)\}/g, (match, key) => encodeURIComponent(params[key])),
+  getEndpointMethod: () => "GET",
+  getEndpointHeaders: () => ({ "Content-Type": "application/json" }),
+};
+
+const endpointConfig = {
+  baseUrl: "/api/flowdrop",
+  timeout: 0,
+  endpoints: {
+    nodes: { list: "/nodes", get: "/nodes/{id}", metadata: "/nodes/{id}/metadata" },
+    workflows: { update: "/workflows/{id}" },
+  },
+};
+
+/**
+ * An auth provider that answers from a handler and logs what it was sent.
+ */
+function createAuthProvider(handler) {
+  return {
+    log: [],
+    fetch(url, init) {
+      this.log.push({ url: url, method: init.method || "GET", headers: init.headers, signal: init.signal });
+      if (init.signal && init.signal.aborted) {
+        return Promise.reject(new DOMException("Aborted", "AbortError"));
+      }
+      return new Promise((resolve, reject) => {
+        if (init.signal) {
+          init.signal.addEventListener("abort", () => reject(new DOMException("Aborted", "AbortError")));
+        }
+        resolve(handler(url, init));
+      });
+    },
+  };
+}
+
+function createClient(handler, options = {}) {
+  const { Drupal } = load(["flowdrop.requests.js"], { AbortController: AbortController, AbortSignal: AbortSignal });
+  const authProvider = createAuthProvider(handler);
+  const client = Drupal.FlowDrop.createApiClient(library, endpointConfig, Object.assign({
+    authProvider: authProvider,
+    requests: new Drupal.FlowDrop.ApiRequests(),
+  }, options));
+  return { client, authProvider };
+}
+
+const json = (body, headers = {}) => new Response(JSON.stringify(body), { headers: headers });
+
+describe("createApiClient", () => {
+  it("shares identical GETs in flight", async () => {
+    const { client, authProvider } = createClient(() => json({ success: true, data: { id: "a" } }));
+    const [first, second] = await Promise.all([client.getNodeMetadata("a"), client.getNodeMetadata("a")]);
+    assert.deepEqual({ ...first }, { id: "a" });
+    assert.notEqual(first, second);
+    assert.deepEqual(authProvider.log.map((entry) => entry.url), ["/api/flowdrop/nodes/a/metadata"]);
+  });
+
+  it("revalidates expired responses with their ETag", async () => {
+    let status = 200;
+    const { client, authProvider } = createClient(() => (status === 304 ? new Response(null, { status: 304 }) : json({ success: true, data: [{ id: "a" }] }, { ETag: "\"1\"" })), { ttl: 0 });
+    await client.getAvailableNodes();
+    status = 304;
+    const nodes = await client.getAvailableNodes();
+    assert.equal(nodes[0].id, "a");
+    assert.equal(authProvider.log.length, 2);
+    assert.equal(authProvider.log[1].headers["If-None-Match"], "\"1\"");
+  });
+
+  it("keeps responses for their max-age", async () => {
+    const { client, authProvider } = createClient(() => json({ success: true, data: { id: "a" } }, { "Cache-Control": "max-age=60" }));
+    await client.getNode("a");
+    await client.getNode("a");
+    assert.equal(authProvider.log.length, 1);
+    await client.getNode("a", { force: true });
+    assert.equal(authProvider.log.length, 2);
+  });
+
+  it("aborts requests with their signal or the client's", async () => {
+    const closing = new AbortController();
+    const { client } = createClient(() => new Promise(() => {}), { signal: closing.signal });
+    const aborted = new AbortController();
+    const first = client.getNode("a", { signal: aborted.signal });
+    const second = client.getNode("b");
+    aborted.abort();
+    await assert.rejects(first, { name: "AbortError" });
+    closing.abort();
+    await assert.rejects(second, { name: "AbortError" });
+    await assert.rejects(client.getNode("c"), { name: "AbortError" });
+  });
+
+  it("forgets cached responses after a write", async () => {
+    const { client, authProvider } = createClient((url, init) => json({ success: true, data: { id: "a", method: init.method || "GET" } }, { "Cache-Control": "max-age=60" }));
+    await client.getNode("a");
+    const saved = await client.request("workflows.update", "/workflows/{id}", { id: "a" }, { method: "put", body: "{}" }, "update workflow");
+    assert.equal(saved.data.method, "PUT");
+    assert.equal(authProvider.log[1].headers["Content-Type"], "application/json");
+    await client.getNode("a");
+    assert.deepEqual(authProvider.log.map((entry) => entry.method), ["GET", "PUT", "GET"]);
+  });
+
+  it("reports failed writes as API errors", async () => {
+    const { client } = createClient(() => new Response(JSON.stringify({ error: "Invalid workflow" }), { status: 422, statusText: "Unprocessable" }));
+    await assert.rejects(client.request("workflows.update", "/workflows/{id}", { id: "a" }, { method: "PUT" }, "update workflow"), (error) => {
+      assert.equal(error.message, "Invalid workflow");
+      assert.equal(error.status, 422);
+      assert.equal(error.operation, "update workflow");
+      return true;
+    });
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * @file
+ * Tests the transport auth provider against the mock backend.
+ *
+ * Run with: node --test web/modules/custom/flowdrop_editor/tests/js
+ */
+
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { load } = require("./helpers");
+
+/**
+ * Creates a mock backend behind a transport auth provider.
+ */
+function setUp() {
+  const sent = [];
+  const sandbox = load(["flowdrop.transport.js", "flowdrop.mock.js"]);
+  const FlowDrop = sandbox.Drupal.FlowDrop;
+  const session = {
+    tokenUrl: "/session/token",
+    getToken: async () => "session-token",
+    getAuthHeaders: async () => ({ "X-CSRF-Token": "session-token" }),
+    isAuthenticated: () => true,
+    fetch: async (url, init) => {
+      sent.push({ url: url, init: init });
+      return new Response("{}", { headers: { "Content-Type": "application/json" } });
+    },
+  };
+  const backend = new FlowDrop.MockBackend({
+    baseUrl: "/mock/flowdrop",
+    stepDelay: 0,
+    nodes: [{ id: "text_input", name: "Text input", category: "inputs" }],
+  });
+  return {
+    sandbox: sandbox,
+    sent: sent,
+    backend: backend,
+    authProvider: new FlowDrop.TransportAuthProvider(session, backend),
+  };
+}
+
+/**
+ * Sends a JSON request through an auth provider and decodes the answer.
+ */
+async function request(authProvider, url, method = "GET", body = undefined) {
+  const response = await authProvider.fetch(url, {
+    method: method,
+    headers: { "Content-Type": "application/json" },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: response.status, data: await response.json() };
+}
+
+describe("TransportAuthProvider", () => {
+  it("leaves the global fetch alone", () => {
+    const { sandbox } = setUp();
+    const fetch = sandbox.fetch;
+    new sandbox.Drupal.FlowDrop.TransportAuthProvider({}, { handles: () => true, fetch: fetch });
+    assert.equal(sandbox.fetch, fetch);
+    assert.equal(sandbox.window.fetch, undefined);
+  });
+
+  it("refuses an object that is no transport", () => {
+    const { sandbox } = setUp();
+    assert.throws(() => new sandbox.Drupal.FlowDrop.TransportAuthProvider({}, {}), /handles\(\) and fetch\(\)/);
+  });
+
+  it("sends requests the transport does not handle through the wrapped provider", async () => {
+    const { authProvider, backend, sent } = setUp();
+    await authProvider.fetch("/api/flowdrop-agents/nodes");
+    assert.deepEqual(sent.map((item) => item.url), ["/api/flowdrop-agents/nodes"]);
+    assert.equal(backend.log.length, 0);
+  });
+
+  it("takes the token from the transport and adds it to writes only", async () => {
+    const { authProvider, backend } = setUp();
+    assert.equal(await authProvider.getToken(), "mock-csrf-token");
+    // Spread into this realm, the sandbox builds its objects in its own.
+    assert.deepEqual({ ...await authProvider.getAuthHeaders("GET") }, {});
+    assert.deepEqual({ ...await authProvider.getAuthHeaders("POST") }, { "X-CSRF-Token": "mock-csrf-token" });
+    // The token is fetched once.
+    await authProvider.getToken();
+    assert.equal(backend.log.filter((item) => item.url === "/session/token").length, 1);
+  });
+});
+
+describe("routeLibraryRequests", () => {
+  it("routes library requests the transport handles until released", async () => {
+    const { sandbox, authProvider, backend } = setUp();
+    const server = [];
+    const fetch = async (url) => {
+      server.push(url);
+      return new Response("{}");
+    };
+    sandbox.window.fetch = fetch;
+    const release = sandbox.Drupal.FlowDrop.routeLibraryRequests(authProvider);
+
+    // Execution polling, as the library does it.
+    const pipeline = await sandbox.window.fetch("/mock/flowdrop/pipeline/unknown");
+    assert.equal(pipeline.status, 404);
+    assert.deepEqual([...backend.log.map((item) => item.url)], ["/mock/flowdrop/pipeline/unknown"]);
+    await sandbox.window.fetch("/other/api");
+    assert.deepEqual(server, ["/other/api"]);
+
+    release();
+    assert.equal(sandbox.window.fetch, fetch);
+  });
+
+  it("stops routing when released under a later wrapper", async () => {
+    const { sandbox, authProvider, backend } = setUp();
+    sandbox.window.fetch = async () => new Response("server");
+    const release = sandbox.Drupal.FlowDrop.routeLibraryRequests(authProvider);
+    const routed = sandbox.window.fetch;
+    const wrapper = (input, init) => routed(input, init);
+    sandbox.window.fetch = wrapper;
+
+    release();
+    assert.equal(sandbox.window.fetch, wrapper);
+    assert.equal(await (await sandbox.window.fetch("/mock/flowdrop/config")).text(), "server");
+    assert.equal(backend.log.length, 0);
+  });
+});
+
+describe("MockBackend", () => {
+  it("answers node types and the runtime configuration", async () => {
+    const { authProvider } = setUp();
+    const nodes = await request(authProvider, "/mock/flowdrop/nodes?category=inputs");
+    assert.equal(nodes.data.count, 1);
+    assert.equal(nodes.data.data[0].id, "text_input");
+
+    const config = await request(authProvider, "/mock/flowdrop/config");
+    assert.equal(config.data.apiBaseUrl, "/mock/flowdrop");
+  });
+
+  it("saves, loads and executes a workflow", async () => {
+    const { authProvider, backend } = setUp();
+    const workflow = {
+      name: "Sample",
+      nodes: [{ id: "a" }, { id: "b" }],
+      edges: [{ id: "e", source: "a", target: "b" }],
+    };
+    const created = await request(authProvider, "/mock/flowdrop/workflows", "POST", workflow);
+    assert.equal(created.status, 201);
+    const id = created.data.data.id;
+
+    const loaded = await request(authProvider, `/mock/flowdrop/workflows/${id}`);
+    assert.equal(loaded.data.data.name, "Sample");
+
+    const execution = await request(authProvider, `/mock/flowdrop/workflows/${id}/execute`, "POST", { inputs: {} });
+    const status = await request(authProvider, `/mock/flowdrop/executions/${execution.data.data.id}`);
+    assert.equal(status.data.data.status, "completed");
+    assert.deepEqual(Object.keys(status.data.data.nodeStatuses), ["a", "b"]);
+
+    const save = backend.log.find((item) => item.method === "POST" && item.url === "/mock/flowdrop/workflows");
+    assert.equal(save.body.name, "Sample");
+  });
+
+  it("validates edges and answers unknown workflows with a 404", async () => {
+    const { authProvider } = setUp();
+    const validation = await request(authProvider, "/mock/flowdrop/workflows/validate", "POST", {
+      nodes: [{ id: "a" }],
+      edges: [{ id: "e", source: "a", target: "gone" }],
+    });
+    assert.equal(validation.data.data.valid, false);
+    assert.equal(validation.data.data.errors[0].nodeId, "gone");
+
+    const missing = await request(authProvider, "/mock/flowdrop/workflows/unknown");
+    assert.equal(missing.status, 404);
+  });
+
+  it("lets routes be replaced", async () => {
+    const { authProvider, backend } = setUp();
+    backend.route("GET", "/nodes", () => ({ status: 503, body: { success: false, error: "Down" } }));
+    const nodes = await request(authProvider, "/mock/flowdrop/nodes");
+    assert.equal(nodes.status, 503);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * @file
+ * Loads the editor's Drupal behaviors into a sandbox for node:test.
+ */
+
+"use strict";
+
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+/**
+ * Creates a loader for the scripts in a directory.
+ *
+ * @param {string} dir
+ *   The directory of the scripts.
+ *
+ * @return {function}
+ *   A load() for that directory.
+ */
+function createLoader(dir) {
+  /**
+   * Runs scripts in a sandbox with a minimal Drupal and window.
+   *
+   * @param {string[]} files
+   *   Script file names in the directory, in load order.
+   * @param {object} [globals]
+   *   More globals for the sandbox.
+   *
+   * @return {object}
+   *   The sandbox; the scripts' API is in sandbox.Drupal.
+   */
+  return function (files, globals = {}) {
+    const sandbox = Object.assign({
+      Drupal: {
+        url: (route) => `/${route}`,
+        t: (text) => text,
+      },
+      window: { location: { href: "http://localhost/" } },
+      console: console,
+      fetch: () => Promise.reject(new Error("Unexpected request to the network.")),
+      setTimeout: setTimeout,
+      clearTimeout: clearTimeout,
+      Response: Response,
+      URL: URL,
+      DOMException: DOMException,
+    }, globals);
+    vm.createContext(sandbox);
+    files.forEach((file) => {
+      const filename = path.join(dir, file);
+      vm.runInContext(fs.readFileSync(filename, "utf8"), sandbox, { filename: filename });
+    });
+    return sandbox;
+  };
+}
+
+/**
+ * Runs editor scripts in a sandbox; see createLoader().
+ *
+ * The scripts' API is in sandbox.Drupal.FlowDrop.
+ */
+const load = createLoader(path.join(__dirname, "..", "..", "js"));
+
+module.exports = { createLoader, load };
@@ -0,0 +1,395 @@
+/**
+ * @file
+ * Bundle export and import for the FlowDrop Agents editor.
+ *
+ * A bundle is a JSON file holding an agent, the agents it uses as tools and
+ * their tool settings, so a graph can be moved between sites. Exporting
+ * downloads the saved agent. Importing starts by dropping a bundle on the
+ * canvas: the server reports the agents it holds, which of them collide with
+ * agents of this site, which tools or modules are missing here and which
+ * roles the agents masquerade as, and nothing is imported until the report
+ * is confirmed. Masquerade roles are left out unless they are confirmed too.
+ */
+
+(function (Drupal) {
+  'use strict';
+
+  Drupal.flowdropAgents = Drupal.flowdropAgents || {};
+
+  /**
+   * Creates an element with text content.
+   */
+  function cell(tag, text) {
+    const element = document.createElement(tag);
+    element.textContent = text;
+    return element;
+  }
+
+  /**
+   * Adds a titled list to the report.
+   */
+  function addList(element, title, items) {
+    element.appendChild(cell('h3', title));
+    const list = element.appendChild(document.createElement('ul'));
+    items.forEach(function (item) {
+      list.appendChild(cell('li', item));
+    });
+  }
+
+  /**
+   * Builds the pre-import report.
+   *
+   * @param {object} report
+   *   The report of the import preview endpoint.
+   * @param {object} state
+   *   Holds the chosen collision handling in "collisions" and whether to
+   *   import the masquerade roles in "keepMasqueradeRoles".
+   */
+  function buildReport(report, state) {
+    const element = document.createElement('div');
+    element.className = 'flowdrop-agents-bundle-report';
+
+    const collisions = report.agents.filter(function (agent) {
+      return agent.exists;
+    });
+    element.appendChild(cell('p', Drupal.formatPlural(report.agents.length,
+      'This bundle holds 1 agent.',
+      'This bundle holds @count agents: the exported agent, listed first, and the agents it uses as tools.'
+    )));
+
+    const table = element.appendChild(document.createElement('table'));
+    table.className = 'flowdrop-agents-bundle-report__table';
+    const head = document.createElement('tr');
+    [Drupal.t('Agent'), Drupal.t('Machine name'), Drupal.t('On this site')].forEach(function (title) {
+      head.appendChild(cell('th', title));
+    });
+    table.appendChild(document.createElement('thead')).appendChild(head);
+    const body = table.appendChild(document.createElement('tbody'));
+    report.agents.slice().sort(function (a, b) {
+      return (b.id === report.root) - (a.id === report.root);
+    }).forEach(function (agent) {
+      const row = body.appendChild(document.createElement('tr'));
+      if (agent.exists) {
+        row.className = 'flowdrop-agents-bundle-report__collision';
+      }
+      row.appendChild(cell('td', agent.label));
+      row.appendChild(cell('td', agent.id));
+      row.appendChild(cell('td', agent.exists ? Drupal.t('Already exists') : Drupal.t('New')));
+    });
+
+    if (collisions.length) {
+      const fieldset = element.appendChild(document.createElement('fieldset'));
+      fieldset.className = 'flowdrop-agents-bundle-report__collisions';
+      fieldset.appendChild(cell('legend', Drupal.formatPlural(collisions.length,
+        '1 agent already exists on this site',
+        '@count agents already exist on this site'
+      )));
+      [
+        ['rename', Drupal.t('Import them as new agents under another machine name')],
+        ['replace', Drupal.t('Replace the existing agents')],
+      ].forEach(function (option) {
+        const label = fieldset.appendChild(document.createElement('label'));
+        const radio = label.appendChild(document.createElement('input'));
+        radio.type = 'radio';
+        radio.name = 'flowdrop-agents-bundle-collisions';
+        radio.value = option[0];
+        radio.checked = state.collisions === option[0];
+        radio.addEventListener('change', function () {
+          state.collisions = option[0];
+        });
+        label.appendChild(document.createTextNode(' ' + option[1]));
+      });
+    }
+
+    const masquerading = report.agents.filter(function (agent) {
+      return agent.masqueradeRoles.length;
+    });
+    if (masquerading.length) {
+      addList(element, Drupal.t('Masquerade roles'), masquerading.map(function (agent) {
+        return Drupal.t('@agent: @roles', { '@agent': agent.label, '@roles': agent.masqueradeRoles.join(', ') });
+      }));
+      element.appendChild(cell('p', Drupal.t('These agents act with the permissions of the listed roles. Their masquerade roles are left out unless you keep them.')));
+      const label = element.appendChild(document.createElement('label'));
+      const checkbox = label.appendChild(document.createElement('input'));
+      checkbox.type = 'checkbox';
+      checkbox.checked = state.keepMasqueradeRoles;
+      checkbox.disabled = report.missingRoles.length > 0;
+      checkbox.addEventListener('change', function () {
+        state.keepMasqueradeRoles = checkbox.checked;
+      });
+      label.appendChild(document.createTextNode(' ' + Drupal.t('Keep the masquerade roles')));
+      if (report.missingRoles.length) {
+        element.appendChild(cell('p', Drupal.t('They cannot be kept, this site does not have the roles @roles.', { '@roles': report.missingRoles.join(', ') })));
+      }
+    }
+
+    if (report.missingTools.length) {
+      addList(element, Drupal.t('Missing tools'), report.missingTools);
+      element.appendChild(cell('p', Drupal.t('These tools are not available on this site and will be left out of the imported agents.')));
+    }
+    if (report.missingModules.length) {
+      addList(element, Drupal.t('Missing modules'), report.missingModules);
+      element.appendChild(cell('p', Drupal.t('The exporting site had these modules enabled. Enable them to get the tools they provide.')));
+    }
+
+    return element;
+  }
+
+  /**
+   * Shows the pre-import report.
+   *
+   * @param {object} report
+   *   The report of the import preview endpoint.
+   *
+   * @return {Promise<object|null>}
+   *   Resolves with the import options, {collisions, keepMasqueradeRoles},
+   *   or NULL when the import was cancelled.
+   */
+  function confirmImport(report) {
+    return new Promise(function (resolve) {
+      const state = { collisions: 'rename', keepMasqueradeRoles: false };
+      const element = buildReport(report, state);
+
+      let result = null;
+      const dialog = Drupal.dialog(element, {
+        title: Drupal.t('Import agents'),
+        width: '640px',
+        buttons: [
+          {
+            text: Drupal.t('Import'),
+            class: 'button button--primary',
+            click: function () {
+              result = state;
+              dialog.close();
+            },
+          },
+          {
+            text: Drupal.t('Cancel'),
+            class: 'button',
+            click: function () {
+              dialog.close();
+            },
+          },
+        ],
+        close: function () {
+          resolve(result);
+          element.remove();
+        },
+      });
+      dialog.showModal();
+    });
+  }
+
+  /**
+   * Bundle import bound to one editor container.
+   */
+  class BundleImport {
+    /**
+     * @param {HTMLElement} container
+     *   The editor container.
+     * @param {object} options
+     *   - app: The mounted app.
+     *   - endpointConfig: Endpoint configuration with "import" and
+     *     "importPreview" paths in the "workflows" group.
+     *   - getCsrfToken: Resolves with a CSRF token.
+     */
+    constructor(container, options) {
+      this.container = container;
+      this.options = options;
+      this.depth = 0;
+      this.busy = false;
+
+      this.onDragEnter = (event) => this.handleDragEnter(event);
+      this.onDragOver = (event) => this.handleDragOver(event);
+      this.onDragLeave = (event) => this.handleDragLeave(event);
+      this.onDrop = (event) => this.handleDrop(event);
+    }
+
+    /**
+     * Starts accepting dropped bundles.
+     */
+    attach() {
+      // Capture, so the canvas does not take dropped files for palette
+      // nodes.
+      this.container.addEventListener('dragenter', this.onDragEnter, true);
+      this.container.addEventListener('dragover', this.onDragOver, true);
+      this.container.addEventListener('dragleave', this.onDragLeave, true);
+      this.container.addEventListener('drop', this.onDrop, true);
+      return this;
+    }
+
+    /**
+     * Stops accepting dropped bundles.
+     */
+    detach() {
+      this.container.removeEventListener('dragenter', this.onDragEnter, true);
+      this.container.removeEventListener('dragover', this.onDragOver, true);
+      this.container.removeEventListener('dragleave', this.onDragLeave, true);
+      this.container.removeEventListener('drop', this.onDrop, true);
+      this.setHighlight(false);
+    }
+
+    /**
+     * Whether a drag carries files; palette nodes are dragged as text.
+     */
+    isFileDrag(event) {
+      return !!event.dataTransfer && Array.prototype.indexOf.call(event.dataTransfer.types || [], 'Files') !== -1;
+    }
+
+    /**
+     * Highlights the container when a file is dragged in.
+     */
+    handleDragEnter(event) {
+      if (!this.isFileDrag(event)) {
+        return;
+      }
+      event.preventDefault();
+      this.depth++;
+      this.setHighlight(true);
+    }
+
+    /**
+     * Lets a file be dropped.
+     */
+    handleDragOver(event) {
+      if (!this.isFileDrag(event)) {
+        return;
+      }
+      event.preventDefault();
+      event.stopPropagation();
+      event.dataTransfer.dropEffect = 'copy';
+    }
+
+    /**
+     * Removes the highlight when the file is dragged out.
+     */
+    handleDragLeave(event) {
+      if (!this.isFileDrag(event)) {
+        return;
+      }
+      this.depth = Math.max(0, this.depth - 1);
+      if (!this.depth) {
+        this.setHighlight(false);
+      }
+    }
+
+    /**
+     * Imports the dropped file.
+     */
+    handleDrop(event) {
+      if (!this.isFileDrag(event)) {
+        return;
+      }
+      event.preventDefault();
+      event.stopPropagation();
+      this.depth = 0;
+      this.setHighlight(false);
+
+      const file = event.dataTransfer.files[0];
+      if (file) {
+        this.importFile(file).catch(function (error) {
+          console.error('FlowDrop Agents: Bundle import failed', error);
+          Drupal.announce(Drupal.t('The bundle could not be imported: @error', { '@error': error.message }), 'assertive');
+        });
+      }
+    }
+
+    /**
+     * Marks the container as a drop target.
+     */
+    setHighlight(active) {
+      this.container.classList.toggle('flowdrop-agents-bundle-drop', active);
+    }
+
+    /**
+     * Reads a dropped file, reports on it and imports it once confirmed.
+     *
+     * @param {File} file
+     *   The dropped file.
+     */
+    async importFile(file) {
+      if (this.busy) {
+        return;
+      }
+      this.busy = true;
+      try {
+        let bundle;
+        try {
+          bundle = JSON.parse(await file.text());
+        } catch (error) {
+          throw new Error(Drupal.t('@file is not a JSON file.', { '@file': file.name }));
+        }
+
+        const report = await this.post('importPreview', bundle);
+        if (!report.valid) {
+          throw new Error(report.errors.join(' '));
+        }
+
+        const options = await confirmImport(report);
+        if (!options) {
+          return;
+        }
+
+        const result = await this.post('import', {
+          bundle: bundle,
+          collisions: options.collisions,
+          keepMasqueradeRoles: options.keepMasqueradeRoles,
+        });
+        Drupal.announce(Drupal.formatPlural(Object.keys(result.agents).length,
+          'Imported 1 agent.',
+          'Imported @count agents.'
+        ));
+        if (result.editUrl) {
+          window.location.href = result.editUrl;
+        }
+      } finally {
+        this.busy = false;
+      }
+    }
+
+    /**
+     * Posts to an endpoint of the "workflows" group.
+     *
+     * @return {Promise<object>}
+     *   Resolves with the data of the response.
+     */
+    async post(endpoint, body) {
+      const config = this.options.endpointConfig;
+      const response = await fetch(config.baseUrl + config.endpoints.workflows[endpoint], {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json',
+          'X-CSRF-Token': await this.options.getCsrfToken(),
+        },
+        body: JSON.stringify(body),
+      });
+      const result = await response.json().catch(() => ({ success: false, error: response.statusText }));
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || response.statusText);
+      }
+      return result.data;
+    }
+  }
+
+  /**
+   * Downloads the saved agent as a bundle.
+   *
+   * @param {object} endpointConfig
+   *   Endpoint configuration with an "export" path in the "workflows" group.
+   * @param {string} workflowId
+   *   The agent machine name.
+   */
+  Drupal.flowdropAgents.exportBundle = function (endpointConfig, workflowId) {
+    const link = document.createElement('a');
+    link.href = endpointConfig.baseUrl + endpointConfig.endpoints.workflows.export.replace('{id}', encodeURIComponent(workflowId));
+    link.download = workflowId + '.agents.json';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+  };
+
+  Drupal.flowdropAgents.BundleImport = BundleImport;
+
+})(Drupal);
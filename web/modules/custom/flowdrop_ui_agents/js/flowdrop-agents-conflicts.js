@@ -0,0 +1,478 @@
+/**
+ * @file
+ * Three-way conflict resolution for FlowDrop Agents saves.
+ *
+ * When the server reports that an agent changed since it was loaded, the
+ * editor compares the loaded copy (base), the canvas (mine) and the server
+ * copy (theirs) and lets the user decide what to keep.
+ */
+
+(function (Drupal) {
+  'use strict';
+
+  Drupal.flowdropAgents = Drupal.flowdropAgents || {};
+
+  /**
+   * JSON-encodes a value with sorted object keys.
+   *
+   * PHP and JavaScript do not agree on key order, so plain JSON.stringify
+   * would report spurious differences.
+   */
+  function stableStringify(value) {
+    if (Array.isArray(value)) {
+      return '[' + value.map(stableStringify).join(',') + ']';
+    }
+    if (value && typeof value === 'object') {
+      return '{' + Object.keys(value).sort().map(function (key) {
+        return JSON.stringify(key) + ':' + stableStringify(value[key]);
+      }).join(',') + '}';
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  /**
+   * Compares two values structurally.
+   */
+  function isSame(a, b) {
+    return stableStringify(a) === stableStringify(b);
+  }
+
+  /**
+   * Deep-copies a JSON-compatible value.
+   */
+  function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * Gets a key identifying a node across versions of an agent.
+   *
+   * Tool node IDs are assigned by position (tool_0, tool_1, ...) when an
+   * agent is loaded, so tools are matched by their tool ID instead, as the
+   * server does when it stores their layout.
+   *
+   * @param {object} node
+   *   The node.
+   *
+   * @return {string}
+   *   'tool:' and the tool ID for tool nodes, the node ID for the others.
+   */
+  Drupal.flowdropAgents.getNodeKey = function (node) {
+    const data = node.data || {};
+    const toolId = data.toolId || (data.config && data.config.toolId);
+    return data.nodeType === 'tool' && toolId ? 'tool:' + toolId : node.id;
+  };
+
+  /**
+   * Indexes the nodes and edges of a workflow by their cross-copy keys.
+   */
+  function indexWorkflow(workflow) {
+    const nodes = {};
+    const keyById = {};
+    (workflow && workflow.nodes || []).forEach(function (node) {
+      const key = Drupal.flowdropAgents.getNodeKey(node);
+      nodes[key] = node;
+      keyById[node.id] = key;
+    });
+
+    const edges = {};
+    (workflow && workflow.edges || []).forEach(function (edge) {
+      const source = keyById[edge.source];
+      const target = keyById[edge.target];
+      if (source && target) {
+        edges[source + ' > ' + target] = { edge: edge, source: source, target: target };
+      }
+    });
+
+    return { nodes: nodes, edges: edges, keyById: keyById };
+  }
+
+  /**
+   * Finds a human-readable label for a node key.
+   */
+  function nodeLabel(key, indexes) {
+    for (const index of indexes) {
+      const node = index.nodes[key];
+      if (node) {
+        return (node.data && node.data.label) || node.id;
+      }
+    }
+    return key;
+  }
+
+  /**
+   * Collects the keys of all given objects.
+   */
+  function unionKeys() {
+    const keys = new Set();
+    Array.prototype.forEach.call(arguments, function (object) {
+      Object.keys(object || {}).forEach(function (key) {
+        keys.add(key);
+      });
+    });
+    return Array.from(keys);
+  }
+
+  /**
+   * Lists what changed locally and on the server relative to the base.
+   *
+   * @param {object} base
+   *   The workflow as it was loaded.
+   * @param {object} mine
+   *   The workflow on the canvas.
+   * @param {object} theirs
+   *   The workflow currently stored on the server.
+   *
+   * @return {Array}
+   *   Change items. Each has a type ('node', 'config' or 'edge'), a key,
+   *   a label, the base/mine/theirs values, a conflict flag when both sides
+   *   changed it differently, and the side chosen by default.
+   */
+  Drupal.flowdropAgents.diffWorkflows = function (base, mine, theirs) {
+    const b = indexWorkflow(base);
+    const m = indexWorkflow(mine);
+    const t = indexWorkflow(theirs);
+    const indexes = [m, t, b];
+    const items = [];
+
+    unionKeys(b.nodes, m.nodes, t.nodes).forEach(function (key) {
+      const baseNode = b.nodes[key];
+      const myNode = m.nodes[key];
+      const theirNode = t.nodes[key];
+      const label = nodeLabel(key, indexes);
+      const baseConfig = (baseNode && baseNode.data && baseNode.data.config) || {};
+      const myConfig = (myNode && myNode.data && myNode.data.config) || {};
+      const theirConfig = (theirNode && theirNode.data && theirNode.data.config) || {};
+
+      if (!!myNode !== !!theirNode) {
+        const myChange = !!myNode !== !!baseNode;
+        const editedElsewhere = myChange
+          ? !!theirNode && !isSame(theirConfig, baseConfig)
+          : !!myNode && !isSame(myConfig, baseConfig);
+        items.push({
+          type: 'node',
+          key: key,
+          label: label,
+          base: !!baseNode,
+          mine: !!myNode,
+          theirs: !!theirNode,
+          conflict: !!baseNode && editedElsewhere,
+          choice: myChange ? 'mine' : 'theirs',
+        });
+        return;
+      }
+
+      if (!myNode) {
+        return;
+      }
+
+      unionKeys(baseConfig, myConfig, theirConfig).forEach(function (configKey) {
+        const baseValue = baseConfig[configKey];
+        const myValue = myConfig[configKey];
+        const theirValue = theirConfig[configKey];
+        if (isSame(myValue, theirValue)) {
+          return;
+        }
+        const myChange = !isSame(myValue, baseValue);
+        const theirChange = !isSame(theirValue, baseValue);
+        items.push({
+          type: 'config',
+          key: key,
+          configKey: configKey,
+          label: label + ': ' + configKey,
+          base: baseValue,
+          mine: myValue,
+          theirs: theirValue,
+          conflict: myChange && theirChange,
+          choice: myChange ? 'mine' : 'theirs',
+        });
+      });
+    });
+
+    unionKeys(b.edges, m.edges, t.edges).forEach(function (key) {
+      const inMine = !!m.edges[key];
+      const inTheirs = !!t.edges[key];
+      if (inMine === inTheirs) {
+        return;
+      }
+      const entry = m.edges[key] || t.edges[key];
+      items.push({
+        type: 'edge',
+        key: key,
+        label: nodeLabel(entry.source, indexes) + ' → ' + nodeLabel(entry.target, indexes),
+        base: !!b.edges[key],
+        mine: inMine,
+        theirs: inTheirs,
+        conflict: false,
+        choice: inMine !== !!b.edges[key] ? 'mine' : 'theirs',
+      });
+    });
+
+    return items;
+  };
+
+  /**
+   * Gives an ID that is not in use yet, suffixing it when needed.
+   */
+  function uniqueId(id, used) {
+    let candidate = id;
+    let suffix = 1;
+    while (used.has(candidate)) {
+      candidate = id + '_' + suffix++;
+    }
+    used.add(candidate);
+    return candidate;
+  }
+
+  /**
+   * Rewrites a handle ID ("{nodeId}-output-{port}") for a renamed node.
+   */
+  function remapHandle(handle, oldId, newId) {
+    if (typeof handle === 'string' && handle.indexOf(oldId + '-') === 0) {
+      return newId + handle.substring(oldId.length);
+    }
+    return handle;
+  }
+
+  /**
+   * Merges the server copy with local changes according to per-item choices.
+   *
+   * Starts from the server copy and re-applies every item where "mine" was
+   * chosen. Nodes that exist on the canvas keep their canvas ID and
+   * position so the editor state stays stable.
+   *
+   * @param {object} mine
+   *   The workflow on the canvas.
+   * @param {object} theirs
+   *   The workflow currently stored on the server.
+   * @param {Array} items
+   *   Items from diffWorkflows() with their choice set.
+   *
+   * @return {object}
+   *   The merged workflow.
+   */
+  Drupal.flowdropAgents.mergeWorkflows = function (mine, theirs, items) {
+    const m = indexWorkflow(mine);
+    const t = indexWorkflow(theirs);
+    const nodes = {};
+    const edges = {};
+
+    Object.keys(t.nodes).forEach(function (key) {
+      nodes[key] = clone(t.nodes[key]);
+    });
+    Object.keys(t.edges).forEach(function (key) {
+      edges[key] = t.edges[key];
+    });
+
+    items.filter(function (item) {
+      return item.choice === 'mine';
+    }).forEach(function (item) {
+      if (item.type === 'node') {
+        if (item.mine) {
+          nodes[item.key] = clone(m.nodes[item.key]);
+        } else {
+          delete nodes[item.key];
+        }
+      } else if (item.type === 'config' && nodes[item.key]) {
+        const data = nodes[item.key].data = nodes[item.key].data || {};
+        data.config = data.config || {};
+        if (item.mine === undefined) {
+          delete data.config[item.configKey];
+        } else {
+          data.config[item.configKey] = clone(item.mine);
+        }
+      } else if (item.type === 'edge') {
+        if (item.mine) {
+          edges[item.key] = m.edges[item.key];
+        } else {
+          delete edges[item.key];
+        }
+      }
+    });
+
+    // Assign node IDs. Canvas nodes go first so they keep their IDs and
+    // server-only nodes are renamed if their ID is taken.
+    const used = new Set();
+    const idByKey = {};
+    const mergedNodes = [];
+    const keys = Object.keys(nodes).sort(function (a, b) {
+      return (m.nodes[b] ? 1 : 0) - (m.nodes[a] ? 1 : 0);
+    });
+    keys.forEach(function (key) {
+      const node = nodes[key];
+      const myNode = m.nodes[key];
+      if (myNode) {
+        node.id = myNode.id;
+        node.position = clone(myNode.position);
+      }
+      node.id = uniqueId(node.id, used);
+      if (node.data && node.data.nodeId) {
+        node.data.nodeId = node.id;
+      }
+      idByKey[key] = node.id;
+      mergedNodes.push(node);
+    });
+
+    const mergedEdges = [];
+    Object.keys(edges).forEach(function (key) {
+      const entry = edges[key];
+      const source = idByKey[entry.source];
+      const target = idByKey[entry.target];
+      if (!source || !target) {
+        return;
+      }
+      const edge = clone(entry.edge);
+      edge.sourceHandle = remapHandle(edge.sourceHandle, edge.source, source);
+      edge.targetHandle = remapHandle(edge.targetHandle, edge.target, target);
+      edge.source = source;
+      edge.target = target;
+      edge.id = uniqueId('edge_' + source + '_to_' + target, used);
+      mergedEdges.push(edge);
+    });
+
+    return Object.assign({}, mine, {
+      nodes: mergedNodes,
+      edges: mergedEdges,
+    });
+  };
+
+  /**
+   * Formats a value for the conflict table.
+   */
+  function formatValue(item, side) {
+    const value = item[side];
+    if (item.type !== 'config') {
+      return value ? Drupal.t('present') : Drupal.t('absent');
+    }
+    if (value === undefined || value === '') {
+      return Drupal.t('(empty)');
+    }
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > 120 ? text.substring(0, 117) + '…' : text;
+  }
+
+  /**
+   * Creates an element with text content.
+   */
+  function cell(tag, text) {
+    const element = document.createElement(tag);
+    element.textContent = text;
+    return element;
+  }
+
+  /**
+   * Builds the conflict table with a mine/theirs choice per item.
+   */
+  function buildTable(items) {
+    const table = document.createElement('table');
+    table.className = 'flowdrop-agents-conflicts__table';
+
+    const head = document.createElement('tr');
+    [Drupal.t('Change'), Drupal.t('Loaded'), Drupal.t('Server'), Drupal.t('Yours'), Drupal.t('Keep')].forEach(function (title) {
+      head.appendChild(cell('th', title));
+    });
+    table.appendChild(document.createElement('thead')).appendChild(head);
+
+    const body = table.appendChild(document.createElement('tbody'));
+    items.forEach(function (item, index) {
+      const row = document.createElement('tr');
+      if (item.conflict) {
+        row.className = 'flowdrop-agents-conflicts__conflict';
+      }
+      row.appendChild(cell('td', item.label));
+      row.appendChild(cell('td', formatValue(item, 'base')));
+      row.appendChild(cell('td', formatValue(item, 'theirs')));
+      row.appendChild(cell('td', formatValue(item, 'mine')));
+
+      const choices = document.createElement('td');
+      [['mine', Drupal.t('Mine')], ['theirs', Drupal.t('Theirs')]].forEach(function (option) {
+        const label = document.createElement('label');
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = 'flowdrop-agents-conflict-' + index;
+        radio.value = option[0];
+        radio.checked = item.choice === option[0];
+        radio.addEventListener('change', function () {
+          item.choice = option[0];
+        });
+        label.appendChild(radio);
+        label.appendChild(document.createTextNode(' ' + option[1]));
+        choices.appendChild(label);
+      });
+      row.appendChild(choices);
+      body.appendChild(row);
+    });
+
+    return table;
+  }
+
+  /**
+   * Shows the conflict dialog.
+   *
+   * @param {object} options
+   *   - base: The workflow as it was loaded.
+   *   - mine: The workflow on the canvas.
+   *   - theirs: The workflow currently stored on the server.
+   *
+   * @return {Promise<object|null>}
+   *   Resolves with {action, workflow} where action is 'mine', 'theirs' or
+   *   'merge', or NULL when the dialog was cancelled.
+   */
+  Drupal.flowdropAgents.showConflictDialog = function (options) {
+    const items = Drupal.flowdropAgents.diffWorkflows(options.base, options.mine, options.theirs);
+    const conflicts = items.filter(function (item) {
+      return item.conflict;
+    }).length;
+
+    return new Promise(function (resolve) {
+      const element = document.createElement('div');
+      element.className = 'flowdrop-agents-conflicts';
+      element.appendChild(cell('p', Drupal.t('This agent was saved by someone else after you opened it. @count of the changes below conflict with yours.', {
+        '@count': conflicts,
+      })));
+      if (items.length) {
+        element.appendChild(buildTable(items));
+      } else {
+        element.appendChild(cell('p', Drupal.t('The server changes do not affect any nodes, connections or settings on the canvas.')));
+      }
+
+      let result = null;
+      const dialog = Drupal.dialog(element, {
+        title: Drupal.t('Save conflict'),
+        width: '800px',
+        buttons: [
+          {
+            text: Drupal.t('Merge selected'),
+            class: 'button button--primary',
+            click: function () {
+              result = { action: 'merge', workflow: Drupal.flowdropAgents.mergeWorkflows(options.mine, options.theirs, items) };
+              dialog.close();
+            },
+          },
+          {
+            text: Drupal.t('Keep mine'),
+            class: 'button',
+            click: function () {
+              result = { action: 'mine', workflow: options.mine };
+              dialog.close();
+            },
+          },
+          {
+            text: Drupal.t('Take theirs'),
+            class: 'button',
+            click: function () {
+              result = { action: 'theirs', workflow: options.theirs };
+              dialog.close();
+            },
+          },
+        ],
+        close: function () {
+          resolve(result);
+          element.remove();
+        },
+      });
+      dialog.showModal();
+    });
+  };
+
+})(Drupal);
@@ -10,25 +10,11 @@
 
   Drupal.behaviors.flowdropAgentsEditor = {
     attach: function (context, settings) {
-      once('flowdrop-agents-init', '#flowdrop-agents-editor', context).forEach(function (editorContainer) {
-        // Skip if already initialized.
-        if (editorContainer.dataset.flowdropInitialized) {
-          return;
-        }
-
-        const config = drupalSettings.flowdrop_agents || {};
-
-        // Check if FlowDrop is available.
-        if (typeof window.FlowDrop === 'undefined') {
-          editorContainer.innerHTML = `
-            <div style="padding: 20px; text-align: center; color: #d32f2f;">
-              <h3>FlowDrop Editor Not Available</h3>
-              <p>The FlowDrop library could not be loaded. Please ensure the flowdrop_ui module is enabled.</p>
-            </div>
-          `;
-          console.error('FlowDrop Agents: FlowDrop library not loaded');
-          return;
-        }
+      once('flowdrop-agents-init', '.flowdrop-agents-editor-container', context).forEach(function (editorContainer) {
+        // Settings are keyed by editor, as several agents can be rendered
+        // on one page.
+        const agentsSettings = drupalSettings.flowdrop_agents || {};
+        const config = (agentsSettings.editors && agentsSettings.editors[editorContainer.id]) || agentsSettings;
 
         // Prepare workflow data.
         const workflowData = config.workflow || {
@@ -46,7 +32,7 @@
         // Create endpoint configuration for FlowDrop Agents API.
         // Uses our custom endpoints that return AI tools, agents, and assistants.
         const endpointConfig = {
-          baseUrl: '/api/flowdrop-agents',
+          baseUrl: config.apiBaseUrl || Drupal.FlowDrop.withBasePath('/api/flowdrop-agents'),
           endpoints: {
             nodes: {
               list: '/nodes',
@@ -61,10 +47,27 @@
               update: '/workflows/{id}',
               delete: '/workflows/{id}',
               validate: '/workflows/{id}/validate',
-              export: '/workflows/{id}',
-              import: '/workflows',
+              export: '/workflows/{id}/export',
+              import: '/workflows/import',
+              importPreview: '/workflows/import/preview',
             },
             portConfig: '/port-config',
+            runtimeConfig: '/config',
+            drafts: {
+              get: '/drafts/{id}',
+              save: '/drafts/{id}',
+              delete: '/drafts/{id}',
+            },
+            runs: {
+              start: '/workflows/{id}/run',
+              steps: '/runs/{id}/steps',
+            },
+            comments: {
+              list: '/workflows/{id}/comments',
+              create: '/workflows/{id}/comments',
+              reply: '/workflows/{id}/comments/{threadId}/replies',
+              update: '/workflows/{id}/comments/{threadId}',
+            },
           },
           timeout: 30000,
           headers: {
@@ -78,152 +81,362 @@
         const saveUrl = modelerApiSettings.save_url || `/admin/modeler_api/ai_agent/${config.modeler || 'flowdrop_agents'}/save`;
         const isNew = config.isNew || false;
 
-        // Save function using Modeler API.
-        async function saveAgent() {
-          try {
-            // Get workflow from FlowDrop app.
-            const app = editorContainer.flowdropApp || window.currentFlowDropApp;
-            let currentWorkflow;
-
-            if (app && typeof app.getWorkflow === 'function') {
-              currentWorkflow = app.getWorkflow();
-            } else {
-              console.warn('FlowDrop Agents: No app reference, using initial workflowData');
-              currentWorkflow = workflowData;
-            }
+        // The agent as it was loaded, used as the common ancestor when the
+        // server copy changed in the meantime.
+        const revisionUrl = config.revisionUrl || `${endpointConfig.baseUrl}/workflows/${encodeURIComponent(config.workflowId)}/revision`;
+        let baseWorkflow = JSON.parse(JSON.stringify(workflowData));
+        let baseRevision = (workflowData.metadata && workflowData.metadata.revision) || null;
 
-            // Get CSRF token.
-            const tokenUrl = modelerApiSettings.token_url || '/session/token';
-            const tokenResponse = await fetch(tokenUrl);
-            const csrfToken = await tokenResponse.text();
-
-            // Save via Modeler API.
-            const response = await fetch(saveUrl, {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json',
-                'X-CSRF-Token': csrfToken,
-                'X-Modeler-API-isNew': isNew ? 'true' : 'false',
-              },
-              body: JSON.stringify(currentWorkflow),
-            });
+        // Writes carry the session's CSRF token, fetched again once when
+        // the server rejects it.
+        const authProvider = Drupal.FlowDrop.getAuthProvider(modelerApiSettings.token_url);
+        function getCsrfToken() {
+          return authProvider.getToken();
+        }
 
-            if (!response.ok) {
-              throw new Error('Save failed: ' + response.statusText);
-            }
+        // Run the local checks and list the results in the Problems panel.
+        function validateLocally(workflow, open) {
+          const app = editorContainer.flowdropApp;
+          const problems = Drupal.flowdropAgents.validateWorkflow(workflow, app && app.library);
+          if (editorContainer.problemsPanel) {
+            editorContainer.problemsPanel.show(problems, { open: open || problems.length > 0 });
+          }
+          return problems;
+        }
+
+        // List problems reported by the server in the Problems panel.
+        function listServerProblems(violations) {
+          if (editorContainer.problemsPanel && violations.length) {
+            editorContainer.problemsPanel.show(violations.map(function (item) {
+              return Object.assign({ severity: 'error' }, item);
+            }));
+          }
+        }
 
-            const result = await response.json();
+        // Ask the server what would stop the workflow from being saved.
+        async function validateWorkflow(workflow) {
+          const validateUrl = endpointConfig.baseUrl + endpointConfig.endpoints.workflows.validate
+            .replace('{id}', encodeURIComponent(config.workflowId || workflow.id));
+          const response = await authProvider.fetch(validateUrl, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'Accept': 'application/json',
+            },
+            body: JSON.stringify(workflow),
+          });
 
-            if (result.success !== false) {
-              if (typeof Drupal.announce === 'function') {
-                Drupal.announce(Drupal.t('AI Agent saved successfully'));
-              }
-              // Mark the app as saved to clear dirty state.
-              if (app && typeof app.markAsSaved === 'function') {
-                app.markAsSaved();
+          if (!response.ok) {
+            throw await Drupal.FlowDrop.saveErrorFromResponse(response, 'Validation failed');
+          }
+          const result = await response.json();
+          return Drupal.FlowDrop.normalizeViolations(result);
+        }
+
+        // Tool nodes are renumbered when an agent is loaded, so they are
+        // matched by their tool across versions.
+        const getNodeKey = Drupal.flowdropAgents.getNodeKey;
+
+        // Show what changed between the saved agent and the canvas.
+        async function compareWithSaved() {
+          const app = editorContainer.flowdropApp;
+          if (!app) {
+            return;
+          }
+          let saved = baseWorkflow;
+          if (!isNew) {
+            try {
+              const response = await authProvider.fetch(revisionUrl, {
+                headers: { 'Accept': 'application/json' },
+              });
+              if (!response.ok) {
+                throw new Error(response.statusText);
               }
-            } else {
-              throw new Error(result.message || 'Save failed');
+              const result = await response.json();
+              saved = (result.data && result.data.workflow) || baseWorkflow;
+            } catch (error) {
+              console.warn('FlowDrop Agents: Could not load the saved agent, comparing with the last known copy', error);
             }
+          }
+          await Drupal.FlowDrop.showWorkflowDiff(saved, app.getWorkflow(), {
+            title: Drupal.t('Compare with saved'),
+            beforeLabel: Drupal.t('Saved'),
+            afterLabel: Drupal.t('Current'),
+            getNodeKey: getNodeKey,
+            endpointConfig: endpointConfig,
+          });
+        }
 
-            return result;
-          } catch (error) {
-            console.error('FlowDrop Agents: Save error', error);
-            alert('Failed to save AI Agent: ' + error.message);
-            throw error;
+        // Record what was just saved as the new common ancestor. The save
+        // reports the revision it wrote, so a save made by someone else
+        // right after it is not mistaken for ours.
+        function recordSaved(result, savedWorkflow) {
+          baseWorkflow = JSON.parse(JSON.stringify(savedWorkflow));
+          const revision = result && result.revisions && result.revisions[config.workflowId];
+          if (revision) {
+            baseRevision = revision;
+          } else {
+            console.warn('FlowDrop Agents: The save did not report the new revision');
           }
         }
 
-        // Make save function available globally.
-        window.flowdropSave = saveAgent;
+        // Let the user resolve a save the server refused because someone
+        // else saved the agent since it was loaded, then save again.
+        async function resolveConflict(app, server) {
+          const resolution = await Drupal.flowdropAgents.showConflictDialog({
+            base: baseWorkflow,
+            mine: app.getWorkflow(),
+            theirs: server.workflow,
+          });
+          if (!resolution) {
+            return;
+          }
 
-        // Initialize the FlowDrop editor.
-        async function initializeEditor() {
-          try {
-            const listUrl = '/admin/config/ai/agents';
+          // The server copy is the ancestor of whatever gets saved next.
+          baseWorkflow = JSON.parse(JSON.stringify(server.workflow));
+          baseRevision = server.revision;
 
-            const app = await window.FlowDrop.mountFlowDropApp(editorContainer, {
-              workflow: workflowData,
-              endpointConfig: endpointConfig,
-              height: '100%',
-              width: '100%',
-              showNavbar: true,
-              navbarTitle: workflowData.name || workflowData.label || 'AI Agent',
-              navbarActions: [
-                {
-                  label: 'Save AI Agent',
-                  href: '#',
-                  variant: 'primary',
-                  icon: 'mdi:floppy-disk',
-                  onclick: function () {
-                    saveAgent().catch(function (error) {
-                      console.error('Save failed:', error);
-                    });
-                  },
-                },
-                {
-                  label: 'Back to List',
-                  href: listUrl,
-                  variant: 'secondary',
-                  icon: 'mdi:arrow-back',
-                },
-              ],
+          if (resolution.action === 'theirs') {
+            app.library.workflowActions.initialize(Object.assign({}, app.getWorkflow(), {
+              nodes: server.workflow.nodes,
+              edges: server.workflow.edges,
+            }));
+            if (app.history) {
+              app.history.reset();
+            }
+            return;
+          }
+
+          if (resolution.action === 'merge') {
+            app.library.workflowActions.batchUpdate({
+              nodes: resolution.workflow.nodes,
+              edges: resolution.workflow.edges,
             });
+          }
+          await app.save();
+        }
 
-            // Store app reference.
-            window.currentFlowDropApp = app;
-            editorContainer.flowdropApp = app;
-            editorContainer.dataset.flowdropInitialized = 'true';
-
-            // Add Ctrl+S shortcut.
-            const keydownHandler = function (event) {
-              if ((event.ctrlKey || event.metaKey) && event.key === 's') {
-                event.preventDefault();
-                saveAgent().catch(function (error) {
-                  console.error('Save failed:', error);
-                });
-              }
-            };
-            document.addEventListener('keydown', keydownHandler);
-            editorContainer.keydownHandler = keydownHandler;
+        // Check the workflow before it goes to the Modeler API. Resolves
+        // with the payload to save, or FALSE to cancel.
+        async function prepareSave(currentWorkflow, app) {
+          // Catch what can be caught without a round trip. Warnings are
+          // listed but do not stop the save.
+          const blocking = Drupal.flowdropAgents.getBlockingProblems(validateLocally(currentWorkflow, false));
+          if (blocking.length) {
+            const error = new Drupal.FlowDrop.SaveError(Drupal.t('Fix the errors in the Problems panel before saving.'), blocking);
+            // The panel already lists these, together with the warnings.
+            error.listed = true;
+            throw error;
+          }
 
-            console.log('FlowDrop Agents: Editor initialized for', config.workflowId);
+          // Point at the nodes and fields that need fixing instead of
+          // letting the save fail on them. Offline, the save is queued and
+          // validated when it is sent.
+          let violations = [];
+          try {
+            violations = await validateWorkflow(currentWorkflow);
           } catch (error) {
-            console.error('FlowDrop Agents: Failed to initialize editor', error);
-            editorContainer.innerHTML = `
-              <div style="padding: 20px; text-align: center; color: #d32f2f;">
-                <h3>Failed to Initialize Editor</h3>
-                <p>Error: ${error.message}</p>
-              </div>
-            `;
+            if (!Drupal.FlowDrop.isNetworkError(error)) {
+              throw error;
+            }
+          }
+          if (violations.length) {
+            throw new Drupal.FlowDrop.SaveError(Drupal.t('The AI Agent could not be saved.'), violations);
           }
+
+          // The save is refused with 409 when the agent is no longer at
+          // this revision.
+          return Object.assign({}, currentWorkflow, {
+            metadata: Object.assign({}, currentWorkflow.metadata, { baseRevision: baseRevision }),
+          });
         }
 
-        initializeEditor();
+        // Agents the user may not change are opened for review only.
+        const readOnly = config.readOnly ? {
+          title: Drupal.t('Review mode'),
+          message: config.readOnlyReason === 'permission'
+            ? Drupal.t('You do not have permission to change this AI Agent. You can look around and open its nodes, but not edit or save it.')
+            : Drupal.t('This AI Agent is opened read-only. You can look around and open its nodes, but not edit or save it.'),
+        } : false;
+
+        const navbarActions = [
+          {
+            label: Drupal.t('Validate'),
+            href: '#',
+            variant: 'secondary',
+            icon: 'mdi:check-decagram-outline',
+            onclick: function () {
+              const mountedApp = editorContainer.flowdropApp;
+              if (mountedApp) {
+                validateLocally(mountedApp.getWorkflow(), true);
+              }
+            },
+          },
+          {
+            label: Drupal.t('Compare with saved'),
+            href: '#',
+            variant: 'secondary',
+            icon: 'mdi:compare-horizontal',
+            onclick: function () {
+              compareWithSaved().catch(function (error) {
+                console.error('FlowDrop Agents: Compare failed', error);
+              });
+            },
+          },
+        ];
+        if (!readOnly) {
+          navbarActions.push({
+            label: Drupal.t('Export bundle'),
+            href: '#',
+            variant: 'secondary',
+            icon: 'mdi:package-down',
+            onclick: function () {
+              if (isNew) {
+                Drupal.announce(Drupal.t('Save the AI Agent before exporting it.'), 'assertive');
+                return;
+              }
+              Drupal.flowdropAgents.exportBundle(endpointConfig, config.workflowId);
+            },
+          }, {
+            label: Drupal.t('Run'),
+            href: '#',
+            variant: 'secondary',
+            icon: 'mdi:play',
+            onclick: function () {
+              if (editorContainer.runPanel) {
+                editorContainer.runPanel.open();
+              }
+            },
+          });
+        }
+
+        Drupal.FlowDrop.bootstrap(editorContainer, {
+          workflow: workflowData,
+          readOnly: readOnly,
+          endpointConfig: endpointConfig,
+          csrfTokenUrl: modelerApiSettings.token_url,
+          authProvider: authProvider,
+          saveAdapter: Drupal.FlowDrop.saveAdapters.modelerApi({
+            saveUrl: saveUrl,
+            isNew: isNew,
+          }),
+          savedMessage: Drupal.t('AI Agent saved successfully'),
+          // Saves made offline are sent once the connection is back, unless
+          // the agent was saved by someone else in the meantime.
+          offline: {
+            key: 'ai_agent:' + config.workflowId,
+            check: function (payload) {
+              const revision = payload.metadata && payload.metadata.baseRevision;
+              return revision ? { url: revisionUrl, body: { revision: revision }, revisionField: 'metadata.baseRevision' } : null;
+            },
+          },
+          // Keep drafts on the server so they follow the user to other
+          // browsers, and offer those newer than the last save of the agent.
+          draft: readOnly ? false : {
+            scope: 'ai_agent',
+            changed: workflowData.metadata && workflowData.metadata.changed,
+            storage: Drupal.FlowDrop.draftStorage.rest({
+              endpointConfig: endpointConfig,
+              authProvider: authProvider,
+            }),
+          },
+          // Review comments are kept on the server, apart from the agent.
+          comments: config.canComment ? {
+            storage: Drupal.FlowDrop.commentStorage.rest({
+              endpointConfig: endpointConfig,
+              authProvider: authProvider,
+            }),
+            workflowId: config.workflowId,
+            // Tool nodes are renumbered on every load.
+            getNodeKey: getNodeKey,
+          } : false,
+          navbarTitle: workflowData.name || workflowData.label || Drupal.t('AI Agent'),
+          saveLabel: Drupal.t('Save AI Agent'),
+          navbarActions: navbarActions,
+          backUrl: Drupal.url('admin/config/ai/agents'),
+          backLabel: Drupal.t('Back to List'),
+          errorTitle: Drupal.t('Failed to Initialize Editor'),
+          // Track undo/redo history for canvas edits.
+          history: true,
+          mountOptions: {
+            eventHandlers: {
+              onWorkflowLoad: function () {
+                // The loaded agent is the baseline, not an undoable step.
+                const mountedApp = editorContainer.flowdropApp;
+                if (mountedApp && mountedApp.history) {
+                  mountedApp.history.reset();
+                }
+              },
+            },
+          },
+          onBeforeSave: prepareSave,
+          onAfterSave: function (result, savedWorkflow) {
+            recordSaved(result, savedWorkflow);
+          },
+          onSaveError: function (error, app) {
+            if (error.status === 409 && error.data && error.data.workflow) {
+              resolveConflict(app, error.data).catch(function () {
+                // Reported by the save.
+              });
+              return;
+            }
+            if (!error.listed) {
+              listServerProblems(error.violations || []);
+            }
+          },
+          onMount: function (app) {
+            // List validation results; clicking one brings its node into view.
+            editorContainer.problemsPanel = new Drupal.flowdropAgents.ProblemsPanel(editorContainer, {
+              onSelect: function (nodeId) {
+                Drupal.FlowDrop.focusNode(editorContainer, nodeId);
+              },
+            }).attach();
+
+            // Test-run the graph on the canvas without saving it.
+            editorContainer.runPanel = new Drupal.flowdropAgents.RunPanel(editorContainer, {
+              app: app,
+              endpointConfig: endpointConfig,
+              workflowId: config.workflowId,
+              getCsrfToken: getCsrfToken,
+              onSelect: function (nodeId) {
+                Drupal.FlowDrop.focusNode(editorContainer, nodeId);
+              },
+            }).attach();
+
+            // Import bundles dropped on the canvas.
+            if (!readOnly) {
+              editorContainer.bundleImport = new Drupal.flowdropAgents.BundleImport(editorContainer, {
+                app: app,
+                endpointConfig: endpointConfig,
+                getCsrfToken: getCsrfToken,
+              }).attach();
+            }
+
+            console.log('FlowDrop Agents: Editor initialized for', config.workflowId);
+          },
+        });
       });
     },
 
     detach: function (context, settings, trigger) {
-      const containers = context.querySelectorAll('#flowdrop-agents-editor');
-      containers.forEach(function (container) {
-        if (container.flowdropApp && typeof container.flowdropApp.destroy === 'function') {
-          container.flowdropApp.destroy();
-          delete container.flowdropApp;
+      if (trigger !== 'unload') {
+        return;
+      }
+      once.remove('flowdrop-agents-init', '.flowdrop-agents-editor-container', context).forEach(function (container) {
+        if (container.problemsPanel) {
+          container.problemsPanel.detach();
+          delete container.problemsPanel;
+        }
+        if (container.runPanel) {
+          container.runPanel.detach();
+          delete container.runPanel;
         }
-        if (container.keydownHandler) {
-          document.removeEventListener('keydown', container.keydownHandler);
-          delete container.keydownHandler;
+        if (container.bundleImport) {
+          container.bundleImport.detach();
+          delete container.bundleImport;
         }
-        delete container.dataset.flowdropInitialized;
+        Drupal.FlowDrop.teardown(container);
       });
-
-      if (window.currentFlowDropApp) {
-        delete window.currentFlowDropApp;
-      }
-      if (window.flowdropSave) {
-        delete window.flowdropSave;
-      }
     },
   };
 
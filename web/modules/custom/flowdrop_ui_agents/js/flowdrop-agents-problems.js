@@ -0,0 +1,184 @@
+/**
+ * @file
+ * Dockable "Problems" panel for the FlowDrop Agents editor.
+ *
+ * Lists validation errors and warnings over the canvas. Clicking a problem
+ * brings its node into view. The panel docks to the bottom or the right of
+ * the editor; the choice is remembered in localStorage.
+ */
+
+(function (Drupal) {
+  'use strict';
+
+  Drupal.flowdropAgents = Drupal.flowdropAgents || {};
+
+  /**
+   * localStorage key of the dock position.
+   */
+  const DOCK_STORAGE_KEY = 'flowdrop_agents.problems.dock';
+
+  /**
+   * Problems panel bound to one editor container.
+   */
+  class ProblemsPanel {
+    /**
+     * @param {HTMLElement} container
+     *   The editor container.
+     * @param {object} [options]
+     *   - onSelect: Called with the node ID when a problem is clicked.
+     */
+    constructor(container, options = {}) {
+      this.container = container;
+      this.onSelect = options.onSelect || null;
+      this.problems = [];
+      this.element = null;
+      this.dock = 'bottom';
+      try {
+        this.dock = window.localStorage.getItem(DOCK_STORAGE_KEY) === 'right' ? 'right' : 'bottom';
+      } catch (error) {
+        // Storage is unavailable, keep the default.
+      }
+    }
+
+    /**
+     * Adds the (hidden) panel to the editor.
+     */
+    attach() {
+      const element = document.createElement('section');
+      element.className = 'flowdrop-agents-problems';
+      element.setAttribute('aria-label', Drupal.t('Problems'));
+      element.hidden = true;
+      element.innerHTML = `
+        <header class="flowdrop-agents-problems__header">
+          <h2 class="flowdrop-agents-problems__title">${Drupal.t('Problems')}</h2>
+          <span class="flowdrop-agents-problems__counts" aria-live="polite"></span>
+          <button type="button" class="flowdrop-agents-problems__dock"></button>
+          <button type="button" class="flowdrop-agents-problems__close" aria-label="${Drupal.t('Close problems')}">×</button>
+        </header>
+        <ul class="flowdrop-agents-problems__list"></ul>
+      `;
+
+      element.querySelector('.flowdrop-agents-problems__dock').addEventListener('click', () => {
+        this.setDock(this.dock === 'bottom' ? 'right' : 'bottom');
+      });
+      element.querySelector('.flowdrop-agents-problems__close').addEventListener('click', () => this.close());
+      element.querySelector('.flowdrop-agents-problems__list').addEventListener('click', (event) => {
+        const item = event.target.closest('[data-node-id]');
+        if (item && this.onSelect) {
+          this.onSelect(item.dataset.nodeId);
+        }
+      });
+
+      this.element = element;
+      this.container.classList.add('flowdrop-agents-problems-host');
+      this.container.appendChild(element);
+      this.setDock(this.dock);
+      return this;
+    }
+
+    /**
+     * Removes the panel.
+     */
+    detach() {
+      if (this.element) {
+        this.element.remove();
+        this.element = null;
+      }
+      this.container.classList.remove('flowdrop-agents-problems-host');
+    }
+
+    /**
+     * Moves the panel to the bottom or the right of the editor.
+     *
+     * @param {string} dock
+     *   'bottom' or 'right'.
+     */
+    setDock(dock) {
+      this.dock = dock;
+      this.element.classList.toggle('flowdrop-agents-problems--right', dock === 'right');
+      this.element.classList.toggle('flowdrop-agents-problems--bottom', dock === 'bottom');
+      const button = this.element.querySelector('.flowdrop-agents-problems__dock');
+      button.textContent = dock === 'bottom' ? Drupal.t('Dock right') : Drupal.t('Dock bottom');
+      try {
+        window.localStorage.setItem(DOCK_STORAGE_KEY, dock);
+      } catch (error) {
+        // Storage is unavailable, the choice lasts for this page only.
+      }
+    }
+
+    /**
+     * Replaces the listed problems.
+     *
+     * @param {Array} problems
+     *   Problems with the keys severity, nodeId and message.
+     * @param {object} [options]
+     *   - open: Show the panel (default: when there are problems).
+     */
+    show(problems, options = {}) {
+      this.problems = problems;
+      this.render();
+      if (options.open ?? problems.length > 0) {
+        this.open();
+      }
+    }
+
+    /**
+     * Shows the panel.
+     */
+    open() {
+      this.element.hidden = false;
+    }
+
+    /**
+     * Hides the panel.
+     */
+    close() {
+      this.element.hidden = true;
+    }
+
+    /**
+     * Renders the problem list.
+     */
+    render() {
+      const errors = this.problems.filter((item) => item.severity === 'error').length;
+      const warnings = this.problems.length - errors;
+      this.element.querySelector('.flowdrop-agents-problems__counts').textContent = [
+        Drupal.formatPlural(errors, '1 error', '@count errors'),
+        Drupal.formatPlural(warnings, '1 warning', '@count warnings'),
+      ].join(', ');
+
+      const list = this.element.querySelector('.flowdrop-agents-problems__list');
+      list.textContent = '';
+      if (!this.problems.length) {
+        const empty = document.createElement('li');
+        empty.className = 'flowdrop-agents-problems__empty';
+        empty.textContent = Drupal.t('No problems found.');
+        list.appendChild(empty);
+        return;
+      }
+
+      this.problems.forEach((item) => {
+        const severity = item.severity === 'warning' ? 'warning' : 'error';
+        const entry = document.createElement('li');
+        const content = document.createElement(item.nodeId ? 'button' : 'span');
+        content.className = `flowdrop-agents-problems__item flowdrop-agents-problems__item--${severity}`;
+        if (item.nodeId) {
+          content.type = 'button';
+          content.dataset.nodeId = item.nodeId;
+        }
+
+        const label = document.createElement('span');
+        label.className = 'flowdrop-agents-problems__severity';
+        label.textContent = severity === 'error' ? Drupal.t('Error') : Drupal.t('Warning');
+        content.appendChild(label);
+        content.appendChild(document.createTextNode(item.message));
+
+        entry.appendChild(content);
+        list.appendChild(entry);
+      });
+    }
+  }
+
+  Drupal.flowdropAgents.ProblemsPanel = ProblemsPanel;
+
+})(Drupal);
@@ -0,0 +1,437 @@
+/**
+ * @file
+ * Test-run panel for the FlowDrop Agents editor.
+ *
+ * Runs the graph as it is on the canvas, saved or not, on a prompt. While
+ * the run request is going, the steps logged by the AI Agents Explorer are
+ * polled and listed, and the agent and tool nodes they involve light up as
+ * running, completed or failed. The agent is not saved, but its tools run
+ * for real, which the panel warns about.
+ */
+
+(function (Drupal) {
+  'use strict';
+
+  Drupal.flowdropAgents = Drupal.flowdropAgents || {};
+
+  /**
+   * How often steps are polled while a run is going, in milliseconds.
+   */
+  const POLL_INTERVAL = 500;
+
+  /**
+   * Formats seconds since the start of a run.
+   */
+  function formatOffset(seconds) {
+    return Drupal.t('@seconds s', { '@seconds': (Math.round(seconds * 100) / 100).toFixed(2) });
+  }
+
+  /**
+   * Run panel bound to one editor container.
+   */
+  class RunPanel {
+    /**
+     * @param {HTMLElement} container
+     *   The editor container.
+     * @param {object} options
+     *   - app: The mounted app.
+     *   - endpointConfig: Endpoint configuration with a "runs" group holding
+     *     start and steps paths.
+     *   - workflowId: The agent machine name.
+     *   - getCsrfToken: Resolves with a CSRF token.
+     *   - onSelect: Called with the node ID when a step is clicked.
+     */
+    constructor(container, options) {
+      this.container = container;
+      this.options = options;
+      this.element = null;
+      this.run = null;
+      this.timer = null;
+    }
+
+    /**
+     * Adds the (hidden) panel to the editor.
+     */
+    attach() {
+      const element = document.createElement('section');
+      element.className = 'flowdrop-agents-run';
+      element.setAttribute('aria-label', Drupal.t('Test run'));
+      element.hidden = true;
+      element.innerHTML = `
+        <header class="flowdrop-agents-run__header">
+          <h2 class="flowdrop-agents-run__title">${Drupal.t('Test run')}</h2>
+          <span class="flowdrop-agents-run__status" aria-live="polite"></span>
+          <button type="button" class="flowdrop-agents-run__close" aria-label="${Drupal.t('Close test run')}">×</button>
+        </header>
+        <form class="flowdrop-agents-run__form">
+          <label class="flowdrop-agents-run__label" for="${this.container.id}-run-prompt">${Drupal.t('Prompt')}</label>
+          <textarea class="flowdrop-agents-run__prompt" id="${this.container.id}-run-prompt" rows="3" required aria-describedby="${this.container.id}-run-warning"></textarea>
+          <p class="flowdrop-agents-run__warning" id="${this.container.id}-run-warning">${Drupal.t('Tools really run: content and settings they create, change or delete stay that way on this site.')}</p>
+          <button type="submit" class="button button--primary button--small flowdrop-agents-run__submit">${Drupal.t('Run')}</button>
+        </form>
+        <ol class="flowdrop-agents-run__log"></ol>
+      `;
+
+      element.querySelector('.flowdrop-agents-run__close').addEventListener('click', () => this.close());
+      element.querySelector('.flowdrop-agents-run__form').addEventListener('submit', (event) => {
+        event.preventDefault();
+        this.start(element.querySelector('.flowdrop-agents-run__prompt').value);
+      });
+      element.querySelector('.flowdrop-agents-run__log').addEventListener('click', (event) => {
+        const item = event.target.closest('[data-node-id]');
+        if (item && this.options.onSelect) {
+          this.options.onSelect(item.dataset.nodeId);
+        }
+      });
+
+      this.element = element;
+      this.container.appendChild(element);
+      return this;
+    }
+
+    /**
+     * Removes the panel and the node statuses.
+     */
+    detach() {
+      this.stop();
+      if (this.element) {
+        this.element.remove();
+        this.element = null;
+      }
+    }
+
+    /**
+     * Shows the panel.
+     */
+    open() {
+      this.element.hidden = false;
+      this.element.querySelector('.flowdrop-agents-run__prompt').focus();
+    }
+
+    /**
+     * Hides the panel and clears the node statuses.
+     */
+    close() {
+      this.stop();
+      this.element.hidden = true;
+    }
+
+    /**
+     * Forgets the current run, if any, and clears the node statuses.
+     */
+    stop() {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.run = null;
+      this.setBusy(false);
+      this.applyStatuses({});
+    }
+
+    /**
+     * Runs the workflow on the canvas.
+     *
+     * @param {string} prompt
+     *   The prompt.
+     */
+    async start(prompt) {
+      if (this.run || !prompt.trim()) {
+        return;
+      }
+      const app = this.options.app;
+      const library = app.library || window.FlowDrop;
+      const endpoints = this.options.endpointConfig.endpoints.runs;
+      const workflow = app.getWorkflow();
+
+      this.applyStatuses({});
+      this.element.querySelector('.flowdrop-agents-run__log').textContent = '';
+      const run = {
+        id: window.crypto.randomUUID(),
+        workflow: workflow,
+        clientStart: Date.now(),
+        serverStart: null,
+        seen: new Set(),
+        previous: null,
+        statuses: {},
+        started: {},
+        polling: false,
+      };
+      this.run = run;
+      this.setBusy(true);
+      this.addEntry(Drupal.t('Started'), 0);
+
+      // The edited agent is busy from the start.
+      const agentNode = (workflow.nodes || []).find((node) => node.data && node.data.nodeType === 'agent');
+      if (agentNode) {
+        this.setStatus(run, agentNode.id, 'running', 0);
+      }
+
+      this.poll(run);
+      this.timer = setInterval(() => this.poll(run), POLL_INTERVAL);
+
+      let result;
+      try {
+        const response = await fetch(library.buildEndpointUrl(this.options.endpointConfig, endpoints.start, { id: this.options.workflowId }), {
+          method: 'POST',
+          credentials: 'same-origin',
+          headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+            'X-CSRF-Token': await this.options.getCsrfToken(),
+          },
+          body: JSON.stringify({
+            prompt: prompt,
+            runnerId: run.id,
+            workflow: workflow,
+          }),
+        });
+        result = await response.json().catch(() => ({ success: false, message: response.statusText }));
+      } catch (error) {
+        result = { success: false, message: error.message };
+      }
+
+      if (this.run !== run) {
+        return;
+      }
+      // Pick up the steps logged since the last poll.
+      clearInterval(this.timer);
+      this.timer = null;
+      await this.poll(run, true);
+      this.finish(run, result);
+    }
+
+    /**
+     * Fetches the steps of a run and shows the new ones.
+     *
+     * @param {object} run
+     *   The run.
+     * @param {boolean} [force]
+     *   Poll even if a poll is still going.
+     */
+    async poll(run, force = false) {
+      if (run.polling && !force) {
+        return;
+      }
+      run.polling = true;
+      try {
+        const library = this.options.app.library || window.FlowDrop;
+        const url = library.buildEndpointUrl(this.options.endpointConfig, this.options.endpointConfig.endpoints.runs.steps, { id: run.id });
+        const response = await fetch(url, {
+          credentials: 'same-origin',
+          headers: { 'Accept': 'application/json' },
+        });
+        const result = await response.json();
+        if (this.run !== run || !result.data) {
+          return;
+        }
+        if (run.serverStart === null) {
+          run.serverStart = result.time - (Date.now() - run.clientStart) / 1000;
+        }
+        if (!result.data.available && !run.warned) {
+          run.warned = true;
+          this.addEntry(Drupal.t('Enable the AI Agents Explorer module to see the steps of the run.'), null);
+        }
+        result.data.steps.filter((step) => !run.seen.has(step.id)).forEach((step) => {
+          run.seen.add(step.id);
+          this.showStep(run, step);
+        });
+      } catch (error) {
+        console.warn('FlowDrop Agents: Could not poll run steps', error);
+      } finally {
+        run.polling = false;
+      }
+    }
+
+    /**
+     * Lists a step and updates the node statuses.
+     */
+    showStep(run, step) {
+      const offset = step.created - run.serverStart;
+
+      // The tools called in the previous step returned before this one.
+      if (run.previous) {
+        run.previous.tools.forEach((toolId) => {
+          this.findToolNodes(run.workflow, toolId).forEach((node) => this.setStatus(run, node.id, 'completed', offset));
+        });
+      }
+      run.previous = step;
+
+      const agentNodes = this.findAgentNodes(run.workflow, step.agentId);
+      agentNodes.forEach((node) => this.setStatus(run, node.id, 'running', offset));
+      step.tools.forEach((toolId) => {
+        this.findToolNodes(run.workflow, toolId).forEach((node) => this.setStatus(run, node.id, 'running', offset));
+      });
+
+      const label = step.tools.length ? Drupal.t('@agent called @tools', {
+        '@agent': step.agentId,
+        '@tools': step.tools.join(', '),
+      }) : Drupal.t('@agent answered', { '@agent': step.agentId });
+      this.addEntry(label, offset, step.response, agentNodes.length ? agentNodes[0].id : null);
+    }
+
+    /**
+     * Shows the final answer and settles the node statuses.
+     */
+    finish(run, result) {
+      const offset = (Date.now() - run.clientStart) / 1000;
+      const success = !!result.success;
+      Object.keys(run.statuses).filter((nodeId) => run.statuses[nodeId].status === 'running').forEach((nodeId) => {
+        this.setStatus(run, nodeId, success ? 'completed' : 'failed', offset, success ? undefined : result.message);
+      });
+
+      this.addEntry(success ? Drupal.t('Final answer') : Drupal.t('Run failed'), offset, result.message || result.error || '', null, !success);
+      Drupal.announce(success ? Drupal.t('Test run finished') : Drupal.t('Test run failed'));
+      this.run = null;
+      this.setBusy(false);
+    }
+
+    /**
+     * Finds the nodes standing for an agent.
+     */
+    findAgentNodes(workflow, agentId) {
+      return (workflow.nodes || []).filter((node) => (
+        (Drupal.flowdropAgents.nodeKind(node) === 'agent' && Drupal.flowdropAgents.agentMachineName(node, workflow) === agentId)
+        || this.toolId(node) === `ai_agents::ai_agent::${agentId}`
+      ));
+    }
+
+    /**
+     * Finds the nodes standing for a tool.
+     */
+    findToolNodes(workflow, toolId) {
+      return (workflow.nodes || []).filter((node) => this.toolId(node) === toolId);
+    }
+
+    /**
+     * Gets the tool plugin ID of a node.
+     */
+    toolId(node) {
+      const data = node.data || {};
+      return data.toolId || (data.config && data.config.toolId) || null;
+    }
+
+    /**
+     * Updates the status of a node.
+     *
+     * @param {object} run
+     *   The run.
+     * @param {string} nodeId
+     *   The node ID.
+     * @param {string} status
+     *   'running', 'completed' or 'failed'.
+     * @param {number} offset
+     *   Seconds since the start of the run.
+     * @param {string} [error]
+     *   Why it failed.
+     */
+    setStatus(run, nodeId, status, offset, error) {
+      const library = this.options.app.library || window.FlowDrop;
+      const current = run.statuses[nodeId] || library.createDefaultExecutionInfo();
+      if (status === 'running') {
+        if (current.status === 'running') {
+          return;
+        }
+        run.started[nodeId] = offset;
+        run.statuses[nodeId] = library.updateExecutionStart(current);
+      } else {
+        const duration = Math.max(0, offset - (run.started[nodeId] || 0)) * 1000;
+        run.statuses[nodeId] = status === 'failed' ? library.updateExecutionFailed(current, error || '', duration) : library.updateExecutionComplete(current, duration);
+      }
+      this.applyStatuses(run.statuses);
+    }
+
+    /**
+     * Shows statuses on the canvas nodes.
+     *
+     * The status lives in node data the library keeps out of its dirty-state
+     * snapshot, so lighting nodes up does not count as a change.
+     *
+     * @param {object} statuses
+     *   Execution info keyed by node ID; nodes not listed are cleared.
+     */
+    applyStatuses(statuses) {
+      const app = this.options.app;
+      const library = app.library || window.FlowDrop;
+      const workflow = app.getWorkflow();
+      if (!workflow || !(workflow.nodes || []).some((node) => statuses[node.id] || (node.data && node.data.executionInfo))) {
+        return;
+      }
+      library.workflowActions.updateWorkflow(Object.assign({}, workflow, {
+        nodes: workflow.nodes.map((node) => {
+          const data = Object.assign({}, node.data);
+          if (statuses[node.id]) {
+            data.executionInfo = statuses[node.id];
+          } else {
+            delete data.executionInfo;
+          }
+          return Object.assign({}, node, { data: data });
+        }),
+      }));
+    }
+
+    /**
+     * Adds a line to the run log.
+     *
+     * @param {string} label
+     *   What happened.
+     * @param {number|null} offset
+     *   Seconds since the start of the run.
+     * @param {string} [details]
+     *   Response to show collapsed.
+     * @param {string} [nodeId]
+     *   The node to bring into view on click.
+     * @param {boolean} [failed]
+     *   Whether to show it as an error.
+     */
+    addEntry(label, offset, details, nodeId, failed) {
+      const entry = document.createElement('li');
+      entry.className = 'flowdrop-agents-run__entry' + (failed ? ' flowdrop-agents-run__entry--failed' : '');
+
+      const heading = document.createElement(nodeId ? 'button' : 'span');
+      heading.className = 'flowdrop-agents-run__step';
+      if (nodeId) {
+        heading.type = 'button';
+        heading.dataset.nodeId = nodeId;
+      }
+      heading.textContent = label;
+      entry.appendChild(heading);
+
+      if (offset !== null) {
+        const time = document.createElement('span');
+        time.className = 'flowdrop-agents-run__time';
+        time.textContent = formatOffset(offset);
+        entry.appendChild(time);
+      }
+
+      if (details) {
+        const collapsible = document.createElement('details');
+        const summary = document.createElement('summary');
+        summary.textContent = Drupal.t('Response');
+        const pre = document.createElement('pre');
+        pre.textContent = details;
+        collapsible.appendChild(summary);
+        collapsible.appendChild(pre);
+        entry.appendChild(collapsible);
+      }
+
+      const log = this.element.querySelector('.flowdrop-agents-run__log');
+      log.appendChild(entry);
+      log.scrollTop = log.scrollHeight;
+    }
+
+    /**
+     * Shows whether a run is going.
+     */
+    setBusy(busy) {
+      if (!this.element) {
+        return;
+      }
+      const submit = this.element.querySelector('.flowdrop-agents-run__submit');
+      submit.disabled = busy;
+      submit.textContent = busy ? Drupal.t('Running…') : Drupal.t('Run');
+      this.element.querySelector('.flowdrop-agents-run__status').textContent = busy ? Drupal.t('Running') : '';
+    }
+  }
+
+  Drupal.flowdropAgents.RunPanel = RunPanel;
+
+})(Drupal);
@@ -0,0 +1,284 @@
+/**
+ * @file
+ * Client-side validation of AI Agent workflows.
+ *
+ * Runs before the Modeler API round trip so problems show up without a
+ * server request. Every problem has a severity: errors block saving,
+ * warnings are only reported.
+ */
+
+(function (Drupal) {
+  'use strict';
+
+  Drupal.flowdropAgents = Drupal.flowdropAgents || {};
+
+  /**
+   * Gets whether a node is an agent, a tool or something else.
+   *
+   * Nodes loaded from an agent carry data.nodeType; nodes dragged in from
+   * the sidebar only have the type of their metadata.
+   */
+  function nodeKind(node) {
+    const data = node.data || {};
+    if (data.nodeType) {
+      return data.nodeType;
+    }
+    const type = data.metadata && data.metadata.type;
+    return type === 'agent' || type === 'tool' ? type : 'unknown';
+  }
+
+  /**
+   * Gets the machine name of the agent an agent node stands for.
+   */
+  function agentMachineName(node, workflow) {
+    const data = node.data || {};
+    const name = (data.config && data.config.agent_id) || (data.metadata && data.metadata.agent_id);
+    if (name) {
+      return name;
+    }
+    return data.nodeType === 'agent' ? workflow.id : null;
+  }
+
+  /**
+   * Gets the label shown for a node.
+   */
+  function nodeLabel(node) {
+    const data = node.data || {};
+    return (data.config && data.config.label) || data.label || node.id;
+  }
+
+  /**
+   * Gets the port a handle refers to.
+   *
+   * Handles are named "{nodeId}-{input|output}-{portId}".
+   */
+  function findPort(node, handle, direction) {
+    const prefix = `${node.id}-${direction}-`;
+    if (!handle || handle.indexOf(prefix) !== 0) {
+      return null;
+    }
+    const portId = handle.slice(prefix.length);
+    const ports = (node.data && node.data.metadata && node.data.metadata[direction + 's']) || [];
+    return ports.find((port) => port.id === portId) || null;
+  }
+
+  /**
+   * Finds the nodes of one cycle in a directed graph.
+   *
+   * @return {Array}
+   *   Node IDs along the cycle, first node repeated at the end.
+   */
+  function findCycle(nodeIds, edges) {
+    const state = {};
+    const stack = [];
+
+    function visit(id) {
+      state[id] = 'active';
+      stack.push(id);
+      for (const edge of edges) {
+        if (edge.source !== id) {
+          continue;
+        }
+        if (state[edge.target] === 'active') {
+          return stack.slice(stack.indexOf(edge.target)).concat(edge.target);
+        }
+        if (!state[edge.target]) {
+          const cycle = visit(edge.target);
+          if (cycle) {
+            return cycle;
+          }
+        }
+      }
+      stack.pop();
+      state[id] = 'done';
+      return null;
+    }
+
+    for (const id of nodeIds) {
+      if (!state[id]) {
+        const cycle = visit(id);
+        if (cycle) {
+          return cycle;
+        }
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Gets the port compatibility checker, if FlowDrop has set one up.
+   */
+  function portChecker(library) {
+    try {
+      return library.getPortCompatibilityChecker();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Builds a problem.
+   */
+  function problem(severity, code, nodeId, field, message) {
+    return {
+      severity: severity,
+      code: code,
+      nodeId: nodeId,
+      field: field,
+      message: message,
+    };
+  }
+
+  /**
+   * Validation checks, each returning a list of problems.
+   */
+  const checks = {
+    // The workflow needs an agent to save tools onto.
+    agentPresent: function (workflow, nodes) {
+      if (nodes.some((node) => nodeKind(node) === 'agent')) {
+        return [];
+      }
+      return [problem('error', 'no_agent', null, null, Drupal.t('The workflow must contain an agent.'))];
+    },
+
+    // Tools only end up in the agent config through an edge to an agent.
+    orphanTools: function (workflow, nodes, edges, byId) {
+      return nodes.filter((node) => nodeKind(node) === 'tool').filter((node) => !edges.some((edge) => {
+        const other = edge.source === node.id ? edge.target : (edge.target === node.id ? edge.source : null);
+        return other && byId[other] && nodeKind(byId[other]) === 'agent';
+      })).map((node) => problem('warning', 'orphan_tool', node.id, null, Drupal.t('Tool "@tool" is not connected to an agent and will not be saved.', {
+        '@tool': nodeLabel(node),
+      })));
+    },
+
+    // Agents edited on this canvas need a prompt and a loop limit, and
+    // should say what they do.
+    agentSettings: function (workflow, nodes) {
+      const problems = [];
+      nodes.filter((node) => node.data && node.data.nodeType === 'agent').forEach((node) => {
+        const config = node.data.config || {};
+        const label = nodeLabel(node);
+        if (!String(config.description || '').trim()) {
+          problems.push(problem('warning', 'empty_description', node.id, 'description', Drupal.t('Agent "@agent" has no description; triage and orchestration agents pick agents based on it.', { '@agent': label })));
+        }
+        if (!String(config.systemPrompt || '').trim()) {
+          problems.push(problem('error', 'empty_system_prompt', node.id, 'systemPrompt', Drupal.t('Agent "@agent" has an empty system prompt.', { '@agent': label })));
+        }
+        const maxLoops = config.maxLoops;
+        if (maxLoops === undefined || maxLoops === null || maxLoops === '') {
+          problems.push(problem('error', 'missing_max_loops', node.id, 'maxLoops', Drupal.t('Agent "@agent" has no max loops.', { '@agent': label })));
+        } else if (!/^\d+$/.test(String(maxLoops)) || Number(maxLoops) < 1) {
+          problems.push(problem('error', 'invalid_max_loops', node.id, 'maxLoops', Drupal.t('Max loops of agent "@agent" must be a positive whole number.', { '@agent': label })));
+        }
+      });
+      return problems;
+    },
+
+    // Sub-agents calling each other in a loop never finish.
+    subAgentCycles: function (workflow, nodes, edges, byId, library) {
+      const agents = nodes.filter((node) => nodeKind(node) === 'agent');
+      const agentEdges = edges.filter((edge) => (
+        byId[edge.source] && byId[edge.target] && nodeKind(byId[edge.source]) === 'agent' && nodeKind(byId[edge.target]) === 'agent'
+      ));
+      if (!library.hasCycles(agents, agentEdges)) {
+        return [];
+      }
+      const cycle = findCycle(agents.map((node) => node.id), agentEdges);
+      const path = cycle.map((id) => nodeLabel(byId[id])).join(' → ');
+      return cycle.slice(0, -1).map((id) => problem('error', 'sub_agent_cycle', id, null, Drupal.t('Agents call each other in a loop: @path', { '@path': path })));
+    },
+
+    // Each agent can only be placed once, including the one being edited.
+    duplicateMachineNames: function (workflow, nodes) {
+      const byName = {};
+      nodes.filter((node) => nodeKind(node) === 'agent').forEach((node) => {
+        const name = agentMachineName(node, workflow);
+        if (name) {
+          (byName[name] = byName[name] || []).push(node);
+        }
+      });
+      const problems = [];
+      Object.keys(byName).filter((name) => byName[name].length > 1).forEach((name) => {
+        byName[name].forEach((node) => {
+          problems.push(problem('error', 'duplicate_machine_name', node.id, null, Drupal.t('Agent machine name "@name" is used by @count nodes.', {
+            '@name': name,
+            '@count': byName[name].length,
+          })));
+        });
+      });
+      return problems;
+    },
+
+    // Edges must connect ports whose data types fit together.
+    portTypes: function (workflow, nodes, edges, byId, library) {
+      const checker = portChecker(library);
+      const problems = [];
+      edges.forEach((edge) => {
+        const source = byId[edge.source];
+        const target = byId[edge.target];
+        if (!source || !target) {
+          return;
+        }
+        const output = findPort(source, edge.sourceHandle, 'output');
+        const input = findPort(target, edge.targetHandle, 'input');
+        if (!output || !input || !output.dataType || !input.dataType) {
+          return;
+        }
+        const compatible = checker ? checker.areDataTypesCompatible(output.dataType, input.dataType) : output.dataType === input.dataType;
+        if (!compatible) {
+          problems.push(problem('error', 'port_type_mismatch', target.id, null, Drupal.t('"@source" output "@output" (@output_type) cannot connect to "@target" input "@input" (@input_type).', {
+            '@source': nodeLabel(source),
+            '@output': output.name || output.id,
+            '@output_type': output.dataType,
+            '@target': nodeLabel(target),
+            '@input': input.name || input.id,
+            '@input_type': input.dataType,
+          })));
+        }
+      });
+      return problems;
+    },
+  };
+
+  /**
+   * Validates an agent workflow.
+   *
+   * @param {object} workflow
+   *   The workflow from the editor.
+   * @param {object} [library]
+   *   The FlowDrop library the editor was mounted with (default
+   *   window.FlowDrop).
+   *
+   * @return {Array}
+   *   Problems with the keys severity ('error' or 'warning'), code, nodeId,
+   *   field and message. Errors come first.
+   */
+  Drupal.flowdropAgents.validateWorkflow = function (workflow, library) {
+    const nodes = workflow.nodes || [];
+    const edges = workflow.edges || [];
+    const byId = {};
+    nodes.forEach((node) => {
+      byId[node.id] = node;
+    });
+
+    let problems = [];
+    Object.keys(checks).forEach((name) => {
+      problems = problems.concat(checks[name](workflow, nodes, edges, byId, library || window.FlowDrop));
+    });
+
+    return problems.filter((item) => item.severity === 'error').concat(problems.filter((item) => item.severity !== 'error'));
+  };
+
+  /**
+   * Gets the problems that block saving.
+   */
+  Drupal.flowdropAgents.getBlockingProblems = function (problems) {
+    return problems.filter((item) => item.severity === 'error');
+  };
+
+  Drupal.flowdropAgents.validationChecks = checks;
+  Drupal.flowdropAgents.nodeKind = nodeKind;
+  Drupal.flowdropAgents.agentMachineName = agentMachineName;
+  Drupal.flowdropAgents.nodeLabel = nodeLabel;
+
+})(Drupal);
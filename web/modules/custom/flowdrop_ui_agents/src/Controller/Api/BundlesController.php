@@ -0,0 +1,146 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\flowdrop_ui_agents\Controller\Api;
+
+use Drupal\ai_agents\Entity\AiAgent;
+use Drupal\Core\Controller\ControllerBase;
+use Drupal\flowdrop_ui_agents\Service\AgentBundler;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+
+/**
+ * API controller for exporting and importing agent bundles.
+ *
+ * @see \Drupal\flowdrop_ui_agents\Service\AgentBundler
+ */
+class BundlesController extends ControllerBase {
+
+  /**
+   * The agent bundler service.
+   */
+  protected AgentBundler $agentBundler;
+
+  /**
+   * Constructs the controller.
+   */
+  public function __construct(AgentBundler $agentBundler) {
+    $this->agentBundler = $agentBundler;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container): static {
+    return new static(
+      $container->get('flowdrop_ui_agents.agent_bundler')
+    );
+  }
+
+  /**
+   * Downloads an agent and its sub-agents as a bundle.
+   *
+   * @param string $agent_id
+   *   The AI Agent machine name.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   The bundle as a file download.
+   */
+  public function export(string $agent_id): JsonResponse {
+    $agent = $this->entityTypeManager()->getStorage('ai_agent')->load($agent_id);
+    if (!$agent instanceof AiAgent) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => sprintf('AI Agent "%s" not found', $agent_id),
+      ], 404);
+    }
+
+    $response = new JsonResponse($this->agentBundler->export($agent));
+    $response->setEncodingOptions(JsonResponse::DEFAULT_ENCODING_OPTIONS | JSON_PRETTY_PRINT);
+    $response->headers->set('Content-Disposition', sprintf('attachment; filename="%s.agents.json"', $agent_id));
+    return $response;
+  }
+
+  /**
+   * Reports what importing a bundle would do, without importing it.
+   *
+   * Expects the bundle JSON as the request body.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the report of AgentBundler::analyze().
+   */
+  public function preview(Request $request): JsonResponse {
+    return new JsonResponse([
+      'success' => TRUE,
+      'data' => $this->agentBundler->analyze(json_decode($request->getContent(), TRUE)),
+    ]);
+  }
+
+  /**
+   * Imports a bundle.
+   *
+   * Expects {bundle, collisions, keepMasqueradeRoles} as the request body,
+   * where collisions is "rename" (the default) or "replace", and the
+   * masquerade roles of the agents are only imported when
+   * keepMasqueradeRoles is TRUE.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the imported agent IDs and the URL of the root
+   *   agent's editor.
+   */
+  public function import(Request $request): JsonResponse {
+    $data = json_decode($request->getContent(), TRUE);
+    $bundle = is_array($data) ? ($data['bundle'] ?? NULL) : NULL;
+    $collisions = is_array($data) ? ($data['collisions'] ?? 'rename') : 'rename';
+    $keepMasqueradeRoles = is_array($data) && ($data['keepMasqueradeRoles'] ?? FALSE) === TRUE;
+    if (!in_array($collisions, AgentBundler::COLLISION_STRATEGIES, TRUE)) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => 'Invalid collision handling',
+      ], 400);
+    }
+
+    $report = $this->agentBundler->analyze($bundle);
+    if (!$report['valid']) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => implode(' ', $report['errors']),
+        'data' => $report,
+      ], 400);
+    }
+
+    try {
+      $result = $this->agentBundler->import($bundle, $collisions, $keepMasqueradeRoles);
+    }
+    catch (\InvalidArgumentException $e) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => $e->getMessage(),
+      ], 400);
+    }
+    catch (\Exception $e) {
+      $this->getLogger('flowdrop_ui_agents')->error('Bundle import failed: @message', ['@message' => $e->getMessage()]);
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => 'The bundle could not be imported: ' . $e->getMessage(),
+      ], 500);
+    }
+
+    $root = $this->entityTypeManager()->getStorage('ai_agent')->load($result['root']);
+    $result['editUrl'] = $root && $root->hasLinkTemplate('edit-form') ? $root->toUrl('edit-form')->toString() : NULL;
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'data' => $result,
+    ]);
+  }
+
+}
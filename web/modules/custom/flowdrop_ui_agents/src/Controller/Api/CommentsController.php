@@ -0,0 +1,221 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\flowdrop_ui_agents\Controller\Api;
+
+use Drupal\ai_agents\Entity\AiAgent;
+use Drupal\Core\Controller\ControllerBase;
+use Drupal\flowdrop_ui_agents\Service\CommentStorage;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+
+/**
+ * API controller for review comments on AI Agent workflows.
+ *
+ * Comment threads are attached to nodes and edges of the canvas and kept
+ * apart from the agent config.
+ */
+class CommentsController extends ControllerBase {
+
+  /**
+   * Longest comment accepted, in characters.
+   */
+  const MAX_LENGTH = 10000;
+
+  /**
+   * The comment storage service.
+   */
+  protected CommentStorage $commentStorage;
+
+  /**
+   * Constructs the controller.
+   */
+  public function __construct(CommentStorage $commentStorage) {
+    $this->commentStorage = $commentStorage;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container): static {
+    return new static(
+      $container->get('flowdrop_ui_agents.comment_storage')
+    );
+  }
+
+  /**
+   * Lists the comment threads of an agent.
+   *
+   * @param string $agent_id
+   *   The AI Agent machine name.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the threads.
+   */
+  public function list(string $agent_id): JsonResponse {
+    if (!$this->agentExists($agent_id)) {
+      return $this->notFound($agent_id);
+    }
+    return new JsonResponse([
+      'success' => TRUE,
+      'data' => $this->commentStorage->loadThreads($agent_id),
+    ]);
+  }
+
+  /**
+   * Starts a comment thread on a node or edge.
+   *
+   * Expects {target: {type, id}, body} as the request body.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request.
+   * @param string $agent_id
+   *   The AI Agent machine name.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the new thread.
+   */
+  public function create(Request $request, string $agent_id): JsonResponse {
+    if (!$this->agentExists($agent_id)) {
+      return $this->notFound($agent_id);
+    }
+    $data = json_decode($request->getContent(), TRUE);
+    $target = is_array($data) && is_array($data['target'] ?? NULL) ? $data['target'] : [];
+    if (!in_array($target['type'] ?? NULL, CommentStorage::TARGET_TYPES, TRUE) || !is_string($target['id'] ?? NULL) || $target['id'] === '') {
+      return $this->error('A comment needs a node or edge to attach to');
+    }
+    $body = $this->getBody($data);
+    if ($body === NULL) {
+      return $this->error('Invalid comment');
+    }
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'data' => $this->commentStorage->createThread($agent_id, $target['type'], $target['id'], $body),
+    ], 201);
+  }
+
+  /**
+   * Replies to a comment thread.
+   *
+   * Expects {body} as the request body.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request.
+   * @param string $agent_id
+   *   The AI Agent machine name.
+   * @param string $thread_id
+   *   The thread ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the updated thread.
+   */
+  public function reply(Request $request, string $agent_id, string $thread_id): JsonResponse {
+    if (!$this->agentExists($agent_id)) {
+      return $this->notFound($agent_id);
+    }
+    $body = $this->getBody(json_decode($request->getContent(), TRUE));
+    if ($body === NULL) {
+      return $this->error('Invalid comment');
+    }
+
+    return $this->threadResponse(fn () => $this->commentStorage->reply($agent_id, $thread_id, $body));
+  }
+
+  /**
+   * Resolves or reopens a comment thread.
+   *
+   * Expects {status} as the request body.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request.
+   * @param string $agent_id
+   *   The AI Agent machine name.
+   * @param string $thread_id
+   *   The thread ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the updated thread.
+   */
+  public function update(Request $request, string $agent_id, string $thread_id): JsonResponse {
+    if (!$this->agentExists($agent_id)) {
+      return $this->notFound($agent_id);
+    }
+    $data = json_decode($request->getContent(), TRUE);
+    $status = is_array($data) ? ($data['status'] ?? NULL) : NULL;
+    if (!in_array($status, CommentStorage::STATUSES, TRUE)) {
+      return $this->error('Invalid status');
+    }
+
+    return $this->threadResponse(fn () => $this->commentStorage->setStatus($agent_id, $thread_id, $status));
+  }
+
+  /**
+   * Gets the trimmed comment of a request body.
+   *
+   * @return string|null
+   *   The comment, or NULL if it is missing, empty or too long.
+   */
+  protected function getBody(mixed $data): ?string {
+    $body = is_array($data) && is_string($data['body'] ?? NULL) ? trim($data['body']) : '';
+    return ($body === '' || mb_strlen($body) > self::MAX_LENGTH) ? NULL : $body;
+  }
+
+  /**
+   * Checks that an AI Agent exists.
+   */
+  protected function agentExists(string $agent_id): bool {
+    return $this->entityTypeManager()->getStorage('ai_agent')->load($agent_id) instanceof AiAgent;
+  }
+
+  /**
+   * Changes a thread and builds the response with the updated thread.
+   *
+   * @param callable $change
+   *   Changes the thread and returns it, or NULL if there is no such thread.
+   */
+  protected function threadResponse(callable $change): JsonResponse {
+    try {
+      $thread = $change();
+    }
+    catch (\RuntimeException $e) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => $e->getMessage(),
+      ], 409);
+    }
+    if ($thread === NULL) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => 'Comment thread not found',
+      ], 404);
+    }
+    return new JsonResponse([
+      'success' => TRUE,
+      'data' => $thread,
+    ]);
+  }
+
+  /**
+   * Builds the response for an unknown agent.
+   */
+  protected function notFound(string $agent_id): JsonResponse {
+    return new JsonResponse([
+      'success' => FALSE,
+      'error' => sprintf('Agent "%s" not found', $agent_id),
+    ], 404);
+  }
+
+  /**
+   * Builds the response for an invalid request.
+   */
+  protected function error(string $message): JsonResponse {
+    return new JsonResponse([
+      'success' => FALSE,
+      'error' => $message,
+    ], 400);
+  }
+
+}
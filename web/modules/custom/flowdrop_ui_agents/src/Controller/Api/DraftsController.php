@@ -0,0 +1,117 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\flowdrop_ui_agents\Controller\Api;
+
+use Drupal\Core\Controller\ControllerBase;
+use Drupal\flowdrop_ui_agents\Service\DraftStorage;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+
+/**
+ * API controller for drafts of AI Agent workflows.
+ *
+ * Keeps the unsaved changes of the current user on the server, so they can
+ * be restored in another browser. Drafts never touch the agent config.
+ */
+class DraftsController extends ControllerBase {
+
+  /**
+   * The draft storage service.
+   */
+  protected DraftStorage $draftStorage;
+
+  /**
+   * Constructs the controller.
+   */
+  public function __construct(DraftStorage $draftStorage) {
+    $this->draftStorage = $draftStorage;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container): static {
+    return new static(
+      $container->get('flowdrop_ui_agents.draft_storage')
+    );
+  }
+
+  /**
+   * Gets the current user's draft of an agent.
+   *
+   * @param string $agent_id
+   *   The AI Agent machine name, or "new" for an agent not saved yet.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the draft, or NULL data if there is none.
+   */
+  public function get(string $agent_id): JsonResponse {
+    return new JsonResponse([
+      'success' => TRUE,
+      'data' => $this->draftStorage->load($agent_id),
+    ]);
+  }
+
+  /**
+   * Saves the current user's draft of an agent.
+   *
+   * Expects the workflow JSON as the request body, of at most
+   * DraftStorage::MAX_SIZE bytes.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request.
+   * @param string $agent_id
+   *   The AI Agent machine name, or "new" for an agent not saved yet.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the draft metadata.
+   */
+  public function save(Request $request, string $agent_id): JsonResponse {
+    $content = $request->getContent();
+    if (strlen($content) > DraftStorage::MAX_SIZE) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => sprintf('Drafts may be at most %d bytes', DraftStorage::MAX_SIZE),
+      ], 413);
+    }
+
+    $workflow = json_decode($content, TRUE);
+    if (!is_array($workflow)) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => 'Invalid workflow JSON',
+      ], 400);
+    }
+
+    $draft = $this->draftStorage->save($agent_id, $workflow);
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'data' => [
+        'metadata' => $draft['metadata'],
+      ],
+    ]);
+  }
+
+  /**
+   * Deletes the current user's draft of an agent.
+   *
+   * @param string $agent_id
+   *   The AI Agent machine name, or "new" for an agent not saved yet.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response confirming the deletion.
+   */
+  public function delete(string $agent_id): JsonResponse {
+    $this->draftStorage->delete($agent_id);
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'message' => 'Draft deleted',
+    ]);
+  }
+
+}
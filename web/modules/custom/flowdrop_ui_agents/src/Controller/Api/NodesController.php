@@ -4,7 +4,13 @@ declare(strict_types=1);
 
 namespace Drupal\flowdrop_ui_agents\Controller\Api;
 
+use Drupal\ai\Service\FunctionCalling\FunctionCallPluginManager;
+use Drupal\Component\Utility\Crypt;
+use Drupal\Core\Cache\CacheTagsChecksumInterface;
 use Drupal\Core\Controller\ControllerBase;
+use Drupal\Core\Session\PermissionsHashGeneratorInterface;
+use Drupal\Core\Site\Settings;
+use Drupal\Core\Url;
 use Drupal\flowdrop_ui_agents\Service\AgentWorkflowMapper;
 use Drupal\modeler_api\Plugin\ModelerApiModelOwner\ModelOwnerInterface;
 use Symfony\Component\DependencyInjection\ContainerInterface;
@@ -15,6 +21,10 @@ use Symfony\Component\HttpFoundation\Request;
  * API controller for FlowDrop node types (tools and agents).
  *
  * Provides endpoints for the FlowDrop sidebar to fetch available node types.
+ * Responses carry an ETag, so editors revalidating what they already loaded
+ * get a 304 instead of the full list. The ETag is worked out from what the
+ * lists depend on, without building them, so a 304 also spares the server
+ * from instantiating every tool.
  */
 class NodesController extends ControllerBase {
 
@@ -23,11 +33,29 @@ class NodesController extends ControllerBase {
    */
   protected AgentWorkflowMapper $agentWorkflowMapper;
 
+  /**
+   * The function call plugin manager.
+   */
+  protected FunctionCallPluginManager $functionCallPluginManager;
+
+  /**
+   * The cache tags checksum service.
+   */
+  protected CacheTagsChecksumInterface $cacheTagsChecksum;
+
+  /**
+   * The permissions hash generator.
+   */
+  protected PermissionsHashGeneratorInterface $permissionsHashGenerator;
+
   /**
    * Constructs the controller.
    */
-  public function __construct(AgentWorkflowMapper $agentWorkflowMapper) {
+  public function __construct(AgentWorkflowMapper $agentWorkflowMapper, FunctionCallPluginManager $functionCallPluginManager, CacheTagsChecksumInterface $cacheTagsChecksum, PermissionsHashGeneratorInterface $permissionsHashGenerator) {
     $this->agentWorkflowMapper = $agentWorkflowMapper;
+    $this->functionCallPluginManager = $functionCallPluginManager;
+    $this->cacheTagsChecksum = $cacheTagsChecksum;
+    $this->permissionsHashGenerator = $permissionsHashGenerator;
   }
 
   /**
@@ -35,144 +63,165 @@ class NodesController extends ControllerBase {
    */
   public static function create(ContainerInterface $container): static {
     return new static(
-      $container->get('flowdrop_ui_agents.agent_workflow_mapper')
+      $container->get('flowdrop_ui_agents.agent_workflow_mapper'),
+      $container->get('plugin.manager.ai.function_calls'),
+      $container->get('cache_tags.invalidator.checksum'),
+      $container->get('user_permissions_hash_generator')
     );
   }
 
   /**
    * Gets all available nodes (tools and agents).
    *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request.
+   *
    * @return \Symfony\Component\HttpFoundation\JsonResponse
    *   JSON response with all available nodes.
    */
-  public function getNodes(): JsonResponse {
-    $owner = $this->getModelOwner();
+  public function getNodes(Request $request): JsonResponse {
+    return $this->withEtag($request, function () {
+      $owner = $this->getModelOwner();
 
-    // Get tools and agents.
-    $tools = $this->agentWorkflowMapper->getAvailableTools($owner);
-    $agents = $this->agentWorkflowMapper->getAvailableAgents($owner);
+      // Get tools and agents.
+      $tools = $this->agentWorkflowMapper->getAvailableTools($owner);
+      $agents = $this->agentWorkflowMapper->getAvailableAgents($owner);
 
-    // Merge all nodes.
-    $nodes = array_merge($tools, $agents);
+      // Merge all nodes.
+      $nodes = array_merge($tools, $agents);
 
-    return new JsonResponse([
-      'success' => TRUE,
-      'data' => $nodes,
-      'count' => count($nodes),
-      'message' => sprintf('Found %d nodes', count($nodes)),
-    ]);
+      return [
+        'success' => TRUE,
+        'data' => $nodes,
+        'count' => count($nodes),
+        'message' => sprintf('Found %d nodes', count($nodes)),
+      ];
+    });
   }
 
   /**
    * Gets nodes grouped by category.
    *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request.
+   *
    * @return \Symfony\Component\HttpFoundation\JsonResponse
    *   JSON response with nodes grouped by category.
    */
-  public function getNodesByCategory(): JsonResponse {
-    $owner = $this->getModelOwner();
+  public function getNodesByCategory(Request $request): JsonResponse {
+    return $this->withEtag($request, function () {
+      $owner = $this->getModelOwner();
 
-    // Get tools grouped by category.
-    $toolsByCategory = $this->agentWorkflowMapper->getToolsByCategory($owner);
+      // Get tools grouped by category.
+      $toolsByCategory = $this->agentWorkflowMapper->getToolsByCategory($owner);
 
-    // Add agents as their own category.
-    $agents = $this->agentWorkflowMapper->getAvailableAgents($owner);
-    if (!empty($agents)) {
-      $toolsByCategory['agents'] = $agents;
-    }
+      // Add agents as their own category.
+      $agents = $this->agentWorkflowMapper->getAvailableAgents($owner);
+      if (!empty($agents)) {
+        $toolsByCategory['agents'] = $agents;
+      }
 
-    // Get list of categories.
-    $categories = array_keys($toolsByCategory);
-    sort($categories);
+      // Get list of categories.
+      $categories = array_keys($toolsByCategory);
+      sort($categories);
 
-    return new JsonResponse([
-      'success' => TRUE,
-      'data' => $toolsByCategory,
-      'categories' => $categories,
-      'message' => sprintf('Found %d categories', count($categories)),
-    ]);
+      return [
+        'success' => TRUE,
+        'data' => $toolsByCategory,
+        'categories' => $categories,
+        'message' => sprintf('Found %d categories', count($categories)),
+      ];
+    });
   }
 
   /**
    * Gets nodes for a specific category.
    *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request.
    * @param string $category
    *   The category name.
    *
    * @return \Symfony\Component\HttpFoundation\JsonResponse
    *   JSON response with nodes in the category.
    */
-  public function getNodesForCategory(string $category): JsonResponse {
-    $owner = $this->getModelOwner();
-
-    // Get all categorized tools.
-    $toolsByCategory = $this->agentWorkflowMapper->getToolsByCategory($owner);
+  public function getNodesForCategory(Request $request, string $category): JsonResponse {
+    return $this->withEtag($request, function () use ($category) {
+      $owner = $this->getModelOwner();
 
-    // Handle agents category specially.
-    if ($category === 'agents') {
-      $nodes = $this->agentWorkflowMapper->getAvailableAgents($owner);
-    }
-    else {
-      $nodes = $toolsByCategory[$category] ?? [];
-    }
+      // Handle agents category specially.
+      if ($category === 'agents') {
+        $nodes = $this->agentWorkflowMapper->getAvailableAgents($owner);
+      }
+      else {
+        $nodes = $this->agentWorkflowMapper->getToolsByCategory($owner)[$category] ?? [];
+      }
 
-    return new JsonResponse([
-      'success' => TRUE,
-      'data' => $nodes,
-      'count' => count($nodes),
-      'category' => $category,
-    ]);
+      return [
+        'success' => TRUE,
+        'data' => $nodes,
+        'count' => count($nodes),
+        'category' => $category,
+      ];
+    });
   }
 
   /**
    * Gets metadata for a specific node.
    *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request.
    * @param string $plugin_id
    *   The plugin ID.
    *
    * @return \Symfony\Component\HttpFoundation\JsonResponse
    *   JSON response with node metadata.
    */
-  public function getNodeMetadata(string $plugin_id): JsonResponse {
-    $owner = $this->getModelOwner();
-
-    // Search in tools first.
-    $tools = $this->agentWorkflowMapper->getAvailableTools($owner);
-    foreach ($tools as $tool) {
-      if ($tool['id'] === $plugin_id || $tool['tool_id'] === $plugin_id) {
-        return new JsonResponse([
-          'success' => TRUE,
-          'data' => $tool,
-        ]);
+  public function getNodeMetadata(Request $request, string $plugin_id): JsonResponse {
+    return $this->withEtag($request, function () use ($plugin_id) {
+      $owner = $this->getModelOwner();
+
+      // Search in tools first.
+      $tools = $this->agentWorkflowMapper->getAvailableTools($owner);
+      foreach ($tools as $tool) {
+        if ($tool['id'] === $plugin_id || $tool['tool_id'] === $plugin_id) {
+          return [
+            'success' => TRUE,
+            'data' => $tool,
+          ];
+        }
       }
-    }
 
-    // Search in agents.
-    $agents = $this->agentWorkflowMapper->getAvailableAgents($owner);
-    foreach ($agents as $agent) {
-      if ($agent['id'] === $plugin_id || ($agent['agent_id'] ?? '') === $plugin_id) {
-        return new JsonResponse([
-          'success' => TRUE,
-          'data' => $agent,
-        ]);
+      // Search in agents.
+      $agents = $this->agentWorkflowMapper->getAvailableAgents($owner);
+      foreach ($agents as $agent) {
+        if ($agent['id'] === $plugin_id || ($agent['agent_id'] ?? '') === $plugin_id) {
+          return [
+            'success' => TRUE,
+            'data' => $agent,
+          ];
+        }
       }
-    }
 
-    return new JsonResponse([
-      'success' => FALSE,
-      'error' => sprintf('Node "%s" not found', $plugin_id),
-    ], 404);
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => sprintf('Node "%s" not found', $plugin_id),
+      ], 404);
+    });
   }
 
   /**
    * Gets port configuration for the editor.
    *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request.
+   *
    * @return \Symfony\Component\HttpFoundation\JsonResponse
    *   JSON response with port configuration.
    */
-  public function getPortConfiguration(): JsonResponse {
+  public function getPortConfiguration(Request $request): JsonResponse {
     // Define data types that can connect to each other.
-    return new JsonResponse([
+    return $this->withEtag($request, fn () => [
       'success' => TRUE,
       'data' => [
         'dataTypes' => [
@@ -221,6 +270,76 @@ class NodesController extends ControllerBase {
     ]);
   }
 
+  /**
+   * Gets the runtime configuration of the editor.
+   *
+   * The API base URL is the path prefix of the API routes, taken from this
+   * route so that it includes the base path, and the editor works on sites
+   * installed in a subdirectory.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the runtime configuration.
+   */
+  public function getRuntimeConfiguration(Request $request): JsonResponse {
+    return $this->withEtag($request, fn () => [
+      'apiBaseUrl' => preg_replace('@/config$@', '', Url::fromRoute('flowdrop_ui_agents.api.config')->toString()),
+      'theme' => 'auto',
+      'timeout' => 30000,
+      'authType' => 'session',
+      'environment' => 'production',
+    ]);
+  }
+
+  /**
+   * Answers 304 when the client already has the response, or builds it.
+   *
+   * The node list depends on the user's permissions, so the response is
+   * private to the browser that asked for it.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request.
+   * @param callable $build
+   *   Builds the response data. A response it returns instead, such as a
+   *   404, is sent without an ETag.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   The response, empty with a 304 when the client's ETag matches.
+   */
+  protected function withEtag(Request $request, callable $build): JsonResponse {
+    $response = new JsonResponse();
+    $response->setEtag($this->getEtag($request));
+    $response->setPrivate();
+    if ($response->isNotModified($request)) {
+      return $response;
+    }
+
+    $data = $build();
+    if ($data instanceof JsonResponse) {
+      return $data;
+    }
+    return $response->setData($data);
+  }
+
+  /**
+   * Works out the ETag of a response without building it.
+   *
+   * The node lists change with the tool plugins, the agents, the user's
+   * permissions and the code that builds them; code changes are picked up
+   * through the deployment identifier in settings.php.
+   */
+  protected function getEtag(Request $request): string {
+    return Crypt::hashBase64(serialize([
+      $request->getPathInfo(),
+      array_keys($this->functionCallPluginManager->getDefinitions()),
+      $this->cacheTagsChecksum->getCurrentChecksum(['config:ai_agent_list']),
+      $this->permissionsHashGenerator->generate($this->currentUser()),
+      Settings::get('deployment_identifier', \Drupal::VERSION),
+    ]));
+  }
+
   /**
    * Gets a dummy model owner for the API calls.
    *
@@ -0,0 +1,161 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\flowdrop_ui_agents\Controller\Api;
+
+use Drupal\ai_agents\Entity\AiAgent;
+use Drupal\Core\Controller\ControllerBase;
+use Drupal\flowdrop_ui_agents\Service\AgentTestRunner;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+
+/**
+ * API controller for test runs started from the FlowDrop editor.
+ *
+ * The editor starts a run of the unsaved graph and polls its steps while the
+ * run request is still going, like the AI Agents Explorer does. The editor
+ * picks the runner ID, so the steps can be polled before the run returns;
+ * the runs are logged under that ID scoped to the current user, so nobody
+ * can read the steps of another user's run.
+ */
+class RunsController extends ControllerBase {
+
+  /**
+   * Pattern of the runner IDs the editor may pick.
+   */
+  const RUNNER_ID_PATTERN = '/^[A-Za-z0-9_-]{1,64}$/';
+
+  /**
+   * The agent test runner service.
+   */
+  protected AgentTestRunner $agentTestRunner;
+
+  /**
+   * Constructs the controller.
+   */
+  public function __construct(AgentTestRunner $agentTestRunner) {
+    $this->agentTestRunner = $agentTestRunner;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container): static {
+    return new static(
+      $container->get('flowdrop_ui_agents.agent_test_runner')
+    );
+  }
+
+  /**
+   * Runs the unsaved workflow of an agent on a prompt.
+   *
+   * Expects a JSON body with the keys "prompt", "runnerId", "workflow" and
+   * optionally "model" as "provider__model", one of the chat with tools
+   * models. The runner ID is a UUID or other string of letters, digits, "_"
+   * and "-".
+   *
+   * Tools run for real, see AgentTestRunner::run(): what they create or
+   * change stays on the site, only the agent is not saved.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request.
+   * @param string $agent_id
+   *   The AI Agent machine name.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the final answer.
+   */
+  public function run(Request $request, string $agent_id): JsonResponse {
+    $agent = $this->entityTypeManager()->getStorage('ai_agent')->load($agent_id);
+    if (!$agent instanceof AiAgent) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => sprintf('Agent "%s" not found', $agent_id),
+        'message' => 'Save the agent before test-running it.',
+      ], 404);
+    }
+
+    $payload = json_decode($request->getContent(), TRUE);
+    $prompt = is_string($payload['prompt'] ?? NULL) ? trim($payload['prompt']) : '';
+    $runnerId = $payload['runnerId'] ?? NULL;
+    if ($prompt === '' || !is_string($runnerId) || !preg_match(self::RUNNER_ID_PATTERN, $runnerId) || !is_array($payload['workflow'] ?? NULL)) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => 'A prompt, runner ID and workflow are required',
+      ], 400);
+    }
+    $model = $payload['model'] ?? NULL;
+    if ($model !== NULL && !is_string($model)) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => 'The model must be given as "provider__model"',
+      ], 400);
+    }
+    if ($model !== NULL && $model !== '' && !isset($this->agentTestRunner->getModelOptions()[$model])) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => sprintf('Model "%s" is not available for chat with tools', $model),
+      ], 400);
+    }
+
+    try {
+      $built = $this->agentTestRunner->buildAgent($agent, json_encode($payload['workflow']));
+      $result = $this->agentTestRunner->run($built, $prompt, $this->scopeRunnerId($runnerId), $model);
+    }
+    catch (\Exception $e) {
+      $this->getLogger('flowdrop_ui_agents')->error('Test run of agent @agent failed: @error', [
+        '@agent' => $agent_id,
+        '@error' => $e->getMessage(),
+      ]);
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => 'run_failed',
+        'message' => $e->getMessage(),
+        'time' => microtime(TRUE),
+      ], 500);
+    }
+
+    return new JsonResponse([
+      'success' => $result['solvable'],
+      'message' => $result['solvable'] ? $result['response'] : 'The agent could not solve the task.',
+      'time' => microtime(TRUE),
+    ]);
+  }
+
+  /**
+   * Gets the steps a test run of the current user took so far.
+   *
+   * @param string $runner_id
+   *   The runner ID the run was started with.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the steps.
+   */
+  public function steps(string $runner_id): JsonResponse {
+    if (!preg_match(self::RUNNER_ID_PATTERN, $runner_id)) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => 'Invalid runner ID',
+      ], 400);
+    }
+    return new JsonResponse([
+      'success' => TRUE,
+      'data' => [
+        // Without the explorer module no decisions are logged.
+        'available' => $this->agentTestRunner->hasSteps(),
+        'steps' => $this->agentTestRunner->getSteps($this->scopeRunnerId($runner_id)),
+      ],
+      'time' => microtime(TRUE),
+    ]);
+  }
+
+  /**
+   * Scopes a runner ID picked by the editor to the current user.
+   */
+  protected function scopeRunnerId(string $runnerId): string {
+    return sprintf('flowdrop_ui_agents:%d:%s', $this->currentUser()->id(), $runnerId);
+  }
+
+}
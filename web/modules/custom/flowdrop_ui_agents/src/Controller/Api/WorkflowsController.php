@@ -0,0 +1,175 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\flowdrop_ui_agents\Controller\Api;
+
+use Drupal\ai_agents\Entity\AiAgent;
+use Drupal\Core\Controller\ControllerBase;
+use Drupal\flowdrop_ui_agents\Service\AgentWorkflowMapper;
+use Drupal\flowdrop_ui_agents\Service\WorkflowValidator;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+
+/**
+ * API controller for AI Agent workflows edited in FlowDrop.
+ *
+ * Provides the revision endpoints the editor uses to detect that an agent
+ * was saved by someone else since it was loaded, and the validation endpoint
+ * it calls before saving. The save itself refuses stale writes, see
+ * \Drupal\flowdrop_ui_agents\Service\RevisionGuard; the check lets saves
+ * queued offline find out before they are sent.
+ */
+class WorkflowsController extends ControllerBase {
+
+  /**
+   * The agent workflow mapper service.
+   */
+  protected AgentWorkflowMapper $agentWorkflowMapper;
+
+  /**
+   * The workflow validator service.
+   */
+  protected WorkflowValidator $workflowValidator;
+
+  /**
+   * Constructs the controller.
+   */
+  public function __construct(AgentWorkflowMapper $agentWorkflowMapper, WorkflowValidator $workflowValidator) {
+    $this->agentWorkflowMapper = $agentWorkflowMapper;
+    $this->workflowValidator = $workflowValidator;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container): static {
+    return new static(
+      $container->get('flowdrop_ui_agents.agent_workflow_mapper'),
+      $container->get('flowdrop_ui_agents.workflow_validator')
+    );
+  }
+
+  /**
+   * Gets the current revision and workflow of an agent.
+   *
+   * @param string $agent_id
+   *   The AI Agent machine name.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the revision hash and workflow.
+   */
+  public function getRevision(string $agent_id): JsonResponse {
+    $agent = $this->loadAgent($agent_id);
+    if (!$agent) {
+      return $this->notFound($agent_id);
+    }
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'data' => [
+        'revision' => $this->agentWorkflowMapper->getRevision($agent),
+        'workflow' => $this->agentWorkflowMapper->agentToWorkflow($agent),
+      ],
+    ]);
+  }
+
+  /**
+   * Checks that the revision the editor loaded is still current.
+   *
+   * Expects a JSON body with a "revision" key. Responds with 409 and the
+   * server's copy of the workflow when the agent has changed since.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request.
+   * @param string $agent_id
+   *   The AI Agent machine name.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response describing whether the write may proceed.
+   */
+  public function checkRevision(Request $request, string $agent_id): JsonResponse {
+    $agent = $this->loadAgent($agent_id);
+    if (!$agent) {
+      return $this->notFound($agent_id);
+    }
+
+    $payload = json_decode($request->getContent(), TRUE) ?? [];
+    $baseRevision = (string) ($payload['revision'] ?? '');
+    $currentRevision = $this->agentWorkflowMapper->getRevision($agent);
+
+    if (!hash_equals($currentRevision, $baseRevision)) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => 'stale_revision',
+        'message' => sprintf('Agent "%s" was changed by someone else since it was loaded', $agent_id),
+        'data' => [
+          'revision' => $currentRevision,
+          'workflow' => $this->agentWorkflowMapper->agentToWorkflow($agent),
+        ],
+      ], 409);
+    }
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'data' => [
+        'revision' => $currentRevision,
+      ],
+    ]);
+  }
+
+  /**
+   * Validates a workflow before it is saved.
+   *
+   * Expects the workflow JSON as the request body. The agent does not have
+   * to exist yet, so new agents can be validated too.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request.
+   * @param string $agent_id
+   *   The AI Agent machine name.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with a "violations" list keyed by node and field.
+   */
+  public function validate(Request $request, string $agent_id): JsonResponse {
+    $workflow = json_decode($request->getContent(), TRUE);
+    if (!is_array($workflow)) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => 'Invalid workflow JSON',
+      ], 400);
+    }
+
+    $violations = $this->workflowValidator->validate($workflow);
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'data' => [
+        'valid' => empty($violations),
+        'violations' => $violations,
+      ],
+      'message' => empty($violations) ? 'Workflow is valid' : sprintf('Agent "%s" has %d problem(s)', $agent_id, count($violations)),
+    ]);
+  }
+
+  /**
+   * Loads an AI Agent entity.
+   */
+  protected function loadAgent(string $agent_id): ?AiAgent {
+    $agent = $this->entityTypeManager()->getStorage('ai_agent')->load($agent_id);
+    return $agent instanceof AiAgent ? $agent : NULL;
+  }
+
+  /**
+   * Builds the response for an unknown agent.
+   */
+  protected function notFound(string $agent_id): JsonResponse {
+    return new JsonResponse([
+      'success' => FALSE,
+      'error' => sprintf('Agent "%s" not found', $agent_id),
+    ], 404);
+  }
+
+}
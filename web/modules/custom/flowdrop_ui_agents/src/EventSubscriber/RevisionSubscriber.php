@@ -0,0 +1,74 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\flowdrop_ui_agents\EventSubscriber;
+
+use Drupal\flowdrop_ui_agents\Exception\StaleRevisionException;
+use Drupal\flowdrop_ui_agents\Service\RevisionGuard;
+use Symfony\Component\EventDispatcher\EventSubscriberInterface;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpKernel\Event\ExceptionEvent;
+use Symfony\Component\HttpKernel\Event\ResponseEvent;
+use Symfony\Component\HttpKernel\KernelEvents;
+
+/**
+ * Reports stale agent saves to the editor and returns saved revisions.
+ *
+ * Saves go through the Modeler API, whose responses this module does not
+ * build, so a refused save is turned into a 409 here and the revisions of
+ * the agents saved are added to the response of a successful one.
+ */
+final class RevisionSubscriber implements EventSubscriberInterface {
+
+  /**
+   * Constructs the subscriber.
+   */
+  public function __construct(
+    protected RevisionGuard $revisionGuard,
+  ) {}
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function getSubscribedEvents(): array {
+    return [
+      // Ahead of the core subscribers that render exceptions.
+      KernelEvents::EXCEPTION => ['onException', 50],
+      KernelEvents::RESPONSE => ['onResponse'],
+    ];
+  }
+
+  /**
+   * Answers a refused save with the stored agent.
+   */
+  public function onException(ExceptionEvent $event): void {
+    for ($exception = $event->getThrowable(); $exception; $exception = $exception->getPrevious()) {
+      if ($exception instanceof StaleRevisionException) {
+        $event->setResponse(new JsonResponse($exception->toArray(), 409));
+        return;
+      }
+    }
+  }
+
+  /**
+   * Adds the revisions of the agents saved to a JSON response.
+   */
+  public function onResponse(ResponseEvent $event): void {
+    if (!$event->isMainRequest()) {
+      return;
+    }
+    $revisions = $this->revisionGuard->getSavedRevisions($event->getRequest());
+    $response = $event->getResponse();
+    if (!$revisions || !$response instanceof JsonResponse) {
+      return;
+    }
+    $data = json_decode((string) $response->getContent(), TRUE);
+    // Leave lists, such as Ajax commands, alone.
+    if (is_array($data) && !array_is_list($data)) {
+      $data['revisions'] = $revisions;
+      $response->setData($data);
+    }
+  }
+
+}
@@ -0,0 +1,66 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\flowdrop_ui_agents\Exception;
+
+use Symfony\Component\HttpKernel\Exception\ConflictHttpException;
+
+/**
+ * Exception thrown when an agent is saved over someone else's changes.
+ *
+ * @see \Drupal\flowdrop_ui_agents\Service\RevisionGuard::assertCurrent()
+ */
+class StaleRevisionException extends ConflictHttpException {
+
+  /**
+   * Constructs a StaleRevisionException.
+   *
+   * @param string $agentId
+   *   The AI Agent machine name.
+   * @param string $revision
+   *   The current revision of the agent.
+   * @param array $workflow
+   *   The current agent in FlowDrop workflow format.
+   */
+  public function __construct(
+    protected string $agentId,
+    protected string $revision,
+    protected array $workflow,
+  ) {
+    parent::__construct(sprintf('Agent "%s" was changed by someone else since it was loaded', $agentId));
+  }
+
+  /**
+   * Gets the current revision of the agent.
+   */
+  public function getRevision(): string {
+    return $this->revision;
+  }
+
+  /**
+   * Gets the current agent in FlowDrop workflow format.
+   */
+  public function getWorkflow(): array {
+    return $this->workflow;
+  }
+
+  /**
+   * Gets the response body the editor resolves the conflict from.
+   *
+   * @return array
+   *   The same body the revision check endpoint answers 409 with.
+   */
+  public function toArray(): array {
+    return [
+      'success' => FALSE,
+      'error' => 'stale_revision',
+      'message' => $this->getMessage(),
+      'data' => [
+        'revision' => $this->revision,
+        'workflow' => $this->workflow,
+      ],
+    ];
+  }
+
+}
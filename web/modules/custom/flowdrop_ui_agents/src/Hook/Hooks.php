@@ -0,0 +1,82 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\flowdrop_ui_agents\Hook;
+
+use Drupal\ai_agents\Entity\AiAgent;
+use Drupal\Component\Datetime\TimeInterface;
+use Drupal\Core\Hook\Attribute\Hook;
+use Drupal\flowdrop_ui_agents\Service\AgentWorkflowMapper;
+use Drupal\flowdrop_ui_agents\Service\CommentStorage;
+use Drupal\flowdrop_ui_agents\Service\RevisionGuard;
+
+/**
+ * Hook implementations for the flowdrop_ui_agents module.
+ */
+final class Hooks {
+
+  /**
+   * Constructs the hook implementations.
+   */
+  public function __construct(
+    protected TimeInterface $time,
+    protected AgentWorkflowMapper $agentWorkflowMapper,
+    protected CommentStorage $commentStorage,
+    protected RevisionGuard $revisionGuard,
+  ) {}
+
+  /**
+   * Implements hook_ENTITY_TYPE_presave() for ai_agent.
+   *
+   * Stores node positions from a save in the editor.
+   */
+  #[Hook('ai_agent_presave')]
+  public function aiAgentPresave(AiAgent $agent): void {
+    $this->agentWorkflowMapper->applyQueuedLayout($agent);
+  }
+
+  /**
+   * Implements hook_ENTITY_TYPE_insert() for ai_agent.
+   */
+  #[Hook('ai_agent_insert')]
+  public function aiAgentInsert(AiAgent $agent): void {
+    $this->recordSaved($agent);
+  }
+
+  /**
+   * Implements hook_ENTITY_TYPE_update() for ai_agent.
+   */
+  #[Hook('ai_agent_update')]
+  public function aiAgentUpdate(AiAgent $agent): void {
+    $this->recordSaved($agent);
+  }
+
+  /**
+   * Implements hook_ENTITY_TYPE_delete() for ai_agent.
+   *
+   * Review comments, node groups and the time the agent was saved live
+   * outside the agent config, so they are removed together with the agent.
+   */
+  #[Hook('ai_agent_delete')]
+  public function aiAgentDelete(AiAgent $agent): void {
+    $this->commentStorage->deleteAll((string) $agent->id());
+    $this->agentWorkflowMapper->deleteGroups((string) $agent->id());
+    $this->agentWorkflowMapper->deleteChangedTime((string) $agent->id());
+  }
+
+  /**
+   * Records a saved agent.
+   *
+   * Records when it was saved, so the editor can tell whether a locally
+   * stored draft is newer than the agent, stores node groups from a save in
+   * the editor and hands the revision the agent was saved at to the editor
+   * that saved it.
+   */
+  protected function recordSaved(AiAgent $agent): void {
+    $this->agentWorkflowMapper->setChangedTime((string) $agent->id(), $this->time->getRequestTime());
+    $this->agentWorkflowMapper->saveQueuedGroups($agent);
+    $this->revisionGuard->recordSaved($agent);
+  }
+
+}
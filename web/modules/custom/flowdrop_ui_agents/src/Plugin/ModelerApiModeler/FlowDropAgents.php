@@ -4,18 +4,24 @@ declare(strict_types=1);
 
 namespace Drupal\flowdrop_ui_agents\Plugin\ModelerApiModeler;
 
+use Drupal\Component\Utility\Html;
 use Drupal\Component\Utility\Random;
 use Drupal\Core\Ajax\AjaxResponse;
 use Drupal\Core\Config\Entity\ConfigEntityInterface;
+use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\Core\Plugin\ContainerFactoryPluginInterface;
+use Drupal\Core\Session\AccountInterface;
 use Drupal\Core\StringTranslation\TranslatableMarkup;
 use Drupal\Core\Url;
 use Drupal\flowdrop_ui_agents\Service\AgentWorkflowMapper;
+use Drupal\flowdrop_ui_agents\Service\RevisionGuard;
 use Drupal\flowdrop_ui_agents\Service\WorkflowParser;
 use Drupal\modeler_api\Attribute\Modeler;
 use Drupal\modeler_api\Component;
 use Drupal\modeler_api\Plugin\ModelerApiModelOwner\ModelOwnerInterface;
 use Drupal\modeler_api\Plugin\ModelerApiModeler\ModelerBase;
 use Drupal\modeler_api\Plugin\ModelerApiModeler\ModelerInterface;
+use Symfony\Component\DependencyInjection\ContainerInterface;
 
 /**
  * FlowDrop modeler plugin specifically for AI Agents.
@@ -28,17 +34,7 @@ use Drupal\modeler_api\Plugin\ModelerApiModeler\ModelerInterface;
   label: new TranslatableMarkup("FlowDrop for AI Agents"),
   description: new TranslatableMarkup("Visual editor for AI Agents using FlowDrop UI.")
 )]
-class FlowDropAgents extends ModelerBase {
-
-  /**
-   * The agent workflow mapper service.
-   */
-  protected AgentWorkflowMapper $agentWorkflowMapper;
-
-  /**
-   * The workflow parser service.
-   */
-  protected WorkflowParser $workflowParser;
+class FlowDropAgents extends ModelerBase implements ContainerFactoryPluginInterface {
 
   /**
    * Parsed workflow data from raw JSON.
@@ -46,23 +42,52 @@ class FlowDropAgents extends ModelerBase {
   protected array $parsedData = [];
 
   /**
-   * Get the agent workflow mapper service.
+   * Constructs the FlowDropAgents modeler.
+   *
+   * @param array $configuration
+   *   The plugin configuration.
+   * @param string $plugin_id
+   *   The plugin ID.
+   * @param mixed $plugin_definition
+   *   The plugin definition.
+   * @param \Drupal\Core\Entity\EntityTypeManagerInterface $entityTypeManager
+   *   The entity type manager.
+   * @param \Drupal\Core\Session\AccountInterface $currentUser
+   *   The current user.
+   * @param \Drupal\flowdrop_ui_agents\Service\AgentWorkflowMapper $agentWorkflowMapper
+   *   The agent workflow mapper service.
+   * @param \Drupal\flowdrop_ui_agents\Service\WorkflowParser $workflowParser
+   *   The workflow parser service.
+   * @param \Drupal\flowdrop_ui_agents\Service\RevisionGuard $revisionGuard
+   *   The revision guard service.
    */
-  protected function agentWorkflowMapper(): AgentWorkflowMapper {
-    if (!isset($this->agentWorkflowMapper)) {
-      $this->agentWorkflowMapper = $this->getContainer()->get('flowdrop_ui_agents.agent_workflow_mapper');
-    }
-    return $this->agentWorkflowMapper;
+  public function __construct(
+    array $configuration,
+    $plugin_id,
+    $plugin_definition,
+    protected EntityTypeManagerInterface $entityTypeManager,
+    protected AccountInterface $currentUser,
+    protected AgentWorkflowMapper $agentWorkflowMapper,
+    protected WorkflowParser $workflowParser,
+    protected RevisionGuard $revisionGuard,
+  ) {
+    parent::__construct($configuration, $plugin_id, $plugin_definition);
   }
 
   /**
-   * Get the workflow parser service.
+   * {@inheritdoc}
    */
-  protected function workflowParser(): WorkflowParser {
-    if (!isset($this->workflowParser)) {
-      $this->workflowParser = $this->getContainer()->get('flowdrop_ui_agents.workflow_parser');
-    }
-    return $this->workflowParser;
+  public static function create(ContainerInterface $container, array $configuration, $plugin_id, $plugin_definition): static {
+    return new static(
+      $configuration,
+      $plugin_id,
+      $plugin_definition,
+      $container->get('entity_type.manager'),
+      $container->get('current_user'),
+      $container->get('flowdrop_ui_agents.agent_workflow_mapper'),
+      $container->get('flowdrop_ui_agents.workflow_parser'),
+      $container->get('flowdrop_ui_agents.revision_guard'),
+    );
   }
 
   /**
@@ -89,43 +114,7 @@ class FlowDropAgents extends ModelerBase {
       $workflow = json_decode($data, TRUE) ?? [];
     }
 
-    // Get available tools and agents for the sidebar.
-    $mapper = $this->agentWorkflowMapper();
-    $availableTools = $mapper->getAvailableTools($owner);
-    $availableAgents = $mapper->getAvailableAgents($owner);
-    $toolsByCategory = $mapper->getToolsByCategory($owner);
-
-    $build = [
-      '#type' => 'container',
-      '#attributes' => [
-        'id' => 'flowdrop-agents-editor',
-        'class' => ['flowdrop-agents-editor-container'],
-        'style' => 'height: calc(100vh - 240px); min-height: 600px; width: 100%; border: 1px solid #efefef;',
-        'data-workflow-id' => $id,
-        'data-is-new' => $isNew ? 'true' : 'false',
-        'data-read-only' => $readOnly ? 'true' : 'false',
-      ],
-      '#attached' => [
-        'library' => [
-          'flowdrop_ui_agents/editor',
-        ],
-        'drupalSettings' => [
-          'flowdrop_agents' => [
-            'workflowId' => $id,
-            'isNew' => $isNew,
-            'readOnly' => $readOnly,
-            'workflow' => $workflow,
-            'availableTools' => $availableTools,
-            'availableAgents' => $availableAgents,
-            'toolsByCategory' => $toolsByCategory,
-            'modelOwner' => $owner->getPluginId(),
-            'modeler' => 'flowdrop_agents',
-          ],
-        ],
-      ],
-    ];
-
-    return $build;
+    return $this->buildEditor($owner, $id, $workflow, $isNew, $readOnly);
   }
 
   /**
@@ -133,22 +122,48 @@ class FlowDropAgents extends ModelerBase {
    */
   public function convert(ModelOwnerInterface $owner, ConfigEntityInterface $model, bool $readOnly = FALSE): array {
     // Convert AI Agent entity to FlowDrop workflow format.
-    $mapper = $this->agentWorkflowMapper();
-    $workflowData = $mapper->agentToWorkflow($model);
+    $workflowData = $this->agentWorkflowMapper->agentToWorkflow($model);
 
-    // Get available tools and agents for sidebar.
-    $availableTools = $mapper->getAvailableTools($owner);
-    $availableAgents = $mapper->getAvailableAgents($owner);
-    $toolsByCategory = $mapper->getToolsByCategory($owner);
+    return $this->buildEditor($owner, $model->id(), $workflowData, FALSE, $readOnly);
+  }
 
-    $build = [
+  /**
+   * Builds the editor container for an agent.
+   *
+   * Each editor gets a unique ID and its settings are keyed by it, so
+   * editors rendered on one page, such as an assistant and its sub-agents,
+   * do not read each other's settings. Only one of them can be open at a
+   * time; see Drupal.FlowDrop.bootstrap().
+   *
+   * @param \Drupal\modeler_api\Plugin\ModelerApiModelOwner\ModelOwnerInterface $owner
+   *   The model owner.
+   * @param string $id
+   *   The agent ID.
+   * @param array $workflow
+   *   The agent in FlowDrop workflow format.
+   * @param bool $isNew
+   *   Whether the agent is being created.
+   * @param bool $readOnly
+   *   Whether the agent may not be changed.
+   *
+   * @return array
+   *   The render array.
+   */
+  protected function buildEditor(ModelOwnerInterface $owner, string $id, array $workflow, bool $isNew, bool $readOnly): array {
+    // Get available tools and agents for the sidebar.
+    $mapper = $this->agentWorkflowMapper;
+    $editorId = Html::getUniqueId('flowdrop-agents-editor');
+    $readOnlyReason = $this->getReadOnlyReason($id, $isNew, $readOnly);
+    $readOnly = $readOnlyReason !== NULL;
+
+    return [
       '#type' => 'container',
       '#attributes' => [
-        'id' => 'flowdrop-agents-editor',
+        'id' => $editorId,
         'class' => ['flowdrop-agents-editor-container'],
         'style' => 'height: calc(100vh - 240px); min-height: 600px; width: 100%; border: 1px solid #efefef;',
-        'data-workflow-id' => $model->id(),
-        'data-is-new' => 'false',
+        'data-workflow-id' => $id,
+        'data-is-new' => $isNew ? 'true' : 'false',
         'data-read-only' => $readOnly ? 'true' : 'false',
       ],
       '#attached' => [
@@ -157,21 +172,72 @@ class FlowDropAgents extends ModelerBase {
         ],
         'drupalSettings' => [
           'flowdrop_agents' => [
-            'workflowId' => $model->id(),
-            'isNew' => FALSE,
-            'readOnly' => $readOnly,
-            'workflow' => $workflowData,
-            'availableTools' => $availableTools,
-            'availableAgents' => $availableAgents,
-            'toolsByCategory' => $toolsByCategory,
-            'modelOwner' => $owner->getPluginId(),
-            'modeler' => 'flowdrop_agents',
+            'editors' => [
+              $editorId => [
+                'workflowId' => $id,
+                'apiBaseUrl' => $this->getApiBaseUrl(),
+                'revisionUrl' => Url::fromRoute('flowdrop_ui_agents.api.workflows.revision', ['agent_id' => $id])->toString(),
+                'isNew' => $isNew,
+                'readOnly' => $readOnly,
+                'readOnlyReason' => $readOnlyReason,
+                'canComment' => !$isNew && $this->canComment(),
+                'workflow' => $workflow,
+                'availableTools' => $mapper->getAvailableTools($owner),
+                'availableAgents' => $mapper->getAvailableAgents($owner),
+                'toolsByCategory' => $mapper->getToolsByCategory($owner),
+                'modelOwner' => $owner->getPluginId(),
+                'modeler' => 'flowdrop_agents',
+              ],
+            ],
           ],
         ],
       ],
     ];
+  }
 
-    return $build;
+  /**
+   * Gets the base URL of the FlowDrop Agents API.
+   *
+   * The API routes share one path prefix, taken from the runtime
+   * configuration route so that it carries the site's base path.
+   *
+   * @return string
+   *   The base URL, without a trailing slash.
+   */
+  protected function getApiBaseUrl(): string {
+    return preg_replace('@/config$@', '', Url::fromRoute('flowdrop_ui_agents.api.config')->toString());
+  }
+
+  /**
+   * Gets why an agent is opened for review only.
+   *
+   * @param string $id
+   *   The agent ID.
+   * @param bool $isNew
+   *   Whether the agent is being created.
+   * @param bool $readOnly
+   *   Whether the Modeler API opened the agent read-only.
+   *
+   * @return string|null
+   *   'permission' when the current user may not change the agent,
+   *   'locked' when it was opened read-only, NULL when it can be edited.
+   */
+  protected function getReadOnlyReason(string $id, bool $isNew, bool $readOnly): ?string {
+    $agent = $isNew ? NULL : $this->entityTypeManager->getStorage('ai_agent')->load($id);
+    $allowed = $agent
+      ? $agent->access('update', $this->currentUser)
+      : $this->entityTypeManager->getAccessControlHandler('ai_agent')->createAccess(NULL, $this->currentUser);
+    if (!$allowed) {
+      return 'permission';
+    }
+    return $readOnly ? 'locked' : NULL;
+  }
+
+  /**
+   * Checks whether the current user may read and write review comments.
+   */
+  protected function canComment(): bool {
+    return $this->currentUser->hasPermission('administer ai agents') || $this->currentUser->hasPermission('comment on ai agents');
   }
 
   /**
@@ -244,9 +310,9 @@ class FlowDropAgents extends ModelerBase {
    */
   public function parseData(ModelOwnerInterface $owner, string $data): void {
     $this->modelOwner = $owner;
-    $this->parsedData = $this->workflowParser()->parse($data);
+    $this->parsedData = $this->workflowParser->parse($data);
     // Set the owner on the parser for component creation.
-    $this->workflowParser()->setOwner($owner);
+    $this->workflowParser->setOwner($owner);
   }
 
   /**
@@ -309,14 +375,26 @@ class FlowDropAgents extends ModelerBase {
    * {@inheritdoc}
    */
   public function getRawData(): string {
-    return json_encode($this->parsedData);
+    // The revision a save was made against is not part of the agent.
+    $data = $this->parsedData;
+    unset($data['metadata']['baseRevision']);
+    return json_encode($data);
   }
 
   /**
    * {@inheritdoc}
    */
   public function readComponents(): array {
-    return $this->workflowParser()->toComponents($this->parsedData);
+    // Refuse to write over changes saved since the editor loaded the agent.
+    $baseRevision = $this->parsedData['metadata']['baseRevision'] ?? NULL;
+    if (is_string($baseRevision) && $baseRevision !== '' && !empty($this->parsedData['id'])) {
+      $this->revisionGuard->assertCurrent((string) $this->parsedData['id'], $baseRevision);
+    }
+
+    // Components carry no positions or groups; the agent picks them up when
+    // it is saved.
+    $this->agentWorkflowMapper->queueLayout($this->parsedData);
+    return $this->workflowParser->toComponents($this->parsedData);
   }
 
   /**
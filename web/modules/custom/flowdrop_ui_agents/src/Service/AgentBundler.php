@@ -0,0 +1,604 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\flowdrop_ui_agents\Service;
+
+use Drupal\ai\Service\FunctionCalling\FunctionCallPluginManager;
+use Drupal\ai_agents\Entity\AiAgent;
+use Drupal\Component\Datetime\TimeInterface;
+use Drupal\Core\Config\TypedConfigManagerInterface;
+use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\Core\Extension\ModuleHandlerInterface;
+
+/**
+ * Exports AI Agents as portable bundles and imports them again.
+ *
+ * A bundle holds an agent together with every sub-agent it calls, so an
+ * assistant can be moved between sites in one file:
+ * @code
+ * {
+ *   "format": "flowdrop_agents_bundle",
+ *   "schemaVersion": 1,
+ *   "exported": "2025-01-01T00:00:00+00:00",
+ *   "root": "assistant",
+ *   "requiredModules": ["ai", "ai_agents", ...],
+ *   "tools": ["ai_agent:get_current_content_type", ...],
+ *   "agents": {
+ *     "assistant": {"id": "assistant", "label": "...", "tools": {...},
+ *       "tool_settings": {...}, ..., "layout": {"positions": {...},
+ *       "groups": [...]}},
+ *     ...
+ *   }
+ * }
+ * @endcode
+ * Sub-agents are the tools named "ai_agents::ai_agent::{id}". The tools list
+ * holds the other tool plugin IDs the agents use, and the required modules
+ * are the modules providing them. Layout positions and group members are
+ * keyed "agent" and "tool:{tool ID}", so they stay on their tools when tools
+ * are left out or sub-agents renamed on import.
+ *
+ * Every agent is built and checked against the config schema before the
+ * first one is saved, and a failed save undoes the agents saved before it.
+ * Masquerade roles let an agent act with the permissions of other roles, so
+ * they are only imported when the importing user confirms them.
+ */
+class AgentBundler {
+
+  /**
+   * The bundle format name.
+   */
+  const FORMAT = 'flowdrop_agents_bundle';
+
+  /**
+   * The bundle schema version written by this module.
+   */
+  const SCHEMA_VERSION = 1;
+
+  /**
+   * Tool ID prefix of agents used as tools.
+   */
+  const AGENT_TOOL_PREFIX = 'ai_agents::ai_agent::';
+
+  /**
+   * Agent properties carried in a bundle.
+   */
+  const AGENT_KEYS = [
+    'label',
+    'description',
+    'system_prompt',
+    'secured_system_prompt',
+    'default_information_tools',
+    'tools',
+    'tool_usage_limits',
+    'tool_settings',
+    'orchestration_agent',
+    'triage_agent',
+    'max_loops',
+    'masquerade_roles',
+    'exclude_users_role',
+    'structured_output_enabled',
+    'structured_output_schema',
+  ];
+
+  /**
+   * Agent properties holding text.
+   */
+  const STRING_KEYS = [
+    'label',
+    'description',
+    'system_prompt',
+    'secured_system_prompt',
+    'default_information_tools',
+    'structured_output_schema',
+  ];
+
+  /**
+   * Agent properties holding lists or mappings.
+   */
+  const ARRAY_KEYS = [
+    'tools',
+    'tool_usage_limits',
+    'tool_settings',
+    'masquerade_roles',
+  ];
+
+  /**
+   * What to do with agents whose ID is already taken.
+   */
+  const COLLISION_STRATEGIES = ['rename', 'replace'];
+
+  /**
+   * Constructs the AgentBundler service.
+   */
+  public function __construct(
+    protected EntityTypeManagerInterface $entityTypeManager,
+    protected FunctionCallPluginManager $functionCallPluginManager,
+    protected ModuleHandlerInterface $moduleHandler,
+    protected TimeInterface $time,
+    protected AgentWorkflowMapper $agentWorkflowMapper,
+    protected TypedConfigManagerInterface $typedConfigManager,
+  ) {}
+
+  /**
+   * Exports an agent and its sub-agents.
+   *
+   * @param \Drupal\ai_agents\Entity\AiAgent $root
+   *   The agent to export.
+   *
+   * @return array
+   *   The bundle.
+   */
+  public function export(AiAgent $root): array {
+    $storage = $this->entityTypeManager->getStorage('ai_agent');
+    $agents = [];
+    $queue = [$root];
+    while ($agent = array_shift($queue)) {
+      if (isset($agents[$agent->id()])) {
+        continue;
+      }
+      $agents[$agent->id()] = $this->exportAgent($agent);
+      foreach ($this->getSubAgentIds($agents[$agent->id()]) as $subAgentId) {
+        $subAgent = isset($agents[$subAgentId]) ? NULL : $storage->load($subAgentId);
+        if ($subAgent instanceof AiAgent) {
+          $queue[] = $subAgent;
+        }
+      }
+    }
+
+    $tools = [];
+    foreach ($agents as $values) {
+      foreach (array_keys(array_filter($values['tools'])) as $toolId) {
+        if (!str_starts_with((string) $toolId, self::AGENT_TOOL_PREFIX)) {
+          $tools[$toolId] = $toolId;
+        }
+      }
+    }
+    sort($tools);
+
+    $modules = ['ai' => 'ai', 'ai_agents' => 'ai_agents'];
+    foreach ($tools as $toolId) {
+      $provider = $this->functionCallPluginManager->getDefinition($toolId, FALSE)['provider'] ?? NULL;
+      if ($provider) {
+        $modules[$provider] = $provider;
+      }
+    }
+    sort($modules);
+
+    return [
+      'format' => self::FORMAT,
+      'schemaVersion' => self::SCHEMA_VERSION,
+      'exported' => date(DATE_ATOM, $this->time->getRequestTime()),
+      'root' => $root->id(),
+      'requiredModules' => array_values($modules),
+      'tools' => array_values($tools),
+      'agents' => $agents,
+    ];
+  }
+
+  /**
+   * Checks what importing a bundle would do.
+   *
+   * @param mixed $bundle
+   *   The decoded bundle.
+   *
+   * @return array
+   *   The report:
+   *   - valid: Whether the bundle can be imported.
+   *   - errors: Why it cannot.
+   *   - root: The ID of the exported agent.
+   *   - agents: Per agent {id, label, exists, masqueradeRoles}; exists
+   *     means importing it collides with an agent of this site.
+   *   - missingTools: Tool plugin IDs this site does not have. They are
+   *     left out when importing.
+   *   - missingModules: Required modules that are not installed.
+   *   - missingRoles: Masquerade roles this site does not have. The
+   *     masquerade roles can only be kept when there are none.
+   */
+  public function analyze(mixed $bundle): array {
+    $report = [
+      'valid' => FALSE,
+      'errors' => $this->validate($bundle),
+      'root' => NULL,
+      'agents' => [],
+      'missingTools' => [],
+      'missingModules' => [],
+      'missingRoles' => [],
+    ];
+    if ($report['errors']) {
+      return $report;
+    }
+    // Check the agents as they would be imported, without saving them.
+    $report['errors'] = $this->prepare($bundle, $this->getImportIds($bundle, 'rename'), FALSE)['errors'];
+    if ($report['errors']) {
+      return $report;
+    }
+
+    $existing = $this->entityTypeManager->getStorage('ai_agent')->loadMultiple(array_keys($bundle['agents']));
+    foreach ($bundle['agents'] as $id => $values) {
+      $report['agents'][] = [
+        'id' => $id,
+        'label' => (string) ($values['label'] ?? $id),
+        'exists' => isset($existing[$id]),
+        'masqueradeRoles' => array_values($values['masquerade_roles'] ?? []),
+      ];
+    }
+    $report['missingTools'] = array_values(array_unique(array_merge(...array_map(
+      fn (array $values) => $this->getMissingTools($values, $bundle['agents']),
+      array_values($bundle['agents']),
+    ))));
+    $report['missingModules'] = array_values(array_filter(
+      (array) ($bundle['requiredModules'] ?? []),
+      fn ($module) => !$this->moduleHandler->moduleExists((string) $module),
+    ));
+    $report['missingRoles'] = array_values(array_diff(
+      array_unique(array_merge(...array_column($report['agents'], 'masqueradeRoles'))),
+      array_keys($this->entityTypeManager->getStorage('user_role')->loadMultiple()),
+    ));
+    $report['root'] = $bundle['root'];
+    $report['valid'] = TRUE;
+    return $report;
+  }
+
+  /**
+   * Imports the agents of a bundle.
+   *
+   * Nothing is saved unless every agent passes the config schema, and the
+   * agents saved are restored or deleted again when a later one fails.
+   *
+   * @param array $bundle
+   *   The decoded bundle; check it with analyze() first.
+   * @param string $collisions
+   *   What to do with agents whose ID is taken, one of
+   *   self::COLLISION_STRATEGIES: "rename" imports them under a new ID and
+   *   points the other agents of the bundle at it, "replace" overwrites the
+   *   existing agent.
+   * @param bool $keepMasqueradeRoles
+   *   Whether to import the masquerade roles of the agents; they are
+   *   emptied otherwise.
+   *
+   * @return array
+   *   - root: The ID the root agent was imported as.
+   *   - agents: Imported agent IDs keyed by their ID in the bundle.
+   *   - skippedTools: Tool plugin IDs left out because they are missing.
+   *
+   * @throws \InvalidArgumentException
+   *   When an agent is invalid; nothing was imported.
+   */
+  public function import(array $bundle, string $collisions = 'rename', bool $keepMasqueradeRoles = FALSE): array {
+    $storage = $this->entityTypeManager->getStorage('ai_agent');
+    $ids = $this->getImportIds($bundle, $collisions);
+    // Loaded before prepare() changes copies of the replaced agents.
+    $originals = $storage->loadMultiple(array_values($ids));
+    $prepared = $this->prepare($bundle, $ids, $keepMasqueradeRoles);
+    if ($prepared['errors']) {
+      throw new \InvalidArgumentException(implode(' ', $prepared['errors']));
+    }
+
+    $originalGroups = array_map(
+      fn (AiAgent $original) => $this->agentWorkflowMapper->loadGroups((string) $original->id()),
+      $originals,
+    );
+    $saved = [];
+    try {
+      foreach ($prepared['agents'] as $id => $agent) {
+        $agent->save();
+        $saved[] = $ids[$id];
+        $this->agentWorkflowMapper->saveGroups($ids[$id], $prepared['groups'][$id]);
+      }
+    }
+    catch (\Exception $e) {
+      foreach (array_reverse($saved) as $agentId) {
+        if (isset($originals[$agentId])) {
+          $originals[$agentId]->save();
+          $this->agentWorkflowMapper->saveGroups($agentId, $originalGroups[$agentId]);
+        }
+        else {
+          $storage->load($agentId)?->delete();
+        }
+      }
+      throw $e;
+    }
+
+    return [
+      'root' => $ids[$bundle['root']],
+      'agents' => $ids,
+      'skippedTools' => $prepared['skippedTools'],
+    ];
+  }
+
+  /**
+   * Gets the IDs the agents of a bundle are imported as.
+   *
+   * @param array $bundle
+   *   The decoded bundle.
+   * @param string $collisions
+   *   One of self::COLLISION_STRATEGIES.
+   *
+   * @return array
+   *   Agent IDs keyed by their ID in the bundle.
+   */
+  protected function getImportIds(array $bundle, string $collisions): array {
+    $existing = $this->entityTypeManager->getStorage('ai_agent')->loadMultiple(array_keys($bundle['agents']));
+    $ids = [];
+    foreach (array_keys($bundle['agents']) as $id) {
+      $ids[$id] = ($collisions === 'rename' && isset($existing[$id]))
+        ? $this->getFreeId($id, array_merge(array_values($ids), array_keys($bundle['agents'])))
+        : $id;
+    }
+    return $ids;
+  }
+
+  /**
+   * Builds the agents of a bundle without saving them.
+   *
+   * Replaced agents are changed on a freshly loaded copy, so the stored
+   * agent can still be saved back.
+   *
+   * @param array $bundle
+   *   The decoded bundle, checked by self::validate().
+   * @param array $ids
+   *   The IDs to import the agents as, see self::getImportIds().
+   * @param bool $keepMasqueradeRoles
+   *   Whether to keep the masquerade roles of the agents.
+   *
+   * @return array
+   *   - agents: The agents keyed by their ID in the bundle.
+   *   - groups: Their node groups, keyed the same way.
+   *   - skippedTools: Tool plugin IDs left out because they are missing.
+   *   - errors: Why the agents cannot be imported.
+   */
+  protected function prepare(array $bundle, array $ids, bool $keepMasqueradeRoles): array {
+    $storage = $this->entityTypeManager->getStorage('ai_agent');
+    $roles = array_keys($this->entityTypeManager->getStorage('user_role')->loadMultiple());
+    $prepared = [
+      'agents' => [],
+      'groups' => [],
+      'skippedTools' => [],
+      'errors' => [],
+    ];
+
+    foreach ($bundle['agents'] as $id => $values) {
+      $missing = $this->getMissingTools($values, $bundle['agents']);
+      $prepared['skippedTools'] = array_merge($prepared['skippedTools'], $missing);
+      $values = $this->rewriteTools($values, $ids, $missing);
+      if (!$keepMasqueradeRoles) {
+        $values['masquerade_roles'] = [];
+      }
+      elseif ($unknown = array_diff($values['masquerade_roles'] ?? [], $roles)) {
+        $prepared['errors'][] = sprintf('Agent "%s" masquerades as roles this site does not have: %s.', $id, implode(', ', $unknown));
+      }
+
+      $agent = $ids[$id] === $id ? $storage->loadUnchanged($id) : NULL;
+      $agent ??= $storage->create(['id' => $ids[$id]]);
+      foreach (self::AGENT_KEYS as $key) {
+        if (array_key_exists($key, $values)) {
+          $agent->set($key, $values[$key]);
+        }
+      }
+
+      // Layout keys name tools, which only now have their node IDs.
+      $nodeIds = $this->agentWorkflowMapper->getLayoutNodeIds($agent);
+      $positions = [];
+      foreach ($values['layout']['positions'] ?? [] as $key => $position) {
+        $nodeId = $nodeIds[$this->renameLayoutKey((string) $key, $ids)] ?? NULL;
+        if ($nodeId !== NULL && is_array($position)) {
+          $positions[$nodeId] = $this->agentWorkflowMapper->normalizePosition($position);
+        }
+      }
+      $agent->setThirdPartySetting('flowdrop_ui_agents', 'positions', $positions);
+
+      $groups = [];
+      foreach ($values['layout']['groups'] ?? [] as $group) {
+        $members = array_map(fn ($key) => $this->renameLayoutKey((string) $key, $ids), (array) ($group['nodes'] ?? []));
+        $members = array_values(array_unique(array_filter($members, fn ($key) => isset($nodeIds[$key]))));
+        if ($members) {
+          $groups[] = [
+            'id' => (string) ($group['id'] ?? ''),
+            'label' => (string) ($group['label'] ?? ''),
+            'collapsed' => (bool) ($group['collapsed'] ?? FALSE),
+            'nodes' => $members,
+          ];
+        }
+      }
+
+      $violations = $this->typedConfigManager
+        ->createFromNameAndData($agent->getConfigDependencyName(), $agent->toArray())
+        ->validate();
+      foreach ($violations as $violation) {
+        $prepared['errors'][] = sprintf('Agent "%s": %s: %s', $id, $violation->getPropertyPath(), $violation->getMessage());
+      }
+
+      $prepared['agents'][$id] = $agent;
+      $prepared['groups'][$id] = $groups;
+    }
+
+    $prepared['skippedTools'] = array_values(array_unique($prepared['skippedTools']));
+    return $prepared;
+  }
+
+  /**
+   * Lists why a bundle cannot be imported.
+   *
+   * @return string[]
+   *   The errors, empty for a valid bundle.
+   */
+  protected function validate(mixed $bundle): array {
+    if (!is_array($bundle) || ($bundle['format'] ?? NULL) !== self::FORMAT) {
+      return ['This file is not a FlowDrop agents bundle.'];
+    }
+    $version = $bundle['schemaVersion'] ?? NULL;
+    if (!is_int($version) || $version < 1 || $version > self::SCHEMA_VERSION) {
+      return [sprintf('Bundle schema version %s is not supported; this site reads up to version %d.', is_scalar($version) ? $version : '?', self::SCHEMA_VERSION)];
+    }
+    if (empty($bundle['agents']) || !is_array($bundle['agents'])) {
+      return ['The bundle contains no agents.'];
+    }
+
+    $errors = [];
+    foreach ($bundle['agents'] as $id => $values) {
+      if (!is_string($id) || !preg_match('/^[a-z0-9_]+$/', $id) || !is_array($values) || ($values['id'] ?? NULL) !== $id) {
+        $errors[] = sprintf('Agent "%s" has an invalid ID.', $id);
+      }
+      else {
+        $errors = array_merge($errors, $this->validateAgent($id, $values));
+      }
+    }
+    if (!is_string($bundle['root'] ?? NULL) || !isset($bundle['agents'][$bundle['root']])) {
+      $errors[] = 'The bundle does not say which agent it exports.';
+    }
+    return $errors;
+  }
+
+  /**
+   * Lists why the values of a bundled agent cannot be imported.
+   *
+   * Checks what the config schema leaves open: it holds the tools and
+   * masquerade roles as sequences of any values.
+   *
+   * @return string[]
+   *   The errors, empty for a valid agent.
+   */
+  protected function validateAgent(string $id, array $values): array {
+    $errors = [];
+    foreach (self::STRING_KEYS as $key) {
+      if (isset($values[$key]) && !is_string($values[$key])) {
+        $errors[] = sprintf('Agent "%s" has an invalid %s.', $id, $key);
+      }
+    }
+    foreach (self::ARRAY_KEYS as $key) {
+      if (isset($values[$key]) && !is_array($values[$key])) {
+        $errors[] = sprintf('Agent "%s" has an invalid %s.', $id, $key);
+      }
+    }
+    if (is_array($values['tools'] ?? NULL) && array_filter($values['tools'], fn ($enabled) => !is_bool($enabled) && !is_int($enabled))) {
+      $errors[] = sprintf('Agent "%s" has invalid tools.', $id);
+    }
+    if (is_array($values['masquerade_roles'] ?? NULL) && (!array_is_list($values['masquerade_roles']) || array_filter($values['masquerade_roles'], fn ($role) => !is_string($role)))) {
+      $errors[] = sprintf('Agent "%s" has invalid masquerade roles.', $id);
+    }
+    $layout = $values['layout'] ?? [];
+    if (!is_array($layout) || !is_array($layout['positions'] ?? []) || !is_array($layout['groups'] ?? [])) {
+      $errors[] = sprintf('Agent "%s" has an invalid layout.', $id);
+    }
+    return $errors;
+  }
+
+  /**
+   * Gets the values of an agent for a bundle.
+   */
+  protected function exportAgent(AiAgent $agent): array {
+    $values = ['id' => $agent->id()];
+    foreach (self::AGENT_KEYS as $key) {
+      $values[$key] = $agent->get($key);
+    }
+    $values['tools'] = $values['tools'] ?? [];
+
+    // Node IDs number the tools, so positions are keyed by tool ID instead.
+    $keys = array_flip($this->agentWorkflowMapper->getLayoutNodeIds($agent));
+    $positions = [];
+    foreach ($agent->getThirdPartySetting('flowdrop_ui_agents', 'positions', []) as $nodeId => $position) {
+      if (isset($keys[$nodeId])) {
+        $positions[$keys[$nodeId]] = $position;
+      }
+    }
+    $values['layout'] = [
+      'positions' => $positions,
+      'groups' => $this->agentWorkflowMapper->loadGroups((string) $agent->id()),
+    ];
+    return $values;
+  }
+
+  /**
+   * Gets the IDs of the agents an agent calls as tools.
+   */
+  protected function getSubAgentIds(array $values): array {
+    $ids = [];
+    foreach (array_keys(array_filter($values['tools'] ?? [])) as $toolId) {
+      if (str_starts_with((string) $toolId, self::AGENT_TOOL_PREFIX)) {
+        $ids[] = substr((string) $toolId, strlen(self::AGENT_TOOL_PREFIX));
+      }
+    }
+    return $ids;
+  }
+
+  /**
+   * Gets the tools of a bundled agent this site does not have.
+   *
+   * Sub-agents count as present when they are in the bundle or on the site.
+   */
+  protected function getMissingTools(array $values, array $agents): array {
+    $missing = [];
+    foreach (array_keys($values['tools'] ?? []) as $toolId) {
+      $toolId = (string) $toolId;
+      if (str_starts_with($toolId, self::AGENT_TOOL_PREFIX)) {
+        $agentId = substr($toolId, strlen(self::AGENT_TOOL_PREFIX));
+        if (!isset($agents[$agentId]) && !$this->entityTypeManager->getStorage('ai_agent')->load($agentId)) {
+          $missing[] = $toolId;
+        }
+      }
+      elseif (!$this->functionCallPluginManager->hasDefinition($toolId)) {
+        $missing[] = $toolId;
+      }
+    }
+    return $missing;
+  }
+
+  /**
+   * Points sub-agent tools at renamed agents and drops missing tools.
+   */
+  protected function rewriteTools(array $values, array $ids, array $missing): array {
+    $rename = function (array $items) use ($ids, $missing): array {
+      $result = [];
+      foreach ($items as $toolId => $item) {
+        $toolId = (string) $toolId;
+        if (!in_array($toolId, $missing, TRUE)) {
+          $result[$this->renameTool($toolId, $ids)] = $item;
+        }
+      }
+      return $result;
+    };
+    foreach (['tools', 'tool_settings', 'tool_usage_limits'] as $key) {
+      if (is_array($values[$key] ?? NULL)) {
+        $values[$key] = $rename($values[$key]);
+      }
+    }
+    return $values;
+  }
+
+  /**
+   * Points a sub-agent tool ID at the ID its agent is imported as.
+   */
+  protected function renameTool(string $toolId, array $ids): string {
+    if (!str_starts_with($toolId, self::AGENT_TOOL_PREFIX)) {
+      return $toolId;
+    }
+    $agentId = substr($toolId, strlen(self::AGENT_TOOL_PREFIX));
+    return self::AGENT_TOOL_PREFIX . ($ids[$agentId] ?? $agentId);
+  }
+
+  /**
+   * Points a "tool:{tool ID}" layout key at a renamed sub-agent.
+   */
+  protected function renameLayoutKey(string $key, array $ids): string {
+    return str_starts_with($key, 'tool:') ? 'tool:' . $this->renameTool(substr($key, 5), $ids) : $key;
+  }
+
+  /**
+   * Gets an unused agent ID based on another one.
+   *
+   * @param string $id
+   *   The taken ID.
+   * @param array $reserved
+   *   IDs taken by this import.
+   */
+  protected function getFreeId(string $id, array $reserved): string {
+    $storage = $this->entityTypeManager->getStorage('ai_agent');
+    $suffix = 2;
+    do {
+      $candidate = $id . '_' . $suffix++;
+    } while ($storage->load($candidate) || in_array($candidate, $reserved, TRUE));
+    return $candidate;
+  }
+
+}
@@ -0,0 +1,194 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\flowdrop_ui_agents\Service;
+
+use Drupal\Component\Plugin\PluginManagerInterface;
+use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\ai\AiProviderPluginManager;
+use Drupal\ai\Service\FunctionCalling\FunctionCallPluginManager;
+use Drupal\ai_agents\Entity\AiAgent;
+use Drupal\ai_agents\PluginBase\AiAgentEntityWrapper;
+use Drupal\ai_agents\PluginInterfaces\AiAgentInterface;
+use Drupal\ai_agents\PluginManager\AiAgentManager;
+use Drupal\ai_agents\Task\Task;
+
+/**
+ * Test-runs AI Agents as they are drawn in the editor, without saving them.
+ *
+ * Runs are tagged with a runner ID. When the AI Agents Explorer module is
+ * enabled it logs every decision of the run as an ai_agent_decision entity,
+ * which getSteps() turns into steps the editor can show on the canvas.
+ */
+class AgentTestRunner {
+
+  /**
+   * Constructs the AgentTestRunner service.
+   */
+  public function __construct(
+    protected EntityTypeManagerInterface $entityTypeManager,
+    protected AiAgentManager $agentManager,
+    protected AiProviderPluginManager $providerManager,
+    protected FunctionCallPluginManager $functionCallPluginManager,
+    protected PluginManagerInterface $modelOwnerManager,
+    protected WorkflowParser $workflowParser,
+  ) {}
+
+  /**
+   * Applies an unsaved workflow to a copy of an agent.
+   *
+   * Uses the same components the Modeler API save does, but never saves:
+   * sub-agents run as they are stored.
+   *
+   * @param \Drupal\ai_agents\Entity\AiAgent $agent
+   *   The stored agent.
+   * @param string $json
+   *   The FlowDrop workflow JSON.
+   *
+   * @return \Drupal\ai_agents\Entity\AiAgent
+   *   The unsaved agent.
+   */
+  public function buildAgent(AiAgent $agent, string $json): AiAgent {
+    /** @var \Drupal\modeler_api\Plugin\ModelerApiModelOwner\ModelOwnerInterface $owner */
+    $owner = $this->modelOwnerManager->createInstance('ai_agents_agent');
+    $model = clone $agent;
+
+    $this->workflowParser->setOwner($owner);
+    $owner->resetComponents($model);
+    foreach ($this->workflowParser->toComponents($this->workflowParser->parse($json)) as $component) {
+      $owner->addComponent($model, $component);
+    }
+    // The edited agent keeps its machine name, whatever the workflow says.
+    $model->set('id', $agent->id());
+
+    return $model;
+  }
+
+  /**
+   * Runs an agent on a prompt.
+   *
+   * The run is not a dry run: the agent creates and changes things directly
+   * instead of proposing the changes (see setCreateDirectly()), so whatever
+   * its tools do, such as creating content or config, happens on the site.
+   * Only the agent itself is left unsaved.
+   *
+   * @param \Drupal\ai_agents\Entity\AiAgent $model
+   *   The agent, usually from buildAgent().
+   * @param string $prompt
+   *   The prompt.
+   * @param string $runnerId
+   *   The ID the run's decisions are logged under.
+   * @param string|null $providerOption
+   *   The provider and model as "provider__model", or NULL for the default
+   *   chat with tools model.
+   *
+   * @return array
+   *   An array with the keys:
+   *   - solvable: FALSE if the agent could not solve the task.
+   *   - response: The final answer.
+   *
+   * @throws \RuntimeException
+   *   When no provider is set up.
+   */
+  public function run(AiAgent $model, string $prompt, string $runnerId, ?string $providerOption = NULL): array {
+    $providerOption = $providerOption ?: $this->providerManager->getSimpleDefaultProviderOptions('chat_with_tools');
+    if ($providerOption === '') {
+      throw new \RuntimeException('No default provider is set up for chat with tools.');
+    }
+
+    $agent = $this->agentManager->createInstance($model->id());
+    if (!$agent instanceof AiAgentEntityWrapper) {
+      throw new \RuntimeException(sprintf('Agent "%s" is not a config agent.', $model->id()));
+    }
+    $agent->setAiAgentEntity($model);
+    $agent->setRunnerId($runnerId);
+    $agent->setTask(new Task($prompt));
+    $agent->setAiProvider($this->providerManager->loadProviderFromSimpleOption($providerOption));
+    $agent->setModelName($this->providerManager->getModelNameFromSimpleOption($providerOption));
+    $agent->setAiConfiguration([]);
+    $agent->setCreateDirectly(TRUE);
+
+    $response = match ($agent->determineSolvability()) {
+      AiAgentInterface::JOB_SOLVABLE => $agent->solve(),
+      AiAgentInterface::JOB_SHOULD_ANSWER_QUESTION => $agent->answerQuestion(),
+      AiAgentInterface::JOB_NEEDS_ANSWERS => implode("\n", $agent->askQuestion()),
+      AiAgentInterface::JOB_INFORMS => $agent->inform(),
+      default => NULL,
+    };
+
+    return [
+      'solvable' => $response !== NULL,
+      'response' => (string) $response,
+    ];
+  }
+
+  /**
+   * Gets the models an agent can be run with.
+   *
+   * @return array
+   *   Labels of the chat with tools models of the providers that are set up,
+   *   keyed by "provider__model".
+   */
+  public function getModelOptions(): array {
+    return $this->providerManager->getSimpleProviderModelOptions('chat_with_tools', FALSE);
+  }
+
+  /**
+   * Whether decisions of runs are logged.
+   */
+  public function hasSteps(): bool {
+    return $this->entityTypeManager->hasDefinition('ai_agent_decision');
+  }
+
+  /**
+   * Gets the steps a run took so far.
+   *
+   * @param string $runnerId
+   *   The runner ID passed to run().
+   *
+   * @return array
+   *   Steps in the order they happened, each with the keys:
+   *   - id: The decision ID.
+   *   - agentId: The machine name of the agent that decided.
+   *   - created: When it decided, in seconds with microseconds.
+   *   - tools: Function call plugin IDs of the tools it called.
+   *   - response: What it answered.
+   */
+  public function getSteps(string $runnerId): array {
+    if (!$this->hasSteps()) {
+      return [];
+    }
+
+    $decisions = $this->entityTypeManager->getStorage('ai_agent_decision')->loadByProperties(['runner_id' => $runnerId]);
+    $steps = [];
+    foreach ($decisions as $decision) {
+      $response = (string) $decision->get('response_given')->value;
+      preg_match_all('/^Tool: (.+)$/m', $response, $matches);
+      $steps[] = [
+        'id' => $decision->id(),
+        // Decisions are labelled "Ran {agent_id}.yaml".
+        'agentId' => preg_replace('/^Ran (.+)\.yaml$/', '$1', (string) $decision->label()),
+        'created' => (float) $decision->get('microtime')->value,
+        'tools' => array_values(array_filter(array_map([$this, 'getToolId'], $matches[1]))),
+        'response' => $response,
+      ];
+    }
+    usort($steps, fn(array $a, array $b) => $a['created'] <=> $b['created']);
+
+    return $steps;
+  }
+
+  /**
+   * Gets the plugin ID of a tool from its function name.
+   */
+  protected function getToolId(string $functionName): ?string {
+    foreach ($this->functionCallPluginManager->getDefinitions() as $id => $definition) {
+      if (($definition['function_name'] ?? NULL) === trim($functionName)) {
+        return $id;
+      }
+    }
+    return NULL;
+  }
+
+}
@@ -7,9 +7,11 @@ namespace Drupal\flowdrop_ui_agents\Service;
 use Drupal\ai\Service\FunctionCalling\FunctionCallPluginManager;
 use Drupal\ai_agents\Entity\AiAgent;
 use Drupal\Component\Plugin\ConfigurableInterface;
+use Drupal\Component\Utility\Crypt;
 use Drupal\Core\Config\Entity\ConfigEntityInterface;
 use Drupal\Core\Entity\EntityTypeManagerInterface;
 use Drupal\Core\Form\FormState;
+use Drupal\Core\KeyValueStore\KeyValueFactoryInterface;
 use Drupal\Core\Logger\LoggerChannelFactoryInterface;
 use Drupal\Core\Plugin\PluginFormInterface;
 use Drupal\modeler_api\Api;
@@ -62,6 +64,23 @@ class AgentWorkflowMapper {
     'User' => 'var(--color-ref-purple-500)',
   ];
 
+  /**
+   * Key/value collection of the node groups, keyed by agent ID.
+   */
+  const GROUPS_COLLECTION = 'flowdrop_ui_agents.groups';
+
+  /**
+   * Key/value collection of when agents were last saved, keyed by agent ID.
+   */
+  const CHANGED_COLLECTION = 'flowdrop_ui_agents.changed';
+
+  /**
+   * Node positions and groups waiting for their agent to be saved.
+   *
+   * Keyed by agent ID.
+   */
+  protected array $queuedLayouts = [];
+
   /**
    * Constructs the AgentWorkflowMapper service.
    */
@@ -69,6 +88,7 @@ class AgentWorkflowMapper {
     protected EntityTypeManagerInterface $entityTypeManager,
     protected FunctionCallPluginManager $functionCallPluginManager,
     protected LoggerChannelFactoryInterface $loggerFactory,
+    protected KeyValueFactoryInterface $keyValueFactory,
   ) {}
 
   /**
@@ -143,10 +163,73 @@ class AgentWorkflowMapper {
           'orchestration_agent' => $agent->get('orchestration_agent') ?? FALSE,
           'triage_agent' => $agent->get('triage_agent') ?? FALSE,
         ],
+        'revision' => $this->getRevision($agent),
+        'changed' => $this->getChangedTime($agent),
+        'groups' => $this->buildGroups($agent, $nodes),
       ],
     ];
   }
 
+  /**
+   * Computes a revision hash for an AI Agent entity.
+   *
+   * AI Agents are config entities without revisions, so the hash of the
+   * stored values stands in for one. It changes whenever anyone saves a
+   * different configuration, which lets the editor detect stale writes.
+   *
+   * @param \Drupal\ai_agents\Entity\AiAgent $agent
+   *   The AI Agent entity.
+   *
+   * @return string
+   *   The revision hash.
+   */
+  public function getRevision(AiAgent $agent): string {
+    $values = $agent->toArray();
+    unset($values['_core']);
+    return Crypt::hashBase64(serialize($values));
+  }
+
+  /**
+   * Gets when an AI Agent entity was last saved.
+   *
+   * AI Agents have no changed field, so the time is recorded in key/value
+   * storage whenever they are saved. Keeping it out of the agent config
+   * spares config exports a new value on every save.
+   *
+   * @param \Drupal\ai_agents\Entity\AiAgent $agent
+   *   The AI Agent entity.
+   *
+   * @return int|null
+   *   The Unix timestamp, or NULL for agents not saved since this module
+   *   was installed.
+   */
+  public function getChangedTime(AiAgent $agent): ?int {
+    $changed = $this->keyValueFactory->get(self::CHANGED_COLLECTION)->get((string) $agent->id());
+    return $changed === NULL ? NULL : (int) $changed;
+  }
+
+  /**
+   * Records when an AI Agent entity was saved.
+   *
+   * @param string $agentId
+   *   The AI Agent machine name.
+   * @param int $time
+   *   The Unix timestamp.
+   */
+  public function setChangedTime(string $agentId, int $time): void {
+    $this->keyValueFactory->get(self::CHANGED_COLLECTION)->set($agentId, $time);
+  }
+
+  /**
+   * Forgets when an AI Agent entity was saved.
+   *
+   * @param string $agentId
+   *   The AI Agent machine name.
+   */
+  public function deleteChangedTime(string $agentId): void {
+    $this->keyValueFactory->get(self::CHANGED_COLLECTION)->delete($agentId);
+  }
+
   /**
    * Creates a FlowDrop node for the main agent.
    */
@@ -798,4 +881,233 @@ class AgentWorkflowMapper {
     $agent->setThirdPartySetting('flowdrop_ui_agents', 'positions', $positions);
   }
 
+  /**
+   * Loads the node groups of an agent.
+   *
+   * Groups only arrange the canvas, so they are kept in key/value storage
+   * rather than the agent config: collapsing one neither shows up in config
+   * exports nor changes the revision of the agent. Members are stored as
+   * "agent" and "tool:{tool ID}", which survive tool nodes being renumbered.
+   *
+   * @param string $agentId
+   *   The AI Agent machine name.
+   *
+   * @return array
+   *   Groups of {id, label, collapsed, nodes}.
+   */
+  public function loadGroups(string $agentId): array {
+    return $this->keyValueFactory->get(self::GROUPS_COLLECTION)->get($agentId, []);
+  }
+
+  /**
+   * Saves the node groups of an agent.
+   *
+   * @param string $agentId
+   *   The AI Agent machine name.
+   * @param array $groups
+   *   Groups of {id, label, collapsed, nodes}, see self::loadGroups().
+   */
+  public function saveGroups(string $agentId, array $groups): void {
+    $store = $this->keyValueFactory->get(self::GROUPS_COLLECTION);
+    if ($groups) {
+      $store->set($agentId, array_values($groups));
+    }
+    else {
+      $store->delete($agentId);
+    }
+  }
+
+  /**
+   * Deletes the node groups of an agent.
+   *
+   * @param string $agentId
+   *   The AI Agent machine name.
+   */
+  public function deleteGroups(string $agentId): void {
+    $this->keyValueFactory->get(self::GROUPS_COLLECTION)->delete($agentId);
+  }
+
+  /**
+   * Gets the node groups of an agent in the workflow metadata format.
+   *
+   * @param \Drupal\ai_agents\Entity\AiAgent $agent
+   *   The AI Agent entity.
+   * @param array $nodes
+   *   The nodes of its workflow.
+   *
+   * @return array
+   *   Groups of {id, label, collapsed, nodeIds}.
+   */
+  protected function buildGroups(AiAgent $agent, array $nodes): array {
+    $nodeIds = [];
+    foreach ($nodes as $node) {
+      $key = ($node['data']['nodeType'] ?? '') === 'tool'
+        ? 'tool:' . ($node['data']['toolId'] ?? $node['data']['config']['toolId'] ?? '')
+        : ($node['id'] === 'agent_' . $agent->id() ? 'agent' : NULL);
+      if ($key !== NULL) {
+        $nodeIds[$key] = $node['id'];
+      }
+    }
+
+    $groups = [];
+    foreach ($this->loadGroups((string) $agent->id()) as $group) {
+      $members = array_values(array_filter(array_map(fn ($key) => $nodeIds[$key] ?? NULL, $group['nodes'] ?? [])));
+      if ($members) {
+        $groups[] = [
+          'id' => $group['id'],
+          'label' => $group['label'],
+          'collapsed' => (bool) $group['collapsed'],
+          'nodeIds' => $members,
+        ];
+      }
+    }
+    return $groups;
+  }
+
+  /**
+   * Remembers the node positions and groups of a workflow about to be saved.
+   *
+   * The Modeler API saves the agent from components, which carry neither;
+   * they are stored when the agent is saved. Tool nodes are renumbered when
+   * the agent is loaded again, so they are remembered by tool ID.
+   *
+   * @param array $workflow
+   *   The FlowDrop workflow data.
+   *
+   * @see self::applyQueuedLayout()
+   * @see self::saveQueuedGroups()
+   */
+  public function queueLayout(array $workflow): void {
+    $agentId = $workflow['id'] ?? '';
+    $agentNodeId = 'agent_' . $agentId;
+    $nodes = array_column($workflow['nodes'] ?? [], NULL, 'id');
+    if ($agentId === '' || !isset($nodes[$agentNodeId])) {
+      return;
+    }
+
+    // Only the agent and its own tools are shown when it is loaded again.
+    $keys = [$agentNodeId => 'agent'];
+    foreach ($workflow['edges'] ?? [] as $edge) {
+      $node = $nodes[$edge['target'] ?? ''] ?? NULL;
+      if (($edge['source'] ?? '') !== $agentNodeId || ($node['data']['nodeType'] ?? '') !== 'tool') {
+        continue;
+      }
+      $toolId = $node['data']['toolId'] ?? $node['data']['config']['toolId'] ?? '';
+      if ($toolId !== '' && !in_array('tool:' . $toolId, $keys, TRUE)) {
+        $keys[$node['id']] = 'tool:' . $toolId;
+      }
+    }
+
+    $positions = [];
+    foreach ($keys as $nodeId => $key) {
+      if (isset($nodes[$nodeId]['position'])) {
+        $positions[$key] = $this->normalizePosition($nodes[$nodeId]['position']);
+      }
+    }
+
+    $groups = [];
+    foreach ($workflow['metadata']['groups'] ?? [] as $group) {
+      $members = array_values(array_unique(array_filter(array_map(
+        fn ($nodeId) => $keys[$nodeId] ?? NULL,
+        (array) ($group['nodeIds'] ?? []),
+      ))));
+      if ($members) {
+        $groups[] = [
+          'id' => (string) ($group['id'] ?? ''),
+          'label' => (string) ($group['label'] ?? ''),
+          'collapsed' => (bool) ($group['collapsed'] ?? FALSE),
+          'nodes' => $members,
+        ];
+      }
+    }
+
+    $this->queuedLayouts[$agentId] = [
+      'positions' => $positions,
+      'groups' => $groups,
+    ];
+  }
+
+  /**
+   * Stores the queued node positions on an agent being saved.
+   *
+   * @param \Drupal\ai_agents\Entity\AiAgent $agent
+   *   The agent.
+   */
+  public function applyQueuedLayout(AiAgent $agent): void {
+    $positions = $this->queuedLayouts[$agent->id()]['positions'] ?? NULL;
+    if ($positions === NULL) {
+      return;
+    }
+    unset($this->queuedLayouts[$agent->id()]['positions']);
+
+    $nodeIds = $this->getLayoutNodeIds($agent);
+    $stored = [];
+    foreach ($positions as $key => $position) {
+      if (isset($nodeIds[$key])) {
+        $stored[$nodeIds[$key]] = $position;
+      }
+    }
+    $this->savePositions($agent, $stored);
+  }
+
+  /**
+   * Stores the queued node groups of an agent once it is saved.
+   *
+   * Members that are no longer tools of the agent are left out.
+   *
+   * @param \Drupal\ai_agents\Entity\AiAgent $agent
+   *   The saved agent.
+   */
+  public function saveQueuedGroups(AiAgent $agent): void {
+    $queued = $this->queuedLayouts[$agent->id()]['groups'] ?? NULL;
+    unset($this->queuedLayouts[$agent->id()]);
+    if ($queued === NULL) {
+      return;
+    }
+
+    $keys = $this->getLayoutNodeIds($agent);
+    $groups = [];
+    foreach ($queued as $group) {
+      $group['nodes'] = array_values(array_filter($group['nodes'], fn ($key) => isset($keys[$key])));
+      if ($group['nodes']) {
+        $groups[] = $group;
+      }
+    }
+    $this->saveGroups((string) $agent->id(), $groups);
+  }
+
+  /**
+   * Gets the node IDs of an agent's workflow by their layout keys.
+   *
+   * Positions and groups are remembered as "agent" and "tool:{tool ID}";
+   * tool nodes are numbered like agentToWorkflow() numbers them, by the
+   * enabled tools of the agent.
+   *
+   * @param \Drupal\ai_agents\Entity\AiAgent $agent
+   *   The AI Agent entity.
+   *
+   * @return array
+   *   Node IDs keyed by layout key.
+   */
+  public function getLayoutNodeIds(AiAgent $agent): array {
+    $nodeIds = ['agent' => 'agent_' . $agent->id()];
+    $toolIndex = 0;
+    foreach ($agent->get('tools') ?? [] as $toolId => $enabled) {
+      if ($enabled) {
+        $nodeIds['tool:' . $toolId] = 'tool_' . $toolIndex++;
+      }
+    }
+    return $nodeIds;
+  }
+
+  /**
+   * Reduces a node position to its coordinates.
+   */
+  public function normalizePosition(array $position): array {
+    return [
+      'x' => (float) ($position['x'] ?? 0),
+      'y' => (float) ($position['y'] ?? 0),
+    ];
+  }
+
 }
@@ -0,0 +1,235 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\flowdrop_ui_agents\Service;
+
+use Drupal\Component\Datetime\TimeInterface;
+use Drupal\Component\Uuid\UuidInterface;
+use Drupal\Core\KeyValueStore\KeyValueFactoryInterface;
+use Drupal\Core\KeyValueStore\KeyValueStoreInterface;
+use Drupal\Core\Lock\LockBackendInterface;
+use Drupal\Core\Session\AccountInterface;
+
+/**
+ * Stores review comments on the nodes and edges of AI Agents.
+ *
+ * Each agent has its own key/value collection of threads keyed by thread
+ * ID, so comments never end up in the agent config or its exports. A thread
+ * is {id, target: {type, id}, status, comments, created, resolved}, where
+ * each comment is {id, body, author: {uid, name}, created}. Tool nodes are
+ * renumbered whenever an agent is loaded, so the editor does not attach
+ * threads to node IDs: a node target is "agent_{agent ID}" or "tool:{tool
+ * plugin ID}", an edge target the targets of its ends joined by "->".
+ */
+class CommentStorage {
+
+  /**
+   * Prefix of the per-agent key/value collections.
+   */
+  const COLLECTION = 'flowdrop_ui_agents.comments';
+
+  /**
+   * Kinds of canvas elements a thread can be attached to.
+   */
+  const TARGET_TYPES = ['node', 'edge'];
+
+  /**
+   * Thread statuses.
+   */
+  const STATUSES = ['open', 'resolved'];
+
+  /**
+   * Seconds a change may hold the lock of a thread.
+   */
+  const LOCK_TIMEOUT = 5.0;
+
+  /**
+   * Constructs the CommentStorage service.
+   */
+  public function __construct(
+    protected KeyValueFactoryInterface $keyValueFactory,
+    protected AccountInterface $currentUser,
+    protected TimeInterface $time,
+    protected UuidInterface $uuid,
+    protected LockBackendInterface $lock,
+  ) {}
+
+  /**
+   * Loads the comment threads of an agent.
+   *
+   * @param string $agentId
+   *   The AI Agent machine name.
+   *
+   * @return array
+   *   The threads, oldest first.
+   */
+  public function loadThreads(string $agentId): array {
+    $threads = array_values($this->store($agentId)->getAll());
+    usort($threads, fn(array $a, array $b) => strcmp($a['created'], $b['created']));
+    return $threads;
+  }
+
+  /**
+   * Starts a thread on a node or edge of an agent.
+   *
+   * @param string $agentId
+   *   The AI Agent machine name.
+   * @param string $targetType
+   *   One of self::TARGET_TYPES.
+   * @param string $targetId
+   *   The node or edge key.
+   * @param string $body
+   *   The first comment.
+   *
+   * @return array
+   *   The new thread.
+   */
+  public function createThread(string $agentId, string $targetType, string $targetId, string $body): array {
+    $comment = $this->createComment($body);
+    $thread = [
+      'id' => $this->uuid->generate(),
+      'target' => [
+        'type' => $targetType,
+        'id' => $targetId,
+      ],
+      'status' => 'open',
+      'comments' => [$comment],
+      'created' => $comment['created'],
+      'resolved' => NULL,
+    ];
+    $this->store($agentId)->set($thread['id'], $thread);
+    return $thread;
+  }
+
+  /**
+   * Adds a reply to a thread.
+   *
+   * @param string $agentId
+   *   The AI Agent machine name.
+   * @param string $threadId
+   *   The thread ID.
+   * @param string $body
+   *   The reply.
+   *
+   * @return array|null
+   *   The updated thread, or NULL if there is no such thread.
+   */
+  public function reply(string $agentId, string $threadId, string $body): ?array {
+    return $this->updateThread($agentId, $threadId, function (array $thread) use ($body): array {
+      $thread['comments'][] = $this->createComment($body);
+      return $thread;
+    });
+  }
+
+  /**
+   * Resolves or reopens a thread.
+   *
+   * @param string $agentId
+   *   The AI Agent machine name.
+   * @param string $threadId
+   *   The thread ID.
+   * @param string $status
+   *   One of self::STATUSES.
+   *
+   * @return array|null
+   *   The updated thread, or NULL if there is no such thread.
+   */
+  public function setStatus(string $agentId, string $threadId, string $status): ?array {
+    return $this->updateThread($agentId, $threadId, function (array $thread) use ($status): array {
+      $thread['status'] = $status;
+      $thread['resolved'] = $status === 'resolved' ? [
+        'author' => $this->author(),
+        'created' => $this->now(),
+      ] : NULL;
+      return $thread;
+    });
+  }
+
+  /**
+   * Deletes all threads of an agent.
+   *
+   * @param string $agentId
+   *   The AI Agent machine name.
+   */
+  public function deleteAll(string $agentId): void {
+    $this->store($agentId)->deleteAll();
+  }
+
+  /**
+   * Changes a thread while holding its lock.
+   *
+   * Two people replying at the same time would otherwise both read the
+   * thread and the second write would drop the first reply.
+   *
+   * @param string $agentId
+   *   The AI Agent machine name.
+   * @param string $threadId
+   *   The thread ID.
+   * @param callable $change
+   *   Gets the stored thread and returns the changed one.
+   *
+   * @return array|null
+   *   The changed thread, or NULL if there is no such thread.
+   *
+   * @throws \RuntimeException
+   *   When the thread stays locked by another change.
+   */
+  protected function updateThread(string $agentId, string $threadId, callable $change): ?array {
+    $name = 'flowdrop_ui_agents.comments:' . $agentId . ':' . $threadId;
+    if (!$this->lock->acquire($name, self::LOCK_TIMEOUT)) {
+      if ($this->lock->wait($name, (int) self::LOCK_TIMEOUT) || !$this->lock->acquire($name, self::LOCK_TIMEOUT)) {
+        throw new \RuntimeException('The comment thread is being changed by someone else.');
+      }
+    }
+    try {
+      $thread = $this->store($agentId)->get($threadId);
+      if (!$thread) {
+        return NULL;
+      }
+      $thread = $change($thread);
+      $this->store($agentId)->set($threadId, $thread);
+      return $thread;
+    }
+    finally {
+      $this->lock->release($name);
+    }
+  }
+
+  /**
+   * Creates a comment by the current user.
+   */
+  protected function createComment(string $body): array {
+    return [
+      'id' => $this->uuid->generate(),
+      'body' => $body,
+      'author' => $this->author(),
+      'created' => $this->now(),
+    ];
+  }
+
+  /**
+   * Gets the current user as a comment author.
+   */
+  protected function author(): array {
+    return [
+      'uid' => (int) $this->currentUser->id(),
+      'name' => $this->currentUser->getDisplayName(),
+    ];
+  }
+
+  /**
+   * Gets the request time as an ISO 8601 date.
+   */
+  protected function now(): string {
+    return date(DATE_ATOM, $this->time->getRequestTime());
+  }
+
+  /**
+   * Gets the thread collection of an agent.
+   */
+  protected function store(string $agentId): KeyValueStoreInterface {
+    return $this->keyValueFactory->get(self::COLLECTION . '.' . $agentId);
+  }
+
+}
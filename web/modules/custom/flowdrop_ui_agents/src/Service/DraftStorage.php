@@ -0,0 +1,108 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\flowdrop_ui_agents\Service;
+
+use Drupal\Component\Datetime\TimeInterface;
+use Drupal\Core\KeyValueStore\KeyValueExpirableFactoryInterface;
+use Drupal\Core\KeyValueStore\KeyValueStoreExpirableInterface;
+use Drupal\Core\Session\AccountInterface;
+
+/**
+ * Stores unsaved FlowDrop workflows of AI Agents per user.
+ *
+ * Drafts live in an expirable key/value collection instead of the agent
+ * config, so they never end up in config exports and follow the user to
+ * other browsers. Drafts use the format of the FlowDrop library's
+ * localStorage drafts: {workflow, metadata: {savedAt, workflowId,
+ * workflowName}}.
+ */
+class DraftStorage {
+
+  /**
+   * The key/value collection drafts are stored in.
+   */
+  const COLLECTION = 'flowdrop_ui_agents.drafts';
+
+  /**
+   * How long an untouched draft is kept, in seconds.
+   */
+  const EXPIRE = 2592000;
+
+  /**
+   * Largest draft accepted, in bytes of workflow JSON.
+   */
+  const MAX_SIZE = 1048576;
+
+  /**
+   * Constructs the DraftStorage service.
+   */
+  public function __construct(
+    protected KeyValueExpirableFactoryInterface $keyValueExpirableFactory,
+    protected AccountInterface $currentUser,
+    protected TimeInterface $time,
+  ) {}
+
+  /**
+   * Loads the current user's draft of an agent.
+   *
+   * @param string $agentId
+   *   The AI Agent machine name, or "new" for an agent not saved yet.
+   *
+   * @return array|null
+   *   The draft, or NULL if there is none.
+   */
+  public function load(string $agentId): ?array {
+    return $this->store()->get($this->key($agentId));
+  }
+
+  /**
+   * Saves the current user's draft of an agent.
+   *
+   * @param string $agentId
+   *   The AI Agent machine name, or "new" for an agent not saved yet.
+   * @param array $workflow
+   *   The decoded FlowDrop workflow.
+   *
+   * @return array
+   *   The stored draft.
+   */
+  public function save(string $agentId, array $workflow): array {
+    $draft = [
+      'workflow' => $workflow,
+      'metadata' => [
+        'savedAt' => date(DATE_ATOM, $this->time->getRequestTime()),
+        'workflowId' => $workflow['id'] ?? $agentId,
+        'workflowName' => $workflow['name'] ?? '',
+      ],
+    ];
+    $this->store()->setWithExpire($this->key($agentId), $draft, self::EXPIRE);
+    return $draft;
+  }
+
+  /**
+   * Deletes the current user's draft of an agent.
+   *
+   * @param string $agentId
+   *   The AI Agent machine name, or "new" for an agent not saved yet.
+   */
+  public function delete(string $agentId): void {
+    $this->store()->delete($this->key($agentId));
+  }
+
+  /**
+   * Gets the draft key of an agent for the current user.
+   */
+  protected function key(string $agentId): string {
+    return $this->currentUser->id() . ':' . $agentId;
+  }
+
+  /**
+   * Gets the draft collection.
+   */
+  protected function store(): KeyValueStoreExpirableInterface {
+    return $this->keyValueExpirableFactory->get(self::COLLECTION);
+  }
+
+}
@@ -0,0 +1,122 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\flowdrop_ui_agents\Service;
+
+use Drupal\ai_agents\Entity\AiAgent;
+use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\Core\Lock\LockBackendInterface;
+use Drupal\flowdrop_ui_agents\Exception\StaleRevisionException;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\RequestStack;
+
+/**
+ * Refuses saves of AI Agents that were changed since the editor loaded them.
+ *
+ * The editor sends the revision it loaded as metadata.baseRevision with
+ * every save. The save compares it with the stored agent while holding a
+ * per-agent lock, so no other save can land between the check and the
+ * write, and answers 409 with the stored agent when they differ. The
+ * revision written by a save is added to its response, so the editor does
+ * not have to ask for it again.
+ */
+class RevisionGuard {
+
+  /**
+   * Request attribute the revisions of the agents saved are kept in.
+   */
+  const ATTRIBUTE = '_flowdrop_ui_agents_revisions';
+
+  /**
+   * Seconds a save may hold the lock of an agent.
+   */
+  const LOCK_TIMEOUT = 30.0;
+
+  /**
+   * Constructs the RevisionGuard service.
+   */
+  public function __construct(
+    protected EntityTypeManagerInterface $entityTypeManager,
+    protected AgentWorkflowMapper $agentWorkflowMapper,
+    protected LockBackendInterface $lock,
+    protected RequestStack $requestStack,
+  ) {}
+
+  /**
+   * Checks that an agent is still at the revision the editor loaded.
+   *
+   * Takes the lock of the agent, which is held until the agent is saved or
+   * the request ends. While another save holds it, waits for that save and
+   * checks against its result.
+   *
+   * @param string $agentId
+   *   The AI Agent machine name.
+   * @param string $baseRevision
+   *   The revision the editor loaded.
+   *
+   * @throws \Drupal\flowdrop_ui_agents\Exception\StaleRevisionException
+   *   When the agent was saved by someone else in the meantime, or another
+   *   save of it still holds the lock.
+   */
+  public function assertCurrent(string $agentId, string $baseRevision): void {
+    $name = $this->lockName($agentId);
+    $locked = $this->lock->acquire($name, self::LOCK_TIMEOUT);
+    if (!$locked) {
+      $locked = !$this->lock->wait($name, (int) self::LOCK_TIMEOUT) && $this->lock->acquire($name, self::LOCK_TIMEOUT);
+    }
+
+    $agent = $this->entityTypeManager->getStorage('ai_agent')->loadUnchanged($agentId);
+    if (!$agent instanceof AiAgent) {
+      return;
+    }
+    $revision = $this->agentWorkflowMapper->getRevision($agent);
+    if (!$locked || !hash_equals($revision, $baseRevision)) {
+      if ($locked) {
+        $this->lock->release($name);
+      }
+      throw new StaleRevisionException($agentId, $revision, $this->agentWorkflowMapper->agentToWorkflow($agent));
+    }
+  }
+
+  /**
+   * Records the revision an agent was saved at and releases its lock.
+   *
+   * @param \Drupal\ai_agents\Entity\AiAgent $agent
+   *   The saved agent.
+   */
+  public function recordSaved(AiAgent $agent): void {
+    $agentId = (string) $agent->id();
+    // The stored values, cast by the config schema, are what later checks
+    // compare with.
+    $stored = $this->entityTypeManager->getStorage('ai_agent')->loadUnchanged($agentId);
+    $request = $this->requestStack->getCurrentRequest();
+    if ($stored instanceof AiAgent && $request) {
+      $revisions = $request->attributes->get(self::ATTRIBUTE, []);
+      $revisions[$agentId] = $this->agentWorkflowMapper->getRevision($stored);
+      $request->attributes->set(self::ATTRIBUTE, $revisions);
+    }
+    $this->lock->release($this->lockName($agentId));
+  }
+
+  /**
+   * Gets the revisions of the agents saved while handling a request.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request.
+   *
+   * @return array
+   *   Revisions keyed by agent machine name.
+   */
+  public function getSavedRevisions(Request $request): array {
+    return $request->attributes->get(self::ATTRIBUTE, []);
+  }
+
+  /**
+   * Builds the name of the lock of an agent.
+   */
+  protected function lockName(string $agentId): string {
+    return 'flowdrop_ui_agents.save:' . $agentId;
+  }
+
+}
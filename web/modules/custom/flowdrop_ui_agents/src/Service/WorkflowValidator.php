@@ -0,0 +1,141 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\flowdrop_ui_agents\Service;
+
+use Drupal\ai\Service\FunctionCalling\FunctionCallPluginManager;
+
+/**
+ * Validates a FlowDrop workflow before it is saved as an AI Agent.
+ *
+ * Every violation names the node and config field it belongs to, so the
+ * editor can point at the offending node and form field instead of showing
+ * one flat message.
+ */
+class WorkflowValidator {
+
+  /**
+   * Constructs the WorkflowValidator service.
+   */
+  public function __construct(
+    protected FunctionCallPluginManager $functionCallPluginManager,
+  ) {}
+
+  /**
+   * Validates a workflow.
+   *
+   * @param array $workflow
+   *   The decoded FlowDrop workflow.
+   *
+   * @return array
+   *   List of violations, empty if the workflow can be saved. Each violation
+   *   has the keys:
+   *   - nodeId: The node the violation belongs to, or NULL for the workflow.
+   *   - field: The node config key, or NULL for the node as a whole.
+   *   - message: The human-readable message.
+   */
+  public function validate(array $workflow): array {
+    $violations = [];
+    $nodes = $workflow['nodes'] ?? [];
+    $nodeIds = [];
+    $hasAgent = FALSE;
+
+    foreach ($nodes as $node) {
+      if (!is_array($node) || !is_string($node['id'] ?? NULL) || $node['id'] === '') {
+        $violations[] = $this->violation(NULL, NULL, 'The workflow contains a node without an ID.');
+        continue;
+      }
+      $nodeIds[$node['id']] = TRUE;
+
+      switch ($node['data']['nodeType'] ?? 'unknown') {
+        case 'agent':
+          $hasAgent = TRUE;
+          $violations = array_merge($violations, $this->validateAgentNode($node));
+          break;
+
+        case 'tool':
+          $violations = array_merge($violations, $this->validateToolNode($node));
+          break;
+      }
+    }
+
+    if (!$hasAgent) {
+      $violations[] = $this->violation(NULL, NULL, 'The workflow must contain an agent node.');
+    }
+
+    foreach ($workflow['edges'] ?? [] as $edge) {
+      // Numeric node IDs come back from array keys as integers.
+      $ends = [
+        'source' => is_scalar($edge['source'] ?? NULL) ? (string) $edge['source'] : '',
+        'target' => is_scalar($edge['target'] ?? NULL) ? (string) $edge['target'] : '',
+      ];
+      foreach ($ends as $end => $nodeId) {
+        if (!isset($nodeIds[$nodeId])) {
+          $other = $ends[$end === 'source' ? 'target' : 'source'];
+          $violations[] = $this->violation(
+            isset($nodeIds[$other]) ? $other : NULL,
+            NULL,
+            sprintf('Connection "%s" points to a node that no longer exists.', is_scalar($edge['id'] ?? NULL) ? $edge['id'] : ''),
+          );
+        }
+      }
+    }
+
+    return $violations;
+  }
+
+  /**
+   * Validates the config of an agent node.
+   */
+  protected function validateAgentNode(array $node): array {
+    $violations = [];
+    $config = $node['data']['config'] ?? [];
+
+    if (trim((string) ($config['label'] ?? '')) === '') {
+      $violations[] = $this->violation($node['id'], 'label', 'Label is required.');
+    }
+    if (trim((string) ($config['systemPrompt'] ?? '')) === '') {
+      $violations[] = $this->violation($node['id'], 'systemPrompt', 'System prompt is required.');
+    }
+
+    $maxLoops = $config['maxLoops'] ?? NULL;
+    if ($maxLoops === NULL || $maxLoops === '') {
+      $violations[] = $this->violation($node['id'], 'maxLoops', 'Max loops is required.');
+    }
+    elseif (filter_var($maxLoops, FILTER_VALIDATE_INT, ['options' => ['min_range' => 1]]) === FALSE) {
+      $violations[] = $this->violation($node['id'], 'maxLoops', 'Max loops must be a positive whole number.');
+    }
+
+    return $violations;
+  }
+
+  /**
+   * Validates that a tool node refers to an available tool.
+   */
+  protected function validateToolNode(array $node): array {
+    $config = $node['data']['config'] ?? [];
+    $toolId = $node['data']['toolId'] ?? $config['tool_id'] ?? $config['toolId'] ?? '';
+
+    if ($toolId === '') {
+      return [$this->violation($node['id'], NULL, 'The tool node does not reference a tool.')];
+    }
+    if (!$this->functionCallPluginManager->hasDefinition($toolId)) {
+      return [$this->violation($node['id'], 'tool_id', sprintf('Tool "%s" is not available on this site.', $toolId))];
+    }
+
+    return [];
+  }
+
+  /**
+   * Builds a violation.
+   */
+  protected function violation(?string $nodeId, ?string $field, string $message): array {
+    return [
+      'nodeId' => $nodeId,
+      'field' => $field,
+      'message' => $message,
+    ];
+  }
+
+}
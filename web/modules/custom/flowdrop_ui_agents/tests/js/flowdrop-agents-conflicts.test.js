@@ -0,0 +1,113 @@
+/**
+ * @file
+ * Tests the three-way diff and merge of agent saves.
+ *
+ * Run with: node --test web/modules/custom/flowdrop_ui_agents/tests/js
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { load } = require('./helpers');
+
+const { diffWorkflows, mergeWorkflows, getNodeKey } = load(['flowdrop-agents-conflicts.js']).Drupal.flowdropAgents;
+
+/**
+ * Builds a workflow of the assistant agent with tool nodes.
+ */
+function workflow(tools, extraEdges = []) {
+  const nodes = [{ id: 'agent_assistant', data: { nodeType: 'agent', label: 'Assistant', config: { max_loops: 3 } } }];
+  const edges = [];
+  tools.forEach(function (tool) {
+    nodes.push({ id: tool.id, position: { x: 300, y: 0 }, data: { nodeType: 'tool', label: tool.toolId, toolId: tool.toolId, config: tool.config || {} } });
+    edges.push({ id: 'edge_agent_assistant_to_' + tool.id, source: 'agent_assistant', target: tool.id, sourceHandle: 'agent_assistant-output-tools', targetHandle: tool.id + '-input-tool' });
+  });
+  return { id: 'assistant', nodes: nodes, edges: edges.concat(extraEdges) };
+}
+
+// The server renumbered the tools since the agent was loaded.
+const base = workflow([
+  { id: 'tool_0', toolId: 'search', config: { limit: 1 } },
+  { id: 'tool_1', toolId: 'fetch' },
+]);
+const mine = workflow([
+  { id: 'tool_0', toolId: 'search', config: { limit: 2 } },
+  { id: 'tool_1', toolId: 'fetch' },
+  { id: 'tool_2', toolId: 'summarize' },
+]);
+const theirs = workflow([
+  { id: 'tool_0', toolId: 'fetch' },
+  { id: 'tool_1', toolId: 'search', config: { limit: 1, strict: true } },
+]);
+
+describe('getNodeKey', () => {
+  it('keys tool nodes by their tool', () => {
+    assert.equal(getNodeKey({ id: 'tool_3', data: { nodeType: 'tool', toolId: 'search' } }), 'tool:search');
+    assert.equal(getNodeKey({ id: 'tool_3', data: { nodeType: 'tool', config: { toolId: 'search' } } }), 'tool:search');
+    assert.equal(getNodeKey({ id: 'agent_assistant', data: { nodeType: 'agent', config: { toolId: 'search' } } }), 'agent_assistant');
+    assert.equal(getNodeKey({ id: 'tool_3' }), 'tool_3');
+  });
+});
+
+describe('diffWorkflows', () => {
+  it('matches renumbered tools and lists what changed on each side', () => {
+    const items = Array.from(diffWorkflows(base, mine, theirs), (item) => ({ ...item }));
+    assert.deepEqual(items, [
+      { type: 'config', key: 'tool:search', configKey: 'limit', label: 'search: limit', base: 1, mine: 2, theirs: 1, conflict: false, choice: 'mine' },
+      { type: 'config', key: 'tool:search', configKey: 'strict', label: 'search: strict', base: undefined, mine: undefined, theirs: true, conflict: false, choice: 'theirs' },
+      { type: 'node', key: 'tool:summarize', label: 'summarize', base: false, mine: true, theirs: false, conflict: false, choice: 'mine' },
+      { type: 'edge', key: 'agent_assistant > tool:summarize', label: 'Assistant → summarize', base: false, mine: true, theirs: false, conflict: false, choice: 'mine' },
+    ]);
+  });
+
+  it('flags changes both sides made differently', () => {
+    const changed = workflow([
+      { id: 'tool_1', toolId: 'search', config: { limit: 5 } },
+      { id: 'tool_0', toolId: 'fetch' },
+    ]);
+    const [item] = diffWorkflows(base, mine, changed).filter((entry) => entry.configKey === 'limit');
+    assert.equal(item.conflict, true);
+    assert.equal(item.choice, 'mine');
+  });
+
+  it('flags tools removed on one side and edited on the other', () => {
+    const removed = workflow([{ id: 'tool_0', toolId: 'fetch' }]);
+    const [item] = diffWorkflows(base, removed, theirs).filter((entry) => entry.key === 'tool:search');
+    assert.equal(item.type, 'node');
+    assert.equal(item.conflict, true);
+    assert.equal(item.choice, 'mine');
+  });
+});
+
+describe('mergeWorkflows', () => {
+  it('applies the chosen changes to the server copy', () => {
+    const items = diffWorkflows(base, mine, theirs);
+    const merged = mergeWorkflows(mine, theirs, items);
+
+    // Nodes keep the order of the server copy and the IDs of the canvas.
+    assert.deepEqual(Array.from(merged.nodes, (node) => [node.id, node.data.toolId || null, { ...node.data.config }]), [
+      ['agent_assistant', null, { max_loops: 3 }],
+      ['tool_1', 'fetch', {}],
+      ['tool_0', 'search', { limit: 2, strict: true }],
+      ['tool_2', 'summarize', {}],
+    ]);
+    assert.deepEqual(Array.from(merged.edges, (edge) => [edge.id, edge.source, edge.target, edge.targetHandle]), [
+      ['edge_agent_assistant_to_tool_1', 'agent_assistant', 'tool_1', 'tool_1-input-tool'],
+      ['edge_agent_assistant_to_tool_0', 'agent_assistant', 'tool_0', 'tool_0-input-tool'],
+      ['edge_agent_assistant_to_tool_2', 'agent_assistant', 'tool_2', 'tool_2-input-tool'],
+    ]);
+  });
+
+  it('keeps the server copy where it was chosen', () => {
+    const items = diffWorkflows(base, mine, theirs).map((item) => Object.assign({}, item, { choice: 'theirs' }));
+    const merged = mergeWorkflows(mine, theirs, items);
+    assert.deepEqual(Array.from(merged.nodes, (node) => [node.id, node.data.toolId || null]), [
+      ['agent_assistant', null],
+      ['tool_1', 'fetch'],
+      ['tool_0', 'search'],
+    ]);
+    assert.equal(merged.nodes[2].data.config.limit, 1);
+    assert.equal(merged.edges.length, 2);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * @file
+ * Tests the client-side validation of agent workflows.
+ *
+ * Run with: node --test web/modules/custom/flowdrop_ui_agents/tests/js
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { load } = require('./helpers');
+
+const { validateWorkflow, getBlockingProblems } = load(['flowdrop-agents-validation.js']).Drupal.flowdropAgents;
+
+/**
+ * A stand-in for the library's graph helpers.
+ */
+const library = {
+  hasCycles: function (nodes, edges) {
+    return edges.some((edge) => edges.some((other) => other.source === edge.target && other.target === edge.source));
+  },
+  getPortCompatibilityChecker: function () {
+    return { areDataTypesCompatible: (output, input) => output === input || input === 'mixed' };
+  },
+};
+
+function agent(id, config = {}) {
+  return {
+    id: id,
+    data: {
+      nodeType: 'agent',
+      label: id,
+      config: Object.assign({ description: 'Helps.', systemPrompt: 'Be helpful.', maxLoops: 3, agent_id: id }, config),
+      metadata: { inputs: [{ id: 'tools', dataType: 'tool' }], outputs: [{ id: 'tools', dataType: 'tool' }] },
+    },
+  };
+}
+
+function tool(id, dataType = 'tool') {
+  return { id: id, data: { nodeType: 'tool', label: id, metadata: { inputs: [{ id: 'tool', dataType: dataType }], outputs: [] } } };
+}
+
+function edge(source, target, targetPort = 'tool') {
+  return { id: `${source}_${target}`, source: source, target: target, sourceHandle: `${source}-output-tools`, targetHandle: `${target}-input-${targetPort}` };
+}
+
+const codes = (workflow) => Array.from(validateWorkflow(workflow, library), (problem) => `${problem.severity} ${problem.code} ${problem.nodeId}`);
+
+describe('validateWorkflow', () => {
+  it('accepts an agent with a connected tool', () => {
+    assert.deepEqual(codes({ id: 'assistant', nodes: [agent('assistant'), tool('search')], edges: [edge('assistant', 'search')] }), []);
+  });
+
+  it('requires an agent', () => {
+    assert.deepEqual(codes({ id: 'assistant', nodes: [], edges: [] }), ['error no_agent null']);
+  });
+
+  it('checks the settings of agents and lists errors first', () => {
+    const workflow = { id: 'assistant', nodes: [agent('assistant', { description: ' ', systemPrompt: '', maxLoops: '1.5' }), tool('search')], edges: [] };
+    assert.deepEqual(codes(workflow), [
+      'error empty_system_prompt assistant',
+      'error invalid_max_loops assistant',
+      'warning orphan_tool search',
+      'warning empty_description assistant',
+    ]);
+    assert.equal(getBlockingProblems(validateWorkflow(workflow, library)).length, 2);
+    assert.deepEqual(codes({ id: 'assistant', nodes: [agent('assistant', { maxLoops: '' })], edges: [] }), ['error missing_max_loops assistant']);
+  });
+
+  it('reports agents calling each other in a loop', () => {
+    const workflow = {
+      id: 'triage',
+      nodes: [agent('triage'), agent('writer')],
+      edges: [edge('triage', 'writer', 'tools'), edge('writer', 'triage', 'tools')],
+    };
+    assert.deepEqual(codes(workflow), ['error sub_agent_cycle triage', 'error sub_agent_cycle writer']);
+  });
+
+  it('reports agents placed twice', () => {
+    const workflow = { id: 'assistant', nodes: [agent('assistant'), Object.assign(agent('copy'), { data: agent('assistant').data })], edges: [] };
+    assert.deepEqual(codes(workflow), ['error duplicate_machine_name assistant', 'error duplicate_machine_name copy']);
+  });
+
+  it('reports edges between ports of different types', () => {
+    const workflow = { id: 'assistant', nodes: [agent('assistant'), tool('search', 'string'), tool('fetch', 'mixed')], edges: [edge('assistant', 'search'), edge('assistant', 'fetch')] };
+    assert.deepEqual(codes(workflow), ['error port_type_mismatch search']);
+  });
+});
@@ -0,0 +1,18 @@
+/**
+ * @file
+ * Loads the agents editor scripts into a sandbox for node:test.
+ */
+
+'use strict';
+
+const path = require('node:path');
+const { createLoader } = require('../../../flowdrop_editor/tests/js/helpers');
+
+/**
+ * Runs agents editor scripts in a sandbox; see createLoader().
+ *
+ * The scripts' API is in sandbox.Drupal.flowdropAgents.
+ */
+const load = createLoader(path.join(__dirname, '..', '..', 'js'));
+
+module.exports = { load };
@@ -0,0 +1,69 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\Tests\flowdrop_ui_agents\Kernel;
+
+use Drupal\ai_agents\Entity\AiAgent;
+use Drupal\KernelTests\KernelTestBase;
+use Drupal\Tests\user\Traits\UserCreationTrait;
+
+/**
+ * Base class for kernel tests of the FlowDrop UI Agents services.
+ */
+abstract class FlowDropUiAgentsKernelTestBase extends KernelTestBase {
+
+  use UserCreationTrait;
+
+  /**
+   * {@inheritdoc}
+   */
+  protected static $modules = [
+    'system',
+    'user',
+    'key',
+    'ai',
+    'modeler_api',
+    'ai_agents',
+    'flowdrop_ui',
+    'flowdrop_editor',
+    'flowdrop_ui_agents',
+  ];
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function setUp(): void {
+    parent::setUp();
+    $this->installEntitySchema('user');
+  }
+
+  /**
+   * Creates and saves an AI Agent.
+   *
+   * @param string $id
+   *   The machine name.
+   * @param array $values
+   *   Values overriding the defaults.
+   */
+  protected function createAgent(string $id, array $values = []): AiAgent {
+    $agent = AiAgent::create($values + [
+      'id' => $id,
+      'label' => ucfirst($id),
+      'description' => '',
+      'system_prompt' => 'Answer questions about the site.',
+      'tools' => [],
+      'max_loops' => 3,
+    ]);
+    $agent->save();
+    return $agent;
+  }
+
+  /**
+   * Loads an AI Agent as it is stored.
+   */
+  protected function loadAgent(string $id): ?AiAgent {
+    return $this->container->get('entity_type.manager')->getStorage('ai_agent')->loadUnchanged($id);
+  }
+
+}
@@ -0,0 +1,227 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\Tests\flowdrop_ui_agents\Kernel\Service;
+
+use Drupal\Tests\flowdrop_ui_agents\Kernel\FlowDropUiAgentsKernelTestBase;
+use Drupal\user\Entity\Role;
+
+/**
+ * Tests exporting and importing agents with their sub-agents.
+ *
+ * @group flowdrop_ui_agents
+ * @coversDefaultClass \Drupal\flowdrop_ui_agents\Service\AgentBundler
+ */
+class AgentBundlerTest extends FlowDropUiAgentsKernelTestBase {
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function setUp(): void {
+    parent::setUp();
+    Role::create(['id' => 'editor', 'label' => 'Editor'])->save();
+
+    $this->createAgent('helper', [
+      'tools' => ['ai_agent:list_entity_types' => TRUE],
+    ]);
+    $mapper = $this->container->get('flowdrop_ui_agents.agent_workflow_mapper');
+    $assistant = $this->createAgent('assistant', [
+      'tools' => [
+        'ai_agents::ai_agent::helper' => TRUE,
+        'ai_agent:list_content_entities' => TRUE,
+      ],
+      'masquerade_roles' => ['editor'],
+    ]);
+    $mapper->savePositions($assistant, [
+      'agent_assistant' => ['x' => 0.0, 'y' => 0.0],
+      'tool_0' => ['x' => 250.0, 'y' => 0.0],
+    ]);
+    $assistant->save();
+    $mapper->saveGroups('assistant', [
+      ['id' => 'helpers', 'label' => 'Helpers', 'collapsed' => FALSE, 'nodes' => ['tool:ai_agents::ai_agent::helper']],
+    ]);
+  }
+
+  /**
+   * Tests that an export carries sub-agents, tools and the layout.
+   *
+   * @covers ::export
+   */
+  public function testExport(): void {
+    $bundle = $this->container->get('flowdrop_ui_agents.agent_bundler')->export($this->loadAgent('assistant'));
+
+    $this->assertSame('flowdrop_agents_bundle', $bundle['format']);
+    $this->assertSame(1, $bundle['schemaVersion']);
+    $this->assertSame('assistant', $bundle['root']);
+    $this->assertSame(['assistant', 'helper'], array_keys($bundle['agents']));
+    $this->assertSame(['ai_agent:list_content_entities', 'ai_agent:list_entity_types'], $bundle['tools']);
+    $this->assertSame(['ai', 'ai_agents'], $bundle['requiredModules']);
+    $this->assertSame(['editor'], $bundle['agents']['assistant']['masquerade_roles']);
+
+    // Positions are keyed by tool, not by node ID.
+    $this->assertSame([
+      'positions' => [
+        'agent' => ['x' => 0.0, 'y' => 0.0],
+        'tool:ai_agents::ai_agent::helper' => ['x' => 250.0, 'y' => 0.0],
+      ],
+      'groups' => [
+        ['id' => 'helpers', 'label' => 'Helpers', 'collapsed' => FALSE, 'nodes' => ['tool:ai_agents::ai_agent::helper']],
+      ],
+    ], $bundle['agents']['assistant']['layout']);
+  }
+
+  /**
+   * Tests what an import of a bundle would do.
+   *
+   * @covers ::analyze
+   */
+  public function testAnalyze(): void {
+    $bundler = $this->container->get('flowdrop_ui_agents.agent_bundler');
+    $bundle = $bundler->export($this->loadAgent('assistant'));
+    $bundle['agents']['assistant']['tools']['missing:tool'] = TRUE;
+    $bundle['agents']['assistant']['masquerade_roles'][] = 'ghost';
+    $bundle['requiredModules'][] = 'missing_module';
+
+    $report = $bundler->analyze($bundle);
+    $this->assertTrue($report['valid']);
+    $this->assertSame([], $report['errors']);
+    $this->assertSame('assistant', $report['root']);
+    $this->assertSame([
+      ['id' => 'assistant', 'label' => 'Assistant', 'exists' => TRUE, 'masqueradeRoles' => ['editor', 'ghost']],
+      ['id' => 'helper', 'label' => 'Helper', 'exists' => TRUE, 'masqueradeRoles' => []],
+    ], $report['agents']);
+    $this->assertSame(['missing:tool'], $report['missingTools']);
+    $this->assertSame(['missing_module'], $report['missingModules']);
+    $this->assertSame(['ghost'], $report['missingRoles']);
+  }
+
+  /**
+   * Tests the errors of invalid bundles.
+   *
+   * @covers ::analyze
+   * @dataProvider providerInvalidBundle
+   */
+  public function testInvalidBundle(array $change, string $error): void {
+    $bundler = $this->container->get('flowdrop_ui_agents.agent_bundler');
+    $bundle = array_replace_recursive($bundler->export($this->loadAgent('assistant')), $change);
+
+    $report = $bundler->analyze($bundle);
+    $this->assertFalse($report['valid']);
+    $this->assertContains($error, $report['errors']);
+  }
+
+  /**
+   * Data provider for testInvalidBundle().
+   */
+  public static function providerInvalidBundle(): array {
+    return [
+      'format' => [['format' => 'other'], 'This file is not a FlowDrop agents bundle.'],
+      'version' => [['schemaVersion' => 2], 'Bundle schema version 2 is not supported; this site reads up to version 1.'],
+      'root' => [['root' => 'other'], 'The bundle does not say which agent it exports.'],
+      'ID' => [['agents' => ['helper' => ['id' => 'other']]], 'Agent "helper" has an invalid ID.'],
+      'label' => [['agents' => ['helper' => ['label' => ['Helper']]]], 'Agent "helper" has an invalid label.'],
+      'tools' => [['agents' => ['helper' => ['tools' => ['ai_agent:list_entity_types' => 'yes']]]], 'Agent "helper" has invalid tools.'],
+      'masquerade roles' => [['agents' => ['helper' => ['masquerade_roles' => ['editor' => 'editor']]]], 'Agent "helper" has invalid masquerade roles.'],
+      'layout' => [['agents' => ['helper' => ['layout' => ['positions' => 'none']]]], 'Agent "helper" has an invalid layout.'],
+    ];
+  }
+
+  /**
+   * Tests that the config schema is checked before importing.
+   *
+   * @covers ::analyze
+   * @covers ::import
+   */
+  public function testSchemaViolation(): void {
+    $bundler = $this->container->get('flowdrop_ui_agents.agent_bundler');
+    $bundle = $bundler->export($this->loadAgent('assistant'));
+    $bundle['agents']['assistant']['label'] = 'Replaced';
+    $bundle['agents']['helper']['max_loops'] = 'many';
+
+    $report = $bundler->analyze($bundle);
+    $this->assertFalse($report['valid']);
+    $this->assertStringStartsWith('Agent "helper": max_loops: ', $report['errors'][0]);
+
+    // Nothing is saved, not even the valid agent.
+    try {
+      $bundler->import($bundle, 'replace');
+      $this->fail('The invalid agent was imported.');
+    }
+    catch (\InvalidArgumentException $e) {
+      $this->assertStringContainsString('Agent "helper": max_loops: ', $e->getMessage());
+    }
+    $this->assertSame('Assistant', $this->loadAgent('assistant')->label());
+    $this->assertSame(3, $this->loadAgent('helper')->get('max_loops'));
+  }
+
+  /**
+   * Tests importing agents whose IDs are taken under new IDs.
+   *
+   * @covers ::import
+   */
+  public function testImportRename(): void {
+    $bundler = $this->container->get('flowdrop_ui_agents.agent_bundler');
+    $bundle = $bundler->export($this->loadAgent('assistant'));
+    $bundle['agents']['assistant']['tools']['missing:tool'] = TRUE;
+
+    $result = $bundler->import($bundle);
+    $this->assertSame([
+      'root' => 'assistant_2',
+      'agents' => ['assistant' => 'assistant_2', 'helper' => 'helper_2'],
+      'skippedTools' => ['missing:tool'],
+    ], $result);
+
+    // The copy calls the copied sub-agent and keeps the layout.
+    $assistant = $this->loadAgent('assistant_2');
+    $this->assertSame([
+      'ai_agents::ai_agent::helper_2' => TRUE,
+      'ai_agent:list_content_entities' => TRUE,
+    ], $assistant->get('tools'));
+    $this->assertSame([
+      'agent_assistant_2' => ['x' => 0.0, 'y' => 0.0],
+      'tool_0' => ['x' => 250.0, 'y' => 0.0],
+    ], $assistant->getThirdPartySetting('flowdrop_ui_agents', 'positions'));
+    $this->assertSame([
+      ['id' => 'helpers', 'label' => 'Helpers', 'collapsed' => FALSE, 'nodes' => ['tool:ai_agents::ai_agent::helper_2']],
+    ], $this->container->get('flowdrop_ui_agents.agent_workflow_mapper')->loadGroups('assistant_2'));
+
+    // Masquerade roles are only imported when asked for.
+    $this->assertSame([], $assistant->get('masquerade_roles'));
+    $this->assertSame('assistant_3', $bundler->import($bundle, 'rename', TRUE)['root']);
+    $this->assertSame(['editor'], $this->loadAgent('assistant_3')->get('masquerade_roles'));
+
+    // The originals are left alone.
+    $this->assertSame(['ai_agents::ai_agent::helper' => TRUE, 'ai_agent:list_content_entities' => TRUE], $this->loadAgent('assistant')->get('tools'));
+  }
+
+  /**
+   * Tests importing agents over the existing ones.
+   *
+   * @covers ::import
+   */
+  public function testImportReplace(): void {
+    $bundler = $this->container->get('flowdrop_ui_agents.agent_bundler');
+    $bundle = $bundler->export($this->loadAgent('assistant'));
+    $bundle['agents']['assistant']['label'] = 'Replaced';
+    $bundle['agents']['assistant']['masquerade_roles'][] = 'ghost';
+
+    // Unknown roles cannot be kept.
+    try {
+      $bundler->import($bundle, 'replace', TRUE);
+      $this->fail('An agent with an unknown role was imported.');
+    }
+    catch (\InvalidArgumentException $e) {
+      $this->assertStringContainsString('Agent "assistant" masquerades as roles this site does not have: ghost.', $e->getMessage());
+    }
+    $this->assertSame('Assistant', $this->loadAgent('assistant')->label());
+
+    $result = $bundler->import($bundle, 'replace');
+    $this->assertSame(['assistant' => 'assistant', 'helper' => 'helper'], $result['agents']);
+    $assistant = $this->loadAgent('assistant');
+    $this->assertSame('Replaced', $assistant->label());
+    $this->assertSame([], $assistant->get('masquerade_roles'));
+    $this->assertNull($this->loadAgent('assistant_2'));
+  }
+
+}
@@ -0,0 +1,179 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\Tests\flowdrop_ui_agents\Kernel\Service;
+
+use Drupal\Tests\flowdrop_ui_agents\Kernel\FlowDropUiAgentsKernelTestBase;
+
+/**
+ * Tests the revisions and canvas layout of agents.
+ *
+ * @group flowdrop_ui_agents
+ * @coversDefaultClass \Drupal\flowdrop_ui_agents\Service\AgentWorkflowMapper
+ */
+class AgentWorkflowMapperTest extends FlowDropUiAgentsKernelTestBase {
+
+  /**
+   * Tests that the revision follows the stored values.
+   *
+   * @covers ::getRevision
+   */
+  public function testGetRevision(): void {
+    $mapper = $this->container->get('flowdrop_ui_agents.agent_workflow_mapper');
+    $agent = $this->createAgent('assistant');
+    $revision = $mapper->getRevision($this->loadAgent('assistant'));
+
+    // Saving the same values keeps the revision.
+    $agent->save();
+    $this->assertSame($revision, $mapper->getRevision($this->loadAgent('assistant')));
+
+    $agent->set('system_prompt', 'Answer questions about content.')->save();
+    $stored = $this->loadAgent('assistant');
+    $changed = $mapper->getRevision($stored);
+    $this->assertNotSame($revision, $changed);
+
+    // The config hash is not a value of the agent.
+    $stored->set('_core', ['default_config_hash' => 'hash']);
+    $this->assertSame($changed, $mapper->getRevision($stored));
+
+    $this->createAgent('helper');
+    $this->assertNotSame($changed, $mapper->getRevision($this->loadAgent('helper')));
+  }
+
+  /**
+   * Tests that queued node positions are stored when the agent is saved.
+   *
+   * @covers ::queueLayout
+   * @covers ::applyQueuedLayout
+   */
+  public function testQueuedPositions(): void {
+    $mapper = $this->container->get('flowdrop_ui_agents.agent_workflow_mapper');
+    $agent = $this->createAgent('assistant', [
+      'tools' => [
+        'ai_agent:list_entity_types' => TRUE,
+        'ai_agent:list_content_entities' => TRUE,
+      ],
+    ]);
+
+    // The editor numbers tool nodes its own way.
+    $mapper->queueLayout([
+      'id' => 'assistant',
+      'nodes' => [
+        ['id' => 'agent_assistant', 'position' => ['x' => 10, 'y' => 20, 'dragging' => FALSE]],
+        ['id' => 'tool_7', 'position' => ['x' => 300, 'y' => 40], 'data' => ['nodeType' => 'tool', 'toolId' => 'ai_agent:list_content_entities']],
+        ['id' => 'tool_8', 'position' => ['x' => 300, 'y' => 140], 'data' => ['nodeType' => 'tool', 'config' => ['toolId' => 'ai_agent:get_entity_field_information']]],
+        ['id' => 'tool_9', 'position' => ['x' => 300, 'y' => 240], 'data' => ['nodeType' => 'tool', 'toolId' => 'ai_agent:list_entity_types']],
+      ],
+      'edges' => [
+        ['source' => 'agent_assistant', 'target' => 'tool_7'],
+        ['source' => 'agent_assistant', 'target' => 'tool_8'],
+      ],
+    ]);
+    $agent->save();
+
+    // Only the agent and the tools it has are kept, under the node IDs
+    // the agent is loaded with.
+    $positions = [
+      'agent_assistant' => ['x' => 10.0, 'y' => 20.0],
+      'tool_1' => ['x' => 300.0, 'y' => 40.0],
+    ];
+    $this->assertSame($positions, $this->loadAgent('assistant')->getThirdPartySetting('flowdrop_ui_agents', 'positions'));
+
+    // The positions are applied once.
+    $agent->set('tools', ['ai_agent:list_content_entities' => TRUE])->save();
+    $this->assertSame($positions, $this->loadAgent('assistant')->getThirdPartySetting('flowdrop_ui_agents', 'positions'));
+  }
+
+  /**
+   * Tests that queued node groups are stored when the agent is saved.
+   *
+   * @covers ::queueLayout
+   * @covers ::saveQueuedGroups
+   */
+  public function testQueuedGroups(): void {
+    $mapper = $this->container->get('flowdrop_ui_agents.agent_workflow_mapper');
+    $agent = $this->createAgent('assistant', [
+      'tools' => [
+        'ai_agent:list_entity_types' => TRUE,
+        'ai_agent:list_content_entities' => TRUE,
+      ],
+    ]);
+
+    $mapper->queueLayout([
+      'id' => 'assistant',
+      'nodes' => [
+        ['id' => 'agent_assistant'],
+        ['id' => 'tool_7', 'data' => ['nodeType' => 'tool', 'toolId' => 'ai_agent:list_content_entities']],
+        ['id' => 'tool_8', 'data' => ['nodeType' => 'tool', 'config' => ['toolId' => 'ai_agent:get_entity_field_information']]],
+        ['id' => 'tool_9', 'data' => ['nodeType' => 'tool', 'toolId' => 'ai_agent:list_entity_types']],
+      ],
+      'edges' => [
+        ['source' => 'agent_assistant', 'target' => 'tool_7'],
+        ['source' => 'agent_assistant', 'target' => 'tool_8'],
+      ],
+      'metadata' => [
+        'groups' => [
+          ['id' => 'lookups', 'label' => 'Lookups', 'collapsed' => TRUE, 'nodeIds' => ['tool_7', 'tool_8', 'tool_9']],
+          ['id' => 'stray', 'label' => 'Stray', 'nodeIds' => ['tool_9']],
+        ],
+      ],
+    ]);
+    $agent->save();
+
+    // Members are kept by tool ID, and only while they are tools of the
+    // agent.
+    $groups = [
+      ['id' => 'lookups', 'label' => 'Lookups', 'collapsed' => TRUE, 'nodes' => ['tool:ai_agent:list_content_entities']],
+    ];
+    $this->assertSame($groups, $mapper->loadGroups('assistant'));
+
+    // The groups are saved once, and outside the agent config.
+    $agent->save();
+    $this->assertSame($groups, $mapper->loadGroups('assistant'));
+    $this->assertNull($this->loadAgent('assistant')->getThirdPartySetting('flowdrop_ui_agents', 'groups'));
+
+    $agent->delete();
+    $this->assertSame([], $mapper->loadGroups('assistant'));
+  }
+
+  /**
+   * Tests that layouts of workflows without their agent are not queued.
+   *
+   * @covers ::queueLayout
+   */
+  public function testQueueLayoutWithoutAgent(): void {
+    $mapper = $this->container->get('flowdrop_ui_agents.agent_workflow_mapper');
+    $agent = $this->createAgent('assistant');
+    $mapper->queueLayout([
+      'id' => 'assistant',
+      'nodes' => [['id' => 'agent_other', 'position' => ['x' => 10, 'y' => 20]]],
+      'metadata' => ['groups' => [['id' => 'all', 'label' => 'All', 'nodeIds' => ['agent_other']]]],
+    ]);
+    $agent->save();
+
+    $this->assertSame([], $this->loadAgent('assistant')->getThirdPartySetting('flowdrop_ui_agents', 'positions', []));
+    $this->assertSame([], $mapper->loadGroups('assistant'));
+  }
+
+  /**
+   * Tests the node IDs of layout keys.
+   *
+   * @covers ::getLayoutNodeIds
+   */
+  public function testGetLayoutNodeIds(): void {
+    $agent = $this->createAgent('assistant', [
+      'tools' => [
+        'ai_agent:list_entity_types' => FALSE,
+        'ai_agent:list_content_entities' => TRUE,
+        'ai_agents::ai_agent::helper' => TRUE,
+      ],
+    ]);
+    $this->assertSame([
+      'agent' => 'agent_assistant',
+      'tool:ai_agent:list_content_entities' => 'tool_0',
+      'tool:ai_agents::ai_agent::helper' => 'tool_1',
+    ], $this->container->get('flowdrop_ui_agents.agent_workflow_mapper')->getLayoutNodeIds($agent));
+  }
+
+}
@@ -0,0 +1,93 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\Tests\flowdrop_ui_agents\Kernel\Service;
+
+use Drupal\Tests\flowdrop_ui_agents\Kernel\FlowDropUiAgentsKernelTestBase;
+
+/**
+ * Tests the review comments on agents.
+ *
+ * @group flowdrop_ui_agents
+ * @coversDefaultClass \Drupal\flowdrop_ui_agents\Service\CommentStorage
+ */
+class CommentStorageTest extends FlowDropUiAgentsKernelTestBase {
+
+  /**
+   * Tests a thread from its first comment until it is resolved.
+   *
+   * @covers ::createThread
+   * @covers ::reply
+   * @covers ::setStatus
+   * @covers ::loadThreads
+   */
+  public function testThread(): void {
+    $author = $this->setUpCurrentUser();
+    $comments = $this->container->get('flowdrop_ui_agents.comment_storage');
+    $created = date(DATE_ATOM, $this->container->get('datetime.time')->getRequestTime());
+
+    $thread = $comments->createThread('assistant', 'node', 'tool:ai_agent:list_entity_types', 'Is this tool needed?');
+    $this->assertSame(['type' => 'node', 'id' => 'tool:ai_agent:list_entity_types'], $thread['target']);
+    $this->assertSame('open', $thread['status']);
+    $this->assertNull($thread['resolved']);
+    $this->assertSame($created, $thread['created']);
+    $this->assertCount(1, $thread['comments']);
+    $this->assertSame('Is this tool needed?', $thread['comments'][0]['body']);
+    $this->assertSame(['uid' => (int) $author->id(), 'name' => $author->getDisplayName()], $thread['comments'][0]['author']);
+
+    $replier = $this->createUser();
+    $this->setCurrentUser($replier);
+    $thread = $comments->reply('assistant', $thread['id'], 'It lists the entity types.');
+    $this->assertSame(['Is this tool needed?', 'It lists the entity types.'], array_column($thread['comments'], 'body'));
+    $this->assertSame((int) $replier->id(), $thread['comments'][1]['author']['uid']);
+    $this->assertNotSame($thread['comments'][0]['id'], $thread['comments'][1]['id']);
+
+    $thread = $comments->setStatus('assistant', $thread['id'], 'resolved');
+    $this->assertSame('resolved', $thread['status']);
+    $this->assertSame(['author' => ['uid' => (int) $replier->id(), 'name' => $replier->getDisplayName()], 'created' => $created], $thread['resolved']);
+
+    $thread = $comments->setStatus('assistant', $thread['id'], 'open');
+    $this->assertSame('open', $thread['status']);
+    $this->assertNull($thread['resolved']);
+
+    $this->assertSame([$thread], $comments->loadThreads('assistant'));
+    $this->assertSame([], $comments->loadThreads('other'));
+  }
+
+  /**
+   * Tests changing a thread that does not exist.
+   *
+   * @covers ::reply
+   * @covers ::setStatus
+   */
+  public function testUnknownThread(): void {
+    $this->setUpCurrentUser();
+    $comments = $this->container->get('flowdrop_ui_agents.comment_storage');
+    $thread = $comments->createThread('assistant', 'edge', 'agent->tool:ai_agent:list_entity_types', 'Why?');
+
+    // Threads belong to one agent.
+    $this->assertNull($comments->reply('other', $thread['id'], 'Because.'));
+    $this->assertNull($comments->setStatus('assistant', 'missing', 'resolved'));
+    $this->assertCount(1, $comments->loadThreads('assistant')[0]['comments']);
+  }
+
+  /**
+   * Tests that the threads of an agent go when the agent is deleted.
+   *
+   * @covers ::deleteAll
+   */
+  public function testDeleteAgent(): void {
+    $this->setUpCurrentUser();
+    $comments = $this->container->get('flowdrop_ui_agents.comment_storage');
+    $assistant = $this->createAgent('assistant');
+    $this->createAgent('helper');
+    $comments->createThread('assistant', 'node', 'agent', 'Too long a prompt.');
+    $comments->createThread('helper', 'node', 'agent', 'Fine.');
+
+    $assistant->delete();
+    $this->assertSame([], $comments->loadThreads('assistant'));
+    $this->assertCount(1, $comments->loadThreads('helper'));
+  }
+
+}
@@ -0,0 +1,68 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\Tests\flowdrop_ui_agents\Kernel\Service;
+
+use Drupal\Tests\flowdrop_ui_agents\Kernel\FlowDropUiAgentsKernelTestBase;
+
+/**
+ * Tests the per-user drafts of agents.
+ *
+ * @group flowdrop_ui_agents
+ * @coversDefaultClass \Drupal\flowdrop_ui_agents\Service\DraftStorage
+ */
+class DraftStorageTest extends FlowDropUiAgentsKernelTestBase {
+
+  /**
+   * Tests saving, loading and deleting a draft.
+   *
+   * @covers ::save
+   * @covers ::load
+   * @covers ::delete
+   */
+  public function testDraft(): void {
+    $this->setUpCurrentUser();
+    $drafts = $this->container->get('flowdrop_ui_agents.draft_storage');
+    $this->assertNull($drafts->load('assistant'));
+
+    $workflow = ['id' => 'assistant', 'name' => 'Assistant', 'nodes' => [], 'edges' => []];
+    $draft = $drafts->save('assistant', $workflow);
+    $this->assertSame([
+      'workflow' => $workflow,
+      'metadata' => [
+        'savedAt' => date(DATE_ATOM, $this->container->get('datetime.time')->getRequestTime()),
+        'workflowId' => 'assistant',
+        'workflowName' => 'Assistant',
+      ],
+    ], $draft);
+    $this->assertSame($draft, $drafts->load('assistant'));
+
+    // A workflow without ID or name is named after the agent.
+    $this->assertSame(['savedAt' => $draft['metadata']['savedAt'], 'workflowId' => 'new', 'workflowName' => ''], $drafts->save('new', [])['metadata']);
+
+    $drafts->delete('assistant');
+    $this->assertNull($drafts->load('assistant'));
+    $this->assertNotNull($drafts->load('new'));
+  }
+
+  /**
+   * Tests that users only see their own drafts.
+   *
+   * @covers ::load
+   */
+  public function testDraftsPerUser(): void {
+    $drafts = $this->container->get('flowdrop_ui_agents.draft_storage');
+    $owner = $this->setUpCurrentUser();
+    $drafts->save('assistant', ['name' => 'Mine']);
+
+    $this->setCurrentUser($this->createUser());
+    $this->assertNull($drafts->load('assistant'));
+    $drafts->save('assistant', ['name' => 'Theirs']);
+    $drafts->delete('assistant');
+
+    $this->setCurrentUser($owner);
+    $this->assertSame('Mine', $drafts->load('assistant')['workflow']['name']);
+  }
+
+}
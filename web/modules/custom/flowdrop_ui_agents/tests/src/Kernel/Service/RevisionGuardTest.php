@@ -0,0 +1,70 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\Tests\flowdrop_ui_agents\Kernel\Service;
+
+use Drupal\Core\Lock\LockBackendInterface;
+use Drupal\flowdrop_ui_agents\Exception\StaleRevisionException;
+use Drupal\flowdrop_ui_agents\Service\RevisionGuard;
+use Drupal\Tests\flowdrop_ui_agents\Kernel\FlowDropUiAgentsKernelTestBase;
+
+/**
+ * Tests that saves over someone else's changes are refused.
+ *
+ * @group flowdrop_ui_agents
+ * @coversDefaultClass \Drupal\flowdrop_ui_agents\Service\RevisionGuard
+ */
+class RevisionGuardTest extends FlowDropUiAgentsKernelTestBase {
+
+  /**
+   * Tests the check against the stored revision.
+   *
+   * @covers ::assertCurrent
+   */
+  public function testAssertCurrent(): void {
+    $guard = $this->container->get('flowdrop_ui_agents.revision_guard');
+    $mapper = $this->container->get('flowdrop_ui_agents.agent_workflow_mapper');
+    $agent = $this->createAgent('assistant');
+    $revision = $mapper->getRevision($this->loadAgent('assistant'));
+
+    $guard->assertCurrent('assistant', $revision);
+    $guard->recordSaved($agent);
+
+    $agent->set('system_prompt', 'Answer questions about content.')->save();
+    try {
+      $guard->assertCurrent('assistant', $revision);
+      $this->fail('A stale revision was accepted.');
+    }
+    catch (StaleRevisionException $e) {
+      $this->assertSame($mapper->getRevision($this->loadAgent('assistant')), $e->getRevision());
+      $this->assertSame('assistant', $e->getWorkflow()['id']);
+    }
+  }
+
+  /**
+   * Tests that a save is refused while another one keeps the lock.
+   *
+   * @covers ::assertCurrent
+   */
+  public function testLocked(): void {
+    $this->createAgent('assistant');
+    $mapper = $this->container->get('flowdrop_ui_agents.agent_workflow_mapper');
+    $revision = $mapper->getRevision($this->loadAgent('assistant'));
+
+    $lock = $this->createMock(LockBackendInterface::class);
+    $lock->method('acquire')->willReturn(FALSE);
+    $lock->method('wait')->willReturn(TRUE);
+    $lock->expects($this->never())->method('release');
+    $guard = new RevisionGuard(
+      $this->container->get('entity_type.manager'),
+      $mapper,
+      $lock,
+      $this->container->get('request_stack'),
+    );
+
+    $this->expectException(StaleRevisionException::class);
+    $guard->assertCurrent('assistant', $revision);
+  }
+
+}
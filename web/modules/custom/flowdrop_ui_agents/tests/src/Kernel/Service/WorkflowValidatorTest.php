@@ -0,0 +1,105 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\Tests\flowdrop_ui_agents\Kernel\Service;
+
+use Drupal\Tests\flowdrop_ui_agents\Kernel\FlowDropUiAgentsKernelTestBase;
+
+/**
+ * Tests the checks of workflows before they are saved as agents.
+ *
+ * @group flowdrop_ui_agents
+ * @coversDefaultClass \Drupal\flowdrop_ui_agents\Service\WorkflowValidator
+ */
+class WorkflowValidatorTest extends FlowDropUiAgentsKernelTestBase {
+
+  /**
+   * Tests the violations of workflows.
+   *
+   * @covers ::validate
+   * @dataProvider providerValidate
+   */
+  public function testValidate(array $nodes, array $edges, array $violations): void {
+    $validator = $this->container->get('flowdrop_ui_agents.workflow_validator');
+    $this->assertSame($violations, $validator->validate(['nodes' => $nodes, 'edges' => $edges]));
+  }
+
+  /**
+   * Data provider for testValidate().
+   */
+  public static function providerValidate(): array {
+    $agent = [
+      'id' => 'agent_assistant',
+      'data' => [
+        'nodeType' => 'agent',
+        'config' => [
+          'label' => 'Assistant',
+          'systemPrompt' => 'Answer questions about the site.',
+          'description' => '',
+          'maxLoops' => '3',
+        ],
+      ],
+    ];
+    $tool = [
+      'id' => 'tool_0',
+      'data' => ['nodeType' => 'tool', 'toolId' => 'ai_agent:list_entity_types'],
+    ];
+    $edge = ['id' => 'edge_0', 'source' => 'agent_assistant', 'target' => 'tool_0'];
+
+    return [
+      'valid without a description' => [[$agent, $tool], [$edge], []],
+      'no agent' => [[$tool], [], [
+        ['nodeId' => NULL, 'field' => NULL, 'message' => 'The workflow must contain an agent node.'],
+      ]],
+      'incomplete agent' => [
+        [array_replace_recursive($agent, ['data' => ['config' => ['label' => ' ', 'systemPrompt' => '', 'maxLoops' => '0']]])],
+        [],
+        [
+          ['nodeId' => 'agent_assistant', 'field' => 'label', 'message' => 'Label is required.'],
+          ['nodeId' => 'agent_assistant', 'field' => 'systemPrompt', 'message' => 'System prompt is required.'],
+          ['nodeId' => 'agent_assistant', 'field' => 'maxLoops', 'message' => 'Max loops must be a positive whole number.'],
+        ],
+      ],
+      'missing max loops' => [
+        [array_replace_recursive($agent, ['data' => ['config' => ['maxLoops' => '']]])],
+        [],
+        [['nodeId' => 'agent_assistant', 'field' => 'maxLoops', 'message' => 'Max loops is required.']],
+      ],
+      'unknown tools' => [
+        [
+          $agent,
+          array_replace_recursive($tool, ['data' => ['toolId' => 'missing:tool']]),
+          ['id' => 'tool_1', 'data' => ['nodeType' => 'tool', 'config' => []]],
+        ],
+        [],
+        [
+          ['nodeId' => 'tool_0', 'field' => 'tool_id', 'message' => 'Tool "missing:tool" is not available on this site.'],
+          ['nodeId' => 'tool_1', 'field' => NULL, 'message' => 'The tool node does not reference a tool.'],
+        ],
+      ],
+      'nodes without ID' => [[$agent, ['data' => []], ['id' => '']], [], [
+        ['nodeId' => NULL, 'field' => NULL, 'message' => 'The workflow contains a node without an ID.'],
+        ['nodeId' => NULL, 'field' => NULL, 'message' => 'The workflow contains a node without an ID.'],
+      ]],
+      'numeric node IDs' => [
+        [$agent, ['id' => '5', 'data' => []]],
+        [['id' => 'edge_5', 'source' => 'agent_assistant', 'target' => 5]],
+        [],
+      ],
+      'dangling edges' => [
+        [$agent, $tool],
+        [
+          ['id' => 'edge_1', 'source' => 'agent_assistant', 'target' => 'tool_9'],
+          ['id' => 'edge_2', 'source' => ['tool_0'], 'target' => 'tool_8'],
+        ],
+        [
+          ['nodeId' => 'agent_assistant', 'field' => NULL, 'message' => 'Connection "edge_1" points to a node that no longer exists.'],
+          ['nodeId' => NULL, 'field' => NULL, 'message' => 'Connection "edge_2" points to a node that no longer exists.'],
+          ['nodeId' => NULL, 'field' => NULL, 'message' => 'Connection "edge_2" points to a node that no longer exists.'],
+        ],
+      ],
+    ];
+  }
+
+}
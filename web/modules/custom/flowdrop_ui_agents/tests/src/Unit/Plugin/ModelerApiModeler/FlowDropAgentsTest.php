@@ -0,0 +1,119 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\Tests\flowdrop_ui_agents\Unit\Plugin\ModelerApiModeler;
+
+use Drupal\ai_agents\Entity\AiAgent;
+use Drupal\Core\Entity\EntityAccessControlHandlerInterface;
+use Drupal\Core\Entity\EntityStorageInterface;
+use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\Core\Session\AccountInterface;
+use Drupal\flowdrop_ui_agents\Plugin\ModelerApiModeler\FlowDropAgents;
+use Drupal\flowdrop_ui_agents\Service\AgentWorkflowMapper;
+use Drupal\flowdrop_ui_agents\Service\RevisionGuard;
+use Drupal\flowdrop_ui_agents\Service\WorkflowParser;
+use Drupal\modeler_api\Plugin\ModelerApiModelOwner\ModelOwnerInterface;
+use Drupal\Tests\UnitTestCase;
+
+/**
+ * Tests when the FlowDrop editor opens an agent for review only.
+ *
+ * @group flowdrop_ui_agents
+ * @coversDefaultClass \Drupal\flowdrop_ui_agents\Plugin\ModelerApiModeler\FlowDropAgents
+ */
+class FlowDropAgentsTest extends UnitTestCase {
+
+  /**
+   * Tests the read-only reason of an existing agent.
+   *
+   * @covers ::convert
+   * @dataProvider providerExistingAgent
+   */
+  public function testExistingAgent(bool $canUpdate, bool $readOnly, ?string $reason): void {
+    $agent = $this->createMock(AiAgent::class);
+    $agent->method('id')->willReturn('assistant');
+    $agent->method('access')->with('update')->willReturn($canUpdate);
+
+    $settings = $this->getEditorSettings($this->createModeler($agent, FALSE)->convert($this->createOwner(), $agent, $readOnly));
+    $this->assertSame($reason, $settings['readOnlyReason']);
+    $this->assertSame($reason !== NULL, $settings['readOnly']);
+  }
+
+  /**
+   * Data provider for testExistingAgent().
+   */
+  public static function providerExistingAgent(): array {
+    return [
+      'may not change the agent' => [FALSE, FALSE, 'permission'],
+      'permission wins over the lock' => [FALSE, TRUE, 'permission'],
+      'opened read-only' => [TRUE, TRUE, 'locked'],
+      'editable' => [TRUE, FALSE, NULL],
+    ];
+  }
+
+  /**
+   * Tests that a new agent needs create access.
+   *
+   * @covers ::edit
+   */
+  public function testNewAgent(): void {
+    $settings = $this->getEditorSettings($this->createModeler(NULL, FALSE)->edit($this->createOwner(), 'agent_new', '', TRUE));
+    $this->assertSame('permission', $settings['readOnlyReason']);
+    $this->assertFalse($settings['canComment']);
+
+    $settings = $this->getEditorSettings($this->createModeler(NULL, TRUE)->edit($this->createOwner(), 'agent_new', '', TRUE));
+    $this->assertNull($settings['readOnlyReason']);
+  }
+
+  /**
+   * Creates the modeler with mocked services.
+   *
+   * @param \Drupal\ai_agents\Entity\AiAgent|null $agent
+   *   The stored agent.
+   * @param bool $canCreate
+   *   Whether the current user may create agents.
+   */
+  protected function createModeler(?AiAgent $agent, bool $canCreate): FlowDropAgents {
+    $storage = $this->createMock(EntityStorageInterface::class);
+    $storage->method('load')->willReturn($agent);
+    $accessControlHandler = $this->createMock(EntityAccessControlHandlerInterface::class);
+    $accessControlHandler->method('createAccess')->willReturn($canCreate);
+    $entityTypeManager = $this->createMock(EntityTypeManagerInterface::class);
+    $entityTypeManager->method('getStorage')->with('ai_agent')->willReturn($storage);
+    $entityTypeManager->method('getAccessControlHandler')->with('ai_agent')->willReturn($accessControlHandler);
+
+    $account = $this->createMock(AccountInterface::class);
+    $account->method('hasPermission')->willReturn(FALSE);
+
+    return new FlowDropAgents(
+      [],
+      'flowdrop_agents',
+      [],
+      $entityTypeManager,
+      $account,
+      $this->createMock(AgentWorkflowMapper::class),
+      $this->createMock(WorkflowParser::class),
+      $this->createMock(RevisionGuard::class),
+    );
+  }
+
+  /**
+   * Creates a model owner.
+   */
+  protected function createOwner(): ModelOwnerInterface {
+    $owner = $this->createMock(ModelOwnerInterface::class);
+    $owner->method('getPluginId')->willReturn('ai_agents_agent');
+    return $owner;
+  }
+
+  /**
+   * Gets the drupalSettings of the only editor in a build.
+   */
+  protected function getEditorSettings(array $build): array {
+    $editors = $build['#attached']['drupalSettings']['flowdrop_agents']['editors'];
+    $this->assertCount(1, $editors);
+    return reset($editors);
+  }
+
+}